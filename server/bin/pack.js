@@ -0,0 +1,189 @@
+#!/usr/bin/env node
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { dirname, extname, resolve } from 'node:path';
+import { parseArgs } from 'node:util';
+import enumsSchema from '../schemas/$defs/enums.schema.json' with { type: 'json' };
+import {
+  BOX_LIST_FORMATS,
+  createGamesFromBoxes,
+  parseBoxList,
+} from '../src/services/boxListService.js';
+import { packCollection, resolvePackingSettings } from '../src/services/collectionPackingService.js';
+
+/**
+ * Packs a JSON or CSV list of boxes into cubes without BGG, with the same packing options
+ * as the games API.
+ *
+ * Usage: node bin/pack.js <boxes.json|boxes.csv> [options]
+ */
+
+const USAGE = `Usage: node bin/pack.js <boxes.json|boxes.csv> [options]
+
+Boxes need a name, length, width and depth in inches, and may have an id, a weight in
+pounds and sort fields such as bggRank, minPlayers or categories ("a;b" in CSV).
+
+Options:
+  --stacking <mode>        horizontal (default) or vertical
+  --lock-rotation          Keep every box in the stacking orientation
+  --optimize-space         Pack for the fewest cubes and ignore the sort order
+  --backfill <percent>     Share of earlier cubes new boxes may fall back to (0-100, default 20)
+  --sort <field[:desc]>    Sort rule, repeat for tie-breakers (default gameName)
+  --format <json|csv>      Input format when the file extension does not tell
+  -o, --output <file>      Write the packing response as JSON instead of printing a table
+  -h, --help               Show this help`;
+
+const STACKING_MODES = enumsSchema.definitions.stacking.enum;
+const SORT_FIELDS = enumsSchema.definitions.sortField.enum;
+const SORT_ORDERS = enumsSchema.definitions.sortOrder.enum;
+
+// Width of the games column in the summary table
+const GAMES_COLUMN_WIDTH = 60;
+
+const fail = (message) => {
+  console.error(`Error: ${message}\n\n${USAGE}`);
+  process.exit(1);
+};
+
+const parseSortRule = (value) => {
+  const [field, order = 'asc'] = value.split(':');
+  if (!SORT_FIELDS.includes(field)) {
+    fail(`Unknown sort field "${field}". Expected one of: ${SORT_FIELDS.join(', ')}`);
+  }
+  if (!SORT_ORDERS.includes(order)) {
+    fail(`Unknown sort order "${order}". Expected one of: ${SORT_ORDERS.join(', ')}`);
+  }
+  return { field, order };
+};
+
+/**
+ * Turns the command-line options into a games request payload, so the box list is packed
+ * with the same defaults as an API request.
+ * @param {Object} values - Options from parseArgs
+ * @returns {Object} Payload for resolvePackingSettings
+ */
+const buildPayload = (values) => {
+  const payload = {
+    lockRotation: values['lock-rotation'],
+    optimizeSpace: values['optimize-space'],
+    sort: (values.sort ?? []).map(parseSortRule),
+  };
+
+  if (values.stacking !== undefined) {
+    if (!STACKING_MODES.includes(values.stacking)) {
+      fail(`Unknown stacking "${values.stacking}". Expected one of: ${STACKING_MODES.join(', ')}`);
+    }
+    payload.stacking = values.stacking;
+  }
+
+  if (values.backfill !== undefined) {
+    const backfillPercentage = Number(values.backfill);
+    if (!Number.isFinite(backfillPercentage) || backfillPercentage < 0 || backfillPercentage > 100) {
+      fail('--backfill must be a number between 0 and 100');
+    }
+    payload.backfillPercentage = backfillPercentage;
+  }
+
+  return payload;
+};
+
+const resolveFormat = (filePath, format) => {
+  const resolved = (format ?? extname(filePath).slice(1)).toLowerCase();
+  if (!Object.values(BOX_LIST_FORMATS).includes(resolved)) {
+    fail(`Cannot tell the format of "${filePath}"; pass --format json or --format csv`);
+  }
+  return resolved;
+};
+
+const truncate = (text, width) => (text.length > width ? `${text.slice(0, width - 1)}…` : text);
+
+/**
+ * Prints one row per cube with its label, fill and games, then the totals.
+ * @param {Object} response - Packing response from packCollection
+ */
+const printSummary = (response) => {
+  const rows = response.cubes.map((cube) => [
+    String(cube.id),
+    cube.reserved ? '(reserved)' : cube.label ?? '',
+    String(cube.stats.totalGames),
+    `${cube.stats.totalUtilization}%`,
+    truncate(cube.games.map((game) => game.displayName).join(', '), GAMES_COLUMN_WIDTH),
+  ]);
+  const header = ['Cube', 'Label', 'Boxes', 'Used', 'Games'];
+  const widths = header.map((title, column) =>
+    Math.max(title.length, ...rows.map((row) => row[column].length)),
+  );
+  const formatRow = (row) => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+
+  console.info(formatRow(header));
+  console.info(formatRow(widths.map((width) => '-'.repeat(width))));
+  rows.forEach((row) => console.info(formatRow(row)));
+
+  const { totalGames, totalCubes, totalUtilization } = response.stats;
+  console.info(`\n${totalGames} boxes in ${totalCubes} cubes, ${totalUtilization}% of the cube area used`);
+
+  if (response.oversizedGames.length > 0) {
+    console.info(`\nToo large for a cube (${response.oversizedGames.length}):`);
+    response.oversizedGames.forEach((game) => console.info(`  ${game.displayName} (${game.status})`));
+  }
+};
+
+const main = async () => {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      allowPositionals: true,
+      options: {
+        stacking: { type: 'string' },
+        'lock-rotation': { type: 'boolean', default: false },
+        'optimize-space': { type: 'boolean', default: false },
+        backfill: { type: 'string' },
+        sort: { type: 'string', multiple: true },
+        format: { type: 'string' },
+        output: { type: 'string', short: 'o' },
+        help: { type: 'boolean', short: 'h', default: false },
+      },
+    });
+  } catch (error) {
+    fail(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help) {
+    console.info(USAGE);
+    return;
+  }
+  if (positionals.length !== 1) {
+    fail('Pass exactly one box list file');
+  }
+
+  const [filePath] = positionals;
+  const format = resolveFormat(filePath, values.format);
+  const settings = resolvePackingSettings(buildPayload(values));
+
+  let games;
+  try {
+    games = createGamesFromBoxes(parseBoxList(await readFile(filePath, 'utf-8'), format));
+  } catch (error) {
+    console.error(`Error: cannot read ${filePath}: ${error.message}`);
+    process.exit(1);
+  }
+
+  // The packing modules log their progress; keep stdout for the summary
+  console.log = console.error;
+  const response = packCollection(games, settings);
+
+  if (values.output) {
+    const outputPath = resolve(values.output);
+    await mkdir(dirname(outputPath), { recursive: true });
+    await writeFile(outputPath, JSON.stringify(response, null, 2));
+    console.info(`Wrote ${response.cubes.length} cubes to ${outputPath}`);
+    return;
+  }
+
+  printSummary(response);
+};
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
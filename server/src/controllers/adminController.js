@@ -1,4 +1,10 @@
+import { readFile } from 'fs/promises';
+
 import { clearCache, cleanup, getStats, checkForDuplicates } from '../services/cache/index.js';
+import { GAMES_REQUEST_JSON } from '../services/configService.js';
+import { processGamesRequest } from '../services/gamesService.js';
+import { normalizeUsernames } from '../utils/gameUtils.js';
+import { validateGamesPayload } from '../validation/gamesValidator.js';
 
 export const getCacheStatsHandler = (req, res) => {
   try {
@@ -49,3 +55,51 @@ export const checkDuplicatesHandler = (req, res) => {
   }
 };
 
+/**
+ * Replays the games request logged to GAMES_REQUEST_JSON and checks the layout it packs
+ * with validatePackedLayout. Responds with the list of violations.
+ */
+export const validateLoggedRequestHandler = async (req, res) => {
+  if (!GAMES_REQUEST_JSON) {
+    return res.status(400).json({ error: 'GAMES_REQUEST_JSON is not configured' });
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(await readFile(GAMES_REQUEST_JSON, 'utf8'));
+  } catch (error) {
+    console.error('Error reading logged games request:', error.message);
+    return res.status(404).json({ error: `No logged games request could be read: ${error.message}` });
+  }
+
+  const { valid, errors } = validateGamesPayload(payload);
+  if (!valid) {
+    return res.status(400).json({ error: 'The logged games request is invalid', errors });
+  }
+
+  try {
+    const usernames = normalizeUsernames(payload.username);
+    let validation = null;
+    const result = await processGamesRequest({
+      payload,
+      usernames,
+      requestId: null,
+      validateLayout: true,
+      onLayoutValidated: (report) => {
+        validation = report;
+      },
+    });
+
+    return res.json({
+      request: GAMES_REQUEST_JSON,
+      usernames,
+      cubes: Array.isArray(result?.cubes) ? result.cubes.length : 0,
+      validation,
+      // Requests that stop before packing (e.g. the missing version warning) have nothing to check
+      ...(validation ? {} : { message: result?.message }),
+    });
+  } catch (error) {
+    console.error('Error replaying logged games request:', error.message);
+    return res.status(500).json({ error: error.message });
+  }
+};
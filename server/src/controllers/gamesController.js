@@ -1,7 +1,7 @@
 import { writeFile } from 'fs/promises';
 import crypto from 'crypto';
 
-import { normalizeUsername } from '../utils/gameUtils.js';
+import { normalizeUsernames } from '../utils/gameUtils.js';
 import { validateGamesPayload } from '../validation/gamesValidator.js';
 import {
   registerRequest,
@@ -53,13 +53,6 @@ const logGamesResponse = async (payload) => {
   }
 };
 
-const ensureUsernameString = (value) => {
-  if (typeof value === 'number') {
-    return value.toString();
-  }
-  return value;
-};
-
 export const handleGamesRequest = async (req, res) => {
   const payload = req.body ?? {};
   await logGamesRequest(payload);
@@ -69,24 +62,19 @@ export const handleGamesRequest = async (req, res) => {
     return res.status(400).json({ errors });
   }
 
-  const usernameInput = ensureUsernameString(payload.username);
-  const normalizedInput =
-    typeof usernameInput === 'string' ? usernameInput.trim() : usernameInput;
-  const username = normalizeUsername(normalizedInput);
+  const usernames = normalizeUsernames(payload.username);
 
   // Generate server-side GUID
   const requestId = crypto.randomUUID();
   const token = generateRequestToken(requestId);
   const progressUrl = `/api/progress/${requestId}`;
 
-  const normalizedPayload = { ...payload, username };
-
   registerRequest(requestId);
 
   // Process asynchronously (don't await)
   processGamesRequest({
-    payload: { ...payload, username },
-    username,
+    payload,
+    usernames,
     requestId,
     onProgress: sendProgressUpdate,
   })
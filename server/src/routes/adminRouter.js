@@ -5,6 +5,7 @@ import {
   cleanupCacheHandler,
   getCacheStatsHandler,
   checkDuplicatesHandler,
+  validateLoggedRequestHandler,
 } from '../controllers/adminController.js';
 import { checkAdminAuth } from '../middleware/checkAdminAuth.js';
 
@@ -16,6 +17,7 @@ router.get('/cache/stats', getCacheStatsHandler);
 router.get('/cache/duplicates', checkDuplicatesHandler);
 router.post('/cache/clear', clearCacheHandler);
 router.post('/cache/cleanup', cleanupCacheHandler);
+router.post('/packing/validate', validateLoggedRequestHandler);
 
 export default router;
 
@@ -23,18 +23,30 @@ const COLLECTION_MAX_RETRIES = 5;
 const BATCH_SIZE = 20;
 const COLLECTION_RETRY_DELAY_BASE_MS = 2000;
 
-const buildCollectionKey = (username, includeStatuses = [], excludeStatuses = [], includeExpansions = true) => {
+// BGG only lists accessories in a collection when they are asked for by subtype
+const ACCESSORY_SUBTYPE = 'boardgameaccessory';
+
+const buildCollectionKey = (
+  username,
+  includeStatuses = [],
+  excludeStatuses = [],
+  includeExpansions = true,
+  includeAccessories = false,
+) => {
   const includeKeySegment = includeStatuses.slice().sort().join('|') || 'none';
   const excludeKeySegment = excludeStatuses.slice().sort().join('|') || 'none';
-  return `user:${username}:includes:${includeKeySegment}:excludes:${excludeKeySegment}:expansions:${includeExpansions}`;
+  return `user:${username}:includes:${includeKeySegment}:excludes:${excludeKeySegment}:expansions:${includeExpansions}:accessories:${includeAccessories}`;
 };
 
-const buildCollectionUrl = (username, excludeStatuses = []) => {
+const buildCollectionUrl = (username, excludeStatuses = [], subtype = null) => {
   const params = new URLSearchParams({
     username,
     version: '1',
   });
 
+  if (subtype) {
+    params.set('subtype', subtype);
+  }
   excludeStatuses.forEach((status) => params.append(status, '0'));
 
   return `${BGG_API_BASE}/collection?${params.toString()}`;
@@ -448,6 +460,7 @@ const buildVersionEntry = ({
     categories: game?.categories || [],
     mechanics: game?.mechanics || [],
     families: game?.families || [],
+    designers: game?.designers || [],
     bggRank: game?.bggRank ?? -1,
     minPlayers: game?.minPlayers ?? -1,
     maxPlayers: game?.maxPlayers ?? -1,
@@ -473,6 +486,8 @@ const buildVersionEntry = ({
     image: game?.image || item.image || null,
     baseGameId: game?.baseGameId || gameId,
     isExpansion: Boolean(game?.isExpansion || item.subtype === 'boardgameexpansion'),
+    isAccessory: Boolean(game?.isAccessory || item.subtype === ACCESSORY_SUBTYPE),
+    accessoryGameIds: game?.accessoryGameIds || [],
     dimensions: derivedDimensions,
     volume,
     area,
@@ -538,6 +553,7 @@ export const fetchUserCollectionWithDetails = async ({
   includeStatuses = [],
   excludeStatuses = [],
   includeExpansions = true,
+  includeAccessories = false,
   onProgress,
   requestId,
 } = {}) => {
@@ -547,7 +563,13 @@ export const fetchUserCollectionWithDetails = async ({
 
   const progress = typeof onProgress === 'function' ? onProgress : () => {};
 
-  const collectionKey = buildCollectionKey(username, includeStatuses, excludeStatuses, includeExpansions);
+  const collectionKey = buildCollectionKey(
+    username,
+    includeStatuses,
+    excludeStatuses,
+    includeExpansions,
+    includeAccessories,
+  );
   const collectionUrl = buildCollectionUrl(username, excludeStatuses);
 
   if (onProgress && requestId) {
@@ -555,6 +577,16 @@ export const fetchUserCollectionWithDetails = async ({
   }
 
   const xml = await fetchCollectionXml(collectionUrl);
+
+  let accessoryXml = null;
+  if (includeAccessories) {
+    if (onProgress && requestId) {
+      progress(requestId, 'Fetching accessories from BoardGameGeek...', { step: 'collection_fetch' });
+    }
+    accessoryXml = await fetchCollectionXml(
+      buildCollectionUrl(username, excludeStatuses, ACCESSORY_SUBTYPE),
+    );
+  }
   
   // Transition 1: After fetching collection, before parsing
   if (onProgress && requestId) {
@@ -564,6 +596,11 @@ export const fetchUserCollectionWithDetails = async ({
   
   const collectionJson = await xmlToJson(xml);
   const collectionItems = mapCollectionItems(collectionJson);
+  if (accessoryXml) {
+    const accessoryItems = mapCollectionItems(await xmlToJson(accessoryXml));
+    console.debug(`   🧩 Found ${accessoryItems.length} accessory item(s) in collection`);
+    collectionItems.push(...accessoryItems);
+  }
   const collectionHash = generateCollectionHash(collectionItems);
 
   const cachedCollection = getCollection(collectionKey, collectionHash);
@@ -704,4 +741,37 @@ export const fetchUserCollectionWithDetails = async ({
   };
 };
 
+/**
+ * Fetches the collections of a household: each user's collection with its game details,
+ * through the same per-user collection cache as a single user. Every entry is tagged with
+ * the user who owns it, and entries keep the order of the usernames.
+ * @param {Object} options - Options of fetchUserCollectionWithDetails, with usernames
+ *   in place of username
+ * @param {Array<string>} options.usernames - Normalized BGG usernames
+ * @returns {Promise<Object>} { usernames, items, missingThingIds, fetchedGameCount, cachedGameCount }
+ */
+export const fetchHouseholdCollectionWithDetails = async ({ usernames, ...options }) => {
+  if (!Array.isArray(usernames) || usernames.length === 0) {
+    throw new Error('Username is required to fetch collection data.');
+  }
+
+  const household = {
+    usernames,
+    items: [],
+    missingThingIds: [],
+    fetchedGameCount: 0,
+    cachedGameCount: 0,
+  };
 
+  for (const username of usernames) {
+    const collection = await fetchUserCollectionWithDetails({ ...options, username });
+    household.items.push(...collection.items.map((item) => ({ ...item, owner: username })));
+    household.missingThingIds = [
+      ...new Set([...household.missingThingIds, ...collection.missingThingIds]),
+    ];
+    household.fetchedGameCount += collection.fetchedGameCount;
+    household.cachedGameCount += collection.cachedGameCount;
+  }
+
+  return household;
+};
@@ -1,7 +1,7 @@
 import { parseInteger, parseFloat } from '../../utils/numberUtils.js';
 import { ensureArray } from '../../utils/arrayUtils.js';
 import { unescapeName, buildVersionKey } from '../../utils/gameUtils.js';
-import { DEFAULT_DIMENSIONS } from '../../utils/gameProcessingHelpers.js';
+import { DEFAULT_DIMENSIONS, calculateAreaFromDimensions } from '../../utils/gameProcessingHelpers.js';
 
 const uniqueSortedValues = (values = []) =>
   Array.from(new Set(values.filter(Boolean))).sort((a, b) => a.localeCompare(b));
@@ -141,6 +141,21 @@ const deriveExpansionInfo = (item) => {
   };
 };
 
+/*
+ * An accessory links to the games it is made for. BGG lists those links on the accessory
+ * as "boardgameaccessory" links, the same type a game uses to list its accessories.
+ */
+const deriveAccessoryInfo = (item) => {
+  const isAccessory = (item.$?.type || '') === 'boardgameaccessory';
+  const accessoryGameIds = isAccessory
+    ? extractLinkIds(item, 'boardgameaccessory')
+        .map((id) => parseInteger(id, -1))
+        .filter((id) => id !== -1)
+    : [];
+
+  return { isAccessory, accessoryGameIds };
+};
+
 const computeDimensionsMeta = ({ length, width, depth }) => {
   const dims = [length, width, depth].map((value) => (Number.isFinite(value) ? value : -1));
   const allVersionsMissingDimensions = dims.some((value) => value <= 0);
@@ -153,14 +168,10 @@ const computeDimensionsMeta = ({ length, width, depth }) => {
     };
   }
 
-  const volume = dims[0] * dims[1] * dims[2];
-  const sorted = [...dims].sort((a, b) => a - b);
-  const area = sorted[0] * sorted[1];
-
   return {
     allVersionsMissingDimensions: false,
-    volume,
-    area,
+    volume: dims[0] * dims[1] * dims[2],
+    area: calculateAreaFromDimensions({ length, width, depth }),
   };
 };
 
@@ -180,6 +191,9 @@ export const mapThingItem = (item) => {
   const versionItems = ensureArray(versionsNode);
 
   const expansionInfo = deriveExpansionInfo(item);
+  const accessoryInfo = deriveAccessoryInfo(item);
+  // An accessory sits with the first game it is made for, like an expansion with its base game
+  const baseGameId = accessoryInfo.accessoryGameIds[0] ?? expansionInfo.baseGameId;
 
   const nameArray = ensureArray(item.name);
   const rawName = nameArray.length > 0
@@ -206,6 +220,7 @@ export const mapThingItem = (item) => {
     categories: uniqueSortedValues(extractLinks(item, 'boardgamecategory')),
     mechanics: uniqueSortedValues(extractLinks(item, 'boardgamemechanic')),
     families: uniqueSortedValues(extractLinks(item, 'boardgamefamily')),
+    designers: uniqueSortedValues(extractLinks(item, 'boardgamedesigner')),
     versionIds: versionItems.map((version) => parseInteger(version?.$?.id, -1)).filter((id) => id !== -1),
     bggWeight: parseFloat(stats?.averageweight?.$?.value, -1),
     bggRank:
@@ -213,11 +228,16 @@ export const mapThingItem = (item) => {
         ? parseInteger(rankValue, -1)
         : -1,
     bggRating: parseFloat(stats?.average?.$?.value, -1),
-    baseGameId: expansionInfo.baseGameId !== -1 ? expansionInfo.baseGameId : parseInteger(item.$?.id, -1),
+    baseGameId: baseGameId !== -1 ? baseGameId : parseInteger(item.$?.id, -1),
     isExpansion: expansionInfo.isExpansion,
+    isAccessory: accessoryInfo.isAccessory,
+    accessoryGameIds: accessoryInfo.accessoryGameIds,
   };
 };
 
+// Versions link back to their thing; accessory versions use their own link type
+const VERSION_LINK_TYPES = ['boardgameversion', 'boardgameaccessoryversion'];
+
 export const mapVersionItems = (item, thingGameId) => {
   const versionsNode = item?.versions?.item || item?.versions;
   if (!versionsNode) {
@@ -240,7 +260,8 @@ export const mapVersionItems = (item, thingGameId) => {
         null;
       const displayName = unescapeName(primaryName || canonName);
       const linkArray = ensureArray(version?.link);
-      const linkToGame = linkArray.find((link) => link?.$?.type === 'boardgameversion') || null;
+      const linkToGame =
+        linkArray.find((link) => VERSION_LINK_TYPES.includes(link?.$?.type)) || null;
       const languageLink = linkArray.find((link) => link?.$?.type === 'language') || null;
 
       // Use thingGameId if provided and valid, otherwise fall back to link gameId
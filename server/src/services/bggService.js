@@ -1,2 +1,5 @@
 export { bggApiRequest } from './bgg/apiClient.js';
-export { fetchUserCollectionWithDetails } from './bgg/orchestrator.js';
+export {
+  fetchUserCollectionWithDetails,
+  fetchHouseholdCollectionWithDetails,
+} from './bgg/orchestrator.js';
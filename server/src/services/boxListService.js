@@ -0,0 +1,252 @@
+import { calculateAreaFromDimensions, normalizeDimensions } from '../utils/gameProcessingHelpers.js';
+import { isPositiveFinite } from '../utils/numberUtils.js';
+import { getMaxDepthDimension } from '../utils/packingHelpers.js';
+
+/*
+ * Turns a plain list of boxes (a game café inventory, a spreadsheet export) into games the
+ * packing engine accepts, without BGG. Sizes are in inches and weights in pounds, like BGG.
+ */
+
+/**
+ * Box list formats read by parseBoxList.
+ */
+export const BOX_LIST_FORMATS = {
+  JSON: 'json',
+  CSV: 'csv',
+};
+
+// Sort fields a box can carry, by how their values are read
+const NUMBER_SORT_FIELDS = [
+  'bggRank',
+  'bggWeight',
+  'bggRating',
+  'minPlayers',
+  'maxPlayers',
+  'bestPlayerCount',
+  'minPlaytime',
+  'maxPlaytime',
+  'age',
+  'communityAge',
+  'languageDependence',
+  'numplays',
+  'gamePublishedYear',
+  'versionPublishedYear',
+];
+const LIST_SORT_FIELDS = ['categories', 'families', 'mechanics'];
+const TEXT_SORT_FIELDS = ['versionName'];
+
+const BOX_FIELDS = [
+  'id',
+  'name',
+  'length',
+  'width',
+  'depth',
+  'weight',
+  ...NUMBER_SORT_FIELDS,
+  ...LIST_SORT_FIELDS,
+  ...TEXT_SORT_FIELDS,
+];
+
+// CSV headers match field names in any letter case
+const BOX_FIELDS_BY_HEADER = new Map(BOX_FIELDS.map((field) => [field.toLowerCase(), field]));
+
+// Separator of list values inside one CSV cell, e.g. "Card Game;Fantasy"
+const CSV_LIST_SEPARATOR = ';';
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+/**
+ * Splits CSV text into rows of cells. Supports quoted cells with commas, line breaks and
+ * doubled quotes.
+ * @param {string} text - CSV contents
+ * @returns {Array<Array<string>>} Rows of cells, without empty lines
+ */
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        cell += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') {
+        index += 1;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('CSV box list has an unclosed quote');
+  }
+  row.push(cell);
+  rows.push(row);
+
+  return rows.filter((cells) => cells.some((value) => value.trim() !== ''));
+};
+
+const parseCsvBoxes = (text) => {
+  const [headerRow, ...rows] = parseCsvRows(text.replace(/^\uFEFF/, ''));
+  if (!headerRow) {
+    return [];
+  }
+
+  const fields = headerRow.map((header) => BOX_FIELDS_BY_HEADER.get(header.trim().toLowerCase()));
+  const unknownHeaders = headerRow.filter((header, index) => !fields[index] && header.trim() !== '');
+  if (unknownHeaders.length > 0) {
+    throw new Error(
+      `Unknown column${unknownHeaders.length === 1 ? '' : 's'} in CSV box list: ${unknownHeaders.join(', ')}`,
+    );
+  }
+
+  return rows.map((cells) =>
+    fields.reduce((box, field, index) => {
+      if (field && !isBlank(cells[index])) {
+        box[field] = cells[index].trim();
+      }
+      return box;
+    }, {}),
+  );
+};
+
+const parseJsonBoxes = (text) => {
+  const data = JSON.parse(text);
+  const boxes = Array.isArray(data) ? data : data?.boxes;
+  if (!Array.isArray(boxes)) {
+    throw new Error('JSON box list must be an array of boxes or an object with a "boxes" array');
+  }
+  return boxes;
+};
+
+/**
+ * Reads a box list. JSON is an array of box objects (or { boxes: [...] }); CSV has a header
+ * row naming the fields. Fields: name, length, width, depth, optional id and weight, and any
+ * sort field such as bggRank or categories (a JSON array, or values separated by ";" in CSV).
+ * @param {string} text - File contents
+ * @param {string} format - One of BOX_LIST_FORMATS
+ * @returns {Array<Object>} Raw boxes for createGamesFromBoxes
+ */
+export const parseBoxList = (text, format) => {
+  if (format === BOX_LIST_FORMATS.CSV) {
+    return parseCsvBoxes(text);
+  }
+  if (format === BOX_LIST_FORMATS.JSON) {
+    return parseJsonBoxes(text);
+  }
+  throw new Error(`Unsupported box list format "${format}"`);
+};
+
+const toNumberOrNull = (value) => {
+  if (isBlank(value)) {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const toList = (value) => {
+  if (isBlank(value)) {
+    return [];
+  }
+  const values = Array.isArray(value) ? value : String(value).split(CSV_LIST_SEPARATOR);
+  return values.map((item) => String(item).trim()).filter(Boolean);
+};
+
+const readBoxSize = (box, field, label) => {
+  const value = toNumberOrNull(box[field]);
+  if (!isPositiveFinite(value)) {
+    throw new Error(`Box ${label} needs a positive ${field} (got ${JSON.stringify(box[field] ?? null)})`);
+  }
+  return value;
+};
+
+/**
+ * Builds a packable game from one box of a box list.
+ * @param {Object} box - Raw box from parseBoxList
+ * @param {number} index - Position of the box in the list, used for the default id
+ * @returns {Object} Game in the shape the packing modules use
+ */
+const createGameFromBox = (box, index) => {
+  const label = isBlank(box?.name) ? `#${index + 1}` : `#${index + 1} (${box.name})`;
+  if (!box || typeof box !== 'object' || isBlank(box.name)) {
+    throw new Error(`Box ${label} needs a name`);
+  }
+
+  const dimensions = normalizeDimensions({
+    length: readBoxSize(box, 'length', label),
+    width: readBoxSize(box, 'width', label),
+    depth: readBoxSize(box, 'depth', label),
+    weight: toNumberOrNull(box.weight),
+    missing: false,
+  });
+  const name = String(box.name).trim();
+
+  const game = {
+    id: isBlank(box.id) ? `box-${index + 1}` : String(box.id).trim(),
+    gameId: -1,
+    versionId: -1,
+    gameName: name,
+    displayName: name,
+    versionName: isBlank(box.versionName) ? null : String(box.versionName).trim(),
+    dimensions,
+    selectedDimensionSource: 'user',
+    volume: dimensions.length * dimensions.width * dimensions.depth,
+    area: calculateAreaFromDimensions(dimensions),
+    maxDepth: getMaxDepthDimension(dimensions, true),
+    isExpansion: false,
+  };
+
+  for (const field of NUMBER_SORT_FIELDS) {
+    game[field] = toNumberOrNull(box[field]);
+  }
+  for (const field of LIST_SORT_FIELDS) {
+    game[field] = toList(box[field]);
+  }
+  // "weight" sorts by the box weight, like the BGG version weight
+  game.weight = dimensions.weight;
+
+  return game;
+};
+
+/**
+ * Builds packable games from a box list.
+ * @param {Array<Object>} boxes - Raw boxes from parseBoxList
+ * @returns {Array<Object>} Games for packGamesIntoCubes
+ */
+export const createGamesFromBoxes = (boxes) => {
+  const games = boxes.map(createGameFromBox);
+
+  const seenIds = new Set();
+  for (const game of games) {
+    if (seenIds.has(game.id)) {
+      throw new Error(`Box id "${game.id}" is used more than once`);
+    }
+    seenIds.add(game.id);
+  }
+
+  return games;
+};
@@ -0,0 +1,227 @@
+import { packGamesIntoCubes } from './packingService.js';
+import { DEFAULT_OPTIMIZER_TIME_BUDGET_MS } from './packingOptimizerService.js';
+import { buildOverrideMaps, applyOverridesToGames } from './overrideService.js';
+import { storeExpansionsInBaseGames } from './expansionStorageService.js';
+import { createCustomItemGames, resolveCustomItems } from './customItemService.js';
+import { serializeCubesResponse } from './responseSerializer.js';
+import { resolveShelfProfile } from './shelfProfileService.js';
+import { resolveShelfInventory } from './shelfInventoryService.js';
+import { resolveShelfLayout } from './shelfLayoutService.js';
+import { resolveShelfReserve } from './shelfReserveService.js';
+import { resolveSectionBreaks } from './packingSectionService.js';
+import { resolvePreviousLayout } from './packingIncrementalService.js';
+import { resolveSeriesFamilyTypes } from './groupingService.js';
+import { isPositiveFinite } from '../utils/numberUtils.js';
+import { logger } from '../utils/logger.js';
+
+/*
+ * Everything in this module runs on games that were already fetched and normalized, and
+ * nothing it imports depends on Node or the BGG client. The browser runs it in a Web
+ * Worker to repack a fetched collection without a server round trip.
+ */
+
+const getPrioritiesFromSort = (sort = []) => {
+  const rules = Array.isArray(sort)
+    ? sort
+        .filter((rule) => rule?.field)
+        .map((rule) => ({
+          field: rule.field,
+          order: rule.order === 'desc' ? 'desc' : 'asc',
+        }))
+    : [];
+
+  // Default to gameName ascending if no sort rules provided
+  // This ensures games are always sorted, even when sort is empty or undefined
+  if (rules.length === 0) {
+    return [{ field: 'gameName', order: 'asc' }];
+  }
+
+  return rules;
+};
+
+export const normalizeBooleanFlag = (value, defaultValue = false) =>
+  typeof value === 'boolean' ? value : defaultValue;
+
+/**
+ * Resolves the packing settings of a games request: flags, shelf settings, sort rules
+ * and overrides, with the same defaults the server applies.
+ * @param {Object} payload - Request payload (see post-payload.schema.json)
+ * @returns {Object} Resolved settings for packCollection
+ */
+export const resolvePackingSettings = (payload) => {
+  const shelfLayout = resolveShelfLayout(payload.shelfLayout);
+  const sortRules = getPrioritiesFromSort(payload.sort);
+  const optimizerTimeBudgetMs =
+    typeof payload.optimizerTimeBudget === 'number' &&
+    payload.optimizerTimeBudget >= 1 && payload.optimizerTimeBudget <= 30
+      ? payload.optimizerTimeBudget * 1000
+      : DEFAULT_OPTIMIZER_TIME_BUDGET_MS;
+
+  return {
+    stacking: payload.stacking || 'horizontal',
+    lockRotation: normalizeBooleanFlag(payload.lockRotation),
+    optimizeSpace: normalizeBooleanFlag(payload.optimizeSpace),
+    backfillPercentage:
+      typeof payload.backfillPercentage === 'number' &&
+      payload.backfillPercentage >= 0 && payload.backfillPercentage <= 100
+        ? payload.backfillPercentage
+        : 20,
+    fitOversized: normalizeBooleanFlag(payload.fitOversized),
+    groupExpansions: normalizeBooleanFlag(payload.groupExpansions),
+    storeExpansionsInBase: normalizeBooleanFlag(payload.storeExpansionsInBase),
+    groupSeries: normalizeBooleanFlag(payload.groupSeries),
+    seriesFamilyTypes: resolveSeriesFamilyTypes(payload.seriesFamilyTypes),
+    depthLayers: normalizeBooleanFlag(payload.depthLayers),
+    explain: normalizeBooleanFlag(payload.explain),
+    optimizer: normalizeBooleanFlag(payload.optimizer),
+    optimizerTimeBudgetMs,
+    includeExpansions: normalizeBooleanFlag(payload.includeExpansions),
+    includeAccessories: normalizeBooleanFlag(payload.includeAccessories),
+    shelfProfile: resolveShelfProfile(payload.shelfProfile),
+    shelfLayout,
+    inventory: resolveShelfInventory(payload.inventory, shelfLayout),
+    maxCubeWeight: isPositiveFinite(payload.maxCubeWeight) ? payload.maxCubeWeight : null,
+    boxClearance:
+      typeof payload.boxClearance === 'number' &&
+      payload.boxClearance >= 0 && payload.boxClearance <= 1
+        ? payload.boxClearance
+        : 0,
+    previousLayout: resolvePreviousLayout(payload.previousLayout),
+    reserve: resolveShelfReserve(payload.reserve),
+    sortRules,
+    sectionBreaks: resolveSectionBreaks(payload.sectionBreaks, sortRules, shelfLayout),
+    overrides: payload.overrides || {},
+    customItems: resolveCustomItems(payload.customItems),
+  };
+};
+
+/**
+ * Adds the custom items to a fetched collection, applies the overrides, packs it and builds
+ * the response. Games are changed in place, so pass a copy to pack the same collection again.
+ * @param {Array} games - Normalized collection games (the sourceGames of a response)
+ * @param {Object} settings - Settings from resolvePackingSettings
+ * @param {Object} [options]
+ * @param {Function} [options.onPackingStart] - Called with the number of games about to be packed
+ * @param {boolean} [options.validateLayout] - Check the finished layout for broken invariants
+ * @param {Function} [options.onLayoutValidated] - Called with the layout check when validateLayout is on
+ * @returns {Object} The games response (see post-response.schema.json)
+ */
+export const packCollection = (
+  games,
+  settings,
+  { onPackingStart, validateLayout = false, onLayoutValidated } = {},
+) => {
+  const {
+    stacking,
+    lockRotation,
+    optimizeSpace,
+    backfillPercentage,
+    fitOversized,
+    groupExpansions,
+    storeExpansionsInBase,
+    groupSeries,
+    seriesFamilyTypes,
+    depthLayers,
+    explain,
+    optimizer,
+    optimizerTimeBudgetMs,
+    includeExpansions,
+    includeAccessories,
+    shelfProfile,
+    shelfLayout,
+    inventory,
+    maxCubeWeight,
+    boxClearance,
+    previousLayout,
+    reserve,
+    sortRules,
+    sectionBreaks,
+    overrides,
+    customItems = [],
+  } = settings;
+
+  // Expansions kept inside their base game's box ride along with it instead of being packed
+  const { games: gamesToPack } = storeExpansionsInBaseGames(
+    applyOverridesToGames(
+      [...games, ...createCustomItemGames(customItems)],
+      buildOverrideMaps(overrides),
+    ),
+    storeExpansionsInBase,
+  );
+  if (onPackingStart) {
+    onPackingStart(gamesToPack.length);
+  }
+
+  // Accessories group with their game the same way expansions do
+  const shouldGroupExpansions =
+    !optimizeSpace && groupExpansions && (includeExpansions || includeAccessories);
+  const shouldGroupSeries = !optimizeSpace && groupSeries;
+
+  if (optimizeSpace && (groupExpansions || groupSeries)) {
+    logger.log('   ℹ️  Optimize for space enabled – grouping options disabled for this run');
+  }
+
+  if (sectionBreaks && previousLayout) {
+    logger.log('   ℹ️  Incremental repacking enabled – new games are not kept to section breaks');
+  }
+
+  if (optimizer && previousLayout) {
+    logger.log('   ℹ️  Incremental repacking enabled – optimizer skipped for this run');
+  }
+
+  const {
+    cubes: packedCubes,
+    oversizedExcludedGames,
+    optimizerStats,
+    inventory: inventoryReport,
+    shelfLayout: shelfLayoutSummary,
+    incremental,
+    series,
+    reserve: reserveReport,
+    validation,
+  } = packGamesIntoCubes(
+    gamesToPack,
+    sortRules,
+    stacking,
+    lockRotation,
+    optimizeSpace,
+    backfillPercentage,
+    fitOversized,
+    shouldGroupExpansions,
+    shelfProfile,
+    {
+      depthLayers,
+      optimizer: optimizer ? { timeBudgetMs: optimizerTimeBudgetMs } : null,
+      inventory,
+      shelfLayout,
+      maxCubeWeight,
+      boxClearance,
+      previousLayout,
+      seriesGrouping: shouldGroupSeries ? { familyTypes: seriesFamilyTypes } : null,
+      reserve,
+      sectionBreaks,
+      explain,
+      validateLayout,
+    },
+  );
+  if (validation && onLayoutValidated) {
+    onLayoutValidated(validation);
+  }
+
+  return serializeCubesResponse(
+    packedCubes,
+    stacking,
+    oversizedExcludedGames,
+    shelfProfile,
+    {
+      optimizer: optimizerStats,
+      inventory: inventoryReport,
+      shelfLayout: shelfLayoutSummary,
+      incremental,
+      series,
+      reserve: reserveReport,
+      sortRules: optimizeSpace ? [] : sortRules,
+      seriesFamilyTypes,
+    },
+  );
+};
@@ -14,4 +14,5 @@ export const BGG_API_TOKEN = process.env.BGG_API_TOKEN || '';
 export const CACHE_ADMIN_PASSWORD = process.env.CACHE_ADMIN_PASSWORD || '';
 export const GAMES_REQUEST_JSON = process.env.GAMES_REQUEST_JSON || '';
 export const GAMES_RESPONSE_JSON = process.env.GAMES_RESPONSE_JSON || '';
-
+// Checks every finished layout for overlaps, unsupported boxes and lost games, and logs what it finds
+export const PACKING_DEBUG = process.env.PACKING_DEBUG === 'true';
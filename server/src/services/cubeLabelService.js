@@ -0,0 +1,234 @@
+import { DEFAULT_SERIES_FAMILY_TYPES } from './groupingService.js';
+import { compareGames } from './packingSortService.js';
+
+const NAME_FIELDS = new Set(['gameName', 'versionName']);
+const LIST_FIELDS = new Set(['categories', 'families', 'mechanics']);
+const VALUE_ALIASES = { age: 'minAge' };
+const MAX_LABEL_LENGTH = 40;
+
+const pluralize = (range, noun) => `${range} ${noun}${range === '1' ? '' : 's'}`;
+
+/*
+ * Formats the range of whole-number sort values in a cube, e.g. "2–4 players".
+ */
+const RANGE_FORMATS = {
+  minPlayers: (range) => pluralize(range, 'player'),
+  maxPlayers: (range) => pluralize(range, 'player'),
+  bestPlayerCount: (range) => `Best at ${range}`,
+  minPlaytime: (range) => `${range} min`,
+  maxPlaytime: (range) => `${range} min`,
+  age: (range) => `Ages ${range}`,
+  communityAge: (range) => `Ages ${range}`,
+  bggRank: (range) => `Rank ${range}`,
+  numplays: (range) => pluralize(range, 'play'),
+  gamePublishedYear: (range) => range,
+  versionPublishedYear: (range) => range,
+};
+
+/*
+ * BGG complexity classes by average weight (1-5).
+ */
+const WEIGHT_CLASSES = [
+  { below: 2, label: 'Light' },
+  { below: 3, label: 'Medium' },
+  { below: 4, label: 'Medium Heavy' },
+  { below: Infinity, label: 'Heavy' },
+];
+
+const getName = (game, field) =>
+  (field === 'gameName' ? game.gameName || game.name : game.versionName) || '';
+
+/*
+ * Shortest start of a name that tells it apart from the name next to it on the shelf,
+ * e.g. "Cas" for Cascadia when the next cube starts with Catan.
+ */
+const getDistinctPrefix = (name, neighbour) => {
+  if (!neighbour) {
+    return name.charAt(0).toUpperCase();
+  }
+  const left = name.toLowerCase();
+  const right = neighbour.toLowerCase();
+  let length = 0;
+  while (length < left.length && left[length] === right[length]) {
+    length += 1;
+  }
+  return name.slice(0, Math.min(length + 1, name.length)).trim();
+};
+
+/*
+ * "Series: Gloomhaven" reads as "Gloomhaven series"; other family kinds drop the kind.
+ */
+const formatFamily = (family) => {
+  const separator = family.indexOf(':');
+  if (separator <= 0) {
+    return family;
+  }
+  const kind = family.slice(0, separator).trim().toLowerCase();
+  const name = family.slice(separator + 1).trim();
+  return kind === 'series' ? `${name} series` : name;
+};
+
+/*
+ * The value shared by the most games in a cube, ties broken alphabetically.
+ * With minShare set, a value has to be on at least that share of the games.
+ */
+const getDominantValue = (games, getValues, minShare = 0) => {
+  const counts = new Map();
+  for (const game of games) {
+    for (const value of new Set(getValues(game))) {
+      if (typeof value === 'string' && value.length > 0) {
+        counts.set(value, (counts.get(value) || 0) + 1);
+      }
+    }
+  }
+
+  let dominant = null;
+  for (const [value, count] of counts.entries()) {
+    const best = dominant ? counts.get(dominant) : 0;
+    if (count > best || (count === best && value.localeCompare(dominant) < 0)) {
+      dominant = value;
+    }
+  }
+
+  return dominant && counts.get(dominant) >= games.length * minShare ? dominant : null;
+};
+
+const formatRange = (low, high) => (low === high ? String(low) : `${low}–${high}`);
+
+/*
+ * Describes the games of a cube by one sort rule, or returns null when the field
+ * has nothing readable to show (e.g. volume).
+ */
+const describeByRule = (games, rule, nameRange) => {
+  const { field } = rule;
+  if (NAME_FIELDS.has(field)) {
+    return nameRange;
+  }
+
+  if (LIST_FIELDS.has(field)) {
+    const value = getDominantValue(games, (game) => [game[field]?.[0]]);
+    if (!value) {
+      return null;
+    }
+    return field === 'families' ? formatFamily(value) : value;
+  }
+
+  const values = games
+    .map((game) => game[field] ?? game[VALUE_ALIASES[field]])
+    .filter((value) => Number.isFinite(value) && value >= 0);
+  if (values.length === 0) {
+    return null;
+  }
+
+  if (field === 'bggWeight') {
+    const average = values.reduce((sum, value) => sum + value, 0) / values.length;
+    return WEIGHT_CLASSES.find((weightClass) => average < weightClass.below).label;
+  }
+  if (field === 'bggRating') {
+    return `Rated ${formatRange(Math.min(...values).toFixed(1), Math.max(...values).toFixed(1))}`;
+  }
+
+  const format = RANGE_FORMATS[field];
+  if (!format) {
+    return null;
+  }
+  const order = rule.order === 'desc' ? -1 : 1;
+  const [low, high] = [Math.min(...values), Math.max(...values)].map(Math.round);
+  return format(order === 1 ? formatRange(low, high) : formatRange(high, low));
+};
+
+/*
+ * Without a readable sort rule, a cube is named after the series, designer or
+ * category most of its games share.
+ */
+const describeByContent = (games, seriesFamilyTypes) => {
+  const series = getDominantValue(
+    games,
+    (game) =>
+      (game.families || []).filter((family) =>
+        seriesFamilyTypes.includes(family.split(':')[0].trim().toLowerCase()),
+      ),
+    0.5,
+  );
+  if (series) {
+    return formatFamily(series);
+  }
+  return (
+    getDominantValue(games, (game) => game.designers || [], 0.5) ??
+    getDominantValue(games, (game) => game.categories || [])
+  );
+};
+
+/*
+ * First and last game name of every cube in sort order, shortened against the names
+ * on either side, e.g. "A–Cas" followed by "Cat–Dix".
+ */
+const buildNameRanges = (cubes, rule) => {
+  const bounds = cubes.map((cube) => {
+    if (cube.games.length === 0) {
+      return null;
+    }
+    const sorted = [...cube.games].sort((a, b) => compareGames(a, b, [rule]));
+    return {
+      first: getName(sorted[0], rule.field),
+      last: getName(sorted[sorted.length - 1], rule.field),
+    };
+  });
+
+  return bounds.map((bound, index) => {
+    if (!bound || !bound.first) {
+      return null;
+    }
+    const previous = bounds.slice(0, index).reverse().find(Boolean);
+    const next = bounds.slice(index + 1).find(Boolean);
+    const start = getDistinctPrefix(bound.first, previous?.last);
+    const end = getDistinctPrefix(bound.last, next?.first);
+    return start.toLowerCase() === end.toLowerCase() ? start : `${start}–${end}`;
+  });
+};
+
+/**
+ * Derives a short shelf label for every cube, e.g. "A–Cas", "Strategy: Heavy" or
+ * "Gloomhaven series".
+ * The label follows the first two sort rules: a name rule gives the first and last name in the
+ * cube, list fields the dominant value and number fields their range. When no rule gives
+ * anything readable (or no sort rules apply), the dominant series, designer or category is used.
+ * @param {Array} cubes - Packed cubes, in shelf order
+ * @param {Array} sortRules - Sort rules in priority order (empty when sorting was ignored)
+ * @param {Array} [seriesFamilyTypes] - Family kinds that count as a series
+ * @returns {Array} One label per cube, or null for empty and reserved cubes
+ */
+export const buildCubeLabels = (
+  cubes,
+  sortRules,
+  seriesFamilyTypes = DEFAULT_SERIES_FAMILY_TYPES,
+) => {
+  const rules = sortRules.filter((rule) => rule?.field).slice(0, 2);
+  const nameRule = rules.find((rule) => NAME_FIELDS.has(rule.field));
+  const nameRanges = nameRule ? buildNameRanges(cubes, nameRule) : [];
+
+  return cubes.map((cube, index) => {
+    if (cube.reserved || cube.games.length === 0) {
+      return null;
+    }
+
+    const parts = [];
+    for (const rule of rules) {
+      const part = describeByRule(cube.games, rule, nameRanges[index]);
+      if (part) {
+        parts.push(part);
+      }
+      // A name range already tells the games apart; later rules only add noise
+      if (NAME_FIELDS.has(rule.field)) {
+        break;
+      }
+    }
+
+    const label =
+      parts.length > 0 ? parts.join(': ') : describeByContent(cube.games, seriesFamilyTypes);
+    if (!label) {
+      return null;
+    }
+    return label.length > MAX_LABEL_LENGTH ? `${label.slice(0, MAX_LABEL_LENGTH - 1)}…` : label;
+  });
+};
@@ -0,0 +1,59 @@
+import { isPositiveFinite } from '../utils/numberUtils.js';
+
+/**
+ * Share of games without a known weight above which a cube's total is not trusted.
+ */
+export const MISSING_WEIGHT_WARNING_RATIO = 0.5;
+
+/**
+ * Totals the weight of every cube and flags cubes that break the weight limit
+ * or whose total is unreliable because too many games have no weight on BGG.
+ * Weights are in pounds, as reported by BGG versions.
+ * @param {Array} cubes - Finalized cubes
+ * @param {number|null} [maxCubeWeight] - Maximum load of one cube in pounds
+ * @returns {Object} Counts of cubes over the limit and cubes with incomplete weight data
+ */
+export const applyCubeWeights = (cubes, maxCubeWeight = null) => {
+  const limit = isPositiveFinite(maxCubeWeight) ? maxCubeWeight : null;
+  let overWeightCubeCount = 0;
+  let incompleteWeightCubeCount = 0;
+
+  for (const cube of cubes) {
+    let totalWeight = 0;
+    let missingWeightCount = 0;
+
+    for (const game of cube.games) {
+      if (isPositiveFinite(game.dimensions?.weight)) {
+        totalWeight += game.dimensions.weight;
+      } else {
+        missingWeightCount += 1;
+      }
+      // Expansions stored inside the box add their weight when BGG knows it
+      for (const expansion of game.storedExpansions ?? []) {
+        if (isPositiveFinite(expansion.dimensions?.weight)) {
+          totalWeight += expansion.dimensions.weight;
+        }
+      }
+    }
+
+    const overWeightLimit = limit !== null && totalWeight > limit;
+    const incompleteWeight =
+      cube.games.length > 0 && missingWeightCount / cube.games.length > MISSING_WEIGHT_WARNING_RATIO;
+
+    cube.weight = {
+      totalWeight: Number(totalWeight.toFixed(2)),
+      missingWeightCount,
+      overWeightLimit,
+      incompleteWeight,
+    };
+
+    if (overWeightLimit) {
+      overWeightCubeCount += 1;
+    }
+    if (incompleteWeight) {
+      incompleteWeightCubeCount += 1;
+    }
+  }
+
+  return { overWeightCubeCount, incompleteWeightCubeCount };
+};
@@ -0,0 +1,79 @@
+import { createGamesFromBoxes } from './boxListService.js';
+import { isPositiveFinite } from '../utils/numberUtils.js';
+
+/*
+ * Custom items are boxes with no BGG entry, such as prototypes, print-and-play games, bits
+ * boxes or card sleeve storage. The client keeps them and sends them with every games
+ * request, and they are packed with the collection like any other game.
+ */
+
+/**
+ * Prefix of the game ids of custom items, so they never clash with BGG version keys.
+ */
+export const CUSTOM_ITEM_ID_PREFIX = 'custom-';
+
+const CUSTOM_ITEM_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+const toTrimmedText = (value) =>
+  typeof value === 'string' && value.trim() !== '' ? value.trim() : null;
+
+/**
+ * Resolves the custom items of the request payload. Items without an id, a name or a
+ * positive length, width and depth are dropped, as are repeated ids.
+ * @param {Array} [input] - Custom items from the request payload
+ *   ([{ id, name, length, width, depth, weight?, category? }])
+ * @returns {Array<Object>} Items with name and category trimmed and weight null when unset
+ */
+export const resolveCustomItems = (input) => {
+  if (!Array.isArray(input)) {
+    return [];
+  }
+
+  const seenIds = new Set();
+  return input
+    .filter(
+      (item) =>
+        typeof item?.id === 'string' &&
+        CUSTOM_ITEM_ID_PATTERN.test(item.id) &&
+        toTrimmedText(item.name) !== null &&
+        isPositiveFinite(item.length) &&
+        isPositiveFinite(item.width) &&
+        isPositiveFinite(item.depth),
+    )
+    .filter((item) => {
+      if (seenIds.has(item.id)) {
+        return false;
+      }
+      seenIds.add(item.id);
+      return true;
+    })
+    .map((item) => ({
+      id: item.id,
+      name: toTrimmedText(item.name),
+      length: item.length,
+      width: item.width,
+      depth: item.depth,
+      weight: isPositiveFinite(item.weight) ? item.weight : null,
+      category: toTrimmedText(item.category),
+    }));
+};
+
+/**
+ * Builds packable games from resolved custom items. The category is the item's only
+ * category and the weight its box weight, so both sort like the BGG values of a game; the
+ * area is the box face, as for a BGG version (see calculateAreaFromDimensions).
+ * @param {Array<Object>} items - Items from resolveCustomItems
+ * @returns {Array<Object>} Games marked isCustomItem, with ids starting CUSTOM_ITEM_ID_PREFIX
+ */
+export const createCustomItemGames = (items) =>
+  createGamesFromBoxes(
+    items.map(({ id, name, length, width, depth, weight, category }) => ({
+      id: `${CUSTOM_ITEM_ID_PREFIX}${id}`,
+      name,
+      length,
+      width,
+      depth,
+      weight,
+      categories: category ? [category] : [],
+    })),
+  ).map((game) => ({ ...game, isCustomItem: true }));
@@ -0,0 +1,82 @@
+import { hasValidDimensions } from '../utils/gameProcessingHelpers.js';
+import { logger } from '../utils/logger.js';
+
+/*
+ * Expansions that live inside their base game's box take no room of their own: they are
+ * taken out of packing and travel with the base game as game.storedExpansions.
+ */
+
+/**
+ * Thickest an expansion box can be, as a share of the base box thickness, to be suggested
+ * for storing inside it.
+ */
+export const STORE_IN_BASE_MAX_THICKNESS_RATIO = 0.35;
+
+const getSortedSides = ({ length, width, depth }) => [length, width, depth].sort((a, b) => a - b);
+
+/**
+ * Whether an expansion box is small and thin enough to go inside the base box: its face
+ * fits within the base box face and it is at most STORE_IN_BASE_MAX_THICKNESS_RATIO as thick.
+ * @param {Object} expansion - Expansion game
+ * @param {Object} baseGame - Base game of the expansion
+ * @returns {boolean} True when storing the expansion in the base box is worth suggesting
+ */
+export const fitsInBaseBox = (expansion, baseGame) => {
+  if (!hasValidDimensions(expansion.dimensions) || !hasValidDimensions(baseGame.dimensions)) {
+    return false;
+  }
+
+  const [thickness, shortSide, longSide] = getSortedSides(expansion.dimensions);
+  const [baseThickness, baseShortSide, baseLongSide] = getSortedSides(baseGame.dimensions);
+  return (
+    shortSide <= baseShortSide &&
+    longSide <= baseLongSide &&
+    thickness <= baseThickness * STORE_IN_BASE_MAX_THICKNESS_RATIO
+  );
+};
+
+/**
+ * Takes expansions stored in their base game's box out of the games to pack and lists them
+ * on the base game. An expansion is stored when its `storedInBase` override says so, or when
+ * storeAll is on and it has no override; either way only when its base game is in the list.
+ * Expansions that stay separate but would fit are flagged with storeInBaseSuggested.
+ * @param {Array} games - Games with overrides applied (see applyOverridesToGames)
+ * @param {boolean} [storeAll] - Store every expansion whose base game is in the list
+ * @returns {Object} { games: the games left to pack, storedCount }
+ */
+export const storeExpansionsInBaseGames = (games, storeAll = false) => {
+  const baseGamesById = new Map();
+  for (const game of games) {
+    delete game.storedExpansions;
+    delete game.storeInBaseSuggested;
+    // The first copy of a base game holds its expansions
+    if (!game.isExpansion && Number.isInteger(game.gameId) && !baseGamesById.has(game.gameId)) {
+      baseGamesById.set(game.gameId, game);
+    }
+  }
+
+  let storedCount = 0;
+  const gamesToPack = games.filter((game) => {
+    const baseGame = game.isExpansion ? baseGamesById.get(Number(game.baseGameId)) : null;
+    if (!baseGame) {
+      return true;
+    }
+
+    if (!(game.storedInBase ?? storeAll)) {
+      if (game.storedInBase === undefined && fitsInBaseBox(game, baseGame)) {
+        game.storeInBaseSuggested = true;
+      }
+      return true;
+    }
+
+    baseGame.storedExpansions = [...(baseGame.storedExpansions ?? []), game];
+    storedCount += 1;
+    return false;
+  });
+
+  if (storedCount > 0) {
+    logger.log(`   🗃️  Storing ${storedCount} expansion(s) inside their base game boxes`);
+  }
+
+  return { games: gamesToPack, storedCount };
+};
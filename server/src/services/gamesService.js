@@ -1,8 +1,10 @@
-import { fetchUserCollectionWithDetails } from './bggService.js';
-import { packGamesIntoCubes } from './packingService.js';
-import { BGG_API_TOKEN } from './configService.js';
-import { buildOverrideMaps, applyOverridesToGames } from './overrideService.js';
-import { serializeCubesResponse } from './responseSerializer.js';
+import { fetchHouseholdCollectionWithDetails } from './bggService.js';
+import { BGG_API_TOKEN, PACKING_DEBUG } from './configService.js';
+import {
+  normalizeBooleanFlag,
+  packCollection,
+  resolvePackingSettings,
+} from './collectionPackingService.js';
 import { getRandomBoardGameMessage } from './progressService.js';
 import {
   DEFAULT_DIMENSIONS,
@@ -20,50 +22,89 @@ import {
 import { normalizePositiveNumber, isPositiveFinite } from '../utils/numberUtils.js';
 import { getMaxDepthDimension } from '../utils/packingHelpers.js';
 
-const getPrioritiesFromSort = (sort = []) => {
-  const rules = Array.isArray(sort)
-    ? sort
-        .filter((rule) => rule?.field)
-        .map((rule) => ({
-          field: rule.field,
-          order: rule.order === 'desc' ? 'desc' : 'asc',
-        }))
-    : [];
-  
-  // Default to gameName ascending if no sort rules provided
-  // This ensures games are always sorted, even when sort is empty or undefined
-  if (rules.length === 0) {
-    return [{ field: 'gameName', order: 'asc' }];
-  }
-  
-  return rules;
-};
-
-const normalizeBooleanFlag = (value, defaultValue = false) =>
-  typeof value === 'boolean' ? value : defaultValue;
-
 const matchesIncludeStatuses = (entry, includeStatuses) =>
   includeStatuses.some((status) => Boolean(entry.statuses?.[status]));
 
 const matchesExcludeStatuses = (entry, excludeStatuses) =>
   excludeStatuses.some((status) => Boolean(entry.statuses?.[status]));
 
-const filterVersionEntries = (entries, includeStatuses, excludeStatuses, includeExpansions) =>
+const filterVersionEntries = (
+  entries,
+  includeStatuses,
+  excludeStatuses,
+  includeExpansions,
+  includeAccessories,
+) =>
   entries
     .filter((entry) => matchesIncludeStatuses(entry, includeStatuses))
     .filter((entry) => !matchesExcludeStatuses(entry, excludeStatuses))
-    .filter((entry) => includeExpansions || !entry.isExpansion);
+    .filter((entry) => includeExpansions || !entry.isExpansion)
+    .filter((entry) => includeAccessories || !entry.isAccessory);
+
+/*
+ * A household shares one shelf, so a version owned by several of its users is packed once,
+ * listing every owner. Copies are matched up per owner in collection id order: the first copy
+ * of each owner shares a box, then the second copies, and so on.
+ */
+const mergeSharedEntries = (entries) => {
+  const copiesByVersion = new Map();
+  entries.forEach((entry) => {
+    const copiesByOwner = copiesByVersion.get(entry.versionKey) ?? new Map();
+    const copies = copiesByOwner.get(entry.owner) ?? [];
+    if (!copies.some((copy) => copy.collectionId === entry.collectionId)) {
+      copies.push(entry);
+    }
+    copiesByOwner.set(entry.owner, copies);
+    copiesByVersion.set(entry.versionKey, copiesByOwner);
+  });
 
-const dedupeVersionEntries = (entries) => {
+  const mergedEntries = [];
+  copiesByVersion.forEach((copiesByOwner) => {
+    const ownerCopies = [...copiesByOwner.values()].map((copies) =>
+      copies.sort((a, b) => a.collectionId - b.collectionId),
+    );
+    const copyCount = Math.max(...ownerCopies.map((copies) => copies.length));
+    for (let index = 0; index < copyCount; index += 1) {
+      const sharedCopies = ownerCopies.map((copies) => copies[index]).filter(Boolean);
+      mergedEntries.push({ ...sharedCopies[0], owners: sharedCopies.map((copy) => copy.owner) });
+    }
+  });
+
+  return mergedEntries;
+};
+
+/*
+ * A collection can own several copies of the same version, each listed under its own BGG
+ * collection id (collid), and every copy needs its own shelf space. Only entries repeating
+ * the same copy are dropped. Copies are numbered by collection id so their order is stable.
+ */
+const numberCollectionCopies = (entries) => {
   const seen = new Set();
-  return entries.filter((entry) => {
-    const key = entry.versionKey;
+  const uniqueEntries = entries.filter((entry) => {
+    const key = `${entry.versionKey}@${entry.collectionId}`;
     if (seen.has(key)) {
       return false;
     }
     seen.add(key);
     return true;
   });
+
+  const copiesByVersion = new Map();
+  uniqueEntries.forEach((entry) => {
+    const copies = copiesByVersion.get(entry.versionKey) ?? [];
+    copies.push(entry.collectionId);
+    copiesByVersion.set(entry.versionKey, copies);
+  });
+  copiesByVersion.forEach((copies) => copies.sort((a, b) => a - b));
+
+  return uniqueEntries.map((entry) => {
+    const copies = copiesByVersion.get(entry.versionKey);
+    return {
+      ...entry,
+      copyCount: copies.length,
+      copyNumber: copies.indexOf(entry.collectionId) + 1,
+    };
+  });
 };
 
 const detectnoSelectedVersionSelections = (entries) => {
@@ -174,7 +215,13 @@ const buildGameFromVersionEntry = (entry, noSelectedVersionInfo) => {
     source: selectedDimensionSource,
   } = resolveDimensionsForEntry(entry);
 
-  const versionKey = entry.versionKey;
+  // Every owned copy is keyed by its collection id, whether or not the version is owned more
+  // than once, so a copy keeps its id (and its cube and overrides) when copies come and go
+  const copyCount = entry.copyCount ?? 1;
+  const versionKey =
+    Number.isInteger(entry.collectionId) && entry.collectionId > 0
+      ? `${entry.versionKey}@${entry.collectionId}`
+      : entry.versionKey;
   const gameName = entry.gameName || null;
   const versionName = entry.versionName || gameName;
   const gameType = entry.gameType || entry.objectType || entry.objecttype || entry.subtype || null;
@@ -201,9 +248,11 @@ const buildGameFromVersionEntry = (entry, noSelectedVersionInfo) => {
   const game = {
     id: versionKey,
     versionKey,
-    gameKey: versionKey,
+    gameKey: entry.versionKey,
     gameId: entry.gameId,
     collectionId: entry.collectionId,
+    copyCount,
+    copyNumber: entry.copyNumber ?? 1,
     name: versionName,
     gameName,
     versionName,
@@ -212,6 +261,7 @@ const buildGameFromVersionEntry = (entry, noSelectedVersionInfo) => {
     categories: entry.categories || [],
     mechanics: entry.mechanics || [],
     families: entry.families || [],
+    designers: entry.designers || [],
     bggRank: entry.bggRank ?? -1,
     minPlayers: entry.minPlayers ?? -1,
     maxPlayers: entry.maxPlayers ?? -1,
@@ -228,6 +278,9 @@ const buildGameFromVersionEntry = (entry, noSelectedVersionInfo) => {
     objectType: gameType,
     subType,
     isExpansion: Boolean(entry.isExpansion),
+    isAccessory: Boolean(entry.isAccessory),
+    accessoryGameIds: entry.accessoryGameIds || [],
+    owners: entry.owners ?? (entry.owner ? [entry.owner] : []),
     numplays: entry.numplays ?? 0,
     statuses: entry.statuses || {},
     versionId: entry.versionId,
@@ -336,6 +389,25 @@ const removeDuplicateGames = (games) => {
 const filterExpansionsFromGames = (games, includeExpansions) =>
   includeExpansions ? games : games.filter((game) => !game.isExpansion);
 
+/*
+ * An accessory can be made for several games. It is grouped with the first of them that is
+ * in the collection; with none there, its base game is itself and it packs on its own.
+ */
+const linkAccessoriesToGames = (games) => {
+  const collectionGameIds = new Set(
+    games.filter((game) => !game.isAccessory).map((game) => game.gameId),
+  );
+
+  games.forEach((game) => {
+    if (game.isAccessory) {
+      game.baseGameId =
+        game.accessoryGameIds.find((gameId) => collectionGameIds.has(gameId)) ?? game.gameId;
+    }
+  });
+
+  return games;
+};
+
 export const mapStatusesToIncludeExclude = (statuses = {}) => {
   const includeStatuses = [];
   const excludeStatuses = [];
@@ -358,9 +430,11 @@ export const mapStatusesToIncludeExclude = (statuses = {}) => {
 
 export const processGamesRequest = async ({
   payload,
-  username,
+  usernames,
   requestId,
   onProgress,
+  validateLayout = PACKING_DEBUG,
+  onLayoutValidated,
 }) => {
   const progress = typeof onProgress === 'function' ? onProgress : () => {};
   
@@ -372,40 +446,69 @@ export const processGamesRequest = async ({
 
   const { includeStatuses, excludeStatuses } = mapStatusesToIncludeExclude(payload.statuses);
 
-  const stacking = payload.stacking || 'horizontal';
-  const lockRotationFlag = normalizeBooleanFlag(payload.lockRotation);
-  const optimizeSpaceFlag = normalizeBooleanFlag(payload.optimizeSpace);
-  const backfillPercentage = typeof payload.backfillPercentage === 'number' && 
-    payload.backfillPercentage >= 0 && payload.backfillPercentage <= 100
-    ? payload.backfillPercentage
-    : 20;
-  const fitOversizedFlag = normalizeBooleanFlag(payload.fitOversized);
-  const groupExpansionsFlag = normalizeBooleanFlag(payload.groupExpansions);
-  const includeExpansionsFlag = normalizeBooleanFlag(payload.includeExpansions);
   const bypassVersionWarning = normalizeBooleanFlag(payload.bypassVersionWarning);
-
-  const sortRules = getPrioritiesFromSort(payload.sort);
-  const overridesPayload = payload.overrides || {};
-
-  console.log('🎮 Processing games for user:', username);
+  const includeSourceGames = normalizeBooleanFlag(payload.includeSourceGames);
+  const keepSharedCopies = normalizeBooleanFlag(payload.keepSharedCopies);
+  const settings = resolvePackingSettings(payload);
+  const {
+    includeExpansions: includeExpansionsFlag,
+    includeAccessories,
+    stacking,
+    shelfProfile,
+    shelfLayout,
+    inventory,
+    maxCubeWeight,
+    previousLayout,
+    reserve,
+    sectionBreaks,
+    seriesFamilyTypes,
+    optimizerTimeBudgetMs,
+  } = settings;
+
+  console.log(`🎮 Processing games for user${usernames.length === 1 ? '' : 's'}:`, usernames.join(', '));
   console.log('   Options:', {
     includeStatuses,
     excludeStatuses,
     includeExpansions: includeExpansionsFlag,
+    includeAccessories,
+    keepSharedCopies: usernames.length > 1 ? keepSharedCopies : null,
     stacking,
-    lockRotation: lockRotationFlag,
-    optimizeSpace: optimizeSpaceFlag,
-    fitOversized: fitOversizedFlag,
-    groupExpansions: groupExpansionsFlag,
+    lockRotation: settings.lockRotation,
+    optimizeSpace: settings.optimizeSpace,
+    fitOversized: settings.fitOversized,
+    groupExpansions: settings.groupExpansions,
+    storeExpansionsInBase: settings.storeExpansionsInBase,
+    groupSeries: settings.groupSeries ? seriesFamilyTypes.join(', ') : false,
+    depthLayers: settings.depthLayers,
+    optimizer: settings.optimizer ? `${optimizerTimeBudgetMs}ms` : false,
+    explain: settings.explain,
+    shelfProfile: shelfProfile.id,
+    inventory: inventory ? `${inventory.units}×${inventory.cubesPerUnit}` : null,
+    shelfLayout: shelfLayout
+      ? `${shelfLayout.rows}×${shelfLayout.columns} ${shelfLayout.fillOrder}` +
+        (shelfLayout.heavyCubesLow ? ' (heavy cubes low)' : '')
+      : null,
+    maxCubeWeight,
+    boxClearance: settings.boxClearance,
+    previousLayout: previousLayout ? `${previousLayout.cubes.length} cubes` : null,
+    reserve: reserve
+      ? `${reserve.emptyCubes} spare, slots [${reserve.slots.join(', ')}], ${reserve.headroomPercentage}% headroom`
+      : null,
+    sectionBreaks: sectionBreaks
+      ? `${sectionBreaks.rule.field} per ${sectionBreaks.breakAt}` +
+        (sectionBreaks.minSectionSize > 0 ? ` (merge under ${sectionBreaks.minSectionSize})` : '')
+      : null,
+    customItems: settings.customItems.length,
   });
 
   progress(requestId, 'Starting to process your collection...', { step: 'init' });
 
-  const collectionResult = await fetchUserCollectionWithDetails({
-    username,
+  const collectionResult = await fetchHouseholdCollectionWithDetails({
+    usernames,
     includeStatuses,
     excludeStatuses,
     includeExpansions: includeExpansionsFlag,
+    includeAccessories,
     onProgress,
     requestId,
   });
@@ -417,7 +520,10 @@ export const processGamesRequest = async ({
     const emptyResult = {
       cubes: [],
       totalGames: 0,
-      message: 'No games were found in the BoardGameGeek collection for this username.',
+      message:
+        usernames.length === 1
+          ? 'No games were found in the BoardGameGeek collection for this username.'
+          : 'No games were found in the BoardGameGeek collections for these usernames.',
     };
     progress(requestId, 'No games found in collection', {
       ...emptyResult,
@@ -444,6 +550,7 @@ export const processGamesRequest = async ({
     includeStatuses,
     excludeStatuses,
     includeExpansionsFlag,
+    includeAccessories,
   );
 
   if (filteredEntries.length === 0) {
@@ -461,7 +568,9 @@ export const processGamesRequest = async ({
     return noMatchesResult;
   }
 
-  const uniqueEntries = dedupeVersionEntries(filteredEntries);
+  const uniqueEntries = numberCollectionCopies(
+    usernames.length > 1 && !keepSharedCopies ? mergeSharedEntries(filteredEntries) : filteredEntries,
+  );
 
   if (uniqueEntries.length === 0) {
     const noUniqueResult = {
@@ -515,56 +624,53 @@ export const processGamesRequest = async ({
   });
 
   const filteredGames = filterExpansionsFromGames(allGames, includeExpansionsFlag);
-  const uniqueGames = removeDuplicateGames(filteredGames);
+  const uniqueGames = linkAccessoriesToGames(removeDuplicateGames(filteredGames));
 
   
-  console.log(`   ℹ️  Total items to pack: ${uniqueGames.length} (includes multiple versions of same games)`);
-
-  const overrideMaps = buildOverrideMaps(overridesPayload);
-  const preparedGames = applyOverridesToGames(uniqueGames, overrideMaps);
-
-  const gamesToPack = preparedGames;
-
-  // Transition 4: After processing games, before packing
-  if (onProgress && requestId) {
-    const catchyPhrase = getRandomBoardGameMessage();
-    progress(requestId, `Packing ${gamesToPack.length} games into cubes... ${catchyPhrase}`, {
-      step: 'packing',
-      gameCount: gamesToPack.length,
-    });
-  } else {
-    progress(requestId, `Packing ${gamesToPack.length} games into cubes...`, {
-      step: 'packing',
-      gameCount: gamesToPack.length,
-    });
-  }
-
-  const shouldGroupExpansions =
-    !optimizeSpaceFlag && groupExpansionsFlag && includeExpansionsFlag;
-
-  if (optimizeSpaceFlag && groupExpansionsFlag) {
-    console.log('   ℹ️  Optimize for space enabled – grouping options disabled for this run');
+  console.log(`   ℹ️  Total items to pack: ${uniqueGames.length} (includes multiple versions and copies of same games)`);
+
+  // The client keeps an untouched copy to repack locally when only settings or overrides change
+  const sourceGames = includeSourceGames ? structuredClone(uniqueGames) : null;
+
+  let packedGameCount = 0;
+  const responsePayload = packCollection(uniqueGames, settings, {
+    validateLayout,
+    onLayoutValidated,
+    onPackingStart: (gameCount) => {
+      packedGameCount = gameCount;
+      // Transition 4: After processing games, before packing
+      if (onProgress && requestId) {
+        const catchyPhrase = getRandomBoardGameMessage();
+        progress(requestId, `Packing ${gameCount} games into cubes... ${catchyPhrase}`, {
+          step: 'packing',
+          gameCount,
+        });
+      } else {
+        progress(requestId, `Packing ${gameCount} games into cubes...`, {
+          step: 'packing',
+          gameCount,
+        });
+      }
+
+      if (settings.optimizer && !previousLayout) {
+        progress(
+          requestId,
+          `Optimizing cube count (up to ${Math.round(optimizerTimeBudgetMs / 1000)}s)...`,
+          { step: 'packing', gameCount },
+        );
+      }
+    },
+  });
+  if (sourceGames) {
+    responsePayload.sourceGames = sourceGames;
   }
 
-  const { cubes: packedCubes, oversizedExcludedGames } = packGamesIntoCubes(
-    gamesToPack,
-    sortRules,
-    stacking,
-    lockRotationFlag,
-    optimizeSpaceFlag,
-    backfillPercentage,
-    fitOversizedFlag,
-    shouldGroupExpansions,
-  );
-
-  progress(requestId, `Complete! Packed into ${packedCubes.length} cubes`, {
+  progress(requestId, `Complete! Packed into ${responsePayload.cubes.length} cubes`, {
     step: 'complete',
-    cubes: packedCubes.length,
-    games: gamesToPack.length,
+    cubes: responsePayload.cubes.length,
+    games: packedGameCount,
   });
 
-  const responsePayload = serializeCubesResponse(packedCubes, stacking, oversizedExcludedGames);
-
   // Store final result in progress state for polling
   progress(requestId, 'Complete', {
     ...responsePayload,
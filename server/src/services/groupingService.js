@@ -1,3 +1,6 @@
+import { isAddOnGame } from '../utils/packingHelpers.js';
+import { logger } from '../utils/logger.js';
+
 const detectCircularRefs = (obj, path = 'root', visited = new WeakSet(), maxDepth = 10) => {
   if (maxDepth <= 0) return false;
 
@@ -35,7 +38,7 @@ const detectCircularRefs = (obj, path = 'root', visited = new WeakSet(), maxDept
 };
 
 const groupExpansionsWithBaseGames = (games, allGameIds) => {
-  console.log(`   🔍 Grouping expansions: checking ${games.length} games for circular refs...`);
+  logger.log(`   🔍 Grouping expansions: checking ${games.length} games for circular refs...`);
 
   let circularRefCount = 0;
   for (let i = 0; i < Math.min(games.length, 10); i += 1) {
@@ -68,8 +71,9 @@ const groupExpansionsWithBaseGames = (games, allGameIds) => {
   };
 
   for (const game of games) {
-    if (game.isExpansion && game.baseGameId) {
-      const baseId = game.baseGameId;
+    if (isAddOnGame(game) && game.baseGameId) {
+      // Game ids start with the BGG id as text, e.g. "13-5@901" for a copy of version 5 of game 13
+      const baseId = String(game.baseGameId);
 
       let baseGameInCollection = allGameIds.has(baseId);
       if (!baseGameInCollection) {
@@ -93,14 +97,14 @@ const groupExpansionsWithBaseGames = (games, allGameIds) => {
   }
 
   for (const game of games) {
-    if (game.isExpansion) continue;
+    if (isAddOnGame(game)) continue;
 
     const gameBaseId = getBaseId(game);
 
     if (groups.has(gameBaseId)) {
       const group = groups.get(gameBaseId);
       const baseGameInGroup = group.some((g) => {
-        if (g.isExpansion) return false;
+        if (isAddOnGame(g)) return false;
         const gBaseId = getBaseId(g);
         return gBaseId === gameBaseId;
       });
@@ -114,7 +118,7 @@ const groupExpansionsWithBaseGames = (games, allGameIds) => {
   const validGroups = new Map();
   for (const [groupId, groupGames] of groups.entries()) {
     const hasBaseGame = groupGames.some((g) => {
-      if (g.isExpansion) return false;
+      if (isAddOnGame(g)) return false;
       const gBaseId = getBaseId(g);
       return gBaseId === groupId;
     });
@@ -127,62 +131,98 @@ const groupExpansionsWithBaseGames = (games, allGameIds) => {
   return { groups: validGroups, expansionGameIds };
 };
 
-const groupGamesBySeries = (games, excludeExpansionGroups = new Set()) => {
-  const familyGroups = new Map();
-  const gameToFamilies = new Map();
+/**
+ * BGG family kinds that count as a series when the request does not choose any.
+ */
+export const DEFAULT_SERIES_FAMILY_TYPES = ['series'];
+
+/**
+ * Resolves which BGG family kinds count as a series.
+ * Family names look like "Series: Catan" or "Theme: Pirates"; the kind is the part before the colon.
+ * @param {Array} [input] - Family kinds from the request payload (e.g. ['Series', 'Game'])
+ * @returns {Array} Lower-case family kinds, or the defaults when none are given
+ */
+export const resolveSeriesFamilyTypes = (input) => {
+  const types = Array.isArray(input)
+    ? input
+      .filter((type) => typeof type === 'string')
+      .map((type) => type.trim().toLowerCase())
+      .filter(Boolean)
+    : [];
+
+  return types.length > 0 ? [...new Set(types)] : [...DEFAULT_SERIES_FAMILY_TYPES];
+};
 
-  for (const game of games) {
-    if (excludeExpansionGroups.has(game.id)) {
-      continue;
-    }
+const getFamilyType = (familyName) => {
+  const separator = familyName.indexOf(':');
+  return separator > 0 ? familyName.slice(0, separator).trim().toLowerCase() : '';
+};
 
-    if (game.familyIds && game.familyIds.length > 0) {
-      const families = new Set();
-      for (const familyId of game.familyIds) {
-        if (!familyGroups.has(familyId)) {
-          familyGroups.set(familyId, []);
-        }
-        families.add(familyId);
-      }
-      gameToFamilies.set(game.id, families);
+const getSeriesFamilies = (game, familyTypes) =>
+  (Array.isArray(game.families) ? game.families : []).filter(
+    (family) => typeof family === 'string' && familyTypes.includes(getFamilyType(family)),
+  );
+
+/*
+ * Groups packing units (single games or whole expansion groups) by series family.
+ * A unit in several series joins the one with the most units, ties broken by name,
+ * and only series with at least two units form a group.
+ * @param {Array} units - Units as { id, games }
+ * @param {Array} familyTypes - Family kinds from resolveSeriesFamilyTypes
+ * @returns {Map} Series family name to the units in it
+ */
+const groupGamesBySeries = (units, familyTypes) => {
+  const familiesByUnit = new Map();
+  const unitCountByFamily = new Map();
+
+  for (const unit of units) {
+    const families = new Set(unit.games.flatMap((game) => getSeriesFamilies(game, familyTypes)));
+    familiesByUnit.set(unit, families);
+    for (const family of families) {
+      unitCountByFamily.set(family, (unitCountByFamily.get(family) || 0) + 1);
     }
   }
 
-  for (const game of games) {
-    if (excludeExpansionGroups.has(game.id)) {
-      continue;
-    }
-
-    const families = gameToFamilies.get(game.id);
-    if (families && families.size > 0) {
-      let chosenFamily = null;
-      let minSize = Infinity;
-
-      for (const familyId of families) {
-        const currentSize = familyGroups.get(familyId)?.length || 0;
-        if (currentSize < minSize) {
-          minSize = currentSize;
-          chosenFamily = familyId;
-        }
+  const seriesGroups = new Map();
+  for (const unit of units) {
+    let chosenFamily = null;
+    for (const family of familiesByUnit.get(unit)) {
+      const count = unitCountByFamily.get(family);
+      const chosenCount = chosenFamily ? unitCountByFamily.get(chosenFamily) : 0;
+      if (count > chosenCount || (count === chosenCount && family.localeCompare(chosenFamily) < 0)) {
+        chosenFamily = family;
       }
+    }
 
-      if (chosenFamily) {
-        familyGroups.get(chosenFamily).push(game);
+    if (chosenFamily && unitCountByFamily.get(chosenFamily) > 1) {
+      if (!seriesGroups.has(chosenFamily)) {
+        seriesGroups.set(chosenFamily, []);
       }
+      seriesGroups.get(chosenFamily).push(unit);
     }
   }
 
   const validGroups = new Map();
-  for (const [familyId, groupGames] of familyGroups.entries()) {
-    if (groupGames.length > 1) {
-      validGroups.set(familyId, groupGames);
+  for (const [family, groupUnits] of seriesGroups.entries()) {
+    if (groupUnits.length > 1) {
+      validGroups.set(family, groupUnits);
     }
   }
 
   return validGroups;
 };
 
-export const createGameGroups = (games, groupExpansions) => {
+/**
+ * Groups games that should be packed together.
+ * Expansions and accessories are grouped with their base game; with series grouping on, games (and whole
+ * expansion groups) that share a series family are grouped as well.
+ * @param {Array} games - Games to group
+ * @param {boolean} groupExpansions - Whether to group expansions and accessories with their base game
+ * @param {Array|null} [seriesFamilyTypes] - Family kinds that count as a series, or null to skip series grouping
+ * @returns {Object} Groups by id, the ungrouped games, the grouped game ids and the series groups
+ *   as { name, gameIds }
+ */
+export const createGameGroups = (games, groupExpansions, seriesFamilyTypes = null) => {
   const allGameIds = new Set(games.map((g) => g.id));
 
   let expansionGroups = new Map();
@@ -192,7 +232,7 @@ export const createGameGroups = (games, groupExpansions) => {
     const expansionResult = groupExpansionsWithBaseGames(games, allGameIds);
     expansionGroups = expansionResult.groups;
     expansionGameIds = expansionResult.expansionGameIds;
-    console.log(`   📦 Created ${expansionGroups.size} expansion groups`);
+    logger.log(`   📦 Created ${expansionGroups.size} expansion groups`);
   }
 
   const finalGroups = new Map();
@@ -205,12 +245,74 @@ export const createGameGroups = (games, groupExpansions) => {
     }
   }
 
+  const seriesGroups = [];
+  if (seriesFamilyTypes) {
+    const units = [
+      ...[...finalGroups.entries()].map(([groupId, groupGames]) => ({ id: groupId, games: groupGames })),
+      ...games.filter((g) => !groupedGameIds.has(g.id)).map((game) => ({ id: null, games: [game] })),
+    ];
+
+    for (const [family, groupUnits] of groupGamesBySeries(units, seriesFamilyTypes).entries()) {
+      const groupGames = groupUnits.flatMap((unit) => unit.games);
+      for (const unit of groupUnits) {
+        if (unit.id) {
+          finalGroups.delete(unit.id);
+        }
+      }
+      finalGroups.set(`series:${family}`, groupGames);
+      for (const game of groupGames) {
+        groupedGameIds.add(game.id);
+      }
+      seriesGroups.push({ name: family, gameIds: groupGames.map((game) => game.id) });
+    }
+    logger.log(`   📚 Created ${seriesGroups.length} series groups`);
+  }
+
   const standaloneGames = games.filter((g) => !groupedGameIds.has(g.id));
 
   return {
     groups: finalGroups,
     standaloneGames,
     groupedGameIds,
+    seriesGroups,
+  };
+};
+
+/**
+ * Reports which series groups ended up spread over more than one cube.
+ * @param {Array} cubes - Finalized cubes (cube.id is the 1-based cube number)
+ * @param {Array} seriesGroups - Series groups from createGameGroups
+ * @param {Array} familyTypes - Family kinds that counted as a series
+ * @returns {Object} Series report with the family kinds, group count and split groups
+ */
+export const buildSeriesReport = (cubes, seriesGroups, familyTypes) => {
+  const cubeIdByGame = new Map();
+  for (const cube of cubes) {
+    for (const game of cube.games) {
+      cubeIdByGame.set(game.id, cube.id);
+    }
+  }
+
+  const splitGroups = [];
+  for (const { name, gameIds } of seriesGroups) {
+    const cubeIds = [
+      ...new Set(gameIds.map((id) => cubeIdByGame.get(id)).filter((id) => id !== undefined)),
+    ].sort((a, b) => a - b);
+
+    if (cubeIds.length > 1) {
+      splitGroups.push({
+        name,
+        gameCount: gameIds.length,
+        cubes: cubeIds,
+        adjacent: cubeIds[cubeIds.length - 1] - cubeIds[0] + 1 === cubeIds.length,
+      });
+    }
+  }
+
+  return {
+    familyTypes: [...familyTypes],
+    groupCount: seriesGroups.length,
+    splitGroups,
   };
 };
 
@@ -1,30 +1,57 @@
-import { extractDimensions, normalizeDimensions } from '../utils/gameProcessingHelpers.js';
+import {
+  calculateAreaFromDimensions,
+  extractDimensions,
+  normalizeDimensions,
+} from '../utils/gameProcessingHelpers.js';
 import { normalizePositiveNumber } from '../utils/numberUtils.js';
 import { getMaxDepthDimension } from '../utils/packingHelpers.js';
+import { logger } from '../utils/logger.js';
+import { CUSTOM_ITEM_ID_PREFIX } from './customItemService.js';
 
 /**
- * Calculates area from dimensions by sorting and multiplying the two smallest dimensions.
- * This matches the logic used in computeDimensionsMeta from thingMapper.js.
- * @param {Object} dimensions - Object with length, width, and depth properties
- * @returns {number} The calculated area, or -1 if dimensions are invalid
+ * Corners a game can be pinned to. Only bottom corners are offered, since a box
+ * pinned higher up would need something underneath it that is not pinned.
  */
-const calculateAreaFromDimensions = ({ length, width, depth }) => {
-  const dims = [length, width, depth].map((value) => (Number.isFinite(value) ? value : -1));
-  const allVersionsMissingDimensions = dims.some((value) => value <= 0);
+export const PIN_CORNERS = ['bottom-left', 'bottom-right'];
 
-  if (allVersionsMissingDimensions) {
-    return -1;
+/**
+ * Key an override item is stored under: its game version, or a single owned copy of it when
+ * the item has a copy (the copy's BGG collection id). Copy keys match the ids of owned copies
+ * (see gamesService), however many copies the collection holds. Items naming a custom item
+ * are keyed by its game id (see createCustomItemGames).
+ * @param {Object} item - Override item from the request payload
+ * @returns {string} Override key
+ */
+const getOverrideItemKey = (item) => {
+  if (typeof item.customItem === 'string') {
+    return `${CUSTOM_ITEM_ID_PREFIX}${item.customItem}`;
   }
-
-  const sorted = [...dims].sort((a, b) => a - b);
-  return sorted[0] * sorted[1];
+  return Number.isInteger(item.copy)
+    ? `${item.game}-${item.version}@${item.copy}`
+    : `${item.game}-${item.version}`;
 };
 
+// Overrides name a game version by its BGG ids, or a custom item by the id the client gave it
+const hasOverrideTarget = (item) =>
+  typeof item?.customItem === 'string' ||
+  (Number.isInteger(item?.game) && Number.isInteger(item?.version));
+
+/**
+ * Finds the override for a game, preferring one made for its copy over one made for its version.
+ * @param {Map} map - Override map from buildOverrideMaps
+ * @param {Object} game - Game to look up
+ * @returns {*} The override value, or undefined
+ */
+const getGameOverride = (map, game) => map?.get(game.id) ?? map?.get(game.gameKey ?? game.id);
+
+const isGameExcluded = (excludedIdsSet, game) =>
+  excludedIdsSet.has(game.id) || excludedIdsSet.has(game.gameKey ?? game.id);
+
 export const buildOverrideMaps = (overridesPayload) => {
   const excludedIdsSet = new Set(
     Array.isArray(overridesPayload.excludedVersions)
       ? overridesPayload.excludedVersions
-          .map((item) => `${item.game}-${item.version}`)
+          .map((item) => getOverrideItemKey(item))
           .filter(Boolean)
       : [],
   );
@@ -34,11 +61,10 @@ export const buildOverrideMaps = (overridesPayload) => {
       ? overridesPayload.stackingOverrides
           .filter(
             (item) =>
-              Number.isInteger(item?.game) &&
-              Number.isInteger(item?.version) &&
+              hasOverrideTarget(item) &&
               (item.orientation === 'vertical' || item.orientation === 'horizontal'),
           )
-          .map((item) => [`${item.game}-${item.version}`, item.orientation])
+          .map((item) => [getOverrideItemKey(item), item.orientation])
       : [],
   );
 
@@ -46,7 +72,7 @@ export const buildOverrideMaps = (overridesPayload) => {
     Array.isArray(overridesPayload.dimensionOverrides)
       ? overridesPayload.dimensionOverrides
           .filter((item) => {
-            if (!Number.isInteger(item?.game) || !Number.isInteger(item?.version)) {
+            if (!hasOverrideTarget(item)) {
               return false;
             }
             const length = Number(item.length);
@@ -70,7 +96,7 @@ export const buildOverrideMaps = (overridesPayload) => {
             // Normalize dimensions to ensure length >= width >= depth
             const normalized = normalizeDimensions(rawDims);
             return [
-              `${item.game}-${item.version}`,
+              getOverrideItemKey(item),
               {
                 length: normalized.length,
                 width: normalized.width,
@@ -81,30 +107,100 @@ export const buildOverrideMaps = (overridesPayload) => {
       : [],
   );
 
+  const pinnedPlacementMap = new Map(
+    Array.isArray(overridesPayload.pinnedPlacements)
+      ? overridesPayload.pinnedPlacements
+          .filter(
+            (item) =>
+              hasOverrideTarget(item) &&
+              Number.isInteger(item?.cube) &&
+              item.cube > 0,
+          )
+          .map((item) => [
+            getOverrideItemKey(item),
+            {
+              cube: item.cube,
+              corner: PIN_CORNERS.includes(item.corner) ? item.corner : null,
+            },
+          ])
+      : [],
+  );
+
+  const paddingOverrideMap = new Map(
+    Array.isArray(overridesPayload.paddingOverrides)
+      ? overridesPayload.paddingOverrides
+          .filter(
+            (item) =>
+              hasOverrideTarget(item) &&
+              normalizePositiveNumber(item.padding) !== null,
+          )
+          .map((item) => [getOverrideItemKey(item), item.padding])
+      : [],
+  );
+
+  const storedInBaseOverrideMap = new Map(
+    Array.isArray(overridesPayload.storedInBaseOverrides)
+      ? overridesPayload.storedInBaseOverrides
+          .filter(
+            (item) =>
+              Number.isInteger(item?.game) &&
+              Number.isInteger(item?.version) &&
+              typeof item.storedInBase === 'boolean',
+          )
+          .map((item) => [getOverrideItemKey(item), item.storedInBase])
+      : [],
+  );
+
   if (excludedIdsSet.size > 0) {
-    console.log(
+    logger.log(
       `   🚫 Excluding ${excludedIdsSet.size} game(s) from packing due to user override`,
     );
   }
   if (orientationOverrideMap.size > 0) {
-    console.log(
+    logger.log(
       `   ↕️  Applying forced orientation to ${orientationOverrideMap.size} game(s)`,
     );
   }
   if (dimensionOverrideMap.size > 0) {
-    console.log(
+    logger.log(
       `   📏 Applying manual dimensions to ${dimensionOverrideMap.size} game(s)`,
     );
   }
 
-  return { excludedIdsSet, orientationOverrideMap, dimensionOverrideMap };
+  if (pinnedPlacementMap.size > 0) {
+    logger.log(`   📌 Pinning ${pinnedPlacementMap.size} game(s) to a cube`);
+  }
+  if (paddingOverrideMap.size > 0) {
+    logger.log(`   🧤 Padding the thickness of ${paddingOverrideMap.size} game(s)`);
+  }
+  if (storedInBaseOverrideMap.size > 0) {
+    logger.log(
+      `   🗃️  Applying base box storage choice to ${storedInBaseOverrideMap.size} expansion(s)`,
+    );
+  }
+
+  return {
+    excludedIdsSet,
+    orientationOverrideMap,
+    dimensionOverrideMap,
+    pinnedPlacementMap,
+    paddingOverrideMap,
+    storedInBaseOverrideMap,
+  };
 };
 
 export const applyOverridesToGames = (uniqueGames, overrideMaps) => {
-  const { excludedIdsSet, orientationOverrideMap, dimensionOverrideMap } = overrideMaps;
+  const {
+    excludedIdsSet,
+    orientationOverrideMap,
+    dimensionOverrideMap,
+    pinnedPlacementMap,
+    paddingOverrideMap,
+    storedInBaseOverrideMap,
+  } = overrideMaps;
 
   const preparedGames = uniqueGames
-    .filter((game) => !excludedIdsSet.has(game.id))
+    .filter((game) => !isGameExcluded(excludedIdsSet, game))
     .map((game) => {
       const originalDimensions = extractDimensions(game);
 
@@ -115,7 +211,7 @@ export const applyOverridesToGames = (uniqueGames, overrideMaps) => {
         default: null,
       };
 
-      const overrideDims = dimensionOverrideMap.get(game.id);
+      const overrideDims = getGameOverride(dimensionOverrideMap, game);
       if (overrideDims) {
         // Normalize dimensions to ensure length >= width >= depth
         const overrideDimension = normalizeDimensions({
@@ -164,18 +260,39 @@ export const applyOverridesToGames = (uniqueGames, overrideMaps) => {
 
       game.dimensionSources = dimensionSources;
 
-      const forcedOrientation = orientationOverrideMap.get(game.id);
+      const forcedOrientation = getGameOverride(orientationOverrideMap, game);
       if (forcedOrientation) {
         game.forcedOrientation = forcedOrientation;
       } else {
         delete game.forcedOrientation;
       }
 
+      const pinnedPlacement = getGameOverride(pinnedPlacementMap, game);
+      if (pinnedPlacement) {
+        game.pinnedPlacement = { ...pinnedPlacement };
+      } else {
+        delete game.pinnedPlacement;
+      }
+
+      const padding = getGameOverride(paddingOverrideMap, game);
+      if (padding) {
+        game.padding = padding;
+      } else {
+        delete game.padding;
+      }
+
+      const storedInBase = getGameOverride(storedInBaseOverrideMap, game);
+      if (typeof storedInBase === 'boolean') {
+        game.storedInBase = storedInBase;
+      } else {
+        delete game.storedInBase;
+      }
+
       return game;
     });
 
   if (preparedGames.length < uniqueGames.length) {
-    console.log(
+    logger.log(
       `   → ${uniqueGames.length - preparedGames.length} game(s) removed via manual exclusions`,
     );
   }
@@ -1,18 +1,58 @@
-import { roundToGrid } from './packingPositionService.js';
+import { PLACEMENT_ENGINES, roundToGrid } from './packingPositionService.js';
+import {
+  DEFAULT_PACKING_BOUNDS,
+  DEFAULT_SHELF_PROFILE,
+  getProfileDisplayArea,
+} from './shelfProfileService.js';
 import { getSafeGameArea } from '../utils/packingHelpers.js';
 
-const DISPLAY_KALLAX_WIDTH = 13;
-const DISPLAY_KALLAX_HEIGHT = 13;
-const OVERSIZED_THRESHOLD = 13;
-const CUBE_DISPLAY_AREA = DISPLAY_KALLAX_WIDTH * DISPLAY_KALLAX_HEIGHT;
+/**
+ * Creates an empty cube bound to the usable size of a shelf profile.
+ * @param {Object} [bounds] - Packing bounds from getPackingBounds
+ * @param {boolean} [depthLayers] - Whether shallow boxes may form a second row behind the first
+ * @param {string} [placementEngine] - Position search to use (see PLACEMENT_ENGINES)
+ * @param {number} [headroom] - Share of the cube (0 to 1) that packing leaves free once it holds a game
+ * @returns {Object} A new empty cube
+ */
+export const createCube = (
+  bounds = DEFAULT_PACKING_BOUNDS,
+  depthLayers = false,
+  placementEngine = PLACEMENT_ENGINES.EVENT_POINTS,
+  headroom = 0,
+) => ({
+  games: [],
+  rows: [],
+  occupiedArea: 0,
+  bounds,
+  depthLayers,
+  placementEngine,
+  headroom,
+});
+
+/**
+ * Copies a cube so games can be added to the copy without touching the original.
+ * The games already in the cube are shared, not copied.
+ * @param {Object} cube - Cube to copy
+ * @returns {Object} A new cube holding the same games
+ */
+export const cloneCube = (cube) => ({
+  ...cube,
+  games: [...cube.games],
+  rows: [],
+});
 
 const computeCubeAreaUsed = (cube) =>
   (cube.games || []).reduce((sum, game) => sum + getSafeGameArea(game), 0);
 
-export const calculateStatsSummary = (cubes) => {
+/**
+ * Totals for a packing result. Reserved cubes count towards the cube total but not
+ * towards the per-cube average or the utilization, which describe the packed cubes only.
+ */
+export const calculateStatsSummary = (cubes, shelfProfile = DEFAULT_SHELF_PROFILE) => {
   const safeTotals = {
     totalGames: 0,
     totalCubes: 0,
+    reservedCubes: 0,
     avgGamesPerCube: 0,
     totalUtilization: 0,
   };
@@ -21,14 +61,15 @@ export const calculateStatsSummary = (cubes) => {
     return safeTotals;
   }
 
-  const totalGames = cubes.reduce(
+  const packedCubes = cubes.filter((cube) => !cube.reserved);
+  const totalGames = packedCubes.reduce(
     (sum, cube) => sum + (Array.isArray(cube.games) ? cube.games.length : 0),
     0,
   );
-  const avgGamesPerCube = totalGames / cubes.length || 0;
+  const avgGamesPerCube = totalGames / packedCubes.length || 0;
 
-  const totalAreaUsed = cubes.reduce((sum, cube) => sum + computeCubeAreaUsed(cube), 0);
-  const totalAreaCapacity = CUBE_DISPLAY_AREA * cubes.length;
+  const totalAreaUsed = packedCubes.reduce((sum, cube) => sum + computeCubeAreaUsed(cube), 0);
+  const totalAreaCapacity = getProfileDisplayArea(shelfProfile) * packedCubes.length;
 
   const totalUtilization =
     totalAreaCapacity > 0
@@ -38,6 +79,7 @@ export const calculateStatsSummary = (cubes) => {
   return {
     totalGames,
     totalCubes: cubes.length,
+    reservedCubes: cubes.length - packedCubes.length,
     avgGamesPerCube: Number(avgGamesPerCube.toFixed(1)),
     totalUtilization: Number(totalUtilization),
   };
@@ -124,9 +166,3 @@ export const getOversizedStuffedGames = (cubes) => {
   return oversizedStuffedGames;
 };
 
-export const PACKING_DISPLAY_CONSTANTS = {
-  DISPLAY_KALLAX_WIDTH,
-  DISPLAY_KALLAX_HEIGHT,
-  OVERSIZED_THRESHOLD,
-};
-
@@ -1,8 +1,8 @@
-import { sortGamesByArea } from './packingSortService.js';
-import { getSafeGameArea, MAX_GROUP_AREA as DEFAULT_MAX_GROUP_AREA } from '../utils/packingHelpers.js';
+import { compareGames, sortGamesByArea } from './packingSortService.js';
+import { getSafeGameArea, getMaxGroupArea, isAddOnGame } from '../utils/packingHelpers.js';
 
 export const splitOversizedGroup = (group, maxArea) => {
-  const MAX_GROUP_AREA = maxArea || DEFAULT_MAX_GROUP_AREA;
+  const MAX_GROUP_AREA = maxArea || getMaxGroupArea();
 
   // Pre-compute area for all games upfront
   const gamesWithArea = group.map((game) => ({
@@ -18,7 +18,7 @@ export const splitOversizedGroup = (group, maxArea) => {
 
   const sortedGames = sortGamesByArea(group);
 
-  const baseGameIndex = sortedGames.findIndex((g) => !g.isExpansion);
+  const baseGameIndex = sortedGames.findIndex((g) => !isAddOnGame(g));
   const baseGame = baseGameIndex >= 0 ? sortedGames[baseGameIndex] : sortedGames[0];
 
   const otherGames = sortedGames.filter(
@@ -50,9 +50,19 @@ export const splitOversizedGroup = (group, maxArea) => {
   return subGroups.map(({ games }) => games);
 };
 
-export const getGroupRepresentative = (group) => {
-  const baseGame = group.find((g) => !g.isExpansion);
-  return baseGame || group[0];
+/**
+ * Picks the game a group is sorted by: its base game, or for groups holding several
+ * base games (series) the base game that sorts first when sort rules are given.
+ */
+export const getGroupRepresentative = (group, sortRules = null) => {
+  const baseGames = group.filter((g) => !isAddOnGame(g));
+  if (baseGames.length === 0) {
+    return group[0];
+  }
+  if (!sortRules || baseGames.length === 1) {
+    return baseGames[0];
+  }
+  return baseGames.reduce((best, game) => (compareGames(game, best, sortRules) < 0 ? game : best));
 };
 
 export const getGroupTotalArea = (group) =>
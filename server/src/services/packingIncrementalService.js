@@ -0,0 +1,320 @@
+import { cloneCube, createCube } from './packingCubeService.js';
+import {
+  buildOrientations,
+  placeGroups,
+  placeStandaloneGame,
+} from './packingOrchestrationService.js';
+import { appendSeededCubes, seedPinnedCubes } from './packingPinService.js';
+import { RESERVED_CUBE_KINDS, createReservedCube, isReservedSlot } from './shelfReserveService.js';
+import { tryPlaceGame } from './packingPlacementService.js';
+import {
+  TRACE_OUTCOMES,
+  TRACE_REASONS,
+  TRACE_STEPS,
+  recordTraceEvent,
+} from './packingTraceService.js';
+import { compareGames, sortGamesByArea } from './packingSortService.js';
+import { DEFAULT_PACKING_BOUNDS } from './shelfProfileService.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Resolves the previous layout from the request payload.
+ * @param {Object} [input] - Previous layout from the request payload ({ cubes: [[versionKey, ...], ...] })
+ * @returns {Object|null} Layout with one list of game ids per cube, or null when not sent
+ */
+export const resolvePreviousLayout = (input) => {
+  if (!Array.isArray(input?.cubes) || input.cubes.length === 0) {
+    return null;
+  }
+
+  const cubes = input.cubes.map((ids) =>
+    Array.isArray(ids) ? ids.filter((id) => typeof id === 'string' && id.length > 0) : [],
+  );
+
+  return cubes.some((ids) => ids.length > 0) ? { cubes } : null;
+};
+
+/**
+ * Matches the ids of a previous layout to the games being packed. Layouts saved before every
+ * owned copy was keyed by its collection id list a single copy by version only ("13-5"
+ * rather than "13-5@901"); such an id stands for the first copy of that version.
+ * @param {Object} previousLayout - Resolved layout from resolvePreviousLayout
+ * @param {Array} games - Games being packed
+ * @returns {Object} Layout with the same cubes, using the games' ids
+ */
+export const matchPreviousLayout = (previousLayout, games) => {
+  const firstCopyIds = new Map();
+  for (const game of games) {
+    if (game.gameKey && game.gameKey !== game.id && game.copyNumber === 1) {
+      firstCopyIds.set(game.gameKey, game.id);
+    }
+  }
+
+  return {
+    cubes: previousLayout.cubes.map((ids) => ids.map((id) => firstCopyIds.get(id) ?? id)),
+  };
+};
+
+/*
+ * Maps each game id in a previous layout to its 1-based cube number.
+ * A game listed twice keeps its first cube.
+ */
+const getPreviousCubeById = (previousLayout) => {
+  const previousCubeById = new Map();
+  previousLayout.cubes.forEach((ids, cubeIndex) => {
+    for (const id of ids) {
+      if (!previousCubeById.has(id)) {
+        previousCubeById.set(id, cubeIndex + 1);
+      }
+    }
+  });
+  return previousCubeById;
+};
+
+const placeWithOrientations = (cube, game, primaryOrder, lockRotation) =>
+  buildOrientations(game, primaryOrder, lockRotation).some((orientation) =>
+    tryPlaceGame(cube, game, orientation.x, orientation.y, orientation.label),
+  );
+
+/*
+ * Rebuilds one previous cube from the games it still holds, around any games pinned to it.
+ * The games are tried in sort order first and by area second, and whichever order
+ * keeps more of them wins; games that no longer fit are returned as displaced.
+ */
+const rebuildCube = (
+  keptGames,
+  seededCube,
+  primaryOrder,
+  lockRotation,
+  sortRules,
+  bounds,
+  options,
+) => {
+  const orders = [
+    [...keptGames].sort((a, b) => compareGames(a, b, sortRules)),
+    sortGamesByArea(keptGames),
+  ];
+
+  let best = null;
+  for (const order of orders) {
+    const cube = seededCube
+      ? cloneCube(seededCube)
+      : createCube(bounds, Boolean(options.depthLayers), options.placementEngine, options.reserve?.headroom);
+    const games = order.map((game) => ({ ...game }));
+    const displaced = games.filter(
+      (game) => !placeWithOrientations(cube, game, primaryOrder, lockRotation),
+    );
+
+    if (!best || displaced.length < best.displaced.length) {
+      best = { cube, displaced };
+    }
+    if (displaced.length === 0) {
+      break;
+    }
+  }
+
+  return best;
+};
+
+/**
+ * Packs games around a previous layout so as few boxes as possible change cubes.
+ *
+ * Games still in the collection go back into the cube they were in. Cubes keep their
+ * numbers, so a cube emptied by removals stays on the shelf as a gap to backfill; only
+ * trailing empty cubes are dropped. New games and games that no longer fit their old
+ * cube then go into the first cube with free space, and new cubes are opened only
+ * when nothing else fits (and the shelf inventory has room). A previous cube that is now a
+ * reserved slot is emptied and its games are packed like the others that no longer fit.
+ *
+ * @param {Array} sortedGroups - Groups from sortGroupsAndStandaloneGames
+ * @param {Array} standaloneGames - Sorted standalone games
+ * @param {Object} previousLayout - Resolved layout from resolvePreviousLayout
+ * @param {Object} [options] - Packing features; `maxCubes` caps the cube count and
+ *   `pinnedGames` are placed in their pinned cubes first
+ * @returns {Object} The packed (not yet finalized) cubes and the games that did not fit
+ */
+export const placeIncrementally = (
+  sortedGroups,
+  standaloneGames,
+  previousLayout,
+  primaryOrder,
+  lockRotation,
+  sortRules,
+  backfillPercentage,
+  bounds = DEFAULT_PACKING_BOUNDS,
+  options = {},
+) => {
+  const gamesById = new Map();
+  for (const game of [...sortedGroups.flatMap(({ group }) => group), ...standaloneGames]) {
+    gamesById.set(game.id, game);
+  }
+
+  const previousCubeById = getPreviousCubeById(previousLayout);
+  const maxCubes = Number.isFinite(options.maxCubes) ? options.maxCubes : Infinity;
+  const cubes = [];
+  const placed = new Set();
+  const displacedIds = new Set();
+  const { seededCubes, displacedGames } = seedPinnedCubes(
+    options.pinnedGames ?? [],
+    (game) => buildOrientations(game, primaryOrder, lockRotation),
+    bounds,
+    options,
+  );
+  const cubeOptions = { ...options, seededCubes };
+  for (const game of displacedGames) {
+    gamesById.set(game.id, game);
+  }
+
+  previousLayout.cubes.slice(0, maxCubes).forEach((ids, cubeIndex) => {
+    const keptGames = ids
+      .filter((id) => previousCubeById.get(id) === cubeIndex + 1 && gamesById.has(id))
+      .map((id) => gamesById.get(id));
+    if (isReservedSlot(cubeIndex, options)) {
+      const reservedCube = createReservedCube(RESERVED_CUBE_KINDS.SLOT, bounds, options);
+      for (const game of keptGames) {
+        displacedIds.add(game.id);
+        recordTraceEvent(options.trace, game, {
+          step: TRACE_STEPS.PREVIOUS_CUBE,
+          outcome: TRACE_OUTCOMES.REJECTED,
+          cube: reservedCube,
+          reason: TRACE_REASONS.RESERVED_SLOT,
+        });
+      }
+      cubes.push(reservedCube);
+      return;
+    }
+
+    const { cube, displaced } = rebuildCube(
+      keptGames,
+      seededCubes.get(cubeIndex) ?? null,
+      primaryOrder,
+      lockRotation,
+      sortRules,
+      bounds,
+      options,
+    );
+
+    for (const game of cube.games) {
+      placed.add(game.id);
+      if (!game.pinned) {
+        recordTraceEvent(options.trace, game, {
+          step: TRACE_STEPS.PREVIOUS_CUBE,
+          outcome: TRACE_OUTCOMES.PLACED,
+          cube,
+          orientation: game.appliedOrientation,
+        });
+      }
+    }
+    for (const game of displaced) {
+      displacedIds.add(game.id);
+      recordTraceEvent(options.trace, game, {
+        step: TRACE_STEPS.PREVIOUS_CUBE,
+        outcome: TRACE_OUTCOMES.REJECTED,
+        cube,
+        reason: TRACE_REASONS.NO_LONGER_FITS,
+      });
+    }
+    cubes.push(cube);
+  });
+
+  while (cubes.length > 0 && cubes[cubes.length - 1].games.length === 0) {
+    cubes.pop();
+  }
+
+  // New groups stay together when they can; groups with members already on the shelf
+  // are not pulled apart just to keep them whole
+  const newGroups = sortedGroups.filter(({ group }) =>
+    group.every((game) => !previousCubeById.has(game.id)),
+  );
+  placeGroups(newGroups, cubes, primaryOrder, lockRotation, true, backfillPercentage, placed, bounds, {
+    ...cubeOptions,
+    quiet: true,
+    sortRules,
+  });
+
+  // Every cube is searched for free space (as when optimizing for space) before a new one opens
+  const remainingGames = [...gamesById.values()].filter((game) => !placed.has(game.id));
+  remainingGames.sort((a, b) => compareGames(a, b, sortRules));
+  for (const game of remainingGames) {
+    placeStandaloneGame(
+      game,
+      cubes,
+      primaryOrder,
+      lockRotation,
+      sortRules,
+      true,
+      backfillPercentage,
+      placed,
+      bounds,
+      cubeOptions,
+    );
+  }
+  appendSeededCubes(cubes, seededCubes, bounds, options);
+
+  if (!options.quiet && displacedIds.size > 0) {
+    logger.log(`   ↪️  ${displacedIds.size} games no longer fit their previous cube`);
+  }
+
+  return {
+    cubes,
+    overflowGames: remainingGames.filter((game) => !placed.has(game.id)),
+  };
+};
+
+/**
+ * Compares the finalized cubes with the previous layout.
+ * @param {Array} cubes - Finalized cubes (cube.id is the 1-based cube number)
+ * @param {Array} overflowGames - Games that did not fit in the shelf inventory
+ * @param {Object} previousLayout - Resolved layout from resolvePreviousLayout
+ * @returns {Object} Counts of kept, moved, added and removed games plus the list of moves;
+ *   a previously shelved game that no longer fits anywhere is a move with no target cube
+ */
+export const buildIncrementalReport = (cubes, overflowGames, previousLayout) => {
+  const previousCubeById = getPreviousCubeById(previousLayout);
+  const currentIds = new Set();
+  const moves = [];
+  let keptGames = 0;
+  let addedGames = 0;
+
+  const track = (game, toCube) => {
+    currentIds.add(game.id);
+    const fromCube = previousCubeById.get(game.id);
+    if (fromCube === undefined) {
+      addedGames += 1;
+    } else if (fromCube === toCube) {
+      keptGames += 1;
+    } else {
+      moves.push({
+        id: game.id,
+        displayName: game.displayName || game.gameName || null,
+        fromCube,
+        toCube,
+      });
+    }
+  };
+
+  for (const cube of cubes) {
+    for (const game of cube.games) {
+      track(game, cube.id);
+    }
+  }
+  for (const game of overflowGames) {
+    track(game, null);
+  }
+
+  let removedGames = 0;
+  for (const id of previousCubeById.keys()) {
+    if (!currentIds.has(id)) {
+      removedGames += 1;
+    }
+  }
+
+  return {
+    previousCubes: previousLayout.cubes.length,
+    keptGames,
+    movedGames: moves.length,
+    addedGames,
+    removedGames,
+    moves,
+  };
+};
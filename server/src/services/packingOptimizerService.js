@@ -0,0 +1,270 @@
+import { placeSortedGames } from './packingOrchestrationService.js';
+import { compareGames } from './packingSortService.js';
+import { getCubeCapacity } from './packingPositionService.js';
+import { getSafeGameArea } from '../utils/packingHelpers.js';
+
+export const DEFAULT_OPTIMIZER_TIME_BUDGET_MS = 5000;
+export const MAX_OPTIMIZER_TIME_BUDGET_MS = 30000;
+
+// Annealing temperature, in units of the layout energy (one cube = 1.0)
+const START_TEMPERATURE = 0.05;
+const END_TEMPERATURE = 0.001;
+
+/**
+ * Small deterministic PRNG so a run is reproducible for the same budget and input.
+ * @param {number} seed
+ * @returns {Function} Random number generator in [0, 1)
+ */
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const randomInt = (random, max) => Math.floor(random() * max);
+
+const oppositeOrientation = (orientation) =>
+  orientation === 'vertical' ? 'horizontal' : 'vertical';
+
+/**
+ * Layout energy: games that overflowed the shelf inventory and the cube count
+ * first, then how unevenly the cubes are filled. Favouring a few full cubes and
+ * one nearly empty cube makes it easier for a later move to empty that cube
+ * entirely. The fill term always lies in [0, 0.5).
+ */
+const scoreLayout = ({ cubes, overflowGames }) => {
+  if (cubes.length === 0) {
+    return overflowGames.length;
+  }
+
+  const fillSquares = cubes.reduce((sum, cube) => {
+    const fill = Math.min(1, cube.occupiedArea / getCubeCapacity(cube));
+    return sum + fill * fill;
+  }, 0);
+
+  return overflowGames.length + cubes.length - 0.5 * (fillSquares / cubes.length);
+};
+
+/**
+ * Whether a candidate layout is strictly better: fewer overflowing games, then fewer cubes.
+ */
+const isBetterLayout = (candidate, best) =>
+  candidate.overflowGames.length < best.overflowGames.length ||
+  (candidate.overflowGames.length === best.overflowGames.length &&
+    candidate.cubes.length < best.cubes.length);
+
+/**
+ * Snapshot of the sorted packing input taken before any placement mutates the games.
+ * @param {Array} sortedGroups - Groups from sortGroupsAndStandaloneGames
+ * @param {Array} standaloneGames - Sorted standalone games
+ * @returns {Object} Templates plus the index layout of groups and standalone games
+ */
+export const createPackingSnapshot = (sortedGroups, standaloneGames) => {
+  const templates = [];
+  const indexByGame = new Map();
+  const register = (game) => {
+    if (!indexByGame.has(game)) {
+      indexByGame.set(game, templates.length);
+      templates.push({ ...game });
+    }
+    return indexByGame.get(game);
+  };
+
+  const groups = sortedGroups.map(({ groupId, group }) => ({
+    groupId,
+    members: group.map(register),
+  }));
+  const standaloneOrder = standaloneGames.map(register);
+
+  return { templates, groups, standaloneOrder };
+};
+
+/**
+ * Runs an improvement search over placement order and orientations, starting from
+ * the greedy layout, and keeps the best layout found within the time budget.
+ *
+ * Moves:
+ * - flip the preferred orientation of a game (only when rotation is allowed and
+ *   the game has no forced orientation)
+ * - move a game out of the emptiest cube to an earlier slot, or swap two games
+ *   (only when optimizing for space, since sort order is not a constraint then)
+ * - swap two neighbouring games whose sort keys tie (keeps the user's sort order)
+ *
+ * Candidates are accepted with simulated annealing on scoreLayout.
+ *
+ * @param {Object} baseline - Greedy layout: cubes (not yet finalized) and overflowGames
+ * @param {Object} snapshot - Result of createPackingSnapshot taken before the greedy run
+ * @param {Object} settings - Packing settings shared with the greedy run
+ * @param {number} [timeBudgetMs] - Wall-clock budget for the search
+ * @returns {Object} { cubes, overflowGames, stats } with the best layout and search statistics
+ */
+export const optimizePacking = (
+  baseline,
+  snapshot,
+  settings,
+  timeBudgetMs = DEFAULT_OPTIMIZER_TIME_BUDGET_MS,
+) => {
+  const {
+    primaryOrder,
+    lockRotation,
+    sortRules,
+    optimizeSpace,
+    backfillPercentage,
+    bounds,
+    options,
+  } = settings;
+  const budget = Math.min(Math.max(0, timeBudgetMs), MAX_OPTIMIZER_TIME_BUDGET_MS);
+  const startedAt = performance.now();
+  const random = createRandom(snapshot.templates.length || 1);
+  const { templates, groups } = snapshot;
+
+  const flippable = templates
+    .map((game, index) => (!lockRotation && !game.forcedOrientation ? index : -1))
+    .filter((index) => index >= 0);
+
+  const evaluate = (state) => {
+    const games = templates.map((template, index) =>
+      state.flipped[index]
+        ? { ...template, primaryOrientation: oppositeOrientation(template.primaryOrientation) }
+        : { ...template },
+    );
+    const layout = placeSortedGames(
+      groups.map(({ groupId, members }) => ({
+        groupId,
+        group: members.map((index) => games[index]),
+      })),
+      state.order.map((index) => games[index]),
+      primaryOrder,
+      lockRotation,
+      sortRules,
+      optimizeSpace,
+      backfillPercentage,
+      bounds,
+      { ...options, quiet: true, trace: null },
+    );
+    return { ...layout, score: scoreLayout(layout) };
+  };
+
+  // Lower bound on the cube count; once reached nothing can be saved
+  const capacity = getCubeCapacity({ bounds, depthLayers: Boolean(options.depthLayers) });
+  const totalArea = templates.reduce((sum, game) => sum + getSafeGameArea(game), 0);
+  const minimumCubes = capacity > 0 ? Math.ceil(totalArea / capacity - 1e-9) : 0;
+
+  const findCubeIndexByTemplate = (cubes) => {
+    const cubeById = new Map();
+    cubes.forEach((cube, cubeIndex) => {
+      for (const game of cube.games) {
+        cubeById.set(game.id, cubeIndex);
+      }
+    });
+    return templates.map((template) => cubeById.get(template.id) ?? -1);
+  };
+
+  const proposeMove = (state, cubes) => {
+    const order = [...state.order];
+    const flipped = state.flipped.slice();
+    const moveKind = random();
+
+    if (optimizeSpace && order.length > 1 && moveKind < 0.45) {
+      // Pull a game out of the emptiest cube and try it earlier in the sequence
+      const cubeIndexByTemplate = findCubeIndexByTemplate(cubes);
+      const emptiest = cubes.reduce(
+        (best, cube, index) =>
+          cube.occupiedArea < cubes[best].occupiedArea ? index : best,
+        0,
+      );
+      const positions = order
+        .map((templateIndex, position) =>
+          cubeIndexByTemplate[templateIndex] === emptiest ? position : -1,
+        )
+        .filter((position) => position > 0);
+
+      if (positions.length > 0) {
+        const from = positions[randomInt(random, positions.length)];
+        const to = randomInt(random, from);
+        const [moved] = order.splice(from, 1);
+        order.splice(to, 0, moved);
+        return { order, flipped };
+      }
+    }
+
+    if (optimizeSpace && order.length > 1 && moveKind < 0.7) {
+      const a = randomInt(random, order.length);
+      const b = randomInt(random, order.length);
+      [order[a], order[b]] = [order[b], order[a]];
+      return { order, flipped };
+    }
+
+    if (!optimizeSpace && order.length > 1 && moveKind < 0.5) {
+      const position = randomInt(random, order.length - 1);
+      const current = templates[order[position]];
+      const next = templates[order[position + 1]];
+      if (compareGames(current, next, sortRules) === 0) {
+        [order[position], order[position + 1]] = [order[position + 1], order[position]];
+        return { order, flipped };
+      }
+    }
+
+    if (flippable.length > 0) {
+      const index = flippable[randomInt(random, flippable.length)];
+      flipped[index] = !flipped[index];
+      return { order, flipped };
+    }
+
+    return null;
+  };
+
+  let current = {
+    state: { order: [...snapshot.standaloneOrder], flipped: templates.map(() => false) },
+    cubes: baseline.cubes,
+    score: scoreLayout(baseline),
+  };
+  let best = baseline;
+  let iterations = 0;
+
+  while (best.overflowGames.length > 0 || best.cubes.length > minimumCubes) {
+    const elapsed = performance.now() - startedAt;
+    if (elapsed >= budget) {
+      break;
+    }
+
+    const state = proposeMove(current.state, current.cubes);
+    if (!state) {
+      break;
+    }
+
+    iterations += 1;
+    const candidate = evaluate(state);
+    const progress = elapsed / budget;
+    const temperature = START_TEMPERATURE * (END_TEMPERATURE / START_TEMPERATURE) ** progress;
+    const delta = candidate.score - current.score;
+
+    if (delta <= 0 || random() < Math.exp(-delta / temperature)) {
+      current = { state, cubes: candidate.cubes, score: candidate.score };
+    }
+
+    // Only a saved cube or overflow game replaces the greedy layout; the score just steers the search
+    if (isBetterLayout(candidate, best)) {
+      best = candidate;
+    }
+  }
+
+  return {
+    cubes: best.cubes,
+    overflowGames: best.overflowGames,
+    stats: {
+      baselineCubes: baseline.cubes.length,
+      optimizedCubes: best.cubes.length,
+      cubesSaved: baseline.cubes.length - best.cubes.length,
+      overflowSaved: baseline.overflowGames.length - best.overflowGames.length,
+      iterations,
+      elapsedMs: Math.round(performance.now() - startedAt),
+      timeBudgetMs: budget,
+    },
+  };
+};
@@ -1,23 +1,79 @@
-import { calculateBothOrientations, PACKING_CONSTANTS } from './packingPositionService.js';
-import { createOversizedExcludedGame, PACKING_DISPLAY_CONSTANTS } from './packingCubeService.js';
+import {
+  calculateBothOrientations,
+  calculateDepthFittingOrientations,
+  getCubeCapacity,
+  getCubeFillLimit,
+} from './packingPositionService.js';
+import { createCube, createOversizedExcludedGame } from './packingCubeService.js';
 import { splitOversizedGroup, getGroupRepresentative, getGroupTotalArea } from './packingGroupService.js';
 import { compareGames, sortGamesByArea } from './packingSortService.js';
 import { tryPlaceGame, tryAggressiveReorganization, calculateOccupiedAreaForCube } from './packingPlacementService.js';
 import { createGameGroups } from './groupingService.js';
-import { getSafeGameArea, selectCubesToCheck, MAX_GROUP_AREA } from '../utils/packingHelpers.js';
+import { appendSeededCubes, seedPinnedCubes } from './packingPinService.js';
+import { RESERVED_CUBE_KINDS, createReservedCube, isReservedSlot } from './shelfReserveService.js';
+import { splitIntoSections } from './packingSectionService.js';
+import {
+  TRACE_OUTCOMES,
+  TRACE_REASONS,
+  TRACE_STEPS,
+  recordTraceEvent,
+} from './packingTraceService.js';
+import {
+  getMaxDepthDimension,
+  getMaxGroupArea,
+  getPackingDimensions,
+  getSafeGameArea,
+  selectCubesToCheck,
+} from '../utils/packingHelpers.js';
 import { hasValidDimensions } from '../utils/gameProcessingHelpers.js';
+import { DEFAULT_PACKING_BOUNDS } from './shelfProfileService.js';
+import { logger } from '../utils/logger.js';
+
+/*
+ * Resolves the footprints of a game against the cube depth.
+ * Boxes whose longest side is deeper than the cube are turned so a shorter side
+ * runs front to back when the face still fits; otherwise they are flagged as protruding.
+ * @param {Object} game - The game to resolve (maxDepth is updated in place).
+ * @param {Object} bounds - Cube packing bounds.
+ * @param {Object} dimensions - The box size to pack, clearance and padding included.
+ * @returns {Object} Horizontal and vertical footprints.
+ */
+const resolveDepthOrientations = (game, bounds, dimensions) => {
+  const orientations = calculateBothOrientations(dimensions);
+  game.depthRotated = false;
+  game.protrusion = 0;
 
-const { CUBE_AREA } = PACKING_CONSTANTS;
-const { OVERSIZED_THRESHOLD } = PACKING_DISPLAY_CONSTANTS;
+  if (!(game.maxDepth > bounds.depth)) {
+    return orientations;
+  }
+
+  const depthFit = calculateDepthFittingOrientations(dimensions, bounds);
+  if (depthFit) {
+    game.maxDepth = depthFit.depth;
+    game.depthRotated = true;
+    return { horizontal: depthFit.horizontal, vertical: depthFit.vertical };
+  }
+
+  game.protrusion = Number((game.maxDepth - bounds.depth).toFixed(1));
+  return orientations;
+};
 
 /* 
  * Prepare games for packing by calculating 2D dimensions and checking for oversized games.
  * @param {Array} games - The games to prepare for packing.
  * @param {string} primaryOrder - The primary order of the games.
  * @param {boolean} fitOversized - Whether to fit oversized games into the cubes.
+ * @param {Object} [bounds] - Cube packing bounds derived from the shelf profile.
+ * @param {number} [clearance] - Margin in inches added to every side of every box.
  * @returns {Object} An object containing the valid games and oversized excluded games.
  */
-export const prepareGamesForPacking = (games, primaryOrder, fitOversized) => {
+export const prepareGamesForPacking = (
+  games,
+  primaryOrder,
+  fitOversized,
+  bounds = DEFAULT_PACKING_BOUNDS,
+  clearance = 0,
+) => {
   const oversizedExcludedGames = [];
 
   for (const game of games) {
@@ -28,8 +84,12 @@ export const prepareGamesForPacking = (games, primaryOrder, fitOversized) => {
       continue;
     }
     
-    // Calculate both orientations at once
-    const orientations = calculateBothOrientations(game.dimensions);
+    // Boxes are packed at their size plus the clearance margin and any padding override
+    const packingDimensions = getPackingDimensions(game.dimensions, clearance, game.padding);
+    game.maxDepth = getMaxDepthDimension(packingDimensions, true);
+
+    // Calculate both orientations at once, turning boxes that are too deep for the cube
+    const orientations = resolveDepthOrientations(game, bounds, packingDimensions);
     
     game.dims2D = {
       horizontal: orientations.horizontal,
@@ -42,7 +102,7 @@ export const prepareGamesForPacking = (games, primaryOrder, fitOversized) => {
     // Use primary orientation for oversized check
     const primaryDims = primaryOrientation === 'vertical' ? orientations.vertical : orientations.horizontal;
     game.exceedsMaxDimension =
-      primaryDims.x > OVERSIZED_THRESHOLD || primaryDims.y > OVERSIZED_THRESHOLD;
+      primaryDims.x > bounds.oversizedWidth || primaryDims.y > bounds.oversizedHeight;
 
     if (game.exceedsMaxDimension && !fitOversized) {
       oversizedExcludedGames.push(createOversizedExcludedGame(game));
@@ -64,16 +124,22 @@ export const prepareGamesForPacking = (games, primaryOrder, fitOversized) => {
   return { validGames, oversizedExcludedGames };
 };
 
-export const processGameGroups = (validGames, groupExpansions) => {
+export const processGameGroups = (
+  validGames,
+  groupExpansions,
+  bounds = DEFAULT_PACKING_BOUNDS,
+  seriesFamilyTypes = null,
+) => {
   let gameGroups = new Map();
   let standaloneGames = [...validGames];
+  let seriesGroups = [];
 
-  if (groupExpansions) {
-    const groupingResult = createGameGroups(validGames, groupExpansions);
+  if (groupExpansions || seriesFamilyTypes) {
+    const groupingResult = createGameGroups(validGames, groupExpansions, seriesFamilyTypes);
 
     const splitGroups = new Map();
     for (const [groupId, group] of groupingResult.groups.entries()) {
-      const subGroups = splitOversizedGroup(group, MAX_GROUP_AREA);
+      const subGroups = splitOversizedGroup(group, getMaxGroupArea(bounds));
       if (subGroups.length === 1) {
         splitGroups.set(groupId, subGroups[0]);
       } else {
@@ -85,6 +151,7 @@ export const processGameGroups = (validGames, groupExpansions) => {
 
     gameGroups = splitGroups;
     standaloneGames = groupingResult.standaloneGames;
+    seriesGroups = groupingResult.seriesGroups;
 
     for (const game of validGames) {
       if (game._group !== undefined) {
@@ -93,9 +160,17 @@ export const processGameGroups = (validGames, groupExpansions) => {
     }
   }
 
-  return { gameGroups, standaloneGames };
+  return { gameGroups, standaloneGames, seriesGroups };
 };
 
+const SPLIT_SUFFIX = /_split(\d+)$/;
+
+const getRootGroupId = (groupId) => groupId.replace(SPLIT_SUFFIX, '');
+
+const getSplitIndex = (groupId) => Number(SPLIT_SUFFIX.exec(groupId)?.[1] ?? 0);
+
+const isSeriesGroupId = (groupId) => groupId.startsWith('series:');
+
 export const sortGroupsAndStandaloneGames = (gameGroups, standaloneGames, sortRules, optimizeSpace) => {
   const sortedGroups = [];
   if (gameGroups.size > 0) {
@@ -111,10 +186,25 @@ export const sortGroupsAndStandaloneGames = (gameGroups, standaloneGames, sortRu
         return areaB - areaA; // No tiebreaker, just area descending
       });
     } else {
+      // Parts of a split group sort by the whole group's representative so they stay next to each other
+      const representatives = new Map();
+      for (const { groupId, group } of sortedGroups) {
+        const rootId = getRootGroupId(groupId);
+        const candidate = getGroupRepresentative(group, sortRules);
+        const current = representatives.get(rootId);
+        if (!current || compareGames(candidate, current, sortRules) < 0) {
+          representatives.set(rootId, candidate);
+        }
+      }
+
       sortedGroups.sort((a, b) => {
-        const repA = getGroupRepresentative(a.group);
-        const repB = getGroupRepresentative(b.group);
-        return compareGames(repA, repB, sortRules);
+        const rootA = getRootGroupId(a.groupId);
+        const rootB = getRootGroupId(b.groupId);
+        const order = compareGames(representatives.get(rootA), representatives.get(rootB), sortRules);
+        if (order !== 0 || rootA !== rootB) {
+          return order;
+        }
+        return getSplitIndex(a.groupId) - getSplitIndex(b.groupId);
       });
     }
   }
@@ -181,7 +271,11 @@ export const tryPlaceGroup = (cube, group, primaryOrder, lockRotation, placed) =
   const tempCube = { 
     games: [...cube.games], 
     rows: [],
-    occupiedArea: cube.occupiedArea !== undefined ? cube.occupiedArea : 0
+    occupiedArea: cube.occupiedArea !== undefined ? cube.occupiedArea : 0,
+    bounds: cube.bounds,
+    depthLayers: cube.depthLayers,
+    placementEngine: cube.placementEngine,
+    headroom: cube.headroom,
   };
   const groupPlaced = [];
 
@@ -223,6 +317,159 @@ export const tryPlaceGroup = (cube, group, primaryOrder, lockRotation, placed) =
   return true;
 };
 
+/*
+ * Whether the declared shelf inventory has no cube left for a new one.
+ * @param {Array} cubes - Cubes packed so far.
+ * @param {Object} options - Packing features; `maxCubes` caps the cube count.
+ * @returns {boolean} True when no new cube may be opened.
+ */
+const isAtCubeLimit = (cubes, options) =>
+  Number.isFinite(options.maxCubes) && cubes.length >= options.maxCubes;
+
+/*
+ * Cubes a placement may use: with section breaks, only the cubes of the section being packed.
+ */
+const getSectionCubes = (cubes, options) =>
+  options.section === undefined ? cubes : cubes.filter((cube) => cube.section === options.section);
+
+/*
+ * Cubes a placement checks, earliest first: the backfill window of the section's cubes, or every
+ * open one once the shelf inventory is full, since no new cube can be opened.
+ */
+const getCandidateCubes = (cubes, optimizeSpace, backfillPercentage, options) => {
+  const sectionCubes = getSectionCubes(cubes, options);
+  const cubesToCheck = isAtCubeLimit(cubes, options)
+    ? sectionCubes.filter((cube) => !cube.reserved)
+    : selectCubesToCheck(
+      sectionCubes,
+      optimizeSpace,
+      backfillPercentage,
+      calculateOccupiedAreaForCube,
+    );
+  return { sectionCubes, cubesToCheck };
+};
+
+/*
+ * Records the candidate cubes a placement did not look at or ruled out by free area.
+ * @param {Array} games - Games the placement is for (one game, or a whole group).
+ * @param {number} area - Face area the placement needs.
+ * @param {Object} candidates - { open: cubes the placement could have used, checked: cubes inside
+ *   the backfill window, withSpace: cubes in the window with enough free area }.
+ * @param {string} step - TRACE_STEPS value of the placement.
+ */
+const traceCandidateCubes = (games, area, candidates, step, options) => {
+  if (!options.trace) {
+    return;
+  }
+  const { open, checked, withSpace } = candidates;
+  const outsideWindow = open.filter((cube) => !cube.reserved).length - checked.length;
+  for (const game of games) {
+    if (outsideWindow > 0) {
+      recordTraceEvent(options.trace, game, {
+        step: TRACE_STEPS.BACKFILL,
+        outcome: TRACE_OUTCOMES.SKIPPED,
+        reason: TRACE_REASONS.OUTSIDE_BACKFILL_WINDOW,
+        count: outsideWindow,
+      });
+    }
+    for (const cube of checked) {
+      if (!withSpace.includes(cube)) {
+        recordTraceEvent(options.trace, game, {
+          step,
+          outcome: TRACE_OUTCOMES.REJECTED,
+          cube,
+          reason:
+            (cube.occupiedArea ?? calculateOccupiedAreaForCube(cube)) + area > getCubeCapacity(cube)
+              ? TRACE_REASONS.NOT_ENOUGH_SPACE
+              : TRACE_REASONS.HEADROOM,
+        });
+      }
+    }
+  }
+};
+
+/*
+ * Records whether a new cube took the placement: the cube it went to, or why none was opened.
+ */
+const traceNewCube = (games, cubes, placedInNewCube, options) => {
+  for (const game of games) {
+    recordTraceEvent(
+      options.trace,
+      game,
+      placedInNewCube
+        ? {
+          step: TRACE_STEPS.NEW_CUBE,
+          outcome: TRACE_OUTCOMES.PLACED,
+          cube: cubes[cubes.length - 1],
+          orientation: game.appliedOrientation,
+        }
+        : {
+          step: TRACE_STEPS.NEW_CUBE,
+          outcome: TRACE_OUTCOMES.REJECTED,
+          cube: null,
+          reason: isAtCubeLimit(cubes, options)
+            ? TRACE_REASONS.CUBE_LIMIT
+            : TRACE_REASONS.NO_FREE_POSITION,
+        },
+    );
+  }
+};
+
+/*
+ * Opens the next cube on the shelf and places into it.
+ * The next cube may already hold pinned games (options.seededCubes); when those leave
+ * no room it stays on the shelf and the following cube is tried instead. Reserved
+ * slots (options.reserve) are added as empty cubes and skipped.
+ * @param {Array} cubes - Cubes packed so far; the opened cube is appended on success.
+ * @param {Function} placeInCube - Places into the given cube and returns whether it fit.
+ * @returns {boolean} Whether a cube took the placement.
+ */
+const placeInNewCube = (cubes, bounds, options, placeInCube) => {
+  while (!isAtCubeLimit(cubes, options)) {
+    if (isReservedSlot(cubes.length, options)) {
+      cubes.push(createReservedCube(RESERVED_CUBE_KINDS.SLOT, bounds, options));
+      continue;
+    }
+    const seededCube = options.seededCubes?.get(cubes.length);
+    const cube =
+      seededCube ??
+      createCube(bounds, Boolean(options.depthLayers), options.placementEngine, options.reserve?.headroom);
+    if (options.section !== undefined) {
+      cube.section = options.section;
+    }
+    if (placeInCube(cube)) {
+      cubes.push(cube);
+      return true;
+    }
+    if (!seededCube) {
+      return false;
+    }
+    cubes.push(seededCube);
+  }
+  return false;
+};
+
+/*
+ * Ends a section: the next cube opened is the first of a new shelf row when sections break
+ * at rows (options.sectionBreaks.lineLength cubes per row), so the rest of the row stays empty.
+ * A pinned cube met on the way joins the section being closed (options.section).
+ */
+const closeSection = (cubes, bounds, options) => {
+  const lineLength = options.sectionBreaks?.lineLength ?? 1;
+  while (cubes.length % lineLength !== 0 && !isAtCubeLimit(cubes, options)) {
+    const seededCube = options.seededCubes?.get(cubes.length);
+    if (seededCube) {
+      seededCube.section = options.section;
+      cubes.push(seededCube);
+    } else {
+      const kind = isReservedSlot(cubes.length, options)
+        ? RESERVED_CUBE_KINDS.SLOT
+        : RESERVED_CUBE_KINDS.SECTION;
+      cubes.push(createReservedCube(kind, bounds, options));
+    }
+  }
+};
+
 export const placeStandaloneGame = (
   game,
   cubes,
@@ -232,6 +479,8 @@ export const placeStandaloneGame = (
   optimizeSpace,
   backfillPercentage,
   placed,
+  bounds = DEFAULT_PACKING_BOUNDS,
+  options = {},
 ) => {
   if (placed.has(game.id)) return;
 
@@ -246,21 +495,28 @@ export const placeStandaloneGame = (
   let wasPlaced = false;
 
   // Get cubes to check based on backfill percentage (maintains order - earliest first)
-  const cubesToCheck = selectCubesToCheck(
+  const { sectionCubes, cubesToCheck } = getCandidateCubes(
     cubes,
     optimizeSpace,
     backfillPercentage,
-    calculateOccupiedAreaForCube,
+    options,
   );
 
-  // Filter cubes that have enough area for this game
+  // Filter cubes that have enough area for this game, leaving each cube's headroom free
   // This avoids wasting time trying to place in cubes that are too full
   const cubesWithSpace = cubesToCheck.filter(cube => {
     const cubeOccupiedArea = cube.occupiedArea !== undefined 
       ? cube.occupiedArea 
       : calculateOccupiedAreaForCube(cube);
-    return cubeOccupiedArea + minGameArea <= CUBE_AREA;
+    return cubeOccupiedArea + minGameArea <= getCubeFillLimit(cube);
   });
+  traceCandidateCubes(
+    [game],
+    minGameArea,
+    { open: sectionCubes, checked: cubesToCheck, withSpace: cubesWithSpace },
+    TRACE_STEPS.PLACE,
+    options,
+  );
 
   // Try each cube starting with the earliest one in the backfill window
   for (const cube of cubesWithSpace) {
@@ -276,6 +532,7 @@ export const placeStandaloneGame = (
             orientation.y,
             sortRules,
             orientation.label,
+            options.trace,
           )
         ) {
           placed.add(game.id);
@@ -288,7 +545,7 @@ export const placeStandaloneGame = (
 
     // Try normal placement (for empty cubes or if reorganization failed)
     for (const orientation of orientations) {
-      if (tryPlaceGame(cube, game, orientation.x, orientation.y, orientation.label)) {
+      if (tryPlaceGame(cube, game, orientation.x, orientation.y, orientation.label, options.trace)) {
         placed.add(game.id);
         wasPlaced = true;
         break;
@@ -297,16 +554,17 @@ export const placeStandaloneGame = (
     if (wasPlaced) break;
   }
 
-  // Only create new cube if no existing cube could fit the game
+  // Only create new cube if no existing cube could fit the game and the shelves have room
   if (!wasPlaced) {
-    const newCube = { games: [], rows: [], occupiedArea: 0 };
-    for (const orientation of orientations) {
-      if (tryPlaceGame(newCube, game, orientation.x, orientation.y, orientation.label)) {
-        placed.add(game.id);
-        cubes.push(newCube);
-        break;
-      }
+    const fits = placeInNewCube(cubes, bounds, options, (newCube) =>
+      orientations.some((orientation) =>
+        tryPlaceGame(newCube, game, orientation.x, orientation.y, orientation.label),
+      ),
+    );
+    if (fits) {
+      placed.add(game.id);
     }
+    traceNewCube([game], cubes, fits, options);
   }
 };
 
@@ -318,6 +576,8 @@ export const placeGroups = (
   optimizeSpace,
   backfillPercentage,
   placed,
+  bounds = DEFAULT_PACKING_BOUNDS,
+  options = {},
 ) => {
   if (sortedGroups.length === 0) {
     return;
@@ -334,11 +594,11 @@ export const placeGroups = (
     const groupArea = getGroupTotalArea(group);
 
     // Get cubes to check based on backfill percentage (maintains order - earliest first)
-    const cubesToCheck = selectCubesToCheck(
+    const { sectionCubes, cubesToCheck } = getCandidateCubes(
       cubes,
       optimizeSpace,
       backfillPercentage,
-      calculateOccupiedAreaForCube,
+      options,
     );
 
     // Filter cubes that have enough area for this group
@@ -346,27 +606,81 @@ export const placeGroups = (
       const cubeOccupiedArea = cube.occupiedArea !== undefined 
         ? cube.occupiedArea 
         : calculateOccupiedAreaForCube(cube);
-      return cubeOccupiedArea + groupArea <= CUBE_AREA;
+      return cubeOccupiedArea + groupArea <= getCubeFillLimit(cube);
     });
+    const waitingGames = group.filter((g) => !placed.has(g.id));
+    traceCandidateCubes(
+      waitingGames,
+      groupArea,
+      { open: sectionCubes, checked: cubesToCheck, withSpace: cubesWithSpace },
+      TRACE_STEPS.GROUP,
+      options,
+    );
 
     // Try each cube starting with the earliest one in the backfill window
     for (const cube of cubesWithSpace) {
       if (tryPlaceGroup(cube, group, primaryOrder, lockRotation, placed)) {
         groupPlaced = true;
+        for (const game of waitingGames) {
+          recordTraceEvent(options.trace, game, {
+            step: TRACE_STEPS.GROUP,
+            outcome: TRACE_OUTCOMES.PLACED,
+            cube,
+          });
+        }
         break;
       }
+      for (const game of waitingGames) {
+        recordTraceEvent(options.trace, game, {
+          step: TRACE_STEPS.GROUP,
+          outcome: TRACE_OUTCOMES.REJECTED,
+          cube,
+          reason: TRACE_REASONS.GROUP_DOES_NOT_FIT,
+        });
+      }
     }
 
     if (!groupPlaced) {
-      const newCube = { games: [], rows: [], occupiedArea: 0 };
-      if (tryPlaceGroup(newCube, group, primaryOrder, lockRotation, placed)) {
-        cubes.push(newCube);
-        groupPlaced = true;
-      }
+      groupPlaced = placeInNewCube(cubes, bounds, options, (newCube) =>
+        tryPlaceGroup(newCube, group, primaryOrder, lockRotation, placed),
+      );
+      traceNewCube(waitingGames, cubes, groupPlaced, options);
     }
 
     if (!groupPlaced) {
-      console.log(
+      // The members are packed one by one from here; their own attempts follow in the trace
+      for (const game of waitingGames) {
+        recordTraceEvent(options.trace, game, {
+          step: TRACE_STEPS.GROUP,
+          outcome: TRACE_OUTCOMES.SPLIT,
+          reason: TRACE_REASONS.GROUP_DOES_NOT_FIT,
+        });
+      }
+    }
+
+    if (!groupPlaced && isSeriesGroupId(groupId)) {
+      // A series too big for one cube is packed member by member right away, so it fills
+      // neighbouring cubes instead of trailing after the standalone games
+      const sortRules = options.sortRules ?? [];
+      for (const game of [...group].sort((a, b) => compareGames(a, b, sortRules))) {
+        placeStandaloneGame(
+          game,
+          cubes,
+          primaryOrder,
+          lockRotation,
+          sortRules,
+          optimizeSpace,
+          backfillPercentage,
+          placed,
+          bounds,
+          options,
+        );
+      }
+      if (!options.quiet) {
+        logger.log(`   📚 Series group "${groupId}" spans several cubes, packed in sequence`);
+      }
+    } else if (!groupPlaced && !options.quiet) {
+      logger.log(
         `   ⚠️  Group "${groupId}" couldn't be placed together, will pack individually`,
       );
     }
@@ -387,3 +701,135 @@ export const getUnplacedGroupGames = (sortedGroups, placed) => {
   return unplacedGroupGames;
 };
 
+
+/*
+ * Places one section's groups, then its standalone games, then its group members that
+ * could not stay together and its displaced pinned games.
+ * @returns {Array} The games of the section that were placed individually.
+ */
+const placeSection = (
+  { groups, games, displacedGames },
+  cubes,
+  placed,
+  primaryOrder,
+  lockRotation,
+  sortRules,
+  optimizeSpace,
+  backfillPercentage,
+  bounds,
+  options,
+) => {
+  // Place groups first
+  placeGroups(
+    groups,
+    cubes,
+    primaryOrder,
+    lockRotation,
+    optimizeSpace,
+    backfillPercentage,
+    placed,
+    bounds,
+    { ...options, sortRules },
+  );
+
+  // Get unplaced group games and add to standalone
+  const unplacedGroupGames = getUnplacedGroupGames(groups, placed);
+  if (unplacedGroupGames.length > 0) {
+    // When optimizing space, sort unplaced group games by area descending ONLY
+    if (optimizeSpace) {
+      unplacedGroupGames.sort((a, b) => {
+        const areaA = getSafeGameArea(a);
+        const areaB = getSafeGameArea(b);
+        return areaB - areaA; // No tiebreaker, just area descending
+      });
+    } else {
+      unplacedGroupGames.sort((a, b) => compareGames(a, b, sortRules));
+    }
+    if (!options.quiet) {
+      logger.log(`   Adding ${unplacedGroupGames.length} unplaced group games to pack individually`);
+    }
+  }
+
+  // Place standalone games, then unplaced group games and displaced pinned games individually
+  const remainingGames = [...games, ...unplacedGroupGames, ...displacedGames];
+  for (const game of remainingGames) {
+    placeStandaloneGame(
+      game,
+      cubes,
+      primaryOrder,
+      lockRotation,
+      sortRules,
+      optimizeSpace,
+      backfillPercentage,
+      placed,
+      bounds,
+      options,
+    );
+  }
+
+  return remainingGames;
+};
+
+/*
+ * Places already sorted groups and standalone games into a fresh list of cubes.
+ * Pinned games are seeded into their cubes first. Groups go next; group members that
+ * could not stay together are then packed individually after the standalone games.
+ * With section breaks this runs once per section, and each section only fills cubes of its own.
+ * @param {Array} sortedGroups - Groups from sortGroupsAndStandaloneGames.
+ * @param {Array} standaloneGames - Standalone games in placement order.
+ * @param {Object} [options] - Packing features; `quiet` suppresses progress logging,
+ *   `pinnedGames` (from splitPinnedGames) are placed before everything else and
+ *   `sectionBreaks` (from resolveSectionBreaks) starts each section in a new cube.
+ * @returns {Object} The packed (not yet finalized) cubes and the games that did not fit.
+ */
+export const placeSortedGames = (
+  sortedGroups,
+  standaloneGames,
+  primaryOrder,
+  lockRotation,
+  sortRules,
+  optimizeSpace,
+  backfillPercentage,
+  bounds = DEFAULT_PACKING_BOUNDS,
+  options = {},
+) => {
+  const cubes = [];
+  const placed = new Set();
+  const { seededCubes, displacedGames } = seedPinnedCubes(
+    options.pinnedGames ?? [],
+    (game) => buildOrientations(game, primaryOrder, lockRotation),
+    bounds,
+    options,
+  );
+  const cubeOptions = { ...options, seededCubes };
+
+  const sections = options.sectionBreaks
+    ? splitIntoSections(sortedGroups, standaloneGames, displacedGames, sortRules, options.sectionBreaks)
+    : [{ label: undefined, groups: sortedGroups, games: standaloneGames, displacedGames }];
+
+  const remainingGames = [];
+  sections.forEach((section, index) => {
+    if (index > 0) {
+      closeSection(cubes, bounds, { ...cubeOptions, section: sections[index - 1].label });
+    }
+    remainingGames.push(
+      ...placeSection(
+        section,
+        cubes,
+        placed,
+        primaryOrder,
+        lockRotation,
+        sortRules,
+        optimizeSpace,
+        backfillPercentage,
+        bounds,
+        { ...cubeOptions, section: section.label },
+      ),
+    );
+  });
+  appendSeededCubes(cubes, seededCubes, bounds, options);
+
+  const overflowGames = remainingGames.filter((game) => !placed.has(game.id));
+
+  return { cubes, overflowGames };
+};
@@ -0,0 +1,146 @@
+import { createCube } from './packingCubeService.js';
+import { RESERVED_CUBE_KINDS, createReservedCube, isReservedSlot } from './shelfReserveService.js';
+import { tryPlaceGame, tryPlaceGameAt } from './packingPlacementService.js';
+import {
+  TRACE_OUTCOMES,
+  TRACE_REASONS,
+  TRACE_STEPS,
+  recordTraceEvent,
+} from './packingTraceService.js';
+import { getSafeGameArea } from '../utils/packingHelpers.js';
+import { DEFAULT_PACKING_BOUNDS } from './shelfProfileService.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Separates games pinned to a cube from the games packed normally.
+ * Pins to a cube past the shelf inventory or to a reserved slot cannot be honored;
+ * those games are packed normally.
+ * @param {Array} games - Games ready for packing (pins come from applyOverridesToGames)
+ * @param {number} [maxCubes] - Cube count cap from the shelf inventory
+ * @param {Array} [reservedSlots] - 1-based cube numbers kept empty (see resolveShelfReserve)
+ * @returns {Object} { pinnedGames, unpinnedGames }
+ */
+export const splitPinnedGames = (games, maxCubes = Infinity, reservedSlots = []) => {
+  const pinnedGames = [];
+  const unpinnedGames = [];
+  let droppedCount = 0;
+  let reservedCount = 0;
+
+  for (const game of games) {
+    if (!game.pinnedPlacement) {
+      unpinnedGames.push(game);
+    } else if (game.pinnedPlacement.cube > maxCubes) {
+      droppedCount += 1;
+      unpinnedGames.push(game);
+    } else if (reservedSlots.includes(game.pinnedPlacement.cube)) {
+      reservedCount += 1;
+      unpinnedGames.push(game);
+    } else {
+      pinnedGames.push(game);
+    }
+  }
+
+  if (droppedCount > 0) {
+    logger.log(`   📌 ${droppedCount} pin(s) point past the ${maxCubes}-cube inventory and were ignored`);
+  }
+  if (reservedCount > 0) {
+    logger.log(`   📌 ${reservedCount} pin(s) point at a reserved slot and were ignored`);
+  }
+
+  return { pinnedGames, unpinnedGames };
+};
+
+/*
+ * Corner pins go in before free pins so a free pin never takes a pinned corner;
+ * larger boxes go first within each cube.
+ */
+const comparePins = (a, b) =>
+  a.pinnedPlacement.cube - b.pinnedPlacement.cube ||
+  Number(Boolean(b.pinnedPlacement.corner)) - Number(Boolean(a.pinnedPlacement.corner)) ||
+  getSafeGameArea(b) - getSafeGameArea(a);
+
+const placePinnedGame = (cube, game, orientations) => {
+  const { corner } = game.pinnedPlacement;
+  return orientations.some((orientation) => {
+    if (!corner) {
+      return tryPlaceGame(cube, game, orientation.x, orientation.y, orientation.label);
+    }
+    const x = corner === 'bottom-left' ? 0 : null;
+    return tryPlaceGameAt(cube, game, x, orientation.x, orientation.y, orientation.label);
+  });
+};
+
+/**
+ * Places pinned games into the cubes they are pinned to, before anything else is packed.
+ * Works on copies of the games, so it can run once per packing pass.
+ * @param {Array} pinnedGames - Games from splitPinnedGames
+ * @param {Function} getOrientations - Returns the orientations to try for a game
+ * @param {Object} [bounds] - Cube packing bounds
+ * @param {Object} [options] - Packing features (depthLayers, placementEngine, quiet, trace)
+ * @returns {Object} { seededCubes: Map of 0-based cube index to cube, displacedGames }
+ *   where displaced games could not take their pinned spot and are packed normally
+ */
+export const seedPinnedCubes = (
+  pinnedGames,
+  getOrientations,
+  bounds = DEFAULT_PACKING_BOUNDS,
+  options = {},
+) => {
+  const seededCubes = new Map();
+  const displacedGames = [];
+
+  for (const game of [...pinnedGames].sort(comparePins).map((pinned) => ({ ...pinned }))) {
+    const cubeIndex = game.pinnedPlacement.cube - 1;
+    if (!seededCubes.has(cubeIndex)) {
+      seededCubes.set(
+        cubeIndex,
+        createCube(bounds, Boolean(options.depthLayers), options.placementEngine, options.reserve?.headroom),
+      );
+    }
+
+    if (placePinnedGame(seededCubes.get(cubeIndex), game, getOrientations(game))) {
+      game.pinned = true;
+      recordTraceEvent(options.trace, game, {
+        step: TRACE_STEPS.PIN,
+        outcome: TRACE_OUTCOMES.PLACED,
+        cube: game.pinnedPlacement.cube,
+        orientation: game.appliedOrientation,
+      });
+    } else {
+      displacedGames.push(game);
+      recordTraceEvent(options.trace, game, {
+        step: TRACE_STEPS.PIN,
+        outcome: TRACE_OUTCOMES.REJECTED,
+        cube: game.pinnedPlacement.cube,
+        reason: TRACE_REASONS.PIN_SPOT_TAKEN,
+      });
+    }
+  }
+
+  if (!options.quiet && displacedGames.length > 0) {
+    logger.log(`   📌 ${displacedGames.length} pinned game(s) do not fit their pinned spot, packed normally`);
+  }
+
+  return { seededCubes, displacedGames };
+};
+
+/**
+ * Adds the pinned cubes no game reached yet to the end of the shelf.
+ * Cubes between the last packed cube and a pinned cube are left empty.
+ * @param {Array} cubes - Packed cubes, in order
+ * @param {Map} seededCubes - Cubes from seedPinnedCubes
+ */
+export const appendSeededCubes = (cubes, seededCubes, bounds = DEFAULT_PACKING_BOUNDS, options = {}) => {
+  const lastIndex = Math.max(-1, ...seededCubes.keys());
+  while (cubes.length <= lastIndex) {
+    if (seededCubes.has(cubes.length)) {
+      cubes.push(seededCubes.get(cubes.length));
+    } else if (isReservedSlot(cubes.length, options)) {
+      cubes.push(createReservedCube(RESERVED_CUBE_KINDS.SLOT, bounds, options));
+    } else {
+      cubes.push(
+        createCube(bounds, Boolean(options.depthLayers), options.placementEngine, options.reserve?.headroom),
+      );
+    }
+  }
+};
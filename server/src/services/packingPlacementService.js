@@ -1,12 +1,23 @@
-import { findPosition, PACKING_CONSTANTS } from './packingPositionService.js';
+import {
+  DEPTH_LAYERS,
+  findPosition,
+  getCubeBounds,
+  getCubeCapacity,
+  getCubeFillLimit,
+  getLayerObstacles,
+  hasCollision,
+} from './packingPositionService.js';
 import { checkAndImproveStability } from './packingStabilityService.js';
-import { compareGames, sortGamesByArea } from './packingSortService.js';
-import { PACKING_DISPLAY_CONSTANTS } from './packingCubeService.js';
+import { compareGames } from './packingSortService.js';
+import {
+  TRACE_OUTCOMES,
+  TRACE_REASONS,
+  TRACE_STEPS,
+  getRejectionReason,
+  recordTraceEvent,
+} from './packingTraceService.js';
 import { getSafeGameArea } from '../utils/packingHelpers.js';
 
-const { CUBE_SIZE, CUBE_AREA, GRID_PRECISION } = PACKING_CONSTANTS;
-const { OVERSIZED_THRESHOLD } = PACKING_DISPLAY_CONSTANTS;
-
 export const calculateOccupiedAreaForCube = (cube) => {
   let area = 0;
   for (const game of cube.games) {
@@ -15,48 +26,135 @@ export const calculateOccupiedAreaForCube = (cube) => {
   return area;
 };
 
-export const tryPlaceGame = (cube, game, width, height, orientationLabel = null) => {
-  const actualWidth = width;
-  const actualHeight = height;
-  const packedWidth = Math.min(width, CUBE_SIZE);
-  const packedHeight = Math.min(height, CUBE_SIZE);
+/**
+ * Layers a game may be packed into, front first.
+ * Only boxes at most half the cube depth can go in the back row.
+ */
+const getCandidateLayers = (cube, depth) => {
+  if (cube.depthLayers && depth > 0 && depth <= getCubeBounds(cube).depth / 2) {
+    return [DEPTH_LAYERS.FRONT, DEPTH_LAYERS.BACK];
+  }
+  return [DEPTH_LAYERS.FRONT];
+};
 
+/*
+ * Records a game at a position in the cube and updates the cached occupied area.
+ */
+const commitPlacement = (cube, game, position, layer, width, height, orientationLabel) => {
+  const bounds = getCubeBounds(cube);
+  const packedWidth = Math.min(width, bounds.width);
+  const packedHeight = Math.min(height, bounds.height);
   const depthDimension = game.maxDepth || 0;
 
-  const gameArea = packedWidth * packedHeight;
-  const cubeArea = CUBE_AREA;
+  game.position = position;
+  game.layer = layer;
+  game.packedDims = { x: packedWidth, y: packedHeight, z: depthDimension };
+  game.actualDims = { x: width, y: height, z: depthDimension };
+  game.oversizedX = width > bounds.oversizedWidth;
+  game.oversizedY = height > bounds.oversizedHeight;
+  if (orientationLabel) {
+    game.appliedOrientation = orientationLabel;
+  } else if (!game.appliedOrientation) {
+    game.appliedOrientation =
+      packedWidth >= packedHeight ? 'horizontal' : 'vertical';
+  }
+  cube.games.push(game);
 
-  if (cube.occupiedArea + gameArea > cubeArea) {
+  // Update cached occupied area
+  cube.occupiedArea += packedWidth * packedHeight;
+};
+
+/**
+ * Places a game in a cube at the first free position, in the front row or (for shallow
+ * boxes in a cube with depth layers) the back row.
+ * @param {Object|null} [trace] - Decision trace (options.trace); records the attempt and any stability swap
+ * @returns {boolean} Whether the game was placed
+ */
+export const tryPlaceGame = (cube, game, width, height, orientationLabel = null, trace = null) => {
+  const bounds = getCubeBounds(cube);
+  const packedWidth = Math.min(width, bounds.width);
+  const packedHeight = Math.min(height, bounds.height);
+
+  const depthDimension = game.maxDepth || 0;
+
+  const gameArea = packedWidth * packedHeight;
+  const reject = () => {
+    recordTraceEvent(trace, game, {
+      step: TRACE_STEPS.PLACE,
+      outcome: TRACE_OUTCOMES.REJECTED,
+      cube,
+      orientation: orientationLabel,
+      reason: getRejectionReason(cube, width, height),
+    });
     return false;
+  };
+
+  if (cube.occupiedArea + gameArea > getCubeFillLimit(cube)) {
+    return reject();
   }
 
-  const position = findPosition(cube, packedWidth, packedHeight);
+  let position = null;
+  let layer = DEPTH_LAYERS.FRONT;
+  for (const candidateLayer of getCandidateLayers(cube, depthDimension)) {
+    position = findPosition(
+      cube,
+      packedWidth,
+      packedHeight,
+      getLayerObstacles(cube, candidateLayer, depthDimension),
+    );
+    if (position) {
+      layer = candidateLayer;
+      break;
+    }
+  }
 
   if (position) {
-    game.position = position;
-    game.packedDims = { x: packedWidth, y: packedHeight, z: depthDimension };
-    game.actualDims = { x: actualWidth, y: actualHeight, z: depthDimension };
-    game.oversizedX = actualWidth > OVERSIZED_THRESHOLD;
-    game.oversizedY = actualHeight > OVERSIZED_THRESHOLD;
-    if (orientationLabel) {
-      game.appliedOrientation = orientationLabel;
-    } else if (!game.appliedOrientation) {
-      game.appliedOrientation =
-        packedWidth >= packedHeight ? 'horizontal' : 'vertical';
-    }
-    cube.games.push(game);
-    
-    // Update cached occupied area
-    cube.occupiedArea += gameArea;
+    commitPlacement(cube, game, position, layer, width, height, orientationLabel);
+    recordTraceEvent(trace, game, {
+      step: TRACE_STEPS.PLACE,
+      outcome: TRACE_OUTCOMES.PLACED,
+      cube,
+      orientation: game.appliedOrientation,
+    });
+    checkAndImproveStability(cube, game, trace);
+    return true;
+  }
+
+  return reject();
+};
 
-    checkAndImproveStability(cube, game);
+/**
+ * Places a game on the cube floor at a fixed x offset, in the front row.
+ * Used for pinned games, which must not be moved to another spot; pins may use the cube's headroom.
+ * @param {Object} cube - The cube object
+ * @param {Object} game - The game to place
+ * @param {number} x - Left edge of the box, or null to place it against the right wall
+ * @returns {boolean} Whether the spot was free
+ */
+export const tryPlaceGameAt = (cube, game, x, width, height, orientationLabel = null) => {
+  const bounds = getCubeBounds(cube);
+  const packedWidth = Math.min(width, bounds.width);
+  const packedHeight = Math.min(height, bounds.height);
+  const left = x ?? bounds.width - packedWidth;
+  const obstacles = getLayerObstacles(cube, DEPTH_LAYERS.FRONT, game.maxDepth || 0);
 
-    return true;
+  if (
+    cube.occupiedArea + packedWidth * packedHeight > getCubeCapacity(cube) ||
+    left < 0 ||
+    hasCollision(left, 0, packedWidth, packedHeight, obstacles)
+  ) {
+    return false;
   }
 
-  return false;
+  commitPlacement(cube, game, { x: left, y: 0 }, DEPTH_LAYERS.FRONT, width, height, orientationLabel);
+  return true;
 };
 
+/**
+ * Repacks a cube's face from scratch in sort order with the new game added.
+ * @param {Object|null} [trace] - Decision trace (options.trace); records why the attempt failed or succeeded
+ * @returns {boolean} Whether the new game fit; on failure the cube is restored
+ */
 export const tryAggressiveReorganization = (
   cube,
   newGame,
@@ -64,11 +162,31 @@ export const tryAggressiveReorganization = (
   height,
   sortRules,
   orientationLabel = null,
+  trace = null,
 ) => {
   const gameArea = getSafeGameArea(newGame) || width * height;
-  const cubeArea = CUBE_AREA;
+  const faceArea = getCubeBounds(cube).area;
+  const cubeArea = getCubeFillLimit(cube, faceArea);
+  const record = (outcome, reason) =>
+    recordTraceEvent(trace, newGame, {
+      step: TRACE_STEPS.REORGANIZE,
+      outcome,
+      cube,
+      orientation: orientationLabel,
+      reason,
+    });
 
   if (cube.occupiedArea + gameArea > cubeArea) {
+    record(
+      TRACE_OUTCOMES.REJECTED,
+      cube.occupiedArea + gameArea > faceArea ? TRACE_REASONS.NOT_ENOUGH_SPACE : TRACE_REASONS.HEADROOM,
+    );
+    return false;
+  }
+
+  // Reorganizing rebuilds a single face; leave cubes with a back row or a pinned game alone
+  if (cube.games.some((g) => g.layer === DEPTH_LAYERS.BACK || g.pinned)) {
+    record(TRACE_OUTCOMES.SKIPPED, TRACE_REASONS.CUBE_LOCKED);
     return false;
   }
 
@@ -110,6 +228,7 @@ export const tryAggressiveReorganization = (
       const depthDimension = gameToPlace.maxDepth || 0;
 
       gameToPlace.position = position;
+      gameToPlace.layer = DEPTH_LAYERS.FRONT;
       gameToPlace.packedDims = { x: gWidth, y: gHeight, z: depthDimension };
       gameToPlace.actualDims = gameToPlace.actualDims || {
         x: gWidth,
@@ -130,6 +249,7 @@ export const tryAggressiveReorganization = (
   }
 
   if (!failedToPlace) {
+    record(TRACE_OUTCOMES.PLACED);
     return true;
   }
 
@@ -143,6 +263,7 @@ export const tryAggressiveReorganization = (
     cube.games.push(orig.game);
   }
 
+  record(TRACE_OUTCOMES.REJECTED, TRACE_REASONS.NO_ROOM_AFTER_REORGANIZING);
   return false;
 };
 
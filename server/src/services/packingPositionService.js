@@ -1,5 +1,11 @@
+import { DEFAULT_PACKING_BOUNDS } from './shelfProfileService.js';
+
 const GRID_PRECISION = 0.1;
-const CUBE_SIZE = 12.5;
+
+export const DEPTH_LAYERS = {
+  FRONT: 'front',
+  BACK: 'back',
+};
 
 export const roundToGrid = (value) => Math.round(value / GRID_PRECISION) * GRID_PRECISION;
 
@@ -28,6 +34,46 @@ export const calculateBothOrientations = (dims) => {
   };
 };
 
+/**
+ * Finds footprints for a box whose longest side is deeper than the cube.
+ * Tries the remaining sides as the depth axis, deepest first, and keeps the first
+ * rotation whose face fits the cube opening in both stacking orientations.
+ * @param {Object} dims - Box dimensions (length, width, depth)
+ * @param {Object} bounds - Cube packing bounds
+ * @returns {Object|null} { depth, horizontal, vertical } or null if no rotation fits
+ */
+export const calculateDepthFittingOrientations = (dims, bounds) => {
+  const sorted = [dims.length, dims.width, dims.depth]
+    .filter(d => Number.isFinite(d) && d > 0)
+    .sort((a, b) => b - a);
+
+  if (sorted.length < 3) {
+    return null;
+  }
+
+  const maxFaceSide = Math.min(bounds.width, bounds.height);
+
+  for (const depthIndex of [1, 2]) {
+    const depth = sorted[depthIndex];
+    if (depth > bounds.depth) {
+      continue;
+    }
+
+    const [longSide, shortSide] = sorted.filter((_, index) => index !== depthIndex);
+    if (longSide > maxFaceSide) {
+      continue;
+    }
+
+    return {
+      depth,
+      horizontal: { x: longSide, y: shortSide },
+      vertical: { x: shortSide, y: longSide },
+    };
+  }
+
+  return null;
+};
+
 export const hasCollision = (x, y, width, height, games) => {
   const epsilon = GRID_PRECISION * 0.5;
 
@@ -83,17 +129,81 @@ export const hasFullSupport = (x, y, width, games) => {
   return true;
 };
 
-export const findPosition = (cube, width, height) => {
-  const maxX = CUBE_SIZE - width + GRID_PRECISION * 0.5;
-  const maxY = CUBE_SIZE - height + GRID_PRECISION * 0.5;
+/**
+ * Returns the packing bounds attached to a cube, falling back to the default shelf profile.
+ * @param {Object} cube - The cube object
+ * @returns {Object} Bounds with width, height, depth and area
+ */
+export const getCubeBounds = (cube) => cube?.bounds ?? DEFAULT_PACKING_BOUNDS;
+
+/**
+ * Total face area a cube can hold; cubes packed in depth layers hold two rows.
+ * @param {Object} cube - The cube object
+ * @returns {number} Capacity in square inches
+ */
+export const getCubeCapacity = (cube) =>
+  getCubeBounds(cube).area * (cube?.depthLayers ? 2 : 1);
+
+/**
+ * Face area packing may fill before the cube's headroom is reached.
+ * An empty cube always takes its first box, so a box larger than the allowance still gets a cube.
+ * @param {Object} cube - The cube object
+ * @param {number} [capacity] - Area the headroom is taken from (the full cube capacity by default)
+ * @returns {number} Fill limit in square inches
+ */
+export const getCubeFillLimit = (cube, capacity = getCubeCapacity(cube)) =>
+  cube?.games?.length > 0 ? capacity * (1 - (cube.headroom ?? 0)) : capacity;
+
+export const getGameLayer = (game) =>
+  game?.layer === DEPTH_LAYERS.BACK ? DEPTH_LAYERS.BACK : DEPTH_LAYERS.FRONT;
+
+/**
+ * Returns the games that block a footprint on one depth layer.
+ * Boxes on the other layer only block when the two boxes together are deeper than the cube.
+ * @param {Object} cube - The cube object
+ * @param {string} layer - Layer being packed ('front' or 'back')
+ * @param {number} depth - Depth of the box being placed
+ * @returns {Array} Games to treat as obstacles and supports
+ */
+export const getLayerObstacles = (cube, layer, depth) => {
+  if (!cube.depthLayers) {
+    return cube.games;
+  }
+
+  const cubeDepth = getCubeBounds(cube).depth;
+  return cube.games.filter(
+    (game) =>
+      getGameLayer(game) === layer || (game.packedDims?.z ?? 0) + depth > cubeDepth,
+  );
+};
+
+export const PLACEMENT_ENGINES = {
+  EVENT_POINTS: 'event-points',
+  GRID_SCAN: 'grid-scan',
+};
+
+/**
+ * Reference placement: walks every grid cell bottom-to-top, left-to-right and
+ * returns the first one that is free and fully supported.
+ * Kept for benchmarking and as a fallback engine.
+ * @param {Object} cube - The cube object
+ * @param {number} width - Footprint width
+ * @param {number} height - Footprint height
+ * @param {Array} [games] - Obstacles and supports (defaults to every game in the cube)
+ * @returns {Object|null} { x, y } or null if the footprint does not fit
+ */
+export const findPositionByGridScan = (cube, width, height, games = cube.games) => {
+  const bounds = getCubeBounds(cube);
+  const maxX = bounds.width - width + GRID_PRECISION * 0.5;
+  const maxY = bounds.height - height + GRID_PRECISION * 0.5;
 
   for (let y = 0; y <= maxY; y = roundToGrid(y + GRID_PRECISION)) {
     for (let x = 0; x <= maxX; x = roundToGrid(x + GRID_PRECISION)) {
-      if (hasCollision(x, y, width, height, cube.games)) {
+      if (hasCollision(x, y, width, height, games)) {
         continue;
       }
 
-      if (y >= GRID_PRECISION && !hasFullSupport(x, y, width, cube.games)) {
+      if (y >= GRID_PRECISION && !hasFullSupport(x, y, width, games)) {
         continue;
       }
 
@@ -104,9 +214,96 @@ export const findPosition = (cube, width, height) => {
   return null;
 };
 
+/**
+ * Grid steps that can hold the first valid coordinate after an edge.
+ * Collision and support checks accept a half-step of slack, so the edge is
+ * snapped to the grid cells on either side of `edge - epsilon`.
+ */
+const addEventSteps = (steps, edge, maxStep) => {
+  const base = Math.floor((edge - GRID_PRECISION * 0.5) / GRID_PRECISION);
+  for (const step of [base, base + 1]) {
+    if (step >= 0 && step <= maxStep) {
+      steps.add(step);
+    }
+  }
+};
+
+const toSortedSteps = (steps) => [...steps].sort((a, b) => a - b);
+
+/**
+ * Event-point placement: only tries coordinates where the grid scan could first
+ * succeed, i.e. the cube origin, the right/top edges of placed boxes (where a
+ * collision ends) and the left edges of boxes (where support starts).
+ * Candidates are visited in the same bottom-to-top, left-to-right order and
+ * checked with the same collision and support rules, so it returns exactly the
+ * position the grid scan would.
+ * @param {Object} cube - The cube object
+ * @param {number} width - Footprint width
+ * @param {number} height - Footprint height
+ * @param {Array} [games] - Obstacles and supports (defaults to every game in the cube)
+ * @returns {Object|null} { x, y } or null if the footprint does not fit
+ */
+export const findPositionByEventPoints = (cube, width, height, games = cube.games) => {
+  const bounds = getCubeBounds(cube);
+  const maxX = bounds.width - width + GRID_PRECISION * 0.5;
+  const maxY = bounds.height - height + GRID_PRECISION * 0.5;
+  if (maxX < 0 || maxY < 0) {
+    return null;
+  }
+
+  const maxXStep = Math.floor(roundToGrid(maxX) / GRID_PRECISION + 1e-9);
+  const maxYStep = Math.floor(roundToGrid(maxY) / GRID_PRECISION + 1e-9);
+
+  const xSteps = new Set([0]);
+  const ySteps = new Set([0]);
+  for (const game of games) {
+    addEventSteps(xSteps, game.position.x, maxXStep);
+    addEventSteps(xSteps, game.position.x + game.packedDims.x, maxXStep);
+    addEventSteps(ySteps, game.position.y + game.packedDims.y, maxYStep);
+  }
+
+  const xs = toSortedSteps(xSteps).map((step) => roundToGrid(step * GRID_PRECISION));
+  const ys = toSortedSteps(ySteps).map((step) => roundToGrid(step * GRID_PRECISION));
+
+  for (const y of ys) {
+    if (y > maxY) {
+      break;
+    }
+    for (const x of xs) {
+      if (x > maxX) {
+        break;
+      }
+
+      if (hasCollision(x, y, width, height, games)) {
+        continue;
+      }
+
+      if (y >= GRID_PRECISION && !hasFullSupport(x, y, width, games)) {
+        continue;
+      }
+
+      return { x, y };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Finds the lowest, then left-most, free and fully supported spot for a footprint.
+ * Uses the cube's placement engine (event points unless the cube opts into the grid scan).
+ * @param {Object} cube - The cube object
+ * @param {number} width - Footprint width
+ * @param {number} height - Footprint height
+ * @param {Array} [games] - Obstacles and supports (defaults to every game in the cube)
+ * @returns {Object|null} { x, y } or null if the footprint does not fit
+ */
+export const findPosition = (cube, width, height, games = cube.games) =>
+  cube?.placementEngine === PLACEMENT_ENGINES.GRID_SCAN
+    ? findPositionByGridScan(cube, width, height, games)
+    : findPositionByEventPoints(cube, width, height, games);
+
 export const PACKING_CONSTANTS = {
   GRID_PRECISION,
-  CUBE_SIZE,
-  CUBE_AREA: CUBE_SIZE * CUBE_SIZE,
 };
 
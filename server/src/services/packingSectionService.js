@@ -0,0 +1,202 @@
+import { getGroupRepresentative } from './packingGroupService.js';
+import { compareGames } from './packingSortService.js';
+import { SHELF_FILL_ORDERS } from './shelfLayoutService.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Where a new section starts: in the next cube, or at the start of the next shelf row.
+ */
+export const SECTION_BREAK_MODES = {
+  CUBE: 'cube',
+  ROW: 'row',
+};
+
+const LETTER_FIELDS = new Set(['gameName', 'versionName']);
+const LIST_FIELDS = new Set(['categories', 'families', 'mechanics']);
+const UNKNOWN_SECTION = 'Unknown';
+
+// Numeric fields with fine-grained values are sectioned by ranges of this size, starting at
+// `from`; other numbers by their whole-number part
+const NUMBER_SECTION_RANGES = {
+  bggRank: { size: 100, from: 1 },
+  minPlaytime: { size: 30, from: 0 },
+  maxPlaytime: { size: 30, from: 0 },
+  numplays: { size: 10, from: 0 },
+  volume: { size: 500, from: 0 },
+  area: { size: 50, from: 0 },
+  gameId: { size: 10000, from: 0 },
+  versionId: { size: 10000, from: 0 },
+};
+const DECADE_FIELDS = new Set(['gamePublishedYear', 'versionPublishedYear']);
+
+const getNumberSectionLabel = (value, field) => {
+  if (DECADE_FIELDS.has(field)) {
+    return value > 0 ? `${Math.floor(value / 10) * 10}s` : UNKNOWN_SECTION;
+  }
+
+  const range = NUMBER_SECTION_RANGES[field];
+  if (!range) {
+    return String(Math.floor(value));
+  }
+  if (value < range.from) {
+    return UNKNOWN_SECTION;
+  }
+  const start = range.from + Math.floor((value - range.from) / range.size) * range.size;
+  return `${start}–${start + range.size - 1}`;
+};
+
+/**
+ * Resolves section breaks from the request payload.
+ * Sections follow one of the sort rules; a field that is not sorted on has no sections.
+ * Row breaks need a shelf grid to know where a row ends and fall back to cube breaks without one.
+ * @param {Object} [input] - Section breaks from the request payload ({ field, breakAt, minSectionSize })
+ * @param {Array} sortRules - Sort rules in priority order
+ * @param {Object} [layout] - Resolved shelf layout from resolveShelfLayout
+ * @returns {Object|null} Section breaks with the sort rule, breakAt, minSectionSize and
+ *   lineLength (cubes from one section start to the next possible one), or null when off
+ */
+export const resolveSectionBreaks = (input, sortRules, layout = null) => {
+  if (typeof input?.field !== 'string') {
+    return null;
+  }
+
+  const rule = sortRules.find((sortRule) => sortRule.field === input.field);
+  if (!rule) {
+    logger.warn(`   ⚠️  Section breaks on "${input.field}" ignored: the collection is not sorted by it`);
+    return null;
+  }
+
+  const breakAt =
+    input.breakAt === SECTION_BREAK_MODES.ROW && layout ? SECTION_BREAK_MODES.ROW : SECTION_BREAK_MODES.CUBE;
+  let lineLength = 1;
+  if (breakAt === SECTION_BREAK_MODES.ROW) {
+    lineLength = layout.fillOrder === SHELF_FILL_ORDERS.COLUMN_MAJOR ? layout.rows : layout.columns;
+  }
+
+  return {
+    rule,
+    breakAt,
+    lineLength,
+    minSectionSize:
+      Number.isInteger(input.minSectionSize) && input.minSectionSize > 0 ? input.minSectionSize : 0,
+  };
+};
+
+/**
+ * Names the section a game belongs to: the first letter of a name ('#' for digits and
+ * symbols), the first entry of a list such as categories, its owners, or for a number its
+ * range (ranks by the hundred, years by decade) or whole-number part.
+ * @param {Object} game - The game
+ * @param {string} field - Sort field the sections follow
+ * @returns {string} Section label
+ */
+export const getSectionLabel = (game, field) => {
+  if (LETTER_FIELDS.has(field)) {
+    const name = field === 'gameName' ? game.gameName || game.name : game.versionName;
+    const first = typeof name === 'string' ? name.trim().charAt(0).toUpperCase() : '';
+    if (!first) {
+      return UNKNOWN_SECTION;
+    }
+    return /\p{L}/u.test(first) ? first : '#';
+  }
+
+  if (LIST_FIELDS.has(field)) {
+    return game[field]?.[0] || UNKNOWN_SECTION;
+  }
+
+  if (field === 'owner') {
+    return game.owners?.length > 0 ? game.owners.join(' & ') : UNKNOWN_SECTION;
+  }
+
+  const value = game[field];
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value >= 0 ? getNumberSectionLabel(value, field) : UNKNOWN_SECTION;
+  }
+  return typeof value === 'string' && value.length > 0 ? value : UNKNOWN_SECTION;
+};
+
+/*
+ * Folds sections smaller than the threshold into the section before them (the first one
+ * into the section after it). A merged section is labelled with its first and last label.
+ */
+const mergeSmallSections = (sections, minSectionSize) => {
+  const countGames = (section) =>
+    section.groups.reduce((sum, { group }) => sum + group.length, 0) +
+    section.games.length +
+    section.displacedGames.length;
+
+  const merged = [];
+  for (const section of sections) {
+    const previous = merged[merged.length - 1];
+    if (previous && (countGames(section) < minSectionSize || countGames(previous) < minSectionSize)) {
+      previous.groups.push(...section.groups);
+      previous.games.push(...section.games);
+      previous.displacedGames.push(...section.displacedGames);
+      previous.lastLabel = section.lastLabel;
+    } else {
+      merged.push(section);
+    }
+  }
+
+  return merged.map(({ firstLabel, lastLabel, groups, games, displacedGames }) => ({
+    label: firstLabel === lastLabel ? firstLabel : `${firstLabel} – ${lastLabel}`,
+    groups,
+    games,
+    displacedGames,
+  }));
+};
+
+/**
+ * Splits sorted groups and games into sections, in the order of the section's sort rule.
+ * Placement order inside a section is kept; a group goes to the section of its representative.
+ * @param {Array} sortedGroups - Groups from sortGroupsAndStandaloneGames
+ * @param {Array} standaloneGames - Standalone games in placement order
+ * @param {Array} displacedGames - Pinned games that did not fit their pinned spot
+ * @param {Array} sortRules - Sort rules in priority order
+ * @param {Object} sectionBreaks - Resolved section breaks from resolveSectionBreaks
+ * @returns {Array} Sections as { label, groups, games, displacedGames }
+ */
+export const splitIntoSections = (
+  sortedGroups,
+  standaloneGames,
+  displacedGames,
+  sortRules,
+  sectionBreaks,
+) => {
+  const { field } = sectionBreaks.rule;
+  const sectionsByLabel = new Map();
+  const getSection = (game) => {
+    const label = getSectionLabel(game, field);
+    if (!sectionsByLabel.has(label)) {
+      sectionsByLabel.set(label, {
+        firstLabel: label,
+        lastLabel: label,
+        representative: game,
+        groups: [],
+        games: [],
+        displacedGames: [],
+      });
+    }
+    const section = sectionsByLabel.get(label);
+    if (compareGames(game, section.representative, [sectionBreaks.rule]) < 0) {
+      section.representative = game;
+    }
+    return section;
+  };
+
+  for (const entry of sortedGroups) {
+    getSection(getGroupRepresentative(entry.group, sortRules)).groups.push(entry);
+  }
+  for (const game of standaloneGames) {
+    getSection(game).games.push(game);
+  }
+  for (const game of displacedGames) {
+    getSection(game).displacedGames.push(game);
+  }
+
+  const sections = [...sectionsByLabel.values()].sort((left, right) =>
+    compareGames(left.representative, right.representative, [sectionBreaks.rule]),
+  );
+
+  return mergeSmallSections(sections, sectionBreaks.minSectionSize);
+};
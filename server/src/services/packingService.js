@@ -3,13 +3,73 @@ import {
   prepareGamesForPacking,
   processGameGroups,
   sortGroupsAndStandaloneGames,
-  placeGroups,
-  placeStandaloneGame,
-  getUnplacedGroupGames,
+  placeSortedGames,
 } from './packingOrchestrationService.js';
-import { compareGames } from './packingSortService.js';
-import { getSafeGameArea } from '../utils/packingHelpers.js';
+import { createPackingSnapshot, optimizePacking } from './packingOptimizerService.js';
+import {
+  buildIncrementalReport,
+  matchPreviousLayout,
+  placeIncrementally,
+} from './packingIncrementalService.js';
+import { buildInventoryReport } from './shelfInventoryService.js';
+import { assignShelfPositions } from './shelfLayoutService.js';
+import { applyCubeWeights } from './cubeWeightService.js';
+import { buildSeriesReport } from './groupingService.js';
+import { splitPinnedGames } from './packingPinService.js';
+import { appendGrowthCubes, buildReserveReport } from './shelfReserveService.js';
+import { attachPackingTraces, createPackingTrace } from './packingTraceService.js';
+import { validatePackedLayout } from './packingValidationService.js';
+import {
+  DEFAULT_SHELF_PROFILE,
+  getPackingBounds,
+  getProfileDisplayArea,
+} from './shelfProfileService.js';
+import { logger } from '../utils/logger.js';
+
+/*
+ * Runs the layout check of a debug run and logs what it found.
+ */
+const checkLayout = (cubes, games, excluded) => {
+  const validation = validatePackedLayout(cubes, games, excluded);
+  if (validation.valid) {
+    logger.log(`   ✅ Layout check: ${validation.checkedGames} games in ${validation.checkedCubes} cubes are valid`);
+  } else {
+    logger.warn(`   🚨 Layout check: ${validation.violations.length} violation(s)`);
+    validation.violations.forEach(({ type, message }) => logger.warn(`      • [${type}] ${message}`));
+  }
+  return validation;
+};
 
+/**
+ * Packs games into shelf cubes.
+ * Games carrying a `pinnedPlacement` override go into their pinned cube before the rest.
+ * @param {Object} [shelfProfile] - Resolved shelf profile (defaults to Kallax)
+ * @param {Object} [options] - Optional packing features
+ * @param {boolean} [options.depthLayers] - Pack shallow boxes in a second row behind the first
+ * @param {string} [options.placementEngine] - Position search ('event-points' by default, or 'grid-scan')
+ * @param {Object} [options.optimizer] - Run the cube-count optimizer after the greedy pass
+ * @param {number} [options.optimizer.timeBudgetMs] - Time budget for the optimizer search
+ * @param {Object} [options.inventory] - Shelf inventory from resolveShelfInventory; caps the cube count
+ * @param {Object} [options.shelfLayout] - Shelf grid from resolveShelfLayout; places cubes on the shelf
+ * @param {number} [options.maxCubeWeight] - Load limit of one cube in pounds; heavier cubes are flagged
+ * @param {number} [options.boxClearance] - Margin in inches added to every side of every box
+ * @param {Object} [options.previousLayout] - Layout from resolvePreviousLayout; games stay in
+ *   their previous cubes where possible and the optimizer is skipped
+ * @param {Object} [options.seriesGrouping] - Keep games of one series together
+ * @param {Array} [options.seriesGrouping.familyTypes] - Family kinds from resolveSeriesFamilyTypes
+ * @param {Object} [options.reserve] - Space kept free from resolveShelfReserve: spare cubes added
+ *   after the packed ones, shelf slots that stay empty and headroom left in every cube
+ * @param {Object} [options.sectionBreaks] - Start a new cube (or shelf row) whenever the section
+ *   of a sort rule changes, from resolveSectionBreaks; not applied to incremental runs
+ * @param {boolean} [options.explain] - Record why every game ended up in its cube (game.trace)
+ * @param {boolean} [options.validateLayout] - Check the finished layout with validatePackedLayout
+ *   and log every violation
+ * @returns {Object} The packed cubes, oversized games excluded from packing, the optimizer
+ *   stats when it ran, the inventory report when an inventory was declared, the shelf
+ *   layout summary when a grid was requested, the incremental report when a previous
+ *   layout was given, the series report when series grouping was on, the reserve report
+ *   when space was reserved and the layout check when validateLayout was on
+ */
 export const packGamesIntoCubes = (
   games,
   sortRules,
@@ -19,24 +79,56 @@ export const packGamesIntoCubes = (
   backfillPercentage,
   fitOversized = false,
   groupExpansions = false,
+  shelfProfile = DEFAULT_SHELF_PROFILE,
+  options = {},
 ) => {
   const primaryOrder = stacking === 'horizontal' ? 'horizontal' : 'vertical';
+  const bounds = getPackingBounds(shelfProfile);
+  const { inventory, seriesGrouping, reserve } = options;
+  const previousLayout = options.previousLayout
+    ? matchPreviousLayout(options.previousLayout, games)
+    : null;
+  // Spare cubes come out of the inventory before anything is packed
+  const maxCubes = inventory
+    ? Math.max(0, inventory.totalCubes - (reserve?.emptyCubes ?? 0))
+    : Infinity;
 
   // Prepare games: calculate dimensions and filter oversized
   const { validGames, oversizedExcludedGames } = prepareGamesForPacking(
     games,
     primaryOrder,
     fitOversized,
+    bounds,
+    options.boxClearance,
   );
 
+  // Pinned games are seeded into their cubes by each placement pass, not grouped or sorted
+  const { pinnedGames, unpinnedGames } = splitPinnedGames(validGames, maxCubes, reserve?.slots);
+  const trace = options.explain ? createPackingTrace() : null;
+  const placementOptions = { ...options, maxCubes, pinnedGames, trace };
+
   if (validGames.length === 0) {
-    return { cubes: [], oversizedExcludedGames };
+    return {
+      cubes: [],
+      oversizedExcludedGames,
+      optimizerStats: null,
+      inventory: inventory ? buildInventoryReport([], [], inventory, 0, 0) : null,
+      shelfLayout: options.shelfLayout ? assignShelfPositions([], options.shelfLayout) : null,
+      incremental: previousLayout ? buildIncrementalReport([], [], previousLayout) : null,
+      series: seriesGrouping ? buildSeriesReport([], [], seriesGrouping.familyTypes) : null,
+      reserve: reserve ? buildReserveReport([], reserve) : null,
+      validation: options.validateLayout
+        ? checkLayout([], games, { oversizedExcludedGames, overflowGames: [] })
+        : null,
+    };
   }
 
   // Process groups if needed
-  const { gameGroups, standaloneGames } = processGameGroups(
-    validGames,
+  const { gameGroups, standaloneGames, seriesGroups } = processGameGroups(
+    unpinnedGames,
     groupExpansions,
+    bounds,
+    seriesGrouping?.familyTypes ?? null,
   );
 
   // Sort groups and standalone games
@@ -47,71 +139,146 @@ export const packGamesIntoCubes = (
     optimizeSpace,
   );
 
-  // Initialize cubes and tracking
-  const cubes = [];
-  const placed = new Set();
-
-  // Place groups first
-  placeGroups(
-    sortedGroups,
-    cubes,
-    primaryOrder,
-    lockRotation,
-    optimizeSpace,
-    backfillPercentage,
-    placed,
-  );
-
-  // Get unplaced group games and add to standalone
-  const unplacedGroupGames = getUnplacedGroupGames(sortedGroups, placed);
-  if (unplacedGroupGames.length > 0) {
-    // When optimizing space, sort unplaced group games by area descending ONLY
-    if (optimizeSpace) {
-      unplacedGroupGames.sort((a, b) => {
-        const areaA = getSafeGameArea(a);
-        const areaB = getSafeGameArea(b);
-        return areaB - areaA; // No tiebreaker, just area descending
-      });
-    } else {
-      unplacedGroupGames.sort((a, b) => compareGames(a, b, sortRules));
-    }
-    console.log(`   Adding ${unplacedGroupGames.length} unplaced group games to pack individually`);
-  }
+  // The optimizer replays placement from the sorted input, so capture it untouched.
+  // Incremental runs skip it: reshuffling for fewer cubes is exactly what they avoid.
+  const snapshot = options.optimizer && !previousLayout
+    ? createPackingSnapshot(sortedGroups, sortedStandaloneGames)
+    : null;
 
-  // Place standalone games
-  for (const game of sortedStandaloneGames) {
-    placeStandaloneGame(
-      game,
-      cubes,
+  let cubes;
+  let overflowGames;
+  if (previousLayout) {
+    ({ cubes, overflowGames } = placeIncrementally(
+      sortedGroups,
+      sortedStandaloneGames,
+      previousLayout,
       primaryOrder,
       lockRotation,
       sortRules,
-      optimizeSpace,
       backfillPercentage,
-      placed,
-    );
-  }
-
-  // Place unplaced group games individually
-  for (const game of unplacedGroupGames) {
-    placeStandaloneGame(
-      game,
-      cubes,
+      bounds,
+      placementOptions,
+    ));
+  } else {
+    ({ cubes, overflowGames } = placeSortedGames(
+      sortedGroups,
+      sortedStandaloneGames,
       primaryOrder,
       lockRotation,
       sortRules,
       optimizeSpace,
       backfillPercentage,
-      placed,
+      bounds,
+      placementOptions,
+    ));
+  }
+  const greedyCubes = cubes;
+
+  let optimizerStats = null;
+  if (snapshot) {
+    const optimized = optimizePacking(
+      { cubes, overflowGames },
+      snapshot,
+      {
+        primaryOrder,
+        lockRotation,
+        sortRules,
+        optimizeSpace,
+        backfillPercentage,
+        bounds,
+        options: placementOptions,
+      },
+      options.optimizer.timeBudgetMs,
+    );
+    cubes = optimized.cubes;
+    overflowGames = optimized.overflowGames;
+    optimizerStats = optimized.stats;
+    logger.log(
+      `   🧮 Optimizer: ${optimizerStats.baselineCubes} → ${optimizerStats.optimizedCubes} cubes ` +
+        `(${optimizerStats.iterations} iterations in ${optimizerStats.elapsedMs}ms)`,
     );
   }
 
+  const growthCubeCount = appendGrowthCubes(cubes, bounds, options);
+  if (growthCubeCount > 0) {
+    logger.log(`   🪴 ${growthCubeCount} empty cube(s) reserved for new games`);
+  }
+
   // Finalize cubes
   for (let i = 0; i < cubes.length; i += 1) {
     finalizeCube(cubes[i], i);
   }
+  if (trace) {
+    attachPackingTraces(cubes, trace, { optimized: cubes !== greedyCubes });
+  }
+
+  let incremental = null;
+  if (previousLayout) {
+    incremental = buildIncrementalReport(cubes, overflowGames, previousLayout);
+    logger.log(
+      `   📦 Incremental: ${incremental.keptGames} games kept their cube, ` +
+        `${incremental.movedGames} moved, ${incremental.addedGames} added`,
+    );
+  }
+
+  let series = null;
+  if (seriesGrouping) {
+    series = buildSeriesReport(cubes, seriesGroups, seriesGrouping.familyTypes);
+    if (series.splitGroups.length > 0) {
+      logger.log(`   📚 ${series.splitGroups.length} of ${series.groupCount} series span more than one cube`);
+    }
+  }
+
+  const { overWeightCubeCount } = applyCubeWeights(cubes, options.maxCubeWeight);
+  if (overWeightCubeCount > 0) {
+    logger.log(`   ⚖️  ${overWeightCubeCount} cubes exceed the ${options.maxCubeWeight} lb weight limit`);
+  }
+
+  const shelfLayout = options.shelfLayout ? assignShelfPositions(cubes, options.shelfLayout) : null;
 
-  return { cubes, oversizedExcludedGames };
+  let inventoryReport = null;
+  if (inventory) {
+    // Pack the overflow on its own to tell how much more furniture it needs;
+    // new furniture keeps the headroom but not the reserved slots
+    const { cubes: extraCubes } = placeSortedGames(
+      [],
+      overflowGames,
+      primaryOrder,
+      lockRotation,
+      sortRules,
+      optimizeSpace,
+      backfillPercentage,
+      bounds,
+      { ...options, reserve: reserve ? { ...reserve, slots: [] } : null, quiet: true },
+    );
+    inventoryReport = buildInventoryReport(
+      cubes,
+      overflowGames,
+      inventory,
+      extraCubes.length,
+      getProfileDisplayArea(shelfProfile),
+    );
+    if (overflowGames.length > 0) {
+      logger.log(
+        `   🗄️  ${overflowGames.length} games overflow the ${inventory.totalCubes}-cube inventory ` +
+          `(${inventoryReport.extraUnitsNeeded} more unit(s) needed)`,
+      );
+    }
+  }
+
+  return {
+    cubes,
+    oversizedExcludedGames,
+    optimizerStats,
+    inventory: inventoryReport,
+    shelfLayout,
+    incremental,
+    series,
+    reserve: reserve ? buildReserveReport(cubes, reserve) : null,
+    validation: options.validateLayout
+      ? checkLayout(cubes, games, { oversizedExcludedGames, overflowGames })
+      : null,
+  };
 };
 
 export { calculateStatsSummary, getOversizedStuffedGames } from './packingCubeService.js';
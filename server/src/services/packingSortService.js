@@ -33,6 +33,9 @@ const getGameSortValue = (game, field) => {
       return normalizeSortValue(game.families?.[0] || '');
     case 'mechanics':
       return normalizeSortValue(game.mechanics?.[0] || '');
+    case 'owner':
+      // Games owned together sort between those of each owner, e.g. "alice" < "alice, bob" < "bob"
+      return game.owners?.length > 0 ? normalizeSortValue(game.owners.join(', ')) : null;
     case 'area':
       // Use getSafeGameArea to ensure area is calculated correctly
       return getSafeGameArea(game);
@@ -1,6 +1,14 @@
-import { hasCollision, hasFullSupport, roundToGrid, PACKING_CONSTANTS } from './packingPositionService.js';
-
-const { GRID_PRECISION, CUBE_SIZE } = PACKING_CONSTANTS;
+import {
+  hasCollision,
+  hasFullSupport,
+  roundToGrid,
+  getCubeBounds,
+  DEPTH_LAYERS,
+  PACKING_CONSTANTS,
+} from './packingPositionService.js';
+import { TRACE_OUTCOMES, TRACE_STEPS, recordTraceEvent } from './packingTraceService.js';
+
+const { GRID_PRECISION } = PACKING_CONSTANTS;
 
 export const findSupportingGames = (x, y, width, games) => {
   if (y < GRID_PRECISION) return [];
@@ -30,6 +38,7 @@ const trySwapForStability = (cube, game1, game2) => {
     return false;
   }
 
+  const cubeWidth = getCubeBounds(cube).width;
   const [lowerGame, upperGame] =
     game1.packedDims.x > game2.packedDims.x ? [game1, game2] : [game2, game1];
 
@@ -67,7 +76,7 @@ const trySwapForStability = (cube, game1, game2) => {
   }
 
   if (!lowerNewPos) {
-    const maxX = CUBE_SIZE - lowerGame.packedDims.x + GRID_PRECISION * 0.5;
+    const maxX = cubeWidth - lowerGame.packedDims.x + GRID_PRECISION * 0.5;
     for (let testX = 0; testX <= maxX; testX = roundToGrid(testX + GRID_PRECISION)) {
       if (
         !hasCollision(
@@ -121,7 +130,7 @@ const trySwapForStability = (cube, game1, game2) => {
   }
 
   if (!upperNewPos) {
-    const maxX = CUBE_SIZE - upperGame.packedDims.x + GRID_PRECISION * 0.5;
+    const maxX = cubeWidth - upperGame.packedDims.x + GRID_PRECISION * 0.5;
     for (let testX = 0; testX <= maxX; testX = roundToGrid(testX + GRID_PRECISION)) {
       if (
         !hasCollision(
@@ -157,9 +166,18 @@ const trySwapForStability = (cube, game1, game2) => {
   return true;
 };
 
-export const checkAndImproveStability = (cube, placedGame) => {
+/**
+ * Swaps a newly placed box with a narrower box it rests on, so wider boxes sit lower.
+ * @param {Object} cube - The cube the game was placed in
+ * @param {Object} placedGame - The game just placed
+ * @param {Object|null} [trace] - Decision trace (options.trace); records each swap for both games
+ */
+export const checkAndImproveStability = (cube, placedGame, trace = null) => {
   if (placedGame.position.y < GRID_PRECISION) return;
 
+  // Swaps only reason about one face, so skip them once a back row exists
+  if (cube.depthLayers && cube.games.some((g) => g.layer === DEPTH_LAYERS.BACK)) return;
+
   const supporters = findSupportingGames(
     placedGame.position.x,
     placedGame.position.y,
@@ -170,9 +188,24 @@ export const checkAndImproveStability = (cube, placedGame) => {
   if (supporters.length === 0) return;
 
   for (const supporter of supporters) {
+    // Pinned games keep the spot they were pinned to
+    if (supporter.pinned) continue;
+
     if (placedGame.packedDims.x > supporter.packedDims.x + GRID_PRECISION) {
       if (trySwapForStability(cube, placedGame, supporter)) {
-        checkAndImproveStability(cube, placedGame);
+        recordTraceEvent(trace, placedGame, {
+          step: TRACE_STEPS.STABILITY,
+          outcome: TRACE_OUTCOMES.MOVED,
+          cube,
+          otherGame: supporter,
+        });
+        recordTraceEvent(trace, supporter, {
+          step: TRACE_STEPS.STABILITY,
+          outcome: TRACE_OUTCOMES.MOVED,
+          cube,
+          otherGame: placedGame,
+        });
+        checkAndImproveStability(cube, placedGame, trace);
         break;
       }
     }
@@ -0,0 +1,131 @@
+import {
+  getCubeBounds,
+  getCubeCapacity,
+  getCubeFillLimit,
+} from './packingPositionService.js';
+
+/**
+ * Packing steps a trace event can come from.
+ */
+export const TRACE_STEPS = {
+  PIN: 'pin',
+  PREVIOUS_CUBE: 'previous-cube',
+  GROUP: 'group',
+  BACKFILL: 'backfill',
+  REORGANIZE: 'reorganize',
+  PLACE: 'place',
+  NEW_CUBE: 'new-cube',
+  STABILITY: 'stability',
+  OPTIMIZER: 'optimizer',
+};
+
+/**
+ * Outcomes of a trace event.
+ */
+export const TRACE_OUTCOMES = {
+  PLACED: 'placed',
+  REJECTED: 'rejected',
+  SKIPPED: 'skipped',
+  SPLIT: 'split',
+  MOVED: 'moved',
+};
+
+/**
+ * Why an attempt was rejected or skipped.
+ */
+export const TRACE_REASONS = {
+  NOT_ENOUGH_SPACE: 'not-enough-space',
+  HEADROOM: 'headroom',
+  NO_FREE_POSITION: 'no-free-position',
+  NO_ROOM_AFTER_REORGANIZING: 'no-room-after-reorganizing',
+  CUBE_LOCKED: 'cube-locked',
+  OUTSIDE_BACKFILL_WINDOW: 'outside-backfill-window',
+  GROUP_DOES_NOT_FIT: 'group-does-not-fit',
+  CUBE_LIMIT: 'cube-limit',
+  PIN_SPOT_TAKEN: 'pin-spot-taken',
+  NO_LONGER_FITS: 'no-longer-fits',
+  RESERVED_SLOT: 'reserved-slot',
+};
+
+/**
+ * Creates an empty decision trace for one packing pass.
+ * @returns {Object} Trace holding the events of every game by game id
+ */
+export const createPackingTrace = () => ({ eventsByGameId: new Map() });
+
+/**
+ * Records one decision about a game. Does nothing without a trace, so callers can pass
+ * options.trace straight through.
+ * @param {Object|null} trace - Trace from createPackingTrace
+ * @param {Object} game - The game the decision is about
+ * @param {Object} event - { step, outcome, cube, orientation, reason, count, otherGame }; cube is the
+ *   cube object (resolved to its number once the cubes are finalized), a cube number when it is
+ *   already known, or null for a cube not opened
+ */
+export const recordTraceEvent = (trace, game, event) => {
+  if (!trace || game?.id === undefined) {
+    return;
+  }
+  if (!trace.eventsByGameId.has(game.id)) {
+    trace.eventsByGameId.set(game.id, []);
+  }
+  trace.eventsByGameId.get(game.id).push(event);
+};
+
+/**
+ * Tells why a box did not go into a cube in the given orientation.
+ * @param {Object} cube - The cube tried
+ * @param {number} width - Face width of the box
+ * @param {number} height - Face height of the box
+ * @returns {string} One of TRACE_REASONS
+ */
+export const getRejectionReason = (cube, width, height) => {
+  const bounds = getCubeBounds(cube);
+  const area = Math.min(width, bounds.width) * Math.min(height, bounds.height);
+  if (cube.occupiedArea + area > getCubeCapacity(cube)) {
+    return TRACE_REASONS.NOT_ENOUGH_SPACE;
+  }
+  if (cube.occupiedArea + area > getCubeFillLimit(cube)) {
+    return TRACE_REASONS.HEADROOM;
+  }
+  return TRACE_REASONS.NO_FREE_POSITION;
+};
+
+const resolveCubeNumber = (cube) => {
+  if (Number.isInteger(cube)) {
+    return cube;
+  }
+  return Number.isInteger(cube?.id) ? cube.id : null;
+};
+
+/*
+ * Turns a recorded event into its response shape, with the cube as its shelf number.
+ */
+const serializeEvent = ({ step, outcome, cube, orientation, reason, count, otherGame }) => ({
+  step,
+  outcome,
+  ...(cube !== undefined ? { cube: resolveCubeNumber(cube) } : {}),
+  ...(orientation ? { orientation } : {}),
+  ...(reason ? { reason } : {}),
+  ...(Number.isInteger(count) ? { count } : {}),
+  ...(otherGame ? { otherGame: otherGame.displayName || otherGame.gameName || String(otherGame.id) } : {}),
+});
+
+/**
+ * Attaches the decisions recorded for every packed game to the game as `trace`.
+ * When the optimizer replaced the greedy layout, the recorded events describe a layout that
+ * was thrown away, so each game only reports the optimizer's move and its final cube.
+ * @param {Array} cubes - Finalized cubes (cube.id is the shelf number)
+ * @param {Object} trace - Trace from createPackingTrace
+ * @param {Object} [options] - { optimized: whether the optimizer's layout was kept }
+ */
+export const attachPackingTraces = (cubes, trace, { optimized = false } = {}) => {
+  for (const cube of cubes) {
+    for (const game of cube.games) {
+      const events = optimized
+        ? [{ step: TRACE_STEPS.OPTIMIZER, outcome: TRACE_OUTCOMES.MOVED, cube }]
+        : trace.eventsByGameId.get(game.id) ?? [];
+      game.trace = events.map(serializeEvent);
+    }
+  }
+};
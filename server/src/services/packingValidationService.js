@@ -0,0 +1,221 @@
+import {
+  PACKING_CONSTANTS,
+  getCubeBounds,
+  getGameLayer,
+  getLayerObstacles,
+  hasCollision,
+  hasFullSupport,
+} from './packingPositionService.js';
+import { calculateOccupiedAreaForCube } from './packingPlacementService.js';
+
+/**
+ * Kinds of broken invariant a finished layout can have.
+ */
+export const PACKING_VIOLATIONS = {
+  OVERLAP: 'overlap',
+  UNSUPPORTED: 'unsupported',
+  OUT_OF_BOUNDS: 'out-of-bounds',
+  OCCUPIED_AREA_MISMATCH: 'occupied-area-mismatch',
+  DUPLICATE_GAME: 'duplicate-game',
+  DROPPED_GAME: 'dropped-game',
+};
+
+// Placement accepts half a grid step of slack at box edges, so the checks do too
+const EDGE_TOLERANCE = PACKING_CONSTANTS.GRID_PRECISION * 0.5;
+const AREA_TOLERANCE = 0.01;
+
+const getGameLabel = (game) => game.displayName || game.gameName || String(game.id);
+
+const describeBox = (game) =>
+  `${getGameLabel(game)} at (${game.position.x}, ${game.position.y}) ` +
+  `sized ${game.packedDims.x} × ${game.packedDims.y}`;
+
+const createViolation = (type, cube, games, message) => ({
+  type,
+  cube: Number.isInteger(cube?.id) ? cube.id : null,
+  gameIds: games.map((game) => String(game.id)),
+  message,
+});
+
+const hasPlacement = (game) =>
+  Number.isFinite(game?.position?.x) &&
+  Number.isFinite(game?.position?.y) &&
+  Number.isFinite(game?.packedDims?.x) &&
+  Number.isFinite(game?.packedDims?.y);
+
+/*
+ * Boxes on the other depth layer only share space when the two together are deeper
+ * than the cube, the same rule placement uses to pick obstacles.
+ */
+const checkOverlaps = (cube, violations) => {
+  cube.games.forEach((game, index) => {
+    const obstacles = getLayerObstacles(cube, getGameLayer(game), game.packedDims.z ?? 0);
+    for (const other of cube.games.slice(index + 1)) {
+      if (!obstacles.includes(other)) {
+        continue;
+      }
+      const { x, y } = game.position;
+      if (hasCollision(x, y, game.packedDims.x, game.packedDims.y, [other])) {
+        violations.push(
+          createViolation(
+            PACKING_VIOLATIONS.OVERLAP,
+            cube,
+            [game, other],
+            `${describeBox(game)} overlaps ${describeBox(other)}`,
+          ),
+        );
+      }
+    }
+  });
+};
+
+const checkSupport = (cube, violations) => {
+  for (const game of cube.games) {
+    const supports = getLayerObstacles(cube, getGameLayer(game), game.packedDims.z ?? 0).filter(
+      (other) => other !== game,
+    );
+    if (!hasFullSupport(game.position.x, game.position.y, game.packedDims.x, supports)) {
+      violations.push(
+        createViolation(
+          PACKING_VIOLATIONS.UNSUPPORTED,
+          cube,
+          [game],
+          `${describeBox(game)} is not fully supported from below`,
+        ),
+      );
+    }
+  }
+};
+
+const checkBounds = (cube, violations) => {
+  const bounds = getCubeBounds(cube);
+  for (const game of cube.games) {
+    const { x, y } = game.position;
+    const { x: width, y: height, z: depth = 0 } = game.packedDims;
+    // Boxes too deep for the cube in every rotation are packed protruding, not out of bounds
+    const allowedDepth = bounds.depth + Math.max(game.protrusion ?? 0, 0);
+    const outside =
+      x < -EDGE_TOLERANCE ||
+      y < -EDGE_TOLERANCE ||
+      x + width > bounds.width + EDGE_TOLERANCE ||
+      y + height > bounds.height + EDGE_TOLERANCE ||
+      depth > allowedDepth + EDGE_TOLERANCE;
+
+    if (outside) {
+      violations.push(
+        createViolation(
+          PACKING_VIOLATIONS.OUT_OF_BOUNDS,
+          cube,
+          [game],
+          `${describeBox(game)} (depth ${depth}) is outside the ` +
+            `${bounds.width} × ${bounds.height} × ${bounds.depth} cube`,
+        ),
+      );
+    }
+  }
+};
+
+const checkOccupiedArea = (cube, violations) => {
+  const placedArea = calculateOccupiedAreaForCube(cube);
+  if (Math.abs((cube.occupiedArea ?? 0) - placedArea) > AREA_TOLERANCE) {
+    violations.push(
+      createViolation(
+        PACKING_VIOLATIONS.OCCUPIED_AREA_MISMATCH,
+        cube,
+        [],
+        `Cube records ${Number((cube.occupiedArea ?? 0).toFixed(2))} sq in occupied ` +
+          `but its games cover ${Number(placedArea.toFixed(2))} sq in`,
+      ),
+    );
+  }
+};
+
+/*
+ * Every game handed to packing must end up in exactly one place: one cube, the oversized
+ * list or the inventory overflow.
+ */
+const checkAccounting = (cubes, games, { oversizedExcludedGames = [], overflowGames = [] }, violations) => {
+  const placements = new Map();
+  const addPlacement = (id, where) => {
+    const key = String(id);
+    if (!placements.has(key)) {
+      placements.set(key, []);
+    }
+    placements.get(key).push(where);
+  };
+
+  for (const cube of cubes) {
+    cube.games.forEach((game) => addPlacement(game.id, `cube ${cube.id}`));
+  }
+  oversizedExcludedGames.forEach((game) => addPlacement(game.id, 'the oversized list'));
+  overflowGames.forEach((game) => addPlacement(game.id, 'the inventory overflow'));
+
+  for (const game of games) {
+    const places = placements.get(String(game.id)) ?? [];
+    if (places.length === 0) {
+      violations.push(
+        createViolation(
+          PACKING_VIOLATIONS.DROPPED_GAME,
+          null,
+          [game],
+          `${getGameLabel(game)} is not in any cube or report`,
+        ),
+      );
+    } else if (places.length > 1) {
+      violations.push(
+        createViolation(
+          PACKING_VIOLATIONS.DUPLICATE_GAME,
+          null,
+          [game],
+          `${getGameLabel(game)} appears in ${places.join(', ')}`,
+        ),
+      );
+    }
+  }
+};
+
+/**
+ * Checks that a finished layout is physically possible: no overlapping boxes, every box
+ * above the floor fully supported, nothing outside its cube, each cube's occupiedArea
+ * matching its games, and every input game placed exactly once or reported as left out.
+ * @param {Array} cubes - Finalized cubes
+ * @param {Array} games - Every game that was handed to packing
+ * @param {Object} [excluded] - Games packing left out on purpose
+ * @param {Array} [excluded.oversizedExcludedGames] - Games too large for a cube
+ * @param {Array} [excluded.overflowGames] - Games that did not fit the shelf inventory
+ * @returns {Object} { valid, checkedCubes, checkedGames, violations: [{ type, cube, gameIds, message }] }
+ */
+export const validatePackedLayout = (cubes, games, excluded = {}) => {
+  const violations = [];
+
+  for (const cube of cubes) {
+    const unplaced = cube.games.filter((game) => !hasPlacement(game));
+    unplaced.forEach((game) => {
+      violations.push(
+        createViolation(
+          PACKING_VIOLATIONS.OUT_OF_BOUNDS,
+          cube,
+          [game],
+          `${getGameLabel(game)} has no position in the cube`,
+        ),
+      );
+    });
+    if (unplaced.length > 0) {
+      continue;
+    }
+
+    checkOverlaps(cube, violations);
+    checkSupport(cube, violations);
+    checkBounds(cube, violations);
+    checkOccupiedArea(cube, violations);
+  }
+
+  checkAccounting(cubes, games, excluded, violations);
+
+  return {
+    valid: violations.length === 0,
+    checkedCubes: cubes.length,
+    checkedGames: cubes.reduce((sum, cube) => sum + cube.games.length, 0),
+    violations,
+  };
+};
@@ -1,6 +1,7 @@
 import { checkMissingDimensions, normalizeDimensions } from '../utils/gameProcessingHelpers.js';
+import { buildCubeLabels } from './cubeLabelService.js';
 import { calculateStatsSummary, getOversizedStuffedGames } from './packingService.js';
-import { PACKING_DISPLAY_CONSTANTS } from './packingCubeService.js';
+import { DEFAULT_SHELF_PROFILE, getProfileDisplayArea } from './shelfProfileService.js';
 import { getSafeGameArea } from '../utils/packingHelpers.js';
 import {
   normalizePositiveNumber,
@@ -8,14 +9,11 @@ import {
   toIntegerOrFallback,
 } from '../utils/numberUtils.js';
 import { cloneList } from '../utils/arrayUtils.js';
-import { COLLECTION_STATUS_KEYS } from '../utils/gameUtils.js';
+import { COLLECTION_STATUS_KEYS } from '../utils/collectionStatuses.js';
+import { logger } from '../utils/logger.js';
 
 const DIMENSION_PRIORITY = ['user', 'version', 'guessed', 'default'];
 
-const CUBE_DISPLAY_AREA =
-  PACKING_DISPLAY_CONSTANTS.DISPLAY_KALLAX_WIDTH *
-  PACKING_DISPLAY_CONSTANTS.DISPLAY_KALLAX_HEIGHT;
-
 const clampPercentage = (value) => Math.min(Math.max(value, 0), 100);
 
 const buildDimensionEntry = (type, source) => {
@@ -125,6 +123,20 @@ const buildOrientation = (game) => {
   };
 };
 
+// Expansions stored inside a base game's box are listed with it, without a place of their own
+const transformStoredExpansion = (expansion) => ({
+  gameId: toIntegerOrFallback(expansion.gameId, -1),
+  versionId: toIntegerOrFallback(expansion.versionId, -1),
+  versionKey: String(expansion.versionKey ?? expansion.id ?? ''),
+  collectionId: toIntegerOrFallback(expansion.collectionId, -1),
+  copyCount: toIntegerOrFallback(expansion.copyCount, 1),
+  gameName: expansion.gameName,
+  versionName: expansion.versionName,
+  displayName: expansion.displayName,
+  dimensions: buildDimensions(expansion),
+  storedInBase: typeof expansion.storedInBase === 'boolean' ? expansion.storedInBase : null,
+});
+
 const transformGameForResponse = (game) => {
   const normalizedGameType =
     game.gameType || game.objectType || game.subType || 'boardgame';
@@ -138,6 +150,8 @@ const transformGameForResponse = (game) => {
     versionName: game.versionName,
     displayName: game.displayName,
     collectionId: toIntegerOrFallback(game.collectionId, -1),
+    copyCount: toIntegerOrFallback(game.copyCount, 1),
+    copyNumber: toIntegerOrFallback(game.copyNumber, 1),
     gamePublishedYear: toIntegerOrFallback(game.gamePublishedYear, -1),
     versionPublishedYear: toIntegerOrFallback(game.versionPublishedYear, -1),
     gameType: normalizedGameType,
@@ -145,11 +159,13 @@ const transformGameForResponse = (game) => {
     statuses: buildStatuses(game.statuses),
     dimensions: buildDimensions(game),
     position: buildPosition(game),
+    layer: game.layer === 'back' ? 'back' : 'front',
     packedDims: buildPackedDims(game),
     oversized: buildOversized(game),
     categories: cloneList(game.categories),
     mechanics: cloneList(game.mechanics),
     families: cloneList(game.families),
+    designers: cloneList(game.designers),
     bggRank: toIntegerOrFallback(game.bggRank, -1),
     minPlayers: toIntegerOrFallback(game.minPlayers, -1),
     maxPlayers: toIntegerOrFallback(game.maxPlayers, -1),
@@ -162,6 +178,8 @@ const transformGameForResponse = (game) => {
     bggWeight: Number.isFinite(game.bggWeight) ? game.bggWeight : -1,
     bggRating: Number.isFinite(game.bggRating) ? game.bggRating : -1,
     isExpansion: Boolean(game.isExpansion),
+    isAccessory: Boolean(game.isAccessory),
+    owners: Array.isArray(game.owners) ? game.owners : [],
     numplays: toIntegerOrFallback(game.numplays, 0),
     volume: Number.isFinite(game.volume) ? game.volume : -1,
     area: Number.isFinite(game.area) ? game.area : -1,
@@ -174,6 +192,11 @@ const transformGameForResponse = (game) => {
     guessedDueToNoVersion: Boolean(game.guessedDueToNoVersion),
     correctionUrl: game.correctionUrl || null,
     orientation: buildOrientation(game),
+    depthRotated: Boolean(game.depthRotated),
+    protrusion: Number.isFinite(game.protrusion) ? game.protrusion : 0,
+    pinned: Boolean(game.pinned),
+    storeInBaseSuggested: Boolean(game.storeInBaseSuggested),
+    isCustomItem: Boolean(game.isCustomItem),
   };
 
   if (game.thumbnail) {
@@ -182,17 +205,23 @@ const transformGameForResponse = (game) => {
   if (game.image) {
     response.image = game.image;
   }
+  if (Array.isArray(game.storedExpansions) && game.storedExpansions.length > 0) {
+    response.storedExpansions = game.storedExpansions.map(transformStoredExpansion);
+  }
+  if (Array.isArray(game.trace)) {
+    response.trace = game.trace.map((event) => ({ ...event }));
+  }
 
   return response;
 };
 
-const buildCubeStats = (cube) => {
+const buildCubeStats = (cube, displayArea) => {
   const totalGames = Array.isArray(cube.games) ? cube.games.length : 0;
   const totalAreaUsed = (cube.games || []).reduce(
     (sum, game) => sum + getSafeGameArea(game),
     0,
   );
-  const cubeArea = CUBE_DISPLAY_AREA > 0 ? CUBE_DISPLAY_AREA : 1;
+  const cubeArea = displayArea > 0 ? displayArea : 1;
   const totalUtilization =
     cubeArea > 0
       ? Number(
@@ -205,6 +234,10 @@ const buildCubeStats = (cube) => {
     areaUsed: Number(totalAreaUsed.toFixed(2)),
     areaCapacity: cubeArea,
     totalUtilization,
+    totalWeight: cube.weight?.totalWeight ?? 0,
+    missingWeightCount: cube.weight?.missingWeightCount ?? totalGames,
+    overWeightLimit: Boolean(cube.weight?.overWeightLimit),
+    incompleteWeight: Boolean(cube.weight?.incompleteWeight),
   };
 };
 
@@ -214,9 +247,18 @@ const buildDimensionSummary = (cubes) => {
     selectedVersionMissingDimensionsCount: 0,
     missingDimensionCount: 0,
     exceedingCapacityCount: 0,
+    protrudingCount: 0,
+    overWeightCubeCount: 0,
+    incompleteWeightCubeCount: 0,
   };
 
   for (const cube of cubes) {
+    if (cube.weight?.overWeightLimit) {
+      summary.overWeightCubeCount += 1;
+    }
+    if (cube.weight?.incompleteWeight) {
+      summary.incompleteWeightCubeCount += 1;
+    }
     for (const game of cube.games || []) {
       if (game.selectedDimensionSource === 'guessed') {
         summary.guessedVersionCount += 1;
@@ -230,12 +272,24 @@ const buildDimensionSummary = (cubes) => {
       if (game.oversizedX || game.oversizedY) {
         summary.exceedingCapacityCount += 1;
       }
+      if (game.protrusion > 0) {
+        summary.protrudingCount += 1;
+      }
     }
   }
 
   return summary;
 };
 
+const buildShelfProfile = (profile) => ({
+  id: profile.id,
+  name: profile.name,
+  width: profile.width,
+  height: profile.height,
+  depth: profile.depth,
+  clearance: profile.clearance,
+});
+
 const normalizeOversizedGames = (packedCubes, oversizedExcludedGames) => {
   const normalized = [];
   const stuffedGames = getOversizedStuffedGames(packedCubes) || [];
@@ -289,24 +343,68 @@ export const serializeCubesResponse = (
   packedCubes,
   stacking,
   oversizedExcludedGames,
+  shelfProfile = DEFAULT_SHELF_PROFILE,
+  {
+    optimizer = null,
+    inventory = null,
+    shelfLayout = null,
+    incremental = null,
+    series = null,
+    reserve = null,
+    sortRules = [],
+    seriesFamilyTypes = undefined,
+  } = {},
 ) => {
-  console.log(`   📦 Preparing response for ${packedCubes.length} cubes`);
+  logger.log(`   📦 Preparing response for ${packedCubes.length} cubes`);
 
-  const stats = calculateStatsSummary(packedCubes, stacking);
-  const cubes = packedCubes.map((cube) => ({
+  const displayArea = getProfileDisplayArea(shelfProfile);
+  const stats = calculateStatsSummary(packedCubes, shelfProfile);
+  const labels = buildCubeLabels(packedCubes, sortRules, seriesFamilyTypes);
+  const cubes = packedCubes.map((cube, index) => ({
     id: cube.id,
-    stats: buildCubeStats(cube),
+    stats: buildCubeStats(cube, displayArea),
     games: (cube.games || []).map(transformGameForResponse),
+    ...(cube.shelfPosition ? { shelfPosition: { ...cube.shelfPosition } } : {}),
+    ...(cube.reserved ? { reserved: cube.reserved } : {}),
+    ...(cube.section ? { section: cube.section } : {}),
+    ...(labels[index] ? { label: labels[index] } : {}),
   }));
 
   const dimensionSummary = buildDimensionSummary(packedCubes);
   const oversizedGames = normalizeOversizedGames(packedCubes, oversizedExcludedGames);
 
-  return {
+  const response = {
     cubes,
     stats,
     dimensionSummary,
     oversizedGames,
+    shelfProfile: buildShelfProfile(shelfProfile),
   };
+
+  if (optimizer) {
+    response.optimizer = { ...optimizer };
+  }
+
+  if (inventory) {
+    response.inventory = inventory;
+  }
+
+  if (shelfLayout) {
+    response.shelfLayout = { ...shelfLayout };
+  }
+
+  if (incremental) {
+    response.incremental = incremental;
+  }
+
+  if (series) {
+    response.series = series;
+  }
+
+  if (reserve) {
+    response.reserve = reserve;
+  }
+
+  return response;
 };
 
@@ -0,0 +1,83 @@
+import { getSafeGameArea } from '../utils/packingHelpers.js';
+
+/**
+ * Resolves the declared shelf furniture from the request payload.
+ * When a shelf layout is also requested its grid decides how many cubes a unit holds,
+ * so the inventory and the grid always agree on unit boundaries.
+ * @param {Object} [input] - Inventory from the request payload ({ units, cubesPerUnit })
+ * @param {Object} [layout] - Resolved shelf layout from resolveShelfLayout
+ * @returns {Object|null} Inventory with units, cubesPerUnit and totalCubes, or null when not declared
+ */
+export const resolveShelfInventory = (input, layout = null) => {
+  const units = Number.isInteger(input?.units) && input.units > 0 ? input.units : null;
+  const requestedCubesPerUnit =
+    Number.isInteger(input?.cubesPerUnit) && input.cubesPerUnit > 0 ? input.cubesPerUnit : null;
+
+  if (units === null || requestedCubesPerUnit === null) {
+    return null;
+  }
+
+  const cubesPerUnit = layout?.cubesPerUnit ?? requestedCubesPerUnit;
+  return { units, cubesPerUnit, totalCubes: units * cubesPerUnit };
+};
+
+const toOverflowEntry = (game) => ({
+  id: game.id,
+  gameName: game.gameName || null,
+  versionName: game.versionName || null,
+  displayName: game.displayName || null,
+  dimensions: {
+    length: game.dimensions?.length ?? null,
+    width: game.dimensions?.width ?? null,
+    depth: game.dimensions?.depth ?? null,
+  },
+});
+
+/**
+ * Summarizes how a packing result fits the declared shelf inventory.
+ * Cubes fill units in order: the first `cubesPerUnit` cubes go in unit 1, and so on.
+ * @param {Array} cubes - Packed cubes, in order
+ * @param {Array} overflowGames - Games that did not fit in the inventory
+ * @param {Object} inventory - Resolved inventory from resolveShelfInventory
+ * @param {number} extraCubesNeeded - Cubes needed to hold the overflowing games
+ * @param {number} displayArea - Face area of one cube in square inches
+ * @returns {Object} Inventory report with per-unit usage and overflow details
+ */
+export const buildInventoryReport = (
+  cubes,
+  overflowGames,
+  inventory,
+  extraCubesNeeded,
+  displayArea,
+) => {
+  const { units, cubesPerUnit, totalCubes } = inventory;
+
+  const unitUsage = Array.from({ length: units }, (_, unitIndex) => {
+    const unitCubes = cubes.slice(unitIndex * cubesPerUnit, (unitIndex + 1) * cubesPerUnit);
+    const areaUsed = unitCubes.reduce(
+      (sum, cube) => sum + cube.games.reduce((cubeSum, game) => cubeSum + getSafeGameArea(game), 0),
+      0,
+    );
+    const areaCapacity = cubesPerUnit * displayArea;
+
+    return {
+      unit: unitIndex + 1,
+      cubesUsed: unitCubes.length,
+      cubesAvailable: cubesPerUnit,
+      utilization: areaCapacity > 0 ? Number(((areaUsed / areaCapacity) * 100).toFixed(1)) : 0,
+    };
+  });
+
+  return {
+    units,
+    cubesPerUnit,
+    totalCubes,
+    cubesUsed: cubes.length,
+    freeCubes: Math.max(0, totalCubes - cubes.length),
+    overflowCount: overflowGames.length,
+    extraCubesNeeded,
+    extraUnitsNeeded: Math.ceil(extraCubesNeeded / cubesPerUnit),
+    unitUsage,
+    overflowGames: overflowGames.map(toOverflowEntry),
+  };
+};
@@ -0,0 +1,133 @@
+import { RESERVED_CUBE_KINDS } from './shelfReserveService.js';
+
+/**
+ * Orders in which packed cubes fill the cells of a shelf unit.
+ * Rows are counted from the top of the unit and columns from the left.
+ */
+export const SHELF_FILL_ORDERS = {
+  ROW_MAJOR: 'row-major',
+  COLUMN_MAJOR: 'column-major',
+  SNAKE: 'snake',
+};
+
+export const DEFAULT_SHELF_FILL_ORDER = SHELF_FILL_ORDERS.ROW_MAJOR;
+
+const FILL_ORDER_VALUES = Object.values(SHELF_FILL_ORDERS);
+
+/**
+ * Resolves the shelf grid from the request payload.
+ * @param {Object} [input] - Shelf layout from the request payload ({ rows, columns, fillOrder, heavyCubesLow })
+ * @returns {Object|null} Layout with rows, columns, fillOrder, heavyCubesLow and cubesPerUnit,
+ *   or null when not requested
+ */
+export const resolveShelfLayout = (input) => {
+  const rows = Number.isInteger(input?.rows) && input.rows > 0 ? input.rows : null;
+  const columns = Number.isInteger(input?.columns) && input.columns > 0 ? input.columns : null;
+
+  if (rows === null || columns === null) {
+    return null;
+  }
+
+  const fillOrder = FILL_ORDER_VALUES.includes(input.fillOrder)
+    ? input.fillOrder
+    : DEFAULT_SHELF_FILL_ORDER;
+
+  return {
+    rows,
+    columns,
+    fillOrder,
+    heavyCubesLow: input.heavyCubesLow === true,
+    cubesPerUnit: rows * columns,
+  };
+};
+
+/**
+ * Maps the n-th cell of a unit to its 1-based row and column.
+ * Snake order runs left to right on odd rows and right to left on even rows,
+ * so consecutive cubes always sit next to each other.
+ */
+const getGridCell = (slot, { rows, columns, fillOrder }) => {
+  if (fillOrder === SHELF_FILL_ORDERS.COLUMN_MAJOR) {
+    return { row: (slot % rows) + 1, column: Math.floor(slot / rows) + 1 };
+  }
+
+  const rowIndex = Math.floor(slot / columns);
+  const offset = slot % columns;
+  const columnIndex =
+    fillOrder === SHELF_FILL_ORDERS.SNAKE && rowIndex % 2 === 1 ? columns - 1 - offset : offset;
+
+  return { row: rowIndex + 1, column: columnIndex + 1 };
+};
+
+const getCubeWeight = (cube) => cube.weight?.totalWeight ?? 0;
+
+/**
+ * Weight-aware placement inside one unit: the heaviest cubes take the bottom row,
+ * the next heaviest the row above, and so on. Within a row cubes keep packing
+ * order, running left to right (snake order alternates direction as usual).
+ * Reserved slots keep their fill-order cell, since something else already stands there.
+ */
+const placeUnitByWeight = (unitCubes, unit, layout) => {
+  const { rows, columns, fillOrder } = layout;
+  const takenCells = new Set();
+  unitCubes.forEach((cube, slot) => {
+    if (cube.reserved === RESERVED_CUBE_KINDS.SLOT) {
+      cube.shelfPosition = { unit, ...getGridCell(slot, layout) };
+      takenCells.add(`${cube.shelfPosition.row}:${cube.shelfPosition.column}`);
+    }
+  });
+
+  const byWeight = unitCubes
+    .map((cube, order) => ({ cube, order }))
+    .filter(({ cube }) => cube.reserved !== RESERVED_CUBE_KINDS.SLOT)
+    .sort((left, right) => getCubeWeight(right.cube) - getCubeWeight(left.cube) || left.order - right.order);
+
+  let start = 0;
+  for (let rowIndex = rows - 1; rowIndex >= 0 && start < byWeight.length; rowIndex -= 1) {
+    const reversed = fillOrder === SHELF_FILL_ORDERS.SNAKE && rowIndex % 2 === 1;
+    const freeColumns = Array.from({ length: columns }, (_, offset) =>
+      reversed ? columns - 1 - offset : offset,
+    ).filter((columnIndex) => !takenCells.has(`${rowIndex + 1}:${columnIndex + 1}`));
+    const rowCubes = byWeight
+      .slice(start, start + freeColumns.length)
+      .sort((left, right) => left.order - right.order);
+    start += rowCubes.length;
+
+    rowCubes.forEach(({ cube }, offset) => {
+      cube.shelfPosition = { unit, row: rowIndex + 1, column: freeColumns[offset] + 1 };
+    });
+  }
+};
+
+/**
+ * Assigns every packed cube a place on the shelf grid, in packing order.
+ * Each unit is filled completely before the next one is started. With
+ * heavyCubesLow the unit's cubes are arranged by weight instead of fill order,
+ * so cube weights must already be applied (see applyCubeWeights).
+ * @param {Array} cubes - Finalized cubes, in order
+ * @param {Object} layout - Resolved layout from resolveShelfLayout
+ * @returns {Object} Layout summary with rows, columns, fillOrder, heavyCubesLow and the number of units used
+ */
+export const assignShelfPositions = (cubes, layout) => {
+  for (let start = 0; start < cubes.length; start += layout.cubesPerUnit) {
+    const unit = start / layout.cubesPerUnit + 1;
+    const unitCubes = cubes.slice(start, start + layout.cubesPerUnit);
+
+    if (layout.heavyCubesLow) {
+      placeUnitByWeight(unitCubes, unit, layout);
+      continue;
+    }
+
+    unitCubes.forEach((cube, slot) => {
+      cube.shelfPosition = { unit, ...getGridCell(slot, layout) };
+    });
+  }
+
+  return {
+    rows: layout.rows,
+    columns: layout.columns,
+    fillOrder: layout.fillOrder,
+    heavyCubesLow: layout.heavyCubesLow,
+    units: Math.ceil(cubes.length / layout.cubesPerUnit),
+  };
+};
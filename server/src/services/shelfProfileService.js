@@ -0,0 +1,127 @@
+import { isPositiveFinite } from '../utils/numberUtils.js';
+
+/**
+ * Built-in catalog of shelf units.
+ * Dimensions are interior measurements of a single cube/shelf in inches.
+ * Clearance is the margin left free on the width and height so boxes can slide in and out.
+ */
+export const SHELF_PROFILES = {
+  kallax: {
+    id: 'kallax',
+    name: 'IKEA Kallax',
+    width: 13,
+    height: 13,
+    depth: 15,
+    clearance: 0.5,
+  },
+  'kallax-clone': {
+    id: 'kallax-clone',
+    name: 'Kallax-style cube organizer',
+    width: 12.5,
+    height: 12.5,
+    depth: 14.5,
+    clearance: 0.5,
+  },
+  eket: {
+    id: 'eket',
+    name: 'IKEA Eket',
+    width: 12.8,
+    height: 12.8,
+    depth: 13.2,
+    clearance: 0.5,
+  },
+  billy: {
+    id: 'billy',
+    name: 'IKEA Billy (one shelf)',
+    width: 29.9,
+    height: 13.4,
+    depth: 10.2,
+    clearance: 0.5,
+  },
+  cubeicals: {
+    id: 'cubeicals',
+    name: 'ClosetMaid Cubeicals',
+    width: 10.5,
+    height: 10.5,
+    depth: 11.7,
+    clearance: 0.3,
+  },
+};
+
+export const DEFAULT_SHELF_PROFILE_ID = 'kallax';
+
+export const CUSTOM_SHELF_PROFILE_ID = 'custom';
+
+const PROFILE_DIMENSION_KEYS = ['width', 'height', 'depth'];
+
+/**
+ * Resolves a request shelf profile into a complete profile object.
+ * A known `id` selects a catalog entry; any numeric fields provided override it,
+ * in which case the profile is reported as custom.
+ * @param {Object} [input] - Shelf profile from the request payload
+ * @returns {Object} Profile with id, name, width, height, depth and clearance
+ */
+export const resolveShelfProfile = (input = {}) => {
+  const base = SHELF_PROFILES[input?.id] || SHELF_PROFILES[DEFAULT_SHELF_PROFILE_ID];
+
+  const dimensions = {};
+  let isCustom = input?.id === CUSTOM_SHELF_PROFILE_ID;
+
+  for (const key of PROFILE_DIMENSION_KEYS) {
+    if (isPositiveFinite(input?.[key]) && input[key] !== base[key]) {
+      dimensions[key] = input[key];
+      isCustom = true;
+    } else {
+      dimensions[key] = base[key];
+    }
+  }
+
+  let clearance = base.clearance;
+  if (Number.isFinite(input?.clearance) && input.clearance >= 0) {
+    isCustom = isCustom || input.clearance !== base.clearance;
+    clearance = input.clearance;
+  }
+
+  // Never let the clearance swallow the whole shelf opening
+  const maxClearance = Math.min(dimensions.width, dimensions.height) / 2;
+  clearance = Math.min(clearance, maxClearance);
+
+  return {
+    id: isCustom ? CUSTOM_SHELF_PROFILE_ID : base.id,
+    name: isCustom ? 'Custom shelf' : base.name,
+    ...dimensions,
+    clearance,
+  };
+};
+
+/**
+ * Derives the packing bounds of a single cube from a shelf profile.
+ * Width and height are the usable opening after clearance; the oversized limits
+ * are the raw interior size a box can be forced into.
+ * @param {Object} profile - Resolved shelf profile
+ * @returns {Object} Bounds with width, height, depth, area, oversizedWidth and oversizedHeight
+ */
+export const getPackingBounds = (profile) => {
+  const width = profile.width - profile.clearance;
+  const height = profile.height - profile.clearance;
+
+  return {
+    width,
+    height,
+    depth: profile.depth,
+    area: width * height,
+    oversizedWidth: profile.width,
+    oversizedHeight: profile.height,
+  };
+};
+
+/**
+ * Display area (interior width × height) of one cube for a profile.
+ * @param {Object} profile - Resolved shelf profile
+ * @returns {number} Display area in square inches
+ */
+export const getProfileDisplayArea = (profile) => profile.width * profile.height;
+
+export const DEFAULT_SHELF_PROFILE = resolveShelfProfile({ id: DEFAULT_SHELF_PROFILE_ID });
+
+export const DEFAULT_PACKING_BOUNDS = getPackingBounds(DEFAULT_SHELF_PROFILE);
@@ -0,0 +1,100 @@
+import { createCube } from './packingCubeService.js';
+import { DEFAULT_PACKING_BOUNDS } from './shelfProfileService.js';
+
+/**
+ * Why a cube is kept empty: a shelf slot taken by something else (a TV box, drawer
+ * inserts), a spare cube left for new purchases, or the rest of a shelf row after a section.
+ */
+export const RESERVED_CUBE_KINDS = {
+  SLOT: 'slot',
+  GROWTH: 'growth',
+  SECTION: 'section',
+};
+
+/**
+ * Resolves the reserved shelf space from the request payload.
+ * @param {Object} [input] - Reserve from the request payload ({ emptyCubes, slots, headroomPercentage })
+ * @returns {Object|null} Reserve with emptyCubes, slots (sorted 1-based cube numbers),
+ *   headroomPercentage and headroom (the same share as a fraction), or null when nothing is reserved
+ */
+export const resolveShelfReserve = (input) => {
+  const emptyCubes =
+    Number.isInteger(input?.emptyCubes) && input.emptyCubes > 0 ? input.emptyCubes : 0;
+  const slots = Array.isArray(input?.slots)
+    ? [...new Set(input.slots.filter((slot) => Number.isInteger(slot) && slot > 0))].sort(
+      (a, b) => a - b,
+    )
+    : [];
+  const headroomPercentage =
+    typeof input?.headroomPercentage === 'number' &&
+    input.headroomPercentage > 0 && input.headroomPercentage < 100
+      ? input.headroomPercentage
+      : 0;
+
+  if (emptyCubes === 0 && slots.length === 0 && headroomPercentage === 0) {
+    return null;
+  }
+
+  return { emptyCubes, slots, headroomPercentage, headroom: headroomPercentage / 100 };
+};
+
+/**
+ * Whether the cube at a position on the shelf is a reserved slot.
+ * @param {number} cubeIndex - 0-based position of the cube in packing order
+ * @param {Object} [options] - Packing features; `reserve` comes from resolveShelfReserve
+ * @returns {boolean} True when no game may be packed there
+ */
+export const isReservedSlot = (cubeIndex, options = {}) =>
+  Boolean(options.reserve?.slots.includes(cubeIndex + 1));
+
+/**
+ * Creates an empty cube that packing skips.
+ * @param {string} kind - Reason the cube is kept empty (see RESERVED_CUBE_KINDS)
+ * @param {Object} [bounds] - Cube packing bounds
+ * @param {Object} [options] - Packing features (depthLayers, placementEngine)
+ * @returns {Object} A new reserved cube
+ */
+export const createReservedCube = (kind, bounds = DEFAULT_PACKING_BOUNDS, options = {}) => ({
+  ...createCube(bounds, Boolean(options.depthLayers), options.placementEngine),
+  reserved: kind,
+});
+
+/**
+ * Adds the spare cubes kept free for new purchases to the end of the shelf.
+ * A reserved slot met on the way is added as a slot, so growth cubes never take its place.
+ * @param {Array} cubes - Packed cubes, in order
+ * @param {Object} [bounds] - Cube packing bounds
+ * @param {Object} [options] - Packing features; `reserve.emptyCubes` sets how many spare cubes
+ *   to add and `inventory` caps the total cube count
+ * @returns {number} Number of spare cubes added
+ */
+export const appendGrowthCubes = (cubes, bounds = DEFAULT_PACKING_BOUNDS, options = {}) => {
+  const wanted = options.reserve?.emptyCubes ?? 0;
+  const limit = options.inventory ? options.inventory.totalCubes : Infinity;
+  let added = 0;
+
+  while (added < wanted && cubes.length < limit) {
+    if (isReservedSlot(cubes.length, options)) {
+      cubes.push(createReservedCube(RESERVED_CUBE_KINDS.SLOT, bounds, options));
+      continue;
+    }
+    cubes.push(createReservedCube(RESERVED_CUBE_KINDS.GROWTH, bounds, options));
+    added += 1;
+  }
+
+  return added;
+};
+
+/**
+ * Summarizes the space a packing result keeps free.
+ * @param {Array} cubes - Packed cubes, in order
+ * @param {Object} reserve - Resolved reserve from resolveShelfReserve
+ * @returns {Object} The requested reserve with the number of slot and spare cubes on the shelf
+ */
+export const buildReserveReport = (cubes, reserve) => ({
+  emptyCubes: reserve.emptyCubes,
+  slots: [...reserve.slots],
+  headroomPercentage: reserve.headroomPercentage,
+  slotCubes: cubes.filter((cube) => cube.reserved === RESERVED_CUBE_KINDS.SLOT).length,
+  growthCubes: cubes.filter((cube) => cube.reserved === RESERVED_CUBE_KINDS.GROWTH).length,
+});
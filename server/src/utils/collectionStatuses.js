@@ -0,0 +1,14 @@
+/**
+ * BGG collection statuses a game can carry. Kept free of dependencies so the packing
+ * modules that read it also run in the browser.
+ */
+export const COLLECTION_STATUS_KEYS = [
+  'own',
+  'preordered',
+  'wanttoplay',
+  'prevowned',
+  'fortrade',
+  'want',
+  'wanttobuy',
+  'wishlist',
+];
@@ -24,6 +24,23 @@ export const checkMissingDimensions = (dimensions) => {
   );
 };
 
+/**
+ * Calculates the face area of a box: the product of its two smallest dimensions, the side
+ * it shows when standing in a cube. Every source of games (BGG versions, overrides, box
+ * lists, custom items) computes area this way.
+ * @param {Object} dimensions - Object with length, width, and depth properties
+ * @returns {number} The calculated area, or -1 if dimensions are invalid
+ */
+export const calculateAreaFromDimensions = ({ length, width, depth }) => {
+  const dims = [length, width, depth].map((value) => (Number.isFinite(value) ? value : -1));
+  if (dims.some((value) => value <= 0)) {
+    return -1;
+  }
+
+  const sorted = [...dims].sort((a, b) => a - b);
+  return sorted[0] * sorted[1];
+};
+
 /**
  * Checks if dimensions are valid (all three dimensions are finite and positive).
  * @param {Object} dimensions - The dimensions object with length, width, and depth
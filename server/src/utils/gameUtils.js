@@ -38,6 +38,19 @@ export const buildGameUrls = (gameId, versionId, gameName) => {
 export const normalizeUsername = (username) =>
   username ? username.toString().toLowerCase() : username;
 
+/**
+ * Normalizes the username of a games request, which may name one BGG user or list the
+ * users of a household whose collections share a shelf.
+ * @param {string|number|Array} input - Username or list of usernames from the request payload
+ * @returns {Array<string>} Trimmed, lower-case usernames without blanks or repeats, in request order
+ */
+export const normalizeUsernames = (input) => {
+  const usernames = (Array.isArray(input) ? input : [input])
+    .map((username) => normalizeUsername(username?.toString().trim()))
+    .filter(Boolean);
+  return [...new Set(usernames)];
+};
+
 /**
  * Builds a version key string from gameId and versionId.
  * @param {number|string} gameId - The game ID
@@ -84,14 +97,5 @@ export const createDisplayName = (game, fallbackGameId = null) => {
   return versionName ? `${gameName} (${versionName})` : gameName;
 };
 
-export const COLLECTION_STATUS_KEYS = [
-  'own',
-  'preordered',
-  'wanttoplay',
-  'prevowned',
-  'fortrade',
-  'want',
-  'wanttobuy',
-  'wishlist',
-];
+export { COLLECTION_STATUS_KEYS } from './collectionStatuses.js';
 
@@ -0,0 +1,36 @@
+/*
+ * Progress logging of the packing modules. The server writes it to the console; the browser
+ * packing worker runs the same modules and turns it off with setLogger(silentLogger), so end
+ * users' consoles stay clean. Errors still go to console.error.
+ */
+
+const consoleLogger = {
+  log: (...args) => console.log(...args),
+  warn: (...args) => console.warn(...args),
+};
+
+/**
+ * Logger that drops every message.
+ */
+export const silentLogger = {
+  log: () => {},
+  warn: () => {},
+};
+
+let activeLogger = consoleLogger;
+
+/**
+ * Replaces the logger the packing modules write progress to.
+ * @param {Object|null} next - Object with log and warn functions, or null for the console
+ */
+export const setLogger = (next) => {
+  activeLogger = next ?? consoleLogger;
+};
+
+/**
+ * Logger used by the packing modules; forwards to the logger set with setLogger.
+ */
+export const logger = {
+  log: (...args) => activeLogger.log(...args),
+  warn: (...args) => activeLogger.warn(...args),
+};
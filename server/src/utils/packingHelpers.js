@@ -1,6 +1,5 @@
-import { PACKING_CONSTANTS } from '../services/packingPositionService.js';
-
-const { CUBE_AREA } = PACKING_CONSTANTS;
+import { DEFAULT_PACKING_BOUNDS } from '../services/shelfProfileService.js';
+import { isPositiveFinite } from './numberUtils.js';
 
 /**
  * Multiplier used for calculating maximum group area (95% of cube area).
@@ -8,9 +7,12 @@ const { CUBE_AREA } = PACKING_CONSTANTS;
 export const MAX_GROUP_AREA_MULTIPLIER = 0.95;
 
 /**
- * Maximum area allowed for a group (95% of cube area).
+ * Maximum area allowed for a group (95% of the usable cube area).
+ * @param {Object} [bounds] - Cube packing bounds (defaults to the default shelf profile)
+ * @returns {number} The maximum group area
  */
-export const MAX_GROUP_AREA = CUBE_AREA * MAX_GROUP_AREA_MULTIPLIER;
+export const getMaxGroupArea = (bounds = DEFAULT_PACKING_BOUNDS) =>
+  bounds.area * MAX_GROUP_AREA_MULTIPLIER;
 
 /**
  * Gets the safe area value from a game object.
@@ -39,6 +41,13 @@ export const getSafeGameArea = (game) => {
   return 0;
 };
 
+/**
+ * Whether a game is an add-on that packs with a base game: an expansion or an accessory.
+ * @param {Object} game - The game object
+ * @returns {boolean} True for expansions and accessories
+ */
+export const isAddOnGame = (game) => Boolean(game.isExpansion || game.isAccessory);
+
 /**
  * Gets the maximum depth dimension from a game's dimensions.
  * Sorts length, width, and depth (or just length and width if depth not needed) and returns the largest value.
@@ -59,10 +68,35 @@ export const getMaxDepthDimension = (dimensions, includeDepth = true) => {
   return sorted.length > 0 ? sorted[0] : 0;
 };
 
+/**
+ * Gets the size a box takes up in a cube: every side grows by the clearance margin, and
+ * the thickness (the shortest side) also by the game's padding for sleeves or a bulging lid.
+ * @param {Object} dimensions - Normalized box dimensions (length >= width >= depth)
+ * @param {number} [clearance] - Margin in inches added to every side
+ * @param {number} [padding] - Extra thickness in inches for this game
+ * @returns {Object} The dimensions to pack with, or the same object when nothing is added
+ */
+export const getPackingDimensions = (dimensions, clearance = 0, padding = 0) => {
+  const margin = isPositiveFinite(clearance) ? clearance : 0;
+  const extraThickness = isPositiveFinite(padding) ? padding : 0;
+  if (margin === 0 && extraThickness === 0) {
+    return dimensions;
+  }
+
+  const grow = (value, amount) => Number((value + amount).toFixed(2));
+  return {
+    ...dimensions,
+    length: grow(dimensions.length, margin),
+    width: grow(dimensions.width, margin),
+    depth: grow(dimensions.depth, margin + extraThickness),
+  };
+};
+
 /**
  * Selects which cubes to check when placing a game or group.
  * Returns cubes in order (earliest first) within the backfill window.
  * When optimizeSpace is true, backfillPercentage is treated as 100%.
+ * Reserved cubes are never returned.
  * @param {Array} cubes - Array of cube objects
  * @param {boolean} optimizeSpace - Whether to optimize for space (forces 100% backfill)
  * @param {number} backfillPercentage - Percentage of cubes to check back from the end (0-100)
@@ -75,7 +109,9 @@ export const selectCubesToCheck = (
   backfillPercentage,
   calculateOccupiedAreaForCube,
 ) => {
-  if (cubes.length === 0) {
+  // Reserved cubes stay empty, so they are never candidates
+  const openCubes = cubes.filter((cube) => !cube.reserved);
+  if (openCubes.length === 0) {
     return [];
   }
 
@@ -87,12 +123,12 @@ export const selectCubesToCheck = (
   // Ensure at least 1 cube is checked when percentage > 0
   const numCubesToCheck = effectiveBackfillPercentage === 0
     ? 1
-    : Math.max(1, Math.ceil(cubes.length * (effectiveBackfillPercentage / 100)));
+    : Math.max(1, Math.ceil(openCubes.length * (effectiveBackfillPercentage / 100)));
 
   // Get the last N cubes, maintaining their original order (earliest first)
   // This ensures we check cubes sequentially: cube 1, then cube 2, then cube 3...
   // which allows area-based sorting to work optimally for bin packing
-  const startIndex = Math.max(0, cubes.length - numCubesToCheck);
-  return cubes.slice(startIndex);
+  const startIndex = Math.max(0, openCubes.length - numCubesToCheck);
+  return openCubes.slice(startIndex);
 };
 
@@ -0,0 +1,143 @@
+import { performance } from 'node:perf_hooks';
+import { packGamesIntoCubes } from '../src/services/packingService.js';
+import { PLACEMENT_ENGINES } from '../src/services/packingPositionService.js';
+
+/**
+ * Compares the grid-scan and event-point placement engines on a synthetic collection.
+ *
+ * Usage: node tests/benchmark-placement.js [gameCount] [seed]
+ */
+
+const gameCount = Number.parseInt(process.argv[2], 10) || 200;
+const seed = Number.parseInt(process.argv[3], 10) || 42;
+
+const SORT_RULES = [{ field: 'gameName', order: 'asc' }];
+
+const SCENARIOS = [
+  { label: 'default', optimizeSpace: false, options: {} },
+  { label: 'optimize space', optimizeSpace: true, options: {} },
+  { label: 'depth layers', optimizeSpace: true, options: { depthLayers: true } },
+];
+
+/**
+ * Small deterministic PRNG so both engines see the same collection across runs
+ * @param {number} value
+ * @returns {Function}
+ */
+function createRandom(value) {
+  let state = value >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Box sizes loosely modelled on a real collection: mostly square big boxes,
+ * plenty of small card games and a few long boxes.
+ * @param {Function} random
+ * @returns {Object}
+ */
+function randomDimensions(random) {
+  const pick = random();
+  const jitter = (min, max) => Math.round((min + random() * (max - min)) * 100) / 100;
+
+  if (pick < 0.45) {
+    const side = jitter(10.5, 12.4);
+    return { length: side, width: jitter(side - 0.5, side), depth: jitter(2, 4.5) };
+  }
+  if (pick < 0.8) {
+    return { length: jitter(5, 9), width: jitter(3.5, 7), depth: jitter(1, 2.5) };
+  }
+  return { length: jitter(11, 12.4), width: jitter(6, 9), depth: jitter(2, 3.5) };
+}
+
+function createCollection(count, random) {
+  return Array.from({ length: count }, (_, index) => {
+    const dimensions = randomDimensions(random);
+    return {
+      id: `bench-${index}`,
+      gameId: index,
+      versionId: index,
+      gameName: `Benchmark Game ${String(index).padStart(5, '0')}`,
+      displayName: `Benchmark Game ${index}`,
+      dimensions: { ...dimensions, missing: false },
+      isExpansion: false,
+    };
+  });
+}
+
+function runEngine(collection, scenario, placementEngine) {
+  const games = structuredClone(collection);
+  const start = performance.now();
+  const { cubes } = packGamesIntoCubes(
+    games,
+    SORT_RULES,
+    'horizontal',
+    false,
+    scenario.optimizeSpace,
+    20,
+    false,
+    false,
+    undefined,
+    { ...scenario.options, placementEngine },
+  );
+  const elapsed = performance.now() - start;
+
+  const placements = new Map();
+  cubes.forEach((cube, cubeIndex) => {
+    for (const game of cube.games) {
+      placements.set(
+        game.id,
+        `${cubeIndex}:${game.layer ?? 'front'}:${game.position.x}:${game.position.y}`,
+      );
+    }
+  });
+
+  return { elapsed, cubeCount: cubes.length, placements };
+}
+
+function countDifferences(left, right) {
+  let differences = 0;
+  for (const [id, placement] of left) {
+    if (right.get(id) !== placement) {
+      differences += 1;
+    }
+  }
+  return differences + Math.max(0, right.size - left.size);
+}
+
+function benchmark() {
+  const collection = createCollection(gameCount, createRandom(seed));
+  console.log(`Placement benchmark: ${gameCount} games, seed ${seed}\n`);
+
+  let mismatches = 0;
+  for (const scenario of SCENARIOS) {
+    const grid = runEngine(collection, scenario, PLACEMENT_ENGINES.GRID_SCAN);
+    const events = runEngine(collection, scenario, PLACEMENT_ENGINES.EVENT_POINTS);
+    const differences = countDifferences(grid.placements, events.placements);
+    const speedup = events.elapsed > 0 ? grid.elapsed / events.elapsed : Infinity;
+
+    console.log(`• ${scenario.label}`);
+    console.log(`  grid scan:    ${grid.elapsed.toFixed(0)} ms, ${grid.cubeCount} cubes`);
+    console.log(`  event points: ${events.elapsed.toFixed(0)} ms, ${events.cubeCount} cubes`);
+    console.log(`  speedup ${speedup.toFixed(1)}x, ${differences} placement difference(s)\n`);
+
+    if (events.cubeCount > grid.cubeCount) {
+      mismatches += 1;
+    }
+  }
+
+  if (mismatches > 0) {
+    console.error('Event-point engine used more cubes than the grid scan ❌');
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log('Event-point engine matched or beat the grid scan ✅');
+}
+
+benchmark();
@@ -0,0 +1,43 @@
+import assert from 'node:assert/strict';
+import { createGamesFromBoxes } from '../src/services/boxListService.js';
+import { packCollection, resolvePackingSettings } from '../src/services/collectionPackingService.js';
+import { createCustomItemGames, resolveCustomItems } from '../src/services/customItemService.js';
+import { calculateAreaFromDimensions } from '../src/utils/gameProcessingHelpers.js';
+import { setLogger, silentLogger } from '../src/utils/logger.js';
+
+setLogger(silentLogger);
+
+// Area is the face of the box (its two smallest sides), as for BGG versions
+const boxes = [
+  { name: 'Square', length: 12, width: 12, depth: 3 },
+  { name: 'Flat', length: 11, width: 11, depth: 2 },
+  { name: 'Long', length: 10, width: 3, depth: 8 },
+];
+const games = createGamesFromBoxes(boxes);
+assert.deepEqual(
+  games.map((game) => game.area),
+  [36, 22, 24],
+);
+games.forEach((game) => assert.equal(game.area, calculateAreaFromDimensions(game.dimensions)));
+
+// Custom items are built from box lists and get the same face area
+const customItems = createCustomItemGames(
+  resolveCustomItems([
+    { id: 'bits', name: 'Bits box', length: 9, width: 6, depth: 2 },
+    { id: 'proto', name: 'Prototype', length: 4, width: 11, depth: 11 },
+  ]),
+);
+assert.deepEqual(
+  customItems.map((game) => game.area),
+  [12, 44],
+);
+customItems.forEach((game) => assert.equal(game.area, calculateAreaFromDimensions(game.dimensions)));
+
+// Utilization of a packed box list cannot pass 100%
+const response = packCollection([...games, ...customItems], resolvePackingSettings({}));
+response.cubes.forEach(({ id, stats }) =>
+  assert.ok(stats.areaUsed <= stats.areaCapacity, `cube ${id} uses ${stats.areaUsed} of ${stats.areaCapacity}`),
+);
+assert.ok(response.stats.totalUtilization <= 100, `utilization ${response.stats.totalUtilization}%`);
+
+console.log('Box area checks passed ✅');
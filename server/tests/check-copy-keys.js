@@ -0,0 +1,52 @@
+import assert from 'node:assert/strict';
+import { createGamesFromBoxes } from '../src/services/boxListService.js';
+import { packCollection, resolvePackingSettings } from '../src/services/collectionPackingService.js';
+import { matchPreviousLayout } from '../src/services/packingIncrementalService.js';
+import { setLogger, silentLogger } from '../src/utils/logger.js';
+
+setLogger(silentLogger);
+
+// Owned copies as gamesService builds them: keyed by version and collection id
+const asCopy = (game, gameKey, collectionId, copyNumber, copyCount) => ({
+  ...game,
+  id: `${gameKey}@${collectionId}`,
+  gameKey,
+  collectionId,
+  copyNumber,
+  copyCount,
+});
+const [catan, spare, azul] = createGamesFromBoxes([
+  { name: 'Catan', length: 12, width: 12, depth: 3 },
+  { name: 'Catan', length: 12, width: 12, depth: 3 },
+  { name: 'Azul', length: 10, width: 10, depth: 3 },
+]);
+
+// A layout saved when copies were keyed by version alone points at the first copy
+const games = [
+  asCopy(catan, '13-5', 901, 1, 2),
+  asCopy(spare, '13-5', 950, 2, 2),
+  asCopy(azul, '230802-1', 77, 1, 1),
+];
+assert.deepEqual(matchPreviousLayout({ cubes: [['13-5', '230802-1'], ['9-9']] }, games).cubes, [
+  ['13-5@901', '230802-1@77'],
+  ['9-9'],
+]);
+
+// Buying a second copy keeps the first one where it was
+const settings = (previousLayout) =>
+  resolvePackingSettings({ incrementalRepack: true, previousLayout });
+const single = [asCopy(catan, '13-5', 901, 1, 1), games[2]];
+const before = packCollection(single, settings(null));
+const toLayout = (response) => ({
+  cubes: response.cubes.map((cube) => cube.games.map((game) => game.versionKey)),
+});
+const after = packCollection(games, settings(toLayout(before)));
+const { keptGames, addedGames, removedGames } = after.incremental;
+assert.deepEqual({ keptGames, addedGames, removedGames }, { keptGames: 2, addedGames: 1, removedGames: 0 });
+
+// Selling it again keeps the remaining copy too
+const again = packCollection(single, settings(toLayout(after)));
+assert.equal(again.incremental.keptGames, 2);
+assert.equal(again.incremental.removedGames, 1);
+
+console.log('Copy key checks passed ✅');
@@ -0,0 +1,45 @@
+import assert from 'node:assert/strict';
+import { createGamesFromBoxes } from '../src/services/boxListService.js';
+import { packCollection, resolvePackingSettings } from '../src/services/collectionPackingService.js';
+import { setLogger, silentLogger } from '../src/utils/logger.js';
+
+setLogger(silentLogger);
+
+const games = createGamesFromBoxes(
+  Array.from({ length: 6 }, (_, index) => ({
+    id: `box-${index}`,
+    name: `Box ${index}`,
+    length: 12,
+    width: 12,
+    depth: 3,
+  })),
+);
+const customItems = [
+  { id: 'bits', name: 'Bits box', length: 9, width: 6, depth: 2 },
+  { id: 'proto', name: 'Prototype', length: 11, width: 11, depth: 3 },
+];
+
+const findCube = (response, versionKey) =>
+  response.cubes.find((cube) => cube.games.some((game) => game.versionKey === versionKey));
+
+// Without overrides both custom items are packed, with the prototype sorted after the boxes
+const plain = packCollection(structuredClone(games), resolvePackingSettings({ customItems }));
+assert.ok(findCube(plain, 'custom-bits'));
+assert.equal(findCube(plain, 'custom-proto')?.id, 3);
+
+// Overrides name a custom item by its id: the bits box is left out and the prototype pinned
+const overridden = packCollection(
+  structuredClone(games),
+  resolvePackingSettings({
+    customItems,
+    overrides: {
+      excludedVersions: [{ customItem: 'bits' }],
+      pinnedPlacements: [{ customItem: 'proto', cube: 1 }],
+    },
+  }),
+);
+assert.equal(findCube(overridden, 'custom-bits'), undefined);
+assert.equal(findCube(overridden, 'custom-proto')?.id, 1);
+assert.ok(findCube(overridden, 'custom-proto').games.find((game) => game.versionKey === 'custom-proto').pinned);
+
+console.log('Custom item override checks passed ✅');
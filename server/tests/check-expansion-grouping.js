@@ -0,0 +1,25 @@
+import assert from 'node:assert/strict';
+import { createGameGroups } from '../src/services/groupingService.js';
+import { setLogger, silentLogger } from '../src/utils/logger.js';
+
+setLogger(silentLogger);
+
+// BGG game ids are numbers, while game ids are text starting with them ("13-5@901")
+const games = [
+  { id: '13-5@901', gameId: 13, isExpansion: false },
+  { id: '926-2@902', gameId: 926, isExpansion: true, baseGameId: 13 },
+  { id: '325-7@903', gameId: 325, isExpansion: true, baseGameId: 13 },
+  { id: '822-1@904', gameId: 822, isExpansion: false },
+  { id: '5000-1@905', gameId: 5000, isExpansion: true, baseGameId: 999 },
+];
+
+const { groups, groupedGameIds } = createGameGroups(games, true);
+assert.deepEqual(
+  [...groups.values()].map((group) => group.map((game) => game.id).sort()),
+  [['13-5@901', '325-7@903', '926-2@902']],
+);
+// An expansion whose base game is not in the collection stays on its own
+assert.equal(groupedGameIds.has('5000-1@905'), false);
+assert.equal(createGameGroups(games, false).groups.size, 0);
+
+console.log('Expansion grouping checks passed ✅');
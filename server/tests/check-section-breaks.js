@@ -0,0 +1,27 @@
+import assert from 'node:assert/strict';
+import { getSectionLabel, splitIntoSections } from '../src/services/packingSectionService.js';
+
+// Fine-grained numbers are sectioned by range, coarse ones by their whole-number part
+assert.equal(getSectionLabel({ bggRank: 1 }, 'bggRank'), '1–100');
+assert.equal(getSectionLabel({ bggRank: 100 }, 'bggRank'), '1–100');
+assert.equal(getSectionLabel({ bggRank: 101 }, 'bggRank'), '101–200');
+assert.equal(getSectionLabel({ bggRank: -1 }, 'bggRank'), 'Unknown');
+assert.equal(getSectionLabel({ gamePublishedYear: 1995 }, 'gamePublishedYear'), '1990s');
+assert.equal(getSectionLabel({ gamePublishedYear: 0 }, 'gamePublishedYear'), 'Unknown');
+assert.equal(getSectionLabel({ maxPlaytime: 45 }, 'maxPlaytime'), '30–59');
+assert.equal(getSectionLabel({ bggWeight: 2.7 }, 'bggWeight'), '2');
+
+// Breaking on BGG rank makes one section per hundred ranks, not one per game
+const games = [3, 42, 99, 150, 180, 1200].map((rank) => ({ id: `g${rank}`, bggRank: rank }));
+const rule = { field: 'bggRank', order: 'asc' };
+const sections = splitIntoSections([], games, [], [rule], { rule, minSectionSize: 0 });
+assert.deepEqual(
+  sections.map(({ label, games: sectionGames }) => [label, sectionGames.length]),
+  [
+    ['1–100', 3],
+    ['101–200', 2],
+    ['1101–1200', 1],
+  ],
+);
+
+console.log('Section break checks passed ✅');
@@ -12,6 +12,7 @@ import useResultsState from './hooks/useResultsState';
 import useHydrationState from './hooks/useHydrationState';
 import { useSettingsHydration } from './hooks/useSettingsHydration';
 import { useOverrideHandlers } from './hooks/useOverrideHandlers';
+import { useCustomItemHandlers } from './hooks/useCustomItemHandlers';
 import { useBodyOverflow } from './hooks/useBodyOverflow';
 import { getCollapsedBadgeLimit } from './utils/layout';
 import {
@@ -36,10 +37,18 @@ function App() {
     setUsername,
     includeExpansions,
     setIncludeExpansions,
+    includeAccessories,
+    setIncludeAccessories,
+    keepSharedCopies,
+    setKeepSharedCopies,
     groupExpansions,
+    storeExpansionsInBase,
     setGroupExpansions,
+    setStoreExpansionsInBase,
     groupSeries,
+    seriesFamilyTypes,
     setGroupSeries,
+    setSeriesFamilyTypes,
     stacking,
     setStacking,
     lockRotation,
@@ -50,6 +59,30 @@ function App() {
     setBackfillPercentage,
     fitOversized,
     setFitOversized,
+    depthLayers,
+    explain,
+    incrementalRepack,
+    setDepthLayers,
+    setExplain,
+    setIncrementalRepack,
+    optimizer,
+    setOptimizer,
+    optimizerTimeBudget,
+    setOptimizerTimeBudget,
+    shelfProfile,
+    setShelfProfile,
+    shelfInventory,
+    setShelfInventory,
+    shelfLayout,
+    setShelfLayout,
+    shelfReserve,
+    setShelfReserve,
+    sectionBreaks,
+    setSectionBreaks,
+    maxCubeWeight,
+    setMaxCubeWeight,
+    boxClearance,
+    setBoxClearance,
     bypassVersionWarning,
     setBypassVersionWarning,
     filtersCollapsed,
@@ -69,6 +102,10 @@ function App() {
   const [excludedGamesMap, setExcludedGamesMap] = useState({});
   const [orientationOverridesMap, setOrientationOverridesMap] = useState({});
   const [dimensionOverridesMap, setDimensionOverridesMap] = useState({});
+  const [pinnedPlacementsMap, setPinnedPlacementsMap] = useState({});
+  const [paddingOverridesMap, setPaddingOverridesMap] = useState({});
+  const [storedInBaseOverridesMap, setStoredInBaseOverridesMap] = useState({});
+  const [customItemsMap, setCustomItemsMap] = useState({});
   
   const [loading, setLoading] = useState(false);
   const {
@@ -78,6 +115,8 @@ function App() {
     setStats,
     oversizedGames,
     setOversizedGames,
+    movePlan,
+    setMovePlan,
     noSelectedVersionWarning,
     setnoSelectedVersionWarning,
     lastRequestConfig,
@@ -130,13 +169,29 @@ function App() {
     () => ({
       setUsername,
       setIncludeExpansions,
+      setIncludeAccessories,
+      setKeepSharedCopies,
       setGroupExpansions,
+      setStoreExpansionsInBase,
       setGroupSeries,
+      setSeriesFamilyTypes,
       setStacking,
       setLockRotation,
       setOptimizeSpace,
       setBackfillPercentage,
       setFitOversized,
+      setDepthLayers,
+      setExplain,
+      setIncrementalRepack,
+      setOptimizer,
+      setOptimizerTimeBudget,
+      setShelfProfile,
+      setShelfInventory,
+      setShelfLayout,
+      setShelfReserve,
+      setSectionBreaks,
+      setMaxCubeWeight,
+      setBoxClearance,
       setBypassVersionWarning,
       setFiltersCollapsed,
       setFilterPanelsCollapsed,
@@ -147,13 +202,29 @@ function App() {
     [
       setUsername,
       setIncludeExpansions,
+      setIncludeAccessories,
+      setKeepSharedCopies,
       setGroupExpansions,
+      setStoreExpansionsInBase,
       setGroupSeries,
+      setSeriesFamilyTypes,
       setStacking,
       setLockRotation,
       setOptimizeSpace,
       setBackfillPercentage,
       setFitOversized,
+      setDepthLayers,
+      setExplain,
+      setIncrementalRepack,
+      setOptimizer,
+      setOptimizerTimeBudget,
+      setShelfProfile,
+      setShelfInventory,
+      setShelfLayout,
+      setShelfReserve,
+      setSectionBreaks,
+      setMaxCubeWeight,
+      setBoxClearance,
       setBypassVersionWarning,
       setFiltersCollapsed,
       setFilterPanelsCollapsed,
@@ -168,6 +239,10 @@ function App() {
     setExcludedGamesMap,
     setOrientationOverridesMap,
     setDimensionOverridesMap,
+    setPinnedPlacementsMap,
+    setPaddingOverridesMap,
+    setStoredInBaseOverridesMap,
+    setCustomItemsMap,
     setHasStoredData,
     setSettingsHydrated,
     setLastResultHydrated,
@@ -178,9 +253,11 @@ function App() {
     setCubes,
     setStats,
     setOversizedGames,
+    setMovePlan,
     setFitOversized,
     setLockRotation,
     setStacking,
+    setShelfProfile,
     setLastRequestConfig,
     setError,
     setProgress,
@@ -204,13 +281,29 @@ function App() {
     const settingsToPersist = {
       username,
       includeExpansions,
+      includeAccessories,
+      keepSharedCopies,
       groupExpansions,
+      storeExpansionsInBase,
       groupSeries,
+      seriesFamilyTypes,
       stacking,
       lockRotation,
       optimizeSpace,
       backfillPercentage,
       fitOversized,
+      depthLayers,
+      explain,
+      incrementalRepack,
+      optimizer,
+      optimizerTimeBudget,
+      shelfProfile,
+      shelfInventory,
+      shelfLayout,
+      shelfReserve,
+      sectionBreaks,
+      maxCubeWeight,
+      boxClearance,
       filtersCollapsed,
       sorting,
       bypassVersionWarning,
@@ -227,13 +320,29 @@ function App() {
     hydrationComplete,
     username,
     includeExpansions,
+    includeAccessories,
+    keepSharedCopies,
     groupExpansions,
+    storeExpansionsInBase,
     groupSeries,
+    seriesFamilyTypes,
     stacking,
     lockRotation,
     optimizeSpace,
     backfillPercentage,
     fitOversized,
+    depthLayers,
+    explain,
+    incrementalRepack,
+    optimizer,
+    optimizerTimeBudget,
+    shelfProfile,
+    shelfInventory,
+    shelfLayout,
+    shelfReserve,
+    sectionBreaks,
+    maxCubeWeight,
+    boxClearance,
     filtersCollapsed,
     sorting,
     bypassVersionWarning,
@@ -264,6 +373,22 @@ function App() {
     () => Object.values(dimensionOverridesMap),
     [dimensionOverridesMap]
   );
+  const pinnedPlacementsList = useMemo(
+    () => Object.values(pinnedPlacementsMap),
+    [pinnedPlacementsMap]
+  );
+  const paddingOverridesList = useMemo(
+    () => Object.values(paddingOverridesMap),
+    [paddingOverridesMap]
+  );
+  const storedInBaseOverridesList = useMemo(
+    () => Object.values(storedInBaseOverridesMap),
+    [storedInBaseOverridesMap]
+  );
+  const customItemsList = useMemo(
+    () => Object.values(customItemsMap).sort((a, b) => a.name.localeCompare(b.name)),
+    [customItemsMap]
+  );
   const statusSelections = useMemo(
     () => deriveStatusSelections(collectionFilters),
     [collectionFilters]
@@ -288,27 +413,49 @@ function App() {
     handleSubmit,
     handleWarningCancel,
     handleWarningContinue,
+    handleOverridesRepack,
   } = useCollectionRequestHandlers({
     username,
     hasIncludeStatuses,
     statusSelections,
     includeExpansions,
+    includeAccessories,
+    keepSharedCopies,
     sorting,
     stacking,
     lockRotation,
     optimizeSpace,
     backfillPercentage,
     fitOversized,
+    depthLayers,
+    explain,
+    incrementalRepack,
+    optimizer,
+    optimizerTimeBudget,
     groupExpansions,
+    storeExpansionsInBase,
     groupSeries,
+    seriesFamilyTypes,
     bypassVersionWarning,
+    shelfProfile,
+    shelfInventory,
+    shelfLayout,
+    shelfReserve,
+    sectionBreaks,
+    maxCubeWeight,
+    boxClearance,
     excludedGamesList,
     orientationOverridesList,
     dimensionOverridesList,
+    pinnedPlacementsList,
+    paddingOverridesList,
+    storedInBaseOverridesList,
+    customItemsList,
     setError,
     setLoading,
     setCubes,
     setOversizedGames,
+    setMovePlan,
     setProgress,
     setnoSelectedVersionWarning,
     setFiltersCollapsed,
@@ -318,6 +465,22 @@ function App() {
     lastRequestConfig,
   });
 
+  // Overrides and custom items change the result right away once the collection can be
+  // repacked in the browser. The ref keeps the effect tied to the lists, not to the handler it calls.
+  const overridesRepackRef = useRef(handleOverridesRepack);
+  overridesRepackRef.current = handleOverridesRepack;
+  useEffect(() => {
+    void overridesRepackRef.current();
+  }, [
+    excludedGamesList,
+    orientationOverridesList,
+    dimensionOverridesList,
+    pinnedPlacementsList,
+    paddingOverridesList,
+    storedInBaseOverridesList,
+    customItemsList,
+  ]);
+
   // Override handlers
   const {
     handleExcludeGame,
@@ -326,10 +489,23 @@ function App() {
     handleClearOrientationOverride,
     handleSaveDimensionOverride,
     handleRemoveDimensionOverride,
+    handleSetPinnedPlacement,
+    handleRemovePinnedPlacement,
+    handleSavePaddingOverride,
+    handleRemovePaddingOverride,
+    handleSetStoredInBase,
+    handleClearStoredInBase,
   } = useOverrideHandlers({
     setExcludedGamesMap,
     setOrientationOverridesMap,
     setDimensionOverridesMap,
+    setPinnedPlacementsMap,
+    setPaddingOverridesMap,
+    setStoredInBaseOverridesMap,
+  });
+
+  const { handleSaveCustomItem, handleRemoveCustomItem } = useCustomItemHandlers({
+    setCustomItemsMap,
   });
 
   const handleCollectionFilterChange = useCallback((statusKey, nextState) => {
@@ -380,14 +556,28 @@ function App() {
     [setOptimizeSpace]
   );
 
+  // Grouping applies to expansions and accessories, so it stays on while either is included
   const handleIncludeExpansionsChange = useCallback(
     (next) => {
       setIncludeExpansions(next);
       if (!next) {
+        setStoreExpansionsInBase(false);
+        if (!includeAccessories) {
+          setGroupExpansions(false);
+        }
+      }
+    },
+    [includeAccessories, setGroupExpansions, setIncludeExpansions, setStoreExpansionsInBase]
+  );
+
+  const handleIncludeAccessoriesChange = useCallback(
+    (next) => {
+      setIncludeAccessories(next);
+      if (!next && !includeExpansions) {
         setGroupExpansions(false);
       }
     },
-    [setGroupExpansions, setIncludeExpansions]
+    [includeExpansions, setGroupExpansions, setIncludeAccessories]
   );
 
   const preferenceState = useMemo(
@@ -396,16 +586,48 @@ function App() {
       onOptimizeSpaceChange: handleOptimizeSpaceChange,
       includeExpansions,
       onIncludeExpansionsChange: handleIncludeExpansionsChange,
+      includeAccessories,
+      onIncludeAccessoriesChange: handleIncludeAccessoriesChange,
+      keepSharedCopies,
+      onKeepSharedCopiesChange: setKeepSharedCopies,
       groupExpansions,
+      storeExpansionsInBase,
       onGroupExpansionsChange: setGroupExpansions,
+      onStoreExpansionsInBaseChange: setStoreExpansionsInBase,
       groupSeries,
+      seriesFamilyTypes,
       onGroupSeriesChange: setGroupSeries,
+      onSeriesFamilyTypesChange: setSeriesFamilyTypes,
       fitOversized,
       onFitOversizedChange: setFitOversized,
+      depthLayers,
+      explain,
+      incrementalRepack,
+      onDepthLayersChange: setDepthLayers,
+      onExplainChange: setExplain,
+      onIncrementalRepackChange: setIncrementalRepack,
+      optimizer,
+      onOptimizerChange: setOptimizer,
+      optimizerTimeBudget,
+      onOptimizerTimeBudgetChange: setOptimizerTimeBudget,
       lockRotation,
       onLockRotationChange: setLockRotation,
       backfillPercentage,
       onBackfillPercentageChange: setBackfillPercentage,
+      shelfProfile,
+      onShelfProfileChange: setShelfProfile,
+      shelfInventory,
+      onShelfInventoryChange: setShelfInventory,
+      shelfLayout,
+      onShelfLayoutChange: setShelfLayout,
+      shelfReserve,
+      onShelfReserveChange: setShelfReserve,
+      sectionBreaks,
+      onSectionBreaksChange: setSectionBreaks,
+      maxCubeWeight,
+      onMaxCubeWeightChange: setMaxCubeWeight,
+      boxClearance,
+      onBoxClearanceChange: setBoxClearance,
       bypassVersionWarning,
       onBypassVersionWarningChange: setBypassVersionWarning,
     }),
@@ -414,16 +636,48 @@ function App() {
       handleOptimizeSpaceChange,
       includeExpansions,
       handleIncludeExpansionsChange,
+      includeAccessories,
+      handleIncludeAccessoriesChange,
+      keepSharedCopies,
+      setKeepSharedCopies,
       groupExpansions,
+      storeExpansionsInBase,
       setGroupExpansions,
+      setStoreExpansionsInBase,
       groupSeries,
+      seriesFamilyTypes,
       setGroupSeries,
+      setSeriesFamilyTypes,
       fitOversized,
       setFitOversized,
+      depthLayers,
+      explain,
+      incrementalRepack,
+      setDepthLayers,
+      setExplain,
+      setIncrementalRepack,
+      optimizer,
+      setOptimizer,
+      optimizerTimeBudget,
+      setOptimizerTimeBudget,
       lockRotation,
       setLockRotation,
       backfillPercentage,
       setBackfillPercentage,
+      shelfProfile,
+      setShelfProfile,
+      shelfInventory,
+      setShelfInventory,
+      shelfLayout,
+      setShelfLayout,
+      shelfReserve,
+      setShelfReserve,
+      sectionBreaks,
+      setSectionBreaks,
+      maxCubeWeight,
+      setMaxCubeWeight,
+      boxClearance,
+      setBoxClearance,
       bypassVersionWarning,
       setBypassVersionWarning,
     ]
@@ -480,6 +734,7 @@ function App() {
       <div className="app">
         <AppHeader 
           hasResults={!!cubes && cubes.length > 0}
+          hasMovePlan={!!cubes && movePlan?.steps?.length > 0}
           isMetric={useMetricUnits}
           onToggleMetric={() => setUseMetricUnits(prev => !prev)}
         />
@@ -517,12 +772,31 @@ function App() {
         isMobileLayout={isMobileLayout}
         collapsedBadgeLimit={collapsedBadgeLimit}
         includeExpansions={includeExpansions}
+        includeAccessories={includeAccessories}
+        keepSharedCopies={keepSharedCopies}
         groupExpansions={groupExpansions}
+        storeExpansionsInBase={storeExpansionsInBase}
         groupSeries={groupSeries}
+        seriesFamilyTypes={seriesFamilyTypes}
         backfillPercentage={backfillPercentage}
         fitOversized={fitOversized}
+        depthLayers={depthLayers}
+        explain={explain}
+        incrementalRepack={incrementalRepack}
+        optimizer={optimizer}
+        optimizerTimeBudget={optimizerTimeBudget}
+        shelfProfile={shelfProfile}
+        shelfInventory={shelfInventory}
+        shelfLayout={shelfLayout}
+        shelfReserve={shelfReserve}
+        sectionBreaks={sectionBreaks}
+        maxCubeWeight={maxCubeWeight}
+        boxClearance={boxClearance}
         bypassVersionWarning={bypassVersionWarning}
         lockRotation={lockRotation}
+        customItems={customItemsList}
+        onSaveCustomItem={handleSaveCustomItem}
+        onRemoveCustomItem={handleRemoveCustomItem}
         shouldShowInlineUsername={shouldShowInlineUsername}
       />
 
@@ -547,7 +821,10 @@ function App() {
           cubes={cubes}
           stats={stats}
           oversizedGames={oversizedGames}
+          movePlan={movePlan}
           fitOversized={fitOversized}
+          depthLayers={depthLayers}
+          shelfProfile={shelfProfile}
           sorting={sorting}
           excludedGames={excludedGamesList}
           onExcludeGame={handleExcludeGame}
@@ -558,13 +835,25 @@ function App() {
           dimensionOverrides={dimensionOverridesList}
           onSaveDimensionOverride={handleSaveDimensionOverride}
           onRemoveDimensionOverride={handleRemoveDimensionOverride}
+          pinnedPlacements={pinnedPlacementsList}
+          onSetPinnedPlacement={handleSetPinnedPlacement}
+          onRemovePinnedPlacement={handleRemovePinnedPlacement}
+          paddingOverrides={paddingOverridesList}
+          onSavePaddingOverride={handleSavePaddingOverride}
+          onRemovePaddingOverride={handleRemovePaddingOverride}
+          boxClearance={lastRequestConfig?.boxClearance}
+          storedInBaseOverrides={storedInBaseOverridesList}
+          onSetStoredInBase={handleSetStoredInBase}
+          onClearStoredInBase={handleClearStoredInBase}
           overridesReady={settingsHydrated}
           isLoading={loading}
           stacking={stacking}
           optimizeSpace={optimizeSpace}
           includeExpansions={includeExpansions}
           groupExpansions={groupExpansions}
+          storeExpansionsInBase={storeExpansionsInBase}
           groupSeries={groupSeries}
+          seriesFamilyTypes={seriesFamilyTypes}
           backfillPercentage={backfillPercentage}
           bypassVersionWarning={bypassVersionWarning}
           lockRotation={lockRotation}
@@ -1,7 +1,8 @@
 import React, { useEffect, useState } from 'react';
-import { FaPrint } from 'react-icons/fa';
+import { FaClipboardList, FaPrint } from 'react-icons/fa';
 import IconButton from './IconButton';
 import { MOBILE_BREAKPOINT } from '../constants/appDefaults';
+import { printMovePlan } from '../utils/movePlan';
 import bgcubeLogoSquare from '../assets/bgcube_logo_square.png';
 import kofiSymbol from '../assets/kofi_symbol.svg';
 import patreonLogo from '../assets/patreon_logo.svg';
@@ -9,10 +10,16 @@ import patreonLogo from '../assets/patreon_logo.svg';
 /**
  * Application header component displaying logo, subtitle, and Ko-fi widget.
  * @param {boolean} hasResults - Whether there are results to print
+ * @param {boolean} hasMovePlan - Whether there is a move plan checklist to print
  * @param {boolean} isMetric - Whether metric units are enabled
  * @param {Function} onToggleMetric - Handler for toggling metric units
  */
-export default function AppHeader({ hasResults = false, isMetric = false, onToggleMetric }) {
+export default function AppHeader({
+  hasResults = false,
+  hasMovePlan = false,
+  isMetric = false,
+  onToggleMetric,
+}) {
   const handlePrint = () => {
     window.print();
   };
@@ -120,6 +127,15 @@ export default function AppHeader({ hasResults = false, isMetric = false, onTogg
                     title="Print this page"
                   />
                 )}
+                {hasMovePlan && (
+                  <IconButton
+                    className="print-button"
+                    onClick={printMovePlan}
+                    icon={FaClipboardList}
+                    srLabel="Print move plan"
+                    title="Print the move plan checklist"
+                  />
+                )}
                 <div className="unit-toggle-group">
                   <button
                     type="button"
@@ -198,6 +214,15 @@ export default function AppHeader({ hasResults = false, isMetric = false, onTogg
                   title="Print this page"
                 />
               )}
+              {hasMovePlan && (
+                <IconButton
+                  className="print-button"
+                  onClick={printMovePlan}
+                  icon={FaClipboardList}
+                  srLabel="Print move plan"
+                  title="Print the move plan checklist"
+                />
+              )}
               <div className="unit-toggle-group">
                 <button
                   type="button"
@@ -1,13 +1,41 @@
 import React from 'react';
 import { getGameColor } from '../utils/cubeVisualization';
 
-function CubeFrontView({ cube, canvasWidth, canvasHeight, scale }) {
+const LAYER_OPTIONS = [
+  { id: 'front', label: 'Front row' },
+  { id: 'back', label: 'Back row' },
+];
+
+const getLayer = (game) => (game?.layer === 'back' ? 'back' : 'front');
+
+function CubeFrontView({ cube, canvasWidth, canvasHeight, scale, layer = 'front', onLayerChange }) {
   const games = Array.isArray(cube.games) ? cube.games : [];
+  const hasBackLayer = games.some((game) => getLayer(game) === 'back');
+  const visibleLayer = hasBackLayer ? layer : 'front';
 
   return (
     <div className="front-view">
+      {hasBackLayer && onLayerChange && (
+        <div className="toggle-button-group toggle-button-group--compact cube-layer-toggle">
+          {LAYER_OPTIONS.map((option) => (
+            <button
+              key={option.id}
+              type="button"
+              className={`toggle-button ${visibleLayer === option.id ? 'active' : ''}`}
+              onClick={() => onLayerChange(option.id)}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      )}
       <svg width={canvasWidth} height={canvasHeight} className="cube-svg">
         {games.map((game, index) => {
+          // Keep the list index so numbers and colors match the game list
+          if (getLayer(game) !== visibleLayer) {
+            return null;
+          }
+
           // Use position and packedDims directly from API response
           const positionX = game.position?.x ?? 0;
           const positionY = game.position?.y ?? 0;
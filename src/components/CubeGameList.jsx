@@ -7,36 +7,50 @@ import { PRINT_TWO_COLUMN_GAME_THRESHOLD } from '../constants/appDefaults';
  * Renders a list of games for a cube with color coding and interactive controls.
  * @param {Object} props - Component props
  * @param {Object} props.cube - The cube object containing games
+ * @param {Object} props.shelfSize - Shelf profile dimensions used for oversized warnings
  * @param {boolean} props.interactionsDisabled - Whether interactions are disabled
  * @param {Object} props.excludedLookup - Lookup map for excluded games
  * @param {Object} props.orientationLookup - Lookup map for orientation overrides
  * @param {Object} props.dimensionLookup - Lookup map for dimension overrides
+ * @param {Object} props.pinnedLookup - Lookup map for pinned placements
+ * @param {Object} props.paddingLookup - Lookup map for padding overrides
+ * @param {number} [props.boxClearance] - Clearance margin in inches the results were packed with
+ * @param {Object} props.storedInBaseLookup - Lookup map for base box storage choices
  * @param {Object} props.dimensionEditor - Current dimension editor state
  * @param {Object} props.badgeVisibility - Badge visibility state map
  * @param {Function} props.onOrientationCycle - Handler for orientation cycling
+ * @param {Function} props.onPinCycle - Handler for cycling the pin on this cube
  * @param {Function} props.onOpenDimensionEditor - Handler for opening dimension editor
  * @param {Function} props.onCloseDimensionEditor - Handler for closing dimension editor
  * @param {Function} props.onClearDimensionOverride - Handler for clearing dimension override
  * @param {Function} props.onDimensionFieldChange - Handler for dimension field changes
  * @param {Function} props.onDimensionSave - Handler for saving dimensions
  * @param {Function} props.onExcludeClick - Handler for exclude click
+ * @param {Function} [props.onSetStoredInBase] - Handler for storing an expansion in its base box, or not
  * @param {Function} props.onToggleBadgeVisibility - Handler for toggling badge visibility
  * @param {Function} props.buildBadgesForGame - Function to build badges for a game
  */
 function CubeGameList({
   cube,
+  shelfSize,
   interactionsDisabled,
   excludedLookup,
   orientationLookup,
   dimensionLookup,
+  pinnedLookup,
+  paddingLookup,
+  boxClearance,
+  storedInBaseLookup,
   dimensionEditor,
   onOrientationCycle,
+  onPinCycle,
   onOpenDimensionEditor,
   onCloseDimensionEditor,
   onClearDimensionOverride,
   onDimensionFieldChange,
   onDimensionSave,
   onExcludeClick,
+  onSetStoredInBase,
   badgeVisibility,
   onToggleBadgeVisibility,
   buildBadgesForGame,
@@ -56,21 +70,29 @@ function CubeGameList({
               key={game.id || index}
               game={game}
               index={index}
+              cubeId={cube.id}
+              shelfSize={shelfSize}
               backgroundColor={backgroundColor}
               borderColor={borderColor}
               interactionsDisabled={interactionsDisabled}
               excludedLookup={excludedLookup}
               orientationLookup={orientationLookup}
               dimensionLookup={dimensionLookup}
+              pinnedLookup={pinnedLookup}
+              paddingLookup={paddingLookup}
+              boxClearance={boxClearance}
+              storedInBaseLookup={storedInBaseLookup}
               dimensionEditor={dimensionEditor}
               badgeVisibility={badgeVisibility}
               onOrientationCycle={onOrientationCycle}
+              onPinCycle={onPinCycle}
               onOpenDimensionEditor={onOpenDimensionEditor}
               onCloseDimensionEditor={onCloseDimensionEditor}
               onClearDimensionOverride={onClearDimensionOverride}
               onDimensionFieldChange={onDimensionFieldChange}
               onDimensionSave={onDimensionSave}
               onExcludeClick={onExcludeClick}
+              onSetStoredInBase={onSetStoredInBase}
               onToggleBadgeVisibility={onToggleBadgeVisibility}
               buildBadgesForGame={buildBadgesForGame}
             />
@@ -0,0 +1,46 @@
+import React from 'react';
+import { FaTags } from 'react-icons/fa';
+import IconButton from './IconButton';
+import { collectCubeLabels, getCubeLabelSize, printCubeLabels } from '../utils/cubeLabels';
+
+/**
+ * "Print cube labels" button and the sheet it prints: one cut-out strip per cube with the
+ * cube number and its label, sized for the front edge of the cube.
+ * The sheet is hidden on screen and in the full-page print.
+ */
+export default function CubeLabelSheet({ cubes, shelfProfile }) {
+  const labels = collectCubeLabels(cubes);
+  if (labels.length === 0) {
+    return null;
+  }
+
+  const { width, height } = getCubeLabelSize(shelfProfile);
+
+  return (
+    <div className="cube-labels">
+      <IconButton className="cube-labels__print-button" onClick={printCubeLabels} icon={FaTags}>
+        Print cube labels
+      </IconButton>
+
+      <div className="cube-labels-print">
+        <p className="cube-labels-print__hint">Cut along the dashed lines.</p>
+        <div className="cube-labels-print__sheet">
+          {labels.map((cube) => (
+            <div
+              key={cube.id}
+              className="cube-labels-print__label"
+              style={{ width: `${width}in`, height: `${height}in` }}
+            >
+              <span className="cube-labels-print__number">
+                #{cube.id}
+                {cube.shelfPosition &&
+                  ` · Unit ${cube.shelfPosition.unit}, row ${cube.shelfPosition.row}, column ${cube.shelfPosition.column}`}
+              </span>
+              <span className="cube-labels-print__text">{cube.label}</span>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -6,40 +6,68 @@ import {
   SORTING_BADGE_BUILDERS,
   buildBadgesForGame as computeBadgesForGame,
 } from '../utils/cubeVisualization';
-import { resolveGameIdentity } from '../utils/overrideIdentity';
+import { PIN_CORNER_OPTIONS, resolveGameIdentity } from '../utils/overrideIdentity';
 import { getPrimaryDimension } from '../utils/dimensions';
 import { useUnitPreference } from '../contexts/UnitPreferenceContext';
-import { convertInchesToCm, convertCmToInches, convertDimensionInputToInches } from '../utils/unitConversion';
+import {
+  convertInchesToCm,
+  convertCmToInches,
+  convertDimensionInputToInches,
+  formatDimension,
+  formatWeight,
+} from '../utils/unitConversion';
+import { normalizeShelfProfile } from '../utils/shelfProfile';
+import { MAX_GAME_PADDING } from '../constants/appDefaults';
 
-const KALLAX_WIDTH = 13;
-const KALLAX_HEIGHT = 13;
 const SCALE = 20; // pixels per inch for visualization
+const MAX_CANVAS_WIDTH = 360; // keeps wide shelves (e.g. Billy) from overflowing the card
+const SHELF_CELL_WIDTH = 150; // width of one cube in the whole-shelf view
+const RESERVED_CUBE_LABELS = {
+  slot: 'Reserved slot',
+  growth: 'Reserved for new games',
+  section: 'Left empty after section',
+};
 
 export default function CubeVisualization({
   cube,
+  shelfProfile,
   sorting = [],
   excludedLookup = {},
   orientationLookup = {},
   dimensionLookup = {},
+  pinnedLookup = {},
+  paddingLookup = {},
+  boxClearance,
+  storedInBaseLookup = {},
   onExcludeGame,
   onSetOrientationOverride,
   onClearOrientationOverride,
   onSaveDimensionOverride,
   onRemoveDimensionOverride,
+  onSetPinnedPlacement,
+  onRemovePinnedPlacement,
+  onSavePaddingOverride,
+  onRemovePaddingOverride,
+  onSetStoredInBase,
   overridesReady = true,
   isLoading = false,
 }) {
-  const canvasWidth = KALLAX_WIDTH * SCALE;
-  const canvasHeight = KALLAX_HEIGHT * SCALE;
+  const shelfSize = useMemo(() => normalizeShelfProfile(shelfProfile), [shelfProfile]);
+  const scale = Math.min(SCALE, MAX_CANVAS_WIDTH / shelfSize.width);
+  const canvasWidth = shelfSize.width * scale;
+  const canvasHeight = shelfSize.height * scale;
   const [dimensionEditor, setDimensionEditor] = useState({
     overrideKey: null,
     length: '',
     width: '',
     depth: '',
+    padding: '',
+    dimensionsChanged: false,
     error: '',
   });
   const interactionsDisabled = !overridesReady || isLoading;
   const [badgeVisibility, setBadgeVisibility] = useState({});
+  const [visibleLayer, setVisibleLayer] = useState('front');
 
   const getOverrideKey = useCallback((game) => {
     const identity = resolveGameIdentity(game);
@@ -101,6 +129,8 @@ export default function CubeVisualization({
       length: '',
       width: '',
       depth: '',
+      padding: '',
+      dimensionsChanged: false,
       error: '',
     });
   };
@@ -134,6 +164,7 @@ export default function CubeVisualization({
         length: convertValue(prev.length),
         width: convertValue(prev.width),
         depth: convertValue(prev.depth),
+        padding: convertValue(prev.padding),
       }));
       
       prevIsMetricRef.current = isMetric;
@@ -168,6 +199,8 @@ export default function CubeVisualization({
       length: convertForDisplay(source.length),
       width: convertForDisplay(source.width),
       depth: convertForDisplay(source.depth ?? source.height),
+      padding: convertForDisplay(paddingLookup[overrideKey]?.padding),
+      dimensionsChanged: false,
       error: '',
     });
     prevIsMetricRef.current = isMetric;
@@ -177,6 +210,7 @@ export default function CubeVisualization({
     setDimensionEditor((prev) => ({
       ...prev,
       [field]: value,
+      dimensionsChanged: prev.dimensionsChanged || ['length', 'width', 'depth'].includes(field),
       error: field === 'error' ? value : '',
     }));
   };
@@ -198,21 +232,42 @@ export default function CubeVisualization({
       return converted !== null ? String(converted) : value;
     };
 
-    const success = await onSaveDimensionOverride(game, {
-      length: convertForSave(dimensionEditor.length),
-      width: convertForSave(dimensionEditor.width),
-      depth: convertForSave(dimensionEditor.depth),
-    });
-
-    if (success) {
-      closeDimensionEditor();
-    } else {
-      const unitLabel = isMetric ? 'cm' : 'inches';
+    // An empty or zero padding removes the padding override
+    const paddingInput = String(dimensionEditor.padding ?? '').trim();
+    const removePadding = paddingInput === '' || Number(paddingInput) === 0;
+    const padding = removePadding ? null : convertDimensionInputToInches(paddingInput, isMetric);
+    if (!removePadding && (padding === null || padding > MAX_GAME_PADDING)) {
       setDimensionEditor((prev) => ({
         ...prev,
-        error: `Please enter positive decimal ${unitLabel} for all fields.`,
+        error: `Padding must be between 0 and ${formatDimension(MAX_GAME_PADDING, isMetric)}.`,
       }));
+      return;
+    }
+
+    // Saving only the padding keeps the dimensions from the version
+    if (dimensionEditor.dimensionsChanged) {
+      const success = await onSaveDimensionOverride(game, {
+        length: convertForSave(dimensionEditor.length),
+        width: convertForSave(dimensionEditor.width),
+        depth: convertForSave(dimensionEditor.depth),
+      });
+
+      if (!success) {
+        const unitLabel = isMetric ? 'cm' : 'inches';
+        setDimensionEditor((prev) => ({
+          ...prev,
+          error: `Please enter positive decimal ${unitLabel} for all fields.`,
+        }));
+        return;
+      }
+    }
+
+    if (padding !== null) {
+      await onSavePaddingOverride?.(game, padding);
+    } else if (paddingLookup[overrideKey]) {
+      await onRemovePaddingOverride?.(overrideKey);
     }
+    closeDimensionEditor();
   };
 
   const handleClearDimensionOverride = (game) => {
@@ -256,25 +311,93 @@ export default function CubeVisualization({
     }
   };
 
+  // Pin here (anywhere in the cube) → bottom-left → bottom-right → unpin
+  const handlePinCycle = (game, currentPin) => {
+    if (interactionsDisabled || !onSetPinnedPlacement || !onRemovePinnedPlacement) {
+      return;
+    }
+
+    if (!currentPin || currentPin.cube !== cube.id) {
+      onSetPinnedPlacement(game, cube.id, null);
+      return;
+    }
+
+    const nextCorner = PIN_CORNER_OPTIONS[PIN_CORNER_OPTIONS.indexOf(currentPin.corner) + 1];
+    if (nextCorner) {
+      onSetPinnedPlacement(game, cube.id, nextCorner);
+    } else {
+      onRemovePinnedPlacement(currentPin.key);
+    }
+  };
+
+  const handleStoredInBaseChange = (game, storedInBase) => {
+    if (interactionsDisabled || !onSetStoredInBase) {
+      return;
+    }
+    onSetStoredInBase(game, storedInBase);
+  };
+
   return (
     <div className="cube-visualization card">
-      <h3>Cube #{cube.id}</h3>
+      <h3>
+        Cube #{cube.id}
+        {cube.shelfPosition && (
+          <span className="cube-shelf-position">
+            {' '}
+            · Unit {cube.shelfPosition.unit}, row {cube.shelfPosition.row}, column{' '}
+            {cube.shelfPosition.column}
+          </span>
+        )}
+        {cube.stats?.totalWeight > 0 && (
+          <span
+            className={`cube-weight ${cube.stats.overWeightLimit ? 'cube-weight--over' : ''}`}
+            title={
+              cube.stats.missingWeightCount > 0
+                ? `${cube.stats.missingWeightCount} game(s) have no weight on BoardGameGeek`
+                : undefined
+            }
+          >
+            {' '}
+            · {formatWeight(cube.stats.totalWeight, isMetric, 1)}
+            {cube.stats.incompleteWeight ? '+' : ''}
+          </span>
+        )}
+        {cube.label && <span className="cube-label"> · {cube.label}</span>}
+        {cube.section && <span className="cube-section"> · {cube.section}</span>}
+        {cube.reserved && (
+          <span className="cube-reserved"> · {RESERVED_CUBE_LABELS[cube.reserved] ?? 'Reserved'}</span>
+        )}
+      </h3>
       <div className="visualization-container">
-        <CubeFrontView cube={cube} canvasWidth={canvasWidth} canvasHeight={canvasHeight} scale={SCALE} />
+        <CubeFrontView
+          cube={cube}
+          canvasWidth={canvasWidth}
+          canvasHeight={canvasHeight}
+          scale={scale}
+          layer={visibleLayer}
+          onLayerChange={setVisibleLayer}
+        />
         <CubeGameList
           cube={cube}
+          shelfSize={shelfSize}
           interactionsDisabled={interactionsDisabled}
           excludedLookup={excludedLookup}
           orientationLookup={orientationLookup}
           dimensionLookup={dimensionLookup}
+          pinnedLookup={pinnedLookup}
+          paddingLookup={paddingLookup}
+          boxClearance={boxClearance}
+          storedInBaseLookup={storedInBaseLookup}
           dimensionEditor={dimensionEditor}
           onOrientationCycle={handleOrientationCycle}
+          onPinCycle={handlePinCycle}
           onOpenDimensionEditor={openDimensionEditor}
           onCloseDimensionEditor={closeDimensionEditor}
           onClearDimensionOverride={handleClearDimensionOverride}
           onDimensionFieldChange={handleDimensionFieldChange}
           onDimensionSave={handleDimensionSave}
           onExcludeClick={handleExcludeClick}
+          onSetStoredInBase={onSetStoredInBase ? handleStoredInBaseChange : undefined}
           badgeVisibility={badgeVisibility}
           onToggleBadgeVisibility={toggleBadgeVisibility}
           buildBadgesForGame={buildBadgesForGame}
@@ -284,3 +407,69 @@ export default function CubeVisualization({
   );
 }
 
+
+/**
+ * Whole-shelf view: renders one shelf unit as a grid of cube front views,
+ * each placed at the row and column assigned by the server.
+ */
+export function ShelfUnitView({ unit, cubes = [], rows, columns, shelfProfile }) {
+  const shelfSize = useMemo(() => normalizeShelfProfile(shelfProfile), [shelfProfile]);
+  const scale = Math.min(SCALE, SHELF_CELL_WIDTH / shelfSize.width);
+  const canvasWidth = shelfSize.width * scale;
+  const canvasHeight = shelfSize.height * scale;
+
+  const cubeByCell = useMemo(() => {
+    const lookup = new Map();
+    cubes.forEach((cube) => {
+      lookup.set(`${cube.shelfPosition.row}:${cube.shelfPosition.column}`, cube);
+    });
+    return lookup;
+  }, [cubes]);
+
+  const cells = [];
+  for (let row = 1; row <= rows; row += 1) {
+    for (let column = 1; column <= columns; column += 1) {
+      const cube = cubeByCell.get(`${row}:${column}`);
+      cells.push(
+        <div
+          key={`${row}:${column}`}
+          className={`shelf-unit__cell ${cube ? '' : 'shelf-unit__cell--empty'}`}
+          style={{ gridRow: row, gridColumn: column }}
+        >
+          {cube ? (
+            <>
+              <span className="shelf-unit__cube-label">
+                Cube #{cube.id}
+                {cube.section ? ` · ${cube.section}` : ''}
+                {cube.reserved ? ` · ${RESERVED_CUBE_LABELS[cube.reserved] ?? 'Reserved'}` : ''}
+              </span>
+              <CubeFrontView
+                cube={cube}
+                canvasWidth={canvasWidth}
+                canvasHeight={canvasHeight}
+                scale={scale}
+              />
+            </>
+          ) : (
+            <div
+              className="shelf-unit__placeholder"
+              style={{ width: canvasWidth, height: canvasHeight }}
+            />
+          )}
+        </div>
+      );
+    }
+  }
+
+  return (
+    <div className="shelf-unit card">
+      <h3>Unit {unit}</h3>
+      <div
+        className="shelf-unit__grid"
+        style={{ gridTemplateColumns: `repeat(${columns}, max-content)` }}
+      >
+        {cells}
+      </div>
+    </div>
+  );
+}
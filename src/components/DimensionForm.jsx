@@ -6,10 +6,13 @@ function DimensionForm({
   className,
   gridClassName,
   errorClassName,
+  noteClassName,
   actionsClassName,
   primaryButtonClassName,
   secondaryButtonClassName,
   values,
+  showPadding = false,
+  packedSize = null,
   error,
   disabled,
   onChange,
@@ -34,12 +37,14 @@ function DimensionForm({
     { key: 'length', label: `Length (${unitLabel})` },
     { key: 'width', label: `Width (${unitLabel})` },
     { key: 'depth', label: `Depth (${unitLabel})` },
+    // Extra thickness for sleeves or a bulging lid, packed on top of the box size
+    ...(showPadding ? [{ key: 'padding', label: `Padding (${unitLabel})`, optional: true }] : []),
   ];
 
   return (
     <form className={className} onSubmit={handleSubmit}>
       <div className={gridClassName}>
-        {dimensionFields.map(({ key, label }) => (
+        {dimensionFields.map(({ key, label, optional = false }) => (
           <DimensionInput
             key={key}
             id={`dimension-${key}`}
@@ -48,9 +53,12 @@ function DimensionForm({
             value={values?.[key] ?? ''}
             onChange={handleFieldChange(key)}
             disabled={disabled}
+            required={!optional}
+            min={optional ? '0' : '0.01'}
           />
         ))}
       </div>
+      {packedSize ? <p className={noteClassName}>Packed as {packedSize}</p> : null}
       {error ? <p className={errorClassName}>{error}</p> : null}
       <div className={actionsClassName}>
         <button type="submit" className={primaryButtonClassName} disabled={disabled}>
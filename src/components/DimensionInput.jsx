@@ -1,6 +1,15 @@
 import React from 'react';
 
-function DimensionInput({ label, value, onChange, disabled = false, id, name }) {
+function DimensionInput({
+  label,
+  value,
+  onChange,
+  disabled = false,
+  required = true,
+  min = '0.01',
+  id,
+  name,
+}) {
   return (
     <label htmlFor={id}>
       {label}
@@ -9,10 +18,10 @@ function DimensionInput({ label, value, onChange, disabled = false, id, name })
         id={id}
         name={name}
         step="0.01"
-        min="0.01"
+        min={min}
         value={value}
         onChange={onChange}
-        required
+        required={required}
         disabled={disabled}
         autoComplete="off"
       />
@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useState } from 'react';
 import {
   FaTrashAlt,
   FaArrowsAltV,
@@ -14,57 +14,84 @@ import {
   FaQuestionCircle,
   FaInfoCircle,
   FaTools,
+  FaThumbtack,
+  FaRoute,
+  FaBoxes,
+  FaSignOutAlt,
 } from 'react-icons/fa';
 import DimensionForm from './DimensionForm';
 import IconButton from './IconButton';
 import DisclosureIcon from './DisclosureIcon';
-import { resolveDisplayDimensions, getPrimaryDimension, formatEditorDimensions } from '../utils/dimensions';
+import {
+  resolveDisplayDimensions,
+  getPrimaryDimension,
+  formatEditorDimensions,
+  formatPackedBoxSize,
+} from '../utils/dimensions';
 import { resolveGameIdentity } from '../utils/overrideIdentity';
 import { useUnitPreference } from '../contexts/UnitPreferenceContext';
 import { formatDimension } from '../utils/unitConversion';
 import { formatGameDimensions } from '../utils/results';
+import { formatPinnedPlacement } from '../utils/resultsOverrides';
+import { describeTraceEvent, hasPlacementTrace } from '../utils/placementTrace';
 
 /**
  * Renders a single game item in the cube game list.
  * @param {Object} props - Component props
  * @param {Object} props.game - The game object
  * @param {number} props.index - Index of the game in the list
+ * @param {number} props.cubeId - Number of the cube the game is listed in
+ * @param {Object} props.shelfSize - Shelf profile dimensions used for oversized warnings
  * @param {string} props.backgroundColor - Background color for the item
  * @param {string} props.borderColor - Border color for the item
  * @param {boolean} props.interactionsDisabled - Whether interactions are disabled
  * @param {Object} props.excludedLookup - Lookup map for excluded games
  * @param {Object} props.orientationLookup - Lookup map for orientation overrides
  * @param {Object} props.dimensionLookup - Lookup map for dimension overrides
+ * @param {Object} props.pinnedLookup - Lookup map for pinned placements
+ * @param {Object} props.paddingLookup - Lookup map for padding overrides
+ * @param {number} [props.boxClearance] - Clearance margin in inches the results were packed with
+ * @param {Object} props.storedInBaseLookup - Lookup map for base box storage choices
  * @param {Object} props.dimensionEditor - Current dimension editor state
  * @param {Object} props.badgeVisibility - Badge visibility state map
  * @param {Function} props.onOrientationCycle - Handler for orientation cycling
+ * @param {Function} props.onPinCycle - Handler for cycling the pin on this cube
  * @param {Function} props.onOpenDimensionEditor - Handler for opening dimension editor
  * @param {Function} props.onCloseDimensionEditor - Handler for closing dimension editor
  * @param {Function} props.onClearDimensionOverride - Handler for clearing dimension override
  * @param {Function} props.onDimensionFieldChange - Handler for dimension field changes
  * @param {Function} props.onDimensionSave - Handler for saving dimensions
  * @param {Function} props.onExcludeClick - Handler for exclude click
+ * @param {Function} [props.onSetStoredInBase] - Handler for storing an expansion in its base box, or not
  * @param {Function} props.onToggleBadgeVisibility - Handler for toggling badge visibility
  * @param {Function} props.buildBadgesForGame - Function to build badges for a game
  */
 export default function GameListItem({
   game,
   index,
+  cubeId,
+  shelfSize,
   backgroundColor,
   borderColor,
   interactionsDisabled,
   excludedLookup,
   orientationLookup,
   dimensionLookup,
+  pinnedLookup = {},
+  paddingLookup = {},
+  boxClearance = 0,
+  storedInBaseLookup = {},
   dimensionEditor,
   badgeVisibility,
   onOrientationCycle,
+  onPinCycle,
   onOpenDimensionEditor,
   onCloseDimensionEditor,
   onClearDimensionOverride,
   onDimensionFieldChange,
   onDimensionSave,
   onExcludeClick,
+  onSetStoredInBase,
   onToggleBadgeVisibility,
   buildBadgesForGame,
 }) {
@@ -74,6 +101,12 @@ export default function GameListItem({
   const isExcluded = overrideKey ? Boolean(excludedLookup[overrideKey]) : false;
   const forcedOrientation = overrideKey ? orientationLookup[overrideKey] || null : null;
   const userDims = overrideKey ? dimensionLookup[overrideKey] || null : null;
+  const pin = overrideKey ? pinnedLookup[overrideKey] || null : null;
+  const padding = overrideKey ? paddingLookup[overrideKey] || null : null;
+  const keptInOwnBox = overrideKey ? storedInBaseLookup[overrideKey]?.storedInBase === false : false;
+  const storedExpansions = Array.isArray(game.storedExpansions) ? game.storedExpansions : [];
+  // A pin only takes effect on the next run, or may not have fit where it points
+  const pinNotApplied = Boolean(pin) && (pin.cube !== cubeId || !game.pinned);
   const displayDims = resolveDisplayDimensions(userDims, packedDims, dimensionEditor, overrideKey);
   const editingThisGame = dimensionEditor.overrideKey === overrideKey;
 
@@ -88,7 +121,12 @@ export default function GameListItem({
   const versionName = typeof game.versionName === 'string' ? game.versionName.trim() : '';
   const displayName = gameName || 'Unknown Game';
   const versionLabel = versionName || 'No Version Selected';
-  const showVersionLine = Boolean(displayName) && Boolean(versionLabel);
+  // Custom items have no BGG version
+  const isCustomItem = Boolean(game.isCustomItem);
+  const showVersionLine = Boolean(displayName) && Boolean(versionLabel) && !isCustomItem;
+  // Each owned copy of a version is packed as its own box
+  const copyCount = Number.isInteger(game.copyCount) ? game.copyCount : 1;
+  const isOneOfCopies = copyCount > 1;
 
   const orientationIcon =
     forcedOrientation === 'horizontal' ? (
@@ -103,10 +141,27 @@ export default function GameListItem({
     ? `Forced ${forcedOrientation} orientation. Click to change or clear.`
     : 'Cycle orientation override (vertical → horizontal → none)';
 
+  let pinTitle = `Pin here: always place this game in cube ${cubeId}`;
+  if (pin?.cube === cubeId) {
+    pinTitle = `Pinned to ${formatPinnedPlacement(pin).toLowerCase()}. Click to cycle (any spot → bottom-left → bottom-right → unpin).`;
+  } else if (pin) {
+    pinTitle = `Pinned to cube ${pin.cube}. Click to pin it to cube ${cubeId} instead.`;
+  }
+
+  // The packing trace is only sent when placements were explained
+  const [traceOpen, setTraceOpen] = useState(false);
+  const showTrace = hasPlacementTrace(game);
+
   const badges = buildBadgesForGame(game);
   const hasBadges = badges.length > 0;
   const isBadgesExpanded = overrideKey ? badgeVisibility[overrideKey] ?? false : false;
   const { isMetric } = useUnitPreference();
+  const oversizedLimits = [
+    game.oversized?.x && `width > ${formatDimension(shelfSize?.width ?? 13, isMetric)}`,
+    game.oversized?.y && `height > ${formatDimension(shelfSize?.height ?? 13, isMetric)}`,
+  ]
+    .filter(Boolean)
+    .join(' and ');
 
   return (
     <li
@@ -123,8 +178,21 @@ export default function GameListItem({
         <span className="game-title">
           <span className="game-index">{index + 1}.</span>
           <span className="game-name">
-            <span className="game-base-name">{displayName}</span>
+            <span className="game-base-name">
+              {displayName}
+              {isOneOfCopies && (
+                <span
+                  className="game-copy-badge"
+                  title={`Copy ${game.copyNumber} of ${copyCount} in your collection`}
+                >
+                  ×{copyCount}
+                </span>
+              )}
+            </span>
             {showVersionLine && <span className="game-version">{versionLabel}</span>}
+            {isCustomItem && <span className="game-layer-tag">Custom item</span>}
+            {game.isAccessory && <span className="game-layer-tag">Accessory</span>}
+            {game.layer === 'back' && <span className="game-layer-tag">Back row</span>}
           </span>
         </span>
       </div>
@@ -137,6 +205,30 @@ export default function GameListItem({
           icon={orientationIcon}
           srLabel="Cycle orientation override"
         />
+        {onPinCycle && (
+          <IconButton
+            className={`game-action pin${pin ? ' active' : ''}`}
+            onClick={() => onPinCycle(game, pin)}
+            disabled={interactionsDisabled}
+            title={pinTitle}
+            icon={<FaThumbtack aria-hidden="true" className="button-icon" />}
+            srLabel="Pin here"
+          />
+        )}
+        {onSetStoredInBase && game.isExpansion && (
+          <IconButton
+            className={`game-action store-in-base${game.storeInBaseSuggested ? ' suggested' : ''}`}
+            onClick={() => onSetStoredInBase(game, true)}
+            disabled={interactionsDisabled}
+            title={
+              game.storeInBaseSuggested
+                ? 'Small enough to keep inside its base game box. Click to store it there.'
+                : 'Store inside its base game box; it takes no cube space while the base game is packed'
+            }
+            icon={<FaBoxes aria-hidden="true" className="button-icon" />}
+            srLabel="Store in base game box"
+          />
+        )}
         <IconButton
           className={`game-action dimension${editingThisGame ? ' active' : ''}`}
           onClick={() => (editingThisGame ? onCloseDimensionEditor() : onOpenDimensionEditor(game))}
@@ -152,11 +244,51 @@ export default function GameListItem({
           title={
             isExcluded
               ? 'Already excluded from future runs'
-              : 'Exclude this game from future sorts'
+              : isOneOfCopies
+                ? `Exclude copy ${game.copyNumber} of ${copyCount} from future sorts; the other copies stay`
+                : 'Exclude this game from future sorts'
           }
           icon={<FaTrashAlt aria-hidden="true" className="button-icon" />}
-          srLabel="Exclude game from future sorts"
+          srLabel={isOneOfCopies ? 'Exclude this copy from future sorts' : 'Exclude game from future sorts'}
         />
+        {showTrace && (
+          <span className="game-trace">
+            <IconButton
+              className={`game-action trace${traceOpen ? ' active' : ''}`}
+              onClick={() => setTraceOpen((open) => !open)}
+              title="Why is this here?"
+              icon={<FaRoute aria-hidden="true" className="button-icon" />}
+              srLabel="Why is this here?"
+              aria-expanded={traceOpen}
+            />
+            {traceOpen && (
+              <div
+                className="game-trace-popover"
+                role="dialog"
+                aria-label={`Why ${displayName} is in cube ${cubeId}`}
+                onKeyDown={(event) => event.key === 'Escape' && setTraceOpen(false)}
+              >
+                <div className="game-trace-header">
+                  <strong>Why is this here?</strong>
+                  <IconButton
+                    className="game-trace-close"
+                    onClick={() => setTraceOpen(false)}
+                    title="Close"
+                    icon={<FaTimes aria-hidden="true" className="button-icon" />}
+                    srLabel="Close"
+                  />
+                </div>
+                <ol className="game-trace-steps">
+                  {game.trace.map((event, eventIndex) => (
+                    <li key={eventIndex} className={`game-trace-step is-${event.outcome}`}>
+                      {describeTraceEvent(event)}
+                    </li>
+                  ))}
+                </ol>
+              </div>
+            )}
+          </span>
+        )}
       </div>
       <div className="game-dimension-row">
         <span className={`game-dimension-chip${userDims ? ' has-user-dimensions' : ''}`}>
@@ -204,9 +336,7 @@ export default function GameListItem({
         {oversizedWarning && (
           <FaBoxOpen
             className="dimension-icon oversized-icon"
-            title={`This game may be too large for the cube (${game.oversized?.x ? 'width' : ''}${
-              game.oversized?.x && game.oversized?.y ? ' and ' : ''
-            }${game.oversized?.y ? 'height' : ''} > ${formatDimension(13, isMetric)})`}
+            title={`This game may be too large for the cube (${oversizedLimits})`}
             aria-hidden="true"
           />
         )}
@@ -221,13 +351,61 @@ export default function GameListItem({
           />
         )}
       </div>
-      {(isExcluded || forcedOrientation || userDims) && (
+      {(isExcluded ||
+        forcedOrientation ||
+        userDims ||
+        pin ||
+        padding ||
+        keptInOwnBox ||
+        game.storeInBaseSuggested) && (
         <div className="game-status-flags">
           {isExcluded && <span className="override-pill">Excluded</span>}
           {forcedOrientation && (
             <span className="override-pill">Forced {forcedOrientation}</span>
           )}
           {userDims && <span className="override-pill">Custom dims</span>}
+          {pin && (
+            <span
+              className={`override-pill${pinNotApplied ? ' pin-pending' : ''}`}
+              title={pinNotApplied ? 'Takes effect the next time you organize your collection' : undefined}
+            >
+              Pinned: {formatPinnedPlacement(pin)}
+            </span>
+          )}
+          {padding && (
+            <span className="override-pill">Padding +{formatDimension(padding.padding, isMetric, 2)}</span>
+          )}
+          {keptInOwnBox && <span className="override-pill">Own box</span>}
+          {game.storeInBaseSuggested && !keptInOwnBox && (
+            <span className="override-pill store-suggestion">Fits in base box</span>
+          )}
+        </div>
+      )}
+      {storedExpansions.length > 0 && (
+        <div className="game-stored-expansions">
+          <span className="game-stored-expansions-title">Stored inside</span>
+          <ul>
+            {storedExpansions.map((expansion) => (
+              <li key={expansion.versionKey} className="game-stored-expansion">
+                <span className="game-stored-expansion-name">
+                  {expansion.gameName || expansion.displayName}
+                  {expansion.versionName && (
+                    <span className="game-version">{expansion.versionName}</span>
+                  )}
+                </span>
+                {onSetStoredInBase && (
+                  <IconButton
+                    className="game-action unstore"
+                    onClick={() => onSetStoredInBase(expansion, false)}
+                    disabled={interactionsDisabled}
+                    title="Pack this expansion in its own box"
+                    icon={<FaSignOutAlt aria-hidden="true" className="button-icon" />}
+                    srLabel="Pack in its own box"
+                  />
+                )}
+              </li>
+            ))}
+          </ul>
         </div>
       )}
       {editingThisGame && (
@@ -235,10 +413,13 @@ export default function GameListItem({
           className="dimension-edit-form"
           gridClassName="dimension-edit-grid"
           errorClassName="dimension-edit-error"
+          noteClassName="dimension-edit-note"
           actionsClassName="dimension-edit-actions"
           primaryButtonClassName="primary"
           secondaryButtonClassName="secondary"
           values={dimensionEditor}
+          showPadding
+          packedSize={formatPackedBoxSize(dimensionEditor, boxClearance, { isMetric })}
           error={dimensionEditor.error}
           disabled={interactionsDisabled}
           onChange={onDimensionFieldChange}
@@ -0,0 +1,102 @@
+import React, { useEffect, useState } from 'react';
+import { FaExchangeAlt, FaPrint } from 'react-icons/fa';
+import CollapsibleCallout from './CollapsibleCallout';
+import IconButton from './IconButton';
+import { describeMoveStep, printMovePlan } from '../utils/movePlan';
+
+/**
+ * Step-by-step checklist for rearranging the shelf from the previous result to this one.
+ * The screen view is a collapsible panel; the print view is a plain numbered list with
+ * tick boxes, printed on its own by the "Print checklist" button.
+ */
+export default function MovePlanChecklist({ movePlan, renderDisclosureIcon }) {
+  const [expanded, setExpanded] = useState(false);
+  const [doneSteps, setDoneSteps] = useState(() => new Set());
+
+  useEffect(() => {
+    setDoneSteps(new Set());
+  }, [movePlan]);
+
+  if (!movePlan || !Array.isArray(movePlan.steps)) {
+    return null;
+  }
+
+  const { steps, summary } = movePlan;
+  const toggleStep = (index) => {
+    setDoneSteps((previous) => {
+      const next = new Set(previous);
+      if (next.has(index)) {
+        next.delete(index);
+      } else {
+        next.add(index);
+      }
+      return next;
+    });
+  };
+  const summaryText =
+    `Compared with your previous result: ${summary.unchanged} games stay put, ` +
+    `${summary.moved} move, ${summary.added} are new and ${summary.removed} come off the shelf.`;
+
+  return (
+    <div className="move-plan">
+      <CollapsibleCallout
+        variant="manual"
+        expanded={expanded}
+        onToggle={() => setExpanded((value) => !value)}
+        renderToggleIcon={renderDisclosureIcon}
+        icon={<FaExchangeAlt className="inline-icon" aria-hidden="true" />}
+        title="Move Plan"
+        count={steps.length}
+      >
+        <div className="callout__description">
+          {steps.length === 0 ? 'Nothing to move: every game is already in its cube.' : summaryText}
+          {summary.setAside > 0 &&
+            ` ${summary.setAside} games have to be set aside briefly because cubes swap contents.`}
+        </div>
+        {steps.length > 0 && (
+          <>
+            <IconButton
+              className="move-plan__print-button"
+              onClick={printMovePlan}
+              icon={FaPrint}
+            >
+              Print checklist
+            </IconButton>
+            <ol className="move-plan__steps">
+              {steps.map((step, index) => (
+                <li
+                  key={`${step.type}-${step.key}`}
+                  className={`move-plan__step ${doneSteps.has(index) ? 'move-plan__step--done' : ''}`}
+                >
+                  <label>
+                    <input
+                      type="checkbox"
+                      checked={doneSteps.has(index)}
+                      onChange={() => toggleStep(index)}
+                    />
+                    <span>{describeMoveStep(step)}</span>
+                  </label>
+                </li>
+              ))}
+            </ol>
+          </>
+        )}
+      </CollapsibleCallout>
+
+      {steps.length > 0 && (
+        <div className="move-plan-print">
+          <h2 className="move-plan-print__title">Move Plan</h2>
+          <p className="move-plan-print__summary">{summaryText}</p>
+          <ol className="move-plan-print__steps">
+            {steps.map((step) => (
+              <li key={`${step.type}-${step.key}`} className="move-plan-print__step">
+                <span className="move-plan-print__box" aria-hidden="true" />
+                {describeMoveStep(step)}
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+    </div>
+  );
+}
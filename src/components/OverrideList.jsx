@@ -10,7 +10,12 @@ function OverrideList({ items, renderActions, showDimensions = false }) {
       {items.map((item) => (
         <li key={item.key} className="override-list-item">
           <div className="override-entry-row">
-            <span className="override-entry-name">{item.name}</span>
+            <span className="override-entry-name">
+              {item.name}
+              {item.copyNumber ? (
+                <span className="override-entry-copy"> (copy {item.copyNumber})</span>
+              ) : null}
+            </span>
             <div className="override-entry-actions">
               {showDimensions ? <span className="override-pill">{item.dimensions}</span> : null}
               {renderActions(item)}
@@ -1,5 +1,14 @@
 import React from 'react';
-import { COLLECTION_STATUSES, SORTING_FIELD_DEFINITIONS } from '../constants/appDefaults';
+import {
+  COLLECTION_STATUSES,
+  SHELF_FILL_ORDER_OPTIONS,
+  SORTING_FIELD_DEFINITIONS,
+} from '../constants/appDefaults';
+import { formatSeriesFamilyTypes } from '../utils/requestPayload';
+import { getShelfProfileLabel } from '../utils/shelfProfile';
+import { describeShelfReserve } from '../utils/shelfReserve';
+import { formatDimension } from '../utils/unitConversion';
+import { useUnitPreference } from '../contexts/UnitPreferenceContext';
 import './PrintOptionsPanel.css';
 
 /**
@@ -11,21 +20,55 @@ function PrintOptionsPanel({
   optimizeSpace,
   includeExpansions,
   groupExpansions,
+  storeExpansionsInBase,
   groupSeries,
+  seriesFamilyTypes,
   backfillPercentage,
   fitOversized,
+  depthLayers,
+  shelfProfile,
+  inventory,
+  shelfLayout,
+  reserve,
   bypassVersionWarning,
   lockRotation,
   collectionFilters,
   sorting,
 }) {
   const enabledSortingRules = sorting.filter((rule) => rule.enabled);
+  const { isMetric } = useUnitPreference();
 
   return (
     <div className="print-options-panel">
       <div className="print-options-section">
         <h4 className="print-options-title">Preferences</h4>
         <div className="print-options-list">
+          {shelfProfile && (
+            <div className="print-option-item">
+              <strong>Shelf:</strong> {getShelfProfileLabel(shelfProfile)} (
+              {formatDimension(shelfProfile.width, isMetric)} W ×{' '}
+              {formatDimension(shelfProfile.height, isMetric)} H ×{' '}
+              {formatDimension(shelfProfile.depth, isMetric)} D)
+            </div>
+          )}
+          {inventory && (
+            <div className="print-option-item">
+              <strong>Shelf units:</strong> {inventory.units} × {inventory.cubesPerUnit} cubes
+            </div>
+          )}
+          {shelfLayout && (
+            <div className="print-option-item">
+              <strong>Shelf grid:</strong> {shelfLayout.rows} × {shelfLayout.columns},{' '}
+              {SHELF_FILL_ORDER_OPTIONS.find((option) => option.id === shelfLayout.fillOrder)?.label ??
+                shelfLayout.fillOrder}
+              {shelfLayout.heavyCubesLow ? ', heavy cubes low' : ''}
+            </div>
+          )}
+          {reserve && (
+            <div className="print-option-item">
+              <strong>Reserved space:</strong> {describeShelfReserve(reserve)}
+            </div>
+          )}
           <div className="print-option-item">
             <strong>Stacking:</strong> {stacking === 'horizontal' ? 'Horizontal' : 'Vertical'}
           </div>
@@ -44,11 +87,26 @@ function PrintOptionsPanel({
               <strong>Group expansions with base game:</strong> Enabled
             </div>
           )}
+          {storeExpansionsInBase && (
+            <div className="print-option-item">
+              <strong>Store expansions in base box:</strong> Enabled
+            </div>
+          )}
+          {groupSeries && (
+            <div className="print-option-item">
+              <strong>Group series:</strong> {formatSeriesFamilyTypes(seriesFamilyTypes)}
+            </div>
+          )}
           {fitOversized && (
             <div className="print-option-item">
               <strong>Fit oversized games:</strong> Enabled
             </div>
           )}
+          {depthLayers && (
+            <div className="print-option-item">
+              <strong>Double-row shallow games:</strong> Enabled
+            </div>
+          )}
           {lockRotation && (
             <div className="print-option-item">
               <strong>Lock rotation:</strong> Enabled
@@ -1,8 +1,11 @@
-import React, { useMemo, useCallback } from 'react';
-import CubeVisualization from './CubeVisualization';
+import React, { useMemo, useCallback, useState } from 'react';
+import CubeVisualization, { ShelfUnitView } from './CubeVisualization';
 import ResultsStats from './ResultsStats';
 import ResultsOverrides from './ResultsOverrides';
 import ResultsWarningPanels from './ResultsWarningPanels';
+import ShelfInventorySummary from './ShelfInventorySummary';
+import MovePlanChecklist from './MovePlanChecklist';
+import CubeLabelSheet from './CubeLabelSheet';
 import PrintOptionsPanel from './PrintOptionsPanel';
 import DisclosureIcon from './DisclosureIcon';
 import {
@@ -16,13 +19,18 @@ import { collectWarningGroups } from '../utils/resultsWarnings';
 import { useOverrideData } from '../hooks/useOverrideData';
 import { useDimensionOverrideEditor } from '../hooks/useDimensionOverrideEditor';
 import { useUnitPreference } from '../contexts/UnitPreferenceContext';
+import { getShelfProfileLabel } from '../utils/shelfProfile';
+import { groupCubesByShelfUnit } from '../utils/shelfLayout';
 import './Results.css';
 
 export default function Results({
   cubes,
   stats,
   oversizedGames = [],
+  movePlan = null,
   fitOversized = false,
+  depthLayers = false,
+  shelfProfile,
   excludedGames = [],
   onExcludeGame,
   onRestoreExcludedGame,
@@ -32,6 +40,16 @@ export default function Results({
   dimensionOverrides = [],
   onSaveDimensionOverride,
   onRemoveDimensionOverride,
+  pinnedPlacements = [],
+  onSetPinnedPlacement,
+  onRemovePinnedPlacement,
+  paddingOverrides = [],
+  onSavePaddingOverride,
+  onRemovePaddingOverride,
+  boxClearance,
+  storedInBaseOverrides = [],
+  onSetStoredInBase,
+  onClearStoredInBase,
   overridesReady = true,
   isLoading = false,
   sorting = [],
@@ -39,21 +57,53 @@ export default function Results({
   optimizeSpace,
   includeExpansions,
   groupExpansions,
+  storeExpansionsInBase,
   groupSeries,
+  seriesFamilyTypes,
   backfillPercentage,
   bypassVersionWarning,
   lockRotation,
   collectionFilters,
 }) {
-  const statsSummaryItems = useMemo(
-    () => [
+  const shelfLabel = getShelfProfileLabel(shelfProfile);
+  const statsSummaryItems = useMemo(() => {
+    const items = [
       createStatItem('Total Games', stats?.totalGames, 'Unknown'),
-      createStatItem('Kallax Cubes Needed', stats?.totalCubes, 'Unknown'),
+      createStatItem(`${shelfLabel} Cubes Needed`, stats?.totalCubes, 'Unknown'),
       createStatItem('Avg Games/Cube', stats?.avgGamesPerCube, 'N/A'),
       createStatItem('Avg Space Utilization', stats?.totalUtilization, 'N/A', '%'),
-    ],
-    [stats?.avgGamesPerCube, stats?.totalUtilization, stats?.totalCubes, stats?.totalGames]
+    ];
+    if (stats?.optimizer) {
+      items.push(createStatItem('Cubes Saved by Optimizer', stats.optimizer.cubesSaved, '0'));
+    }
+    if (stats?.inventory) {
+      items.push(createStatItem('Games Without Space', stats.inventory.overflowCount, '0'));
+    }
+    if (stats?.incremental) {
+      items.push(createStatItem('Games Moved', stats.incremental.movedGames, '0'));
+    }
+    if (stats?.reservedCubes > 0) {
+      items.push(createStatItem('Reserved Cubes', stats.reservedCubes, '0'));
+    }
+    return items;
+  }, [
+    shelfLabel,
+    stats?.avgGamesPerCube,
+    stats?.totalUtilization,
+    stats?.totalCubes,
+    stats?.totalGames,
+    stats?.optimizer,
+    stats?.inventory,
+    stats?.incremental,
+    stats?.reservedCubes,
+  ]);
+  const shelfLayout = stats?.shelfLayout ?? null;
+  const shelfUnits = useMemo(
+    () => (shelfLayout ? groupCubesByShelfUnit(cubes) : []),
+    [cubes, shelfLayout]
   );
+  const [cubeView, setCubeView] = useState('cubes');
+  const showShelfView = cubeView === 'shelf' && shelfUnits.length > 0;
   const renderDisclosureIcon = useCallback((expanded) => <DisclosureIcon expanded={expanded} />, []);
   const { isMetric } = useUnitPreference();
   
@@ -71,17 +121,32 @@ export default function Results({
     excludedLookup,
     orientationLookup,
     dimensionLookup,
+    pinnedLookup,
+    paddingLookup,
+    storedInBaseLookup,
     sortedExcludedGames,
     orientationOverrideItems,
     sortedDimensionOverrides,
+    sortedPinnedPlacements,
+    sortedPaddingOverrides,
+    sortedStoredInBaseOverrides,
   } = useOverrideData({
     excludedGames,
     orientationOverrides,
     dimensionOverrides,
+    pinnedPlacements,
+    paddingOverrides,
+    storedInBaseOverrides,
   });
   const warningGroups = useMemo(
-    () => collectWarningGroups({ cubes, oversizedGames }),
-    [cubes, oversizedGames]
+    () =>
+      collectWarningGroups({
+        cubes,
+        oversizedGames,
+        inventory: stats?.inventory,
+        series: stats?.series,
+      }),
+    [cubes, oversizedGames, stats?.inventory, stats?.series]
   );
   const {
     editorState: panelDimensionEditor,
@@ -104,10 +169,19 @@ export default function Results({
 
       <ResultsStats items={statsSummaryItems} />
 
+      <ShelfInventorySummary inventory={stats?.inventory} />
+
+      <MovePlanChecklist movePlan={movePlan} renderDisclosureIcon={renderDisclosureIcon} />
+
+      <CubeLabelSheet cubes={cubes} shelfProfile={shelfProfile} />
+
       <ResultsOverrides
         excludedGames={sortedExcludedGames}
         orientationItems={orientationOverrideItems}
         dimensionOverrides={sortedDimensionOverrides}
+        pinnedPlacements={sortedPinnedPlacements}
+        paddingOverrides={sortedPaddingOverrides}
+        storedInBaseOverrides={sortedStoredInBaseOverrides}
         overridesReady={overridesReady}
         isLoading={isLoading}
         renderDisclosureIcon={renderDisclosureIcon}
@@ -115,6 +189,9 @@ export default function Results({
         onSetOrientationOverride={onSetOrientationOverride}
         onClearOrientationOverride={onClearOrientationOverride}
         onRemoveDimensionOverride={onRemoveDimensionOverride}
+        onRemovePinnedPlacement={onRemovePinnedPlacement}
+        onRemovePaddingOverride={onRemovePaddingOverride}
+        onClearStoredInBase={onClearStoredInBase}
         onDimensionFieldChange={handlePanelDimensionFieldChange}
         onDimensionSave={handlePanelDimensionSave}
         onDimensionOpen={openPanelDimensionEditor}
@@ -129,6 +206,8 @@ export default function Results({
       <ResultsWarningPanels
         warningGroups={warningGroups}
         fitOversized={fitOversized}
+        inventory={stats?.inventory}
+        shelfLabel={shelfLabel}
         renderDisclosureIcon={renderDisclosureIcon}
       />
 
@@ -137,34 +216,85 @@ export default function Results({
         optimizeSpace={optimizeSpace}
         includeExpansions={includeExpansions}
         groupExpansions={groupExpansions}
+        storeExpansionsInBase={storeExpansionsInBase}
         groupSeries={groupSeries}
+        seriesFamilyTypes={seriesFamilyTypes}
         backfillPercentage={backfillPercentage}
         fitOversized={fitOversized}
+        depthLayers={depthLayers}
+        shelfProfile={shelfProfile}
+        inventory={stats?.inventory}
+        shelfLayout={shelfLayout}
+        reserve={stats?.reserve}
         bypassVersionWarning={bypassVersionWarning}
         lockRotation={lockRotation}
         collectionFilters={collectionFilters}
         sorting={sorting}
       />
 
-      <div className="cubes-container">
-        {cubes.map((cube) => (
-          <CubeVisualization
-            key={cube.id}
-            cube={cube}
-            sorting={sorting}
-            excludedLookup={excludedLookup}
-            orientationLookup={orientationLookup}
-            dimensionLookup={dimensionLookup}
-            onExcludeGame={onExcludeGame}
-            onSetOrientationOverride={onSetOrientationOverride}
-            onClearOrientationOverride={onClearOrientationOverride}
-            onSaveDimensionOverride={onSaveDimensionOverride}
-            onRemoveDimensionOverride={onRemoveDimensionOverride}
-            overridesReady={overridesReady}
-            isLoading={isLoading}
-          />
-        ))}
-      </div>
+      {shelfUnits.length > 0 && (
+        <div className="cube-view-toggle toggle-button-group toggle-button-group--compact">
+          <button
+            type="button"
+            className={`toggle-button ${!showShelfView ? 'active' : ''}`}
+            onClick={() => setCubeView('cubes')}
+          >
+            Cube details
+          </button>
+          <button
+            type="button"
+            className={`toggle-button ${showShelfView ? 'active' : ''}`}
+            onClick={() => setCubeView('shelf')}
+          >
+            Whole shelf
+          </button>
+        </div>
+      )}
+
+      {showShelfView ? (
+        <div className="shelf-units-container">
+          {shelfUnits.map(({ unit, cubes: unitCubes }) => (
+            <ShelfUnitView
+              key={unit}
+              unit={unit}
+              cubes={unitCubes}
+              rows={shelfLayout.rows}
+              columns={shelfLayout.columns}
+              shelfProfile={shelfProfile}
+            />
+          ))}
+        </div>
+      ) : (
+        <div className="cubes-container">
+          {cubes.map((cube) => (
+            <CubeVisualization
+              key={cube.id}
+              cube={cube}
+              shelfProfile={shelfProfile}
+              sorting={sorting}
+              excludedLookup={excludedLookup}
+              orientationLookup={orientationLookup}
+              dimensionLookup={dimensionLookup}
+              pinnedLookup={pinnedLookup}
+              paddingLookup={paddingLookup}
+              boxClearance={boxClearance}
+              storedInBaseLookup={storedInBaseLookup}
+              onExcludeGame={onExcludeGame}
+              onSetOrientationOverride={onSetOrientationOverride}
+              onClearOrientationOverride={onClearOrientationOverride}
+              onSaveDimensionOverride={onSaveDimensionOverride}
+              onRemoveDimensionOverride={onRemoveDimensionOverride}
+              onSetPinnedPlacement={onSetPinnedPlacement}
+              onRemovePinnedPlacement={onRemovePinnedPlacement}
+              onSavePaddingOverride={onSavePaddingOverride}
+              onRemovePaddingOverride={onRemovePaddingOverride}
+              onSetStoredInBase={onSetStoredInBase}
+              overridesReady={overridesReady}
+              isLoading={isLoading}
+            />
+          ))}
+        </div>
+      )}
     </div>
   );
 }
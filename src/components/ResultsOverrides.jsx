@@ -7,22 +7,34 @@ import {
   FaRulerCombined,
   FaEdit,
   FaTimes,
+  FaThumbtack,
+  FaLayerGroup,
+  FaBoxes,
 } from 'react-icons/fa';
 import OverridesSection from './OverridesSection';
 import OverrideList from './OverrideList';
 import DimensionForm from './DimensionForm';
 import IconButton from './IconButton';
+import { formatPinnedPlacement } from '../utils/resultsOverrides';
+import { useUnitPreference } from '../contexts/UnitPreferenceContext';
+import { formatDimension } from '../utils/unitConversion';
 
 const PANEL_KEYS = {
   excluded: 'excluded',
   orientation: 'orientation',
   dimensions: 'dimensions',
+  pins: 'pins',
+  padding: 'padding',
+  storedInBase: 'storedInBase',
 };
 
 export default function ResultsOverrides({
   excludedGames,
   orientationItems,
   dimensionOverrides,
+  pinnedPlacements = [],
+  paddingOverrides = [],
+  storedInBaseOverrides = [],
   overridesReady,
   isLoading,
   renderDisclosureIcon,
@@ -30,6 +42,9 @@ export default function ResultsOverrides({
   onSetOrientationOverride,
   onClearOrientationOverride,
   onRemoveDimensionOverride,
+  onRemovePinnedPlacement,
+  onRemovePaddingOverride,
+  onClearStoredInBase,
   onDimensionFieldChange,
   onDimensionSave,
   onDimensionOpen,
@@ -44,7 +59,11 @@ export default function ResultsOverrides({
     [PANEL_KEYS.excluded]: false,
     [PANEL_KEYS.orientation]: false,
     [PANEL_KEYS.dimensions]: false,
+    [PANEL_KEYS.pins]: false,
+    [PANEL_KEYS.padding]: false,
+    [PANEL_KEYS.storedInBase]: false,
   });
+  const { isMetric } = useUnitPreference();
 
   const togglePanel = useCallback((panelKey) => {
     setExpandedPanels((prev) => ({
@@ -56,9 +75,17 @@ export default function ResultsOverrides({
   const hasExcludedGames = excludedGames.length > 0;
   const hasOrientationOverrides = orientationItems.length > 0;
   const hasDimensionOverrides = dimensionOverrides.length > 0;
-  const activePanelCount = [hasExcludedGames, hasOrientationOverrides, hasDimensionOverrides].filter(
-    Boolean
-  ).length;
+  const hasPinnedPlacements = pinnedPlacements.length > 0;
+  const hasPaddingOverrides = paddingOverrides.length > 0;
+  const hasStoredInBaseOverrides = storedInBaseOverrides.length > 0;
+  const activePanelCount = [
+    hasExcludedGames,
+    hasOrientationOverrides,
+    hasDimensionOverrides,
+    hasPinnedPlacements,
+    hasPaddingOverrides,
+    hasStoredInBaseOverrides,
+  ].filter(Boolean).length;
 
   const handleOrientationCycle = useCallback(
     (game) => {
@@ -241,6 +268,96 @@ export default function ResultsOverrides({
           <OverrideList items={dimensionItems} showDimensions renderActions={dimensionActions} />
         </OverridesSection>
       )}
+
+      {hasPinnedPlacements && (
+        <OverridesSection
+          expanded={expandedPanels[PANEL_KEYS.pins]}
+          onToggle={() => togglePanel(PANEL_KEYS.pins)}
+          renderToggleIcon={renderDisclosureIcon}
+          icon={<FaThumbtack className="inline-icon" aria-hidden="true" />}
+          title="Pinned placements"
+          count={pinnedPlacements.length}
+          description="Pinned games are placed in their cube first and everything else is packed around them."
+          listClassName={getScrollableListClassName(pinnedPlacements.length)}
+        >
+          <OverrideList
+            items={pinnedPlacements}
+            renderActions={(game) => (
+              <>
+                <span className="override-pill pinned-pill">{formatPinnedPlacement(game)}</span>
+                <IconButton
+                  className="override-action-button"
+                  onClick={() => onRemovePinnedPlacement?.(game.key)}
+                  disabled={!overridesReady || isLoading}
+                  title="Unpin"
+                  icon={<FaTimes aria-hidden="true" className="button-icon" />}
+                  srLabel="Remove pinned placement"
+                />
+              </>
+            )}
+          />
+        </OverridesSection>
+      )}
+
+      {hasPaddingOverrides && (
+        <OverridesSection
+          expanded={expandedPanels[PANEL_KEYS.padding]}
+          onToggle={() => togglePanel(PANEL_KEYS.padding)}
+          renderToggleIcon={renderDisclosureIcon}
+          icon={<FaLayerGroup className="inline-icon" aria-hidden="true" />}
+          title="Padding"
+          count={paddingOverrides.length}
+          description="Extra thickness packed with these games, e.g. for sleeved cards or a lid that does not close."
+          listClassName={getScrollableListClassName(paddingOverrides.length)}
+        >
+          <OverrideList
+            items={paddingOverrides}
+            renderActions={(game) => (
+              <>
+                <span className="override-pill">+{formatDimension(game.padding, isMetric, 2)}</span>
+                <IconButton
+                  className="override-action-button"
+                  onClick={() => onRemovePaddingOverride?.(game.key)}
+                  disabled={!overridesReady || isLoading}
+                  title="Remove padding"
+                  icon={<FaTimes aria-hidden="true" className="button-icon" />}
+                  srLabel="Remove padding override"
+                />
+              </>
+            )}
+          />
+        </OverridesSection>
+      )}
+
+      {hasStoredInBaseOverrides && (
+        <OverridesSection
+          expanded={expandedPanels[PANEL_KEYS.storedInBase]}
+          onToggle={() => togglePanel(PANEL_KEYS.storedInBase)}
+          renderToggleIcon={renderDisclosureIcon}
+          icon={<FaBoxes className="inline-icon" aria-hidden="true" />}
+          title="Base box storage"
+          count={storedInBaseOverrides.length}
+          description="Expansions kept inside their base game's box, or packed in their own box whatever the global setting says."
+          listClassName={getScrollableListClassName(storedInBaseOverrides.length)}
+        >
+          <OverrideList
+            items={storedInBaseOverrides}
+            renderActions={(game) => (
+              <>
+                <span className="override-pill">{game.storedInBase ? 'In base box' : 'Own box'}</span>
+                <IconButton
+                  className="override-action-button"
+                  onClick={() => onClearStoredInBase?.(game.key)}
+                  disabled={!overridesReady || isLoading}
+                  title="Follow the global setting"
+                  icon={<FaTimes aria-hidden="true" className="button-icon" />}
+                  srLabel="Remove base box storage choice"
+                />
+              </>
+            )}
+          />
+        </OverridesSection>
+      )}
     </div>
   );
 }
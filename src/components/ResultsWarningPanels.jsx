@@ -6,12 +6,17 @@ import {
   FaBoxOpen,
   FaRulerCombined,
   FaQuestionCircle,
+  FaExpandArrowsAlt,
+  FaWarehouse,
+  FaWeightHanging,
+  FaBalanceScale,
+  FaLayerGroup,
 } from 'react-icons/fa';
 import WarningCallout from './WarningCallout';
 import { buildWarningPanels, createWarningPanelState } from '../utils/resultsWarnings';
 import { pickFirstUrl } from '../utils/helpers';
 import { useUnitPreference } from '../contexts/UnitPreferenceContext';
-import { formatDimension } from '../utils/unitConversion';
+import { formatDimension, formatWeight } from '../utils/unitConversion';
 
 /**
  * Renders a linked game name or plain text if no URL is available.
@@ -68,10 +73,34 @@ const createGameRenderer = ({
   );
 };
 
+/**
+ * Renders a cube weight warning entry.
+ */
+const createCubeWeightRenderer = (isMetric) => (cube) =>
+  `Cube #${cube.cubeId} — ${formatWeight(cube.totalWeight, isMetric, 1)}${
+    cube.missingWeightCount > 0
+      ? ` (${cube.missingWeightCount} of ${cube.totalGames} games without weight)`
+      : ''
+  }`;
+
+/**
+ * Renders how far a game sticks out of the front of its cube.
+ */
+const createProtrusionRenderer = (isMetric) => (game) =>
+  ` — sticks out ${formatDimension(game.protrusion, isMetric)}`;
+
+/**
+ * Renders a series that spans more than one cube.
+ */
+const renderSplitSeries = (series) =>
+  `${series.name} — ${series.gameCount} games across cubes ${series.cubes
+    .map((cubeId) => `#${cubeId}`)
+    .join(', ')}${series.adjacent ? '' : ' (not adjacent)'}`;
+
 /**
  * Configuration for warning panels.
  */
-const createWarningPanelConfig = (isMetric) => [
+const createWarningPanelConfig = (isMetric, shelfLabel) => [
   {
     id: 'bggDefaultDimensions',
     dataKey: 'bggDefaultDimensions',
@@ -156,8 +185,8 @@ const createWarningPanelConfig = (isMetric) => [
       return (
         <>
           {fitOversized
-            ? `The following games have dimensions too large to fit in the Kallax. They have been treated as having dimensions of ${defaultLength} × ${defaultWidth} × ${defaultDepth} to fit, but may not actually fit.`
-            : 'The following games have dimensions too large to fit in the Kallax. They have not been included in the list below.'}{' '}
+            ? `The following games have dimensions too large to fit in the ${shelfLabel}. They have been treated as having dimensions of ${defaultLength} × ${defaultWidth} × ${defaultDepth} to fit, but may not actually fit.`
+            : `The following games have dimensions too large to fit in the ${shelfLabel}. They have not been included in the list below.`}{' '}
           If you believe the dimensions are incorrect, please click the game name below to submit a
           dimension correction in BoardGameGeek.
         </>
@@ -168,15 +197,87 @@ const createWarningPanelConfig = (isMetric) => [
       cubeIdPredicate: (game, { fitOversized }) => Boolean(fitOversized && game?.cubeId),
     }),
   },
+  {
+    id: 'protruding',
+    dataKey: 'protruding',
+    variant: 'warning',
+    Icon: FaExpandArrowsAlt,
+    title: 'Protruding',
+    getDescription: ({ count }) =>
+      `${count} game${count !== 1 ? 's are' : ' is'} deeper than the ${shelfLabel} and could not be turned to fit, so ${
+        count !== 1 ? 'they stick' : 'it sticks'
+      } out past the front of the shelf. If you believe the dimensions are incorrect, please click the game name below to submit a dimension correction in BoardGameGeek.`,
+    renderItem: createGameRenderer({
+      linkKeys: ['correctionUrl', 'versionsUrl'],
+      extraContent: createProtrusionRenderer(isMetric),
+    }),
+  },
+  {
+    id: 'overflow',
+    dataKey: 'overflow',
+    variant: 'error',
+    Icon: FaWarehouse,
+    title: 'Out of Shelf Space',
+    getDescription: ({ count, inventory }) => {
+      const extraUnits = inventory?.extraUnitsNeeded ?? 0;
+      const extraCubes = inventory?.extraCubesNeeded ?? 0;
+      return (
+        <>
+          {count} game{count !== 1 ? 's do' : ' does'} not fit in your {inventory?.totalCubes}{' '}
+          {shelfLabel} cubes and {count !== 1 ? 'are' : 'is'} not shown below. To shelve{' '}
+          {count !== 1 ? 'them' : 'it'} you need {extraUnits} more shelf unit
+          {extraUnits !== 1 ? 's' : ''} ({extraCubes} cube{extraCubes !== 1 ? 's' : ''}).
+        </>
+      );
+    },
+    renderItem: createGameRenderer({ includeCubeId: false }),
+  },
+  {
+    id: 'overWeightCubes',
+    dataKey: 'overWeightCubes',
+    variant: 'error',
+    Icon: FaWeightHanging,
+    title: 'Too Heavy',
+    getDescription: ({ count }) =>
+      `${count} cube${count !== 1 ? 's hold' : ' holds'} more than your weight limit per cube. Move a heavy game to a lighter cube or lower shelf, or raise the limit if your shelf can take it.`,
+    renderItem: createCubeWeightRenderer(isMetric),
+  },
+  {
+    id: 'incompleteWeightCubes',
+    dataKey: 'incompleteWeightCubes',
+    variant: 'info',
+    Icon: FaBalanceScale,
+    title: 'Unknown Weight',
+    getDescription: ({ count }) =>
+      `Most games in ${count !== 1 ? 'these cubes' : 'this cube'} have no weight on BoardGameGeek, so the total below is too low and weight limits and heavy-cube placement may be off.`,
+    renderItem: createCubeWeightRenderer(isMetric),
+  },
+  {
+    id: 'splitSeries',
+    dataKey: 'splitSeries',
+    variant: 'info',
+    Icon: FaLayerGroup,
+    title: 'Split Series',
+    getDescription: ({ count }) =>
+      `${count} series ${count !== 1 ? 'have' : 'has'} more games than fit in one cube, so ${
+        count !== 1 ? 'they are' : 'it is'
+      } spread over several cubes. Series marked "not adjacent" could not be kept in neighbouring cubes.`,
+    renderItem: renderSplitSeries,
+  },
 ];
 
 export default function ResultsWarningPanels({
   warningGroups,
   fitOversized,
+  inventory = null,
+  shelfLabel = 'cube',
   renderDisclosureIcon,
 }) {
   const { isMetric } = useUnitPreference();
-  const WARNING_PANEL_CONFIG = useMemo(() => createWarningPanelConfig(isMetric), [isMetric]);
+  const WARNING_PANEL_CONFIG = useMemo(
+    () => createWarningPanelConfig(isMetric, shelfLabel),
+    [isMetric, shelfLabel]
+  );
   const PANEL_IDS = useMemo(() => WARNING_PANEL_CONFIG.map((config) => config.id), [WARNING_PANEL_CONFIG]);
   const [panelState, setPanelState] = useState(() => createWarningPanelState(PANEL_IDS));
 
@@ -192,11 +293,12 @@ export default function ResultsWarningPanels({
       buildWarningPanels({
         warningGroups,
         fitOversized,
+        inventory,
         panelState,
         onTogglePanel: togglePanel,
         panelConfig: WARNING_PANEL_CONFIG,
       }),
-    [fitOversized, panelState, togglePanel, warningGroups, WARNING_PANEL_CONFIG]
+    [fitOversized, inventory, panelState, togglePanel, warningGroups, WARNING_PANEL_CONFIG]
   );
 
   const totalWarningPanels = warningPanels.length;
@@ -213,6 +315,7 @@ export default function ResultsWarningPanels({
           count: panel.count,
           items: panel.items,
           fitOversized: panel.context.fitOversized,
+          inventory: panel.context.inventory,
         });
 
         return (
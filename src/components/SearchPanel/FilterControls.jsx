@@ -1,12 +1,33 @@
-import React, { useMemo } from 'react';
-import { FaExclamationTriangle, FaUndoAlt } from 'react-icons/fa';
+import React, { useMemo, useState } from 'react';
+import { FaExclamationTriangle, FaPlus, FaTrashAlt, FaUndoAlt } from 'react-icons/fa';
 
 import FilterPanel from '../FilterPanel';
 import IconButton from '../IconButton';
 import SettingsToggleGroup from '../SettingsToggleGroup';
+import ToggleSwitch from '../ToggleSwitch';
 import CollectionStatusToggle from '../CollectionStatusToggle';
 import Sorting from '../Sorting';
-import { COLLECTION_STATUSES } from '../../constants/appDefaults';
+import {
+  COLLECTION_STATUSES,
+  CUSTOM_ITEM_LIMITS,
+  CUSTOM_SHELF_PROFILE_ID,
+  MAX_BOX_CLEARANCE,
+  MAX_CUBE_WEIGHT_LIMIT,
+  OPTIMIZER_TIME_BUDGET_OPTIONS,
+  SECTION_BREAK_OPTIONS,
+  SECTION_MIN_SIZE_LIMITS,
+  SERIES_FAMILY_TYPE_OPTIONS,
+  SHELF_FILL_ORDER_OPTIONS,
+  SHELF_INVENTORY_LIMITS,
+  SHELF_LAYOUT_LIMITS,
+  SHELF_PROFILE_OPTIONS,
+  SHELF_RESERVE_LIMITS,
+} from '../../constants/appDefaults';
+import { getSectionFieldLabel } from '../../utils/sectionBreaks';
+import { findShelfProfileOption } from '../../utils/shelfProfile';
+import { createCustomItemEntry } from '../../utils/customItems';
+import { convertDimensionInputToInches, formatDimension } from '../../utils/unitConversion';
+import { useUnitPreference } from '../../contexts/UnitPreferenceContext';
 
 const UserSettingsRow = ({ username, onUsernameChange, loading, onResetSettings }) => (
   <div className="options-row">
@@ -18,7 +39,7 @@ const UserSettingsRow = ({ username, onUsernameChange, loading, onResetSettings
         name="username"
         value={username}
         onChange={(event) => onUsernameChange(event.target.value)}
-        placeholder="Enter your BGG username"
+        placeholder="Enter your BGG username, or several separated by commas"
         disabled={loading}
         autoComplete="username"
       />
@@ -69,6 +90,399 @@ const StackingToggle = ({ stacking, onStackingChange, disabled }) => (
   </div>
 );
 
+const SHELF_DIMENSION_FIELDS = [
+  { key: 'width', label: 'Width', min: 1 },
+  { key: 'height', label: 'Height', min: 1 },
+  { key: 'depth', label: 'Depth', min: 1 },
+  { key: 'clearance', label: 'Clearance', min: 0 },
+];
+
+const ShelfProfileSelector = ({ shelfProfile, onShelfProfileChange, disabled }) => {
+  const selectId = 'shelf-profile-select';
+  const isCustom = shelfProfile?.id === CUSTOM_SHELF_PROFILE_ID;
+
+  const handleSelect = (event) => {
+    const nextId = event.target.value;
+    if (nextId === CUSTOM_SHELF_PROFILE_ID) {
+      // Start the custom profile from the currently selected dimensions
+      onShelfProfileChange({ ...shelfProfile, id: CUSTOM_SHELF_PROFILE_ID });
+      return;
+    }
+    const option = findShelfProfileOption(nextId);
+    if (option) {
+      const { id, width, height, depth, clearance } = option;
+      onShelfProfileChange({ id, width, height, depth, clearance });
+    }
+  };
+
+  const handleDimensionChange = (key, value) => {
+    const numeric = Number(value);
+    onShelfProfileChange({
+      ...shelfProfile,
+      [key]: value === '' || !Number.isFinite(numeric) ? '' : numeric,
+    });
+  };
+
+  return (
+    <div className="shelf-profile-row">
+      <div className="stacking-row">
+        <label className="stacking-label" htmlFor={selectId}>
+          Shelf
+        </label>
+        <select
+          id={selectId}
+          className="shelf-profile-select"
+          value={shelfProfile?.id ?? ''}
+          onChange={handleSelect}
+          disabled={disabled}
+        >
+          {SHELF_PROFILE_OPTIONS.map((option) => (
+            <option key={option.id} value={option.id}>
+              {option.label} ({option.width}" × {option.height}" × {option.depth}")
+            </option>
+          ))}
+          <option value={CUSTOM_SHELF_PROFILE_ID}>Custom…</option>
+        </select>
+      </div>
+      {isCustom && (
+        <div className="shelf-profile-dimensions">
+          {SHELF_DIMENSION_FIELDS.map((field) => (
+            <label key={field.key} className="shelf-profile-dimension">
+              <span>{field.label} (in)</span>
+              <input
+                type="number"
+                min={field.min}
+                step="0.1"
+                value={shelfProfile[field.key] ?? ''}
+                onChange={(event) => handleDimensionChange(field.key, event.target.value)}
+                disabled={disabled}
+              />
+            </label>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const SHELF_INVENTORY_FIELDS = [
+  { key: 'units', label: 'Shelf units' },
+  { key: 'cubesPerUnit', label: 'Cubes per unit' },
+];
+
+const ShelfInventoryEditor = ({
+  shelfInventory,
+  onShelfInventoryChange,
+  gridCubesPerUnit = null,
+  disabled,
+}) => {
+  const enabled = Boolean(shelfInventory?.enabled);
+
+  const handleCountChange = (key, value) => {
+    const numeric = Number(value);
+    onShelfInventoryChange({
+      ...shelfInventory,
+      [key]: value === '' || !Number.isFinite(numeric) ? '' : numeric,
+    });
+  };
+
+  return (
+    <div className="shelf-profile-row">
+      <div className="stacking-row">
+        <span
+          className="stacking-label"
+          title="Pack into the shelves you own and list the games that do not fit"
+        >
+          Shelf space
+        </span>
+        <div className="toggle-button-group toggle-button-group--compact">
+          <button
+            type="button"
+            className={`toggle-button ${!enabled ? 'active' : ''}`}
+            onClick={() => onShelfInventoryChange({ ...shelfInventory, enabled: false })}
+            disabled={disabled}
+          >
+            Unlimited
+          </button>
+          <button
+            type="button"
+            className={`toggle-button ${enabled ? 'active' : ''}`}
+            onClick={() => onShelfInventoryChange({ ...shelfInventory, enabled: true })}
+            disabled={disabled}
+          >
+            Limited
+          </button>
+        </div>
+      </div>
+      {enabled && (
+        <div className="shelf-profile-dimensions">
+          {SHELF_INVENTORY_FIELDS.map((field) => {
+            // The shelf grid decides the unit size when it is enabled
+            const fromGrid = field.key === 'cubesPerUnit' && gridCubesPerUnit !== null;
+            return (
+              <label key={field.key} className="shelf-profile-dimension">
+                <span>{field.label}</span>
+                <input
+                  type="number"
+                  min={SHELF_INVENTORY_LIMITS[field.key].min}
+                  max={SHELF_INVENTORY_LIMITS[field.key].max}
+                  step="1"
+                  value={fromGrid ? gridCubesPerUnit : shelfInventory[field.key] ?? ''}
+                  onChange={(event) => handleCountChange(field.key, event.target.value)}
+                  disabled={disabled || fromGrid}
+                  title={fromGrid ? 'Set by the shelf grid' : undefined}
+                />
+              </label>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const ShelfReserveEditor = ({ shelfReserve, onShelfReserveChange, disabled }) => {
+  const enabled = Boolean(shelfReserve?.enabled);
+
+  const handleNumberChange = (key, value) => {
+    const numeric = Number(value);
+    onShelfReserveChange({
+      ...shelfReserve,
+      [key]: value === '' || !Number.isFinite(numeric) ? '' : numeric,
+    });
+  };
+
+  return (
+    <div className="shelf-profile-row">
+      <div className="stacking-row">
+        <span
+          className="stacking-label"
+          title="Leave room for new purchases: spare cubes, cubes holding other things and free space in every cube"
+        >
+          Reserved space
+        </span>
+        <div className="toggle-button-group toggle-button-group--compact">
+          <button
+            type="button"
+            className={`toggle-button ${!enabled ? 'active' : ''}`}
+            onClick={() => onShelfReserveChange({ ...shelfReserve, enabled: false })}
+            disabled={disabled}
+          >
+            Off
+          </button>
+          <button
+            type="button"
+            className={`toggle-button ${enabled ? 'active' : ''}`}
+            onClick={() => onShelfReserveChange({ ...shelfReserve, enabled: true })}
+            disabled={disabled}
+          >
+            On
+          </button>
+        </div>
+      </div>
+      {enabled && (
+        <div className="shelf-profile-dimensions">
+          <label className="shelf-profile-dimension" title="Empty cubes added after the packed ones">
+            <span>Spare cubes</span>
+            <input
+              type="number"
+              min={SHELF_RESERVE_LIMITS.emptyCubes.min}
+              max={SHELF_RESERVE_LIMITS.emptyCubes.max}
+              step="1"
+              value={shelfReserve.emptyCubes ?? ''}
+              onChange={(event) => handleNumberChange('emptyCubes', event.target.value)}
+              disabled={disabled}
+            />
+          </label>
+          <label
+            className="shelf-profile-dimension"
+            title="Cube numbers that stay empty, e.g. the cubes holding the TV box or drawer inserts"
+          >
+            <span>Reserved cubes</span>
+            <input
+              type="text"
+              placeholder="e.g. 5, 12"
+              value={shelfReserve.slots ?? ''}
+              onChange={(event) =>
+                onShelfReserveChange({ ...shelfReserve, slots: event.target.value })
+              }
+              disabled={disabled}
+            />
+          </label>
+          <label
+            className="shelf-profile-dimension"
+            title="Share of every cube left free so each series has room to grow"
+          >
+            <span>Headroom (%)</span>
+            <input
+              type="number"
+              min={SHELF_RESERVE_LIMITS.headroomPercentage.min}
+              max={SHELF_RESERVE_LIMITS.headroomPercentage.max}
+              step="5"
+              value={shelfReserve.headroomPercentage ?? ''}
+              onChange={(event) => handleNumberChange('headroomPercentage', event.target.value)}
+              disabled={disabled}
+            />
+          </label>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const SHELF_LAYOUT_FIELDS = [
+  { key: 'rows', label: 'Rows' },
+  { key: 'columns', label: 'Columns' },
+];
+
+const ShelfLayoutEditor = ({ shelfLayout, onShelfLayoutChange, disabled }) => {
+  const enabled = Boolean(shelfLayout?.enabled);
+  const selectId = 'shelf-fill-order-select';
+
+  const handleCountChange = (key, value) => {
+    const numeric = Number(value);
+    onShelfLayoutChange({
+      ...shelfLayout,
+      [key]: value === '' || !Number.isFinite(numeric) ? '' : numeric,
+    });
+  };
+
+  return (
+    <div className="shelf-profile-row">
+      <div className="stacking-row">
+        <span
+          className="stacking-label"
+          title="Give every cube a unit, row and column so you know where to put it"
+        >
+          Shelf grid
+        </span>
+        <div className="toggle-button-group toggle-button-group--compact">
+          <button
+            type="button"
+            className={`toggle-button ${!enabled ? 'active' : ''}`}
+            onClick={() => onShelfLayoutChange({ ...shelfLayout, enabled: false })}
+            disabled={disabled}
+          >
+            Off
+          </button>
+          <button
+            type="button"
+            className={`toggle-button ${enabled ? 'active' : ''}`}
+            onClick={() => onShelfLayoutChange({ ...shelfLayout, enabled: true })}
+            disabled={disabled}
+          >
+            On
+          </button>
+        </div>
+      </div>
+      {enabled && (
+        <>
+          <div className="shelf-profile-dimensions">
+            {SHELF_LAYOUT_FIELDS.map((field) => (
+              <label key={field.key} className="shelf-profile-dimension">
+                <span>{field.label}</span>
+                <input
+                  type="number"
+                  min={SHELF_LAYOUT_LIMITS[field.key].min}
+                  max={SHELF_LAYOUT_LIMITS[field.key].max}
+                  step="1"
+                  value={shelfLayout[field.key] ?? ''}
+                  onChange={(event) => handleCountChange(field.key, event.target.value)}
+                  disabled={disabled}
+                />
+              </label>
+            ))}
+          </div>
+          <div className="stacking-row">
+            <label className="stacking-label" htmlFor={selectId}>
+              Fill order
+            </label>
+            <select
+              id={selectId}
+              className="shelf-profile-select"
+              value={shelfLayout.fillOrder}
+              onChange={(event) =>
+                onShelfLayoutChange({ ...shelfLayout, fillOrder: event.target.value })
+              }
+              disabled={disabled}
+            >
+              {SHELF_FILL_ORDER_OPTIONS.map((option) => (
+                <option key={option.id} value={option.id}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <ToggleSwitch
+            id="heavyCubesLow"
+            label="Heavy cubes low"
+            checked={Boolean(shelfLayout.heavyCubesLow)}
+            onChange={(checked) => onShelfLayoutChange({ ...shelfLayout, heavyCubesLow: checked })}
+            disabled={disabled}
+            tooltip="Put the heaviest cubes of each unit in its bottom rows instead of following the fill order"
+          />
+        </>
+      )}
+    </div>
+  );
+};
+
+const MaxCubeWeightInput = ({ value, onChange, disabled }) => {
+  const inputId = 'max-cube-weight-input';
+
+  return (
+    <div className="stacking-row">
+      <label
+        className="stacking-label"
+        htmlFor={inputId}
+        title="Flag cubes whose games weigh more than the shelf can hold. Leave empty for no limit"
+      >
+        Max weight per cube (lb)
+      </label>
+      <input
+        id={inputId}
+        type="number"
+        className="shelf-profile-select"
+        min="1"
+        max={MAX_CUBE_WEIGHT_LIMIT}
+        step="0.1"
+        placeholder="No limit"
+        value={value ?? ''}
+        onChange={(event) => onChange(event.target.value)}
+        disabled={disabled}
+      />
+    </div>
+  );
+};
+
+const BoxClearanceInput = ({ value, onChange, disabled }) => {
+  const inputId = 'box-clearance-input';
+
+  return (
+    <div className="stacking-row">
+      <label
+        className="stacking-label"
+        htmlFor={inputId}
+        title="Margin added to every side of every box so boxes are not packed flush. Leave empty for none"
+      >
+        Box clearance (in)
+      </label>
+      <input
+        id={inputId}
+        type="number"
+        className="shelf-profile-select"
+        min="0"
+        max={MAX_BOX_CLEARANCE}
+        step="0.05"
+        placeholder="None"
+        value={value ?? ''}
+        onChange={(event) => onChange(event.target.value)}
+        disabled={disabled}
+      />
+    </div>
+  );
+};
+
 const BackfillToleranceSlider = ({ value, onChange, disabled, tooltip }) => {
   const sliderId = 'backfill-tolerance-slider';
   
@@ -100,6 +514,67 @@ const BackfillToleranceSlider = ({ value, onChange, disabled, tooltip }) => {
   );
 };
 
+const OptimizerTimeBudgetSelect = ({ value, onChange, disabled }) => {
+  const selectId = 'optimizer-time-budget-select';
+
+  return (
+    <div className="stacking-row">
+      <label className="stacking-label" htmlFor={selectId}>
+        Optimizer time
+      </label>
+      <select
+        id={selectId}
+        className="shelf-profile-select"
+        value={value}
+        onChange={(event) => onChange(Number(event.target.value))}
+        disabled={disabled}
+      >
+        {OPTIMIZER_TIME_BUDGET_OPTIONS.map((seconds) => (
+          <option key={seconds} value={seconds}>
+            {seconds} seconds
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+const SeriesFamilyTypesPicker = ({ value, onChange, disabled }) => {
+  const selected = new Set(value);
+  const handleToggle = (familyType, checked) => {
+    const next = SERIES_FAMILY_TYPE_OPTIONS.map((option) => option.id).filter((id) =>
+      id === familyType ? checked : selected.has(id)
+    );
+    // At least one kind stays selected so grouping always has something to match
+    if (next.length > 0) {
+      onChange(next);
+    }
+  };
+
+  return (
+    <fieldset className="series-family-types" disabled={disabled}>
+      <legend
+        className="stacking-label"
+        title="BGG families whose games count as one series, e.g. 'Series: Catan'"
+      >
+        Series families
+      </legend>
+      <div className="series-family-types-options">
+        {SERIES_FAMILY_TYPE_OPTIONS.map((option) => (
+          <label key={option.id} className="series-family-type">
+            <input
+              type="checkbox"
+              checked={selected.has(option.id)}
+              onChange={(event) => handleToggle(option.id, event.target.checked)}
+            />
+            {option.label}
+          </label>
+        ))}
+      </div>
+    </fieldset>
+  );
+};
+
 const PreferencesPanel = ({
   collapsed,
   onToggle,
@@ -108,6 +583,11 @@ const PreferencesPanel = ({
   loading,
   preferenceState,
 }) => {
+  const { shelfLayout } = preferenceState;
+  const gridCubesPerUnit =
+    shelfLayout?.enabled && Number.isInteger(shelfLayout.rows) && Number.isInteger(shelfLayout.columns)
+      ? shelfLayout.rows * shelfLayout.columns
+      : null;
   const toggles = useMemo(
     () => [
       {
@@ -118,6 +598,15 @@ const PreferencesPanel = ({
         disabled: loading,
         tooltip: 'Ignore all sorting preferences and pack games in as few cubes as possible',
       },
+      {
+        id: 'optimizer',
+        label: 'Minimize cube count',
+        checked: preferenceState.optimizer,
+        onChange: preferenceState.onOptimizerChange,
+        disabled: loading,
+        tooltip:
+          'Spend extra time searching for a layout with fewer cubes. Sort order is kept unless Optimize for space is on',
+      },
       {
         id: 'includeExpansions',
         label: 'Include expansions',
@@ -125,13 +614,51 @@ const PreferencesPanel = ({
         onChange: preferenceState.onIncludeExpansionsChange,
         disabled: loading,
       },
+      {
+        id: 'includeAccessories',
+        label: 'Include accessories',
+        checked: preferenceState.includeAccessories,
+        onChange: preferenceState.onIncludeAccessoriesChange,
+        disabled: loading,
+        tooltip: 'Also pack the accessories in your collection, such as organizers and upgrade packs',
+      },
+      {
+        id: 'keepSharedCopies',
+        label: "Keep each owner's copy",
+        checked: preferenceState.keepSharedCopies,
+        onChange: preferenceState.onKeepSharedCopiesChange,
+        disabled: loading,
+        tooltip:
+          'With several usernames, pack a game owned by more than one of them once per owner instead of once',
+      },
       {
         id: 'groupExpansions',
         label: 'Group expansions with base game',
         checked: preferenceState.groupExpansions,
         onChange: preferenceState.onGroupExpansionsChange,
-        disabled: loading || !preferenceState.includeExpansions || preferenceState.optimizeSpace,
-        tooltip: 'Keep expansions with their base game in the same cube when possible',
+        disabled:
+          loading ||
+          !(preferenceState.includeExpansions || preferenceState.includeAccessories) ||
+          preferenceState.optimizeSpace,
+        tooltip:
+          'Keep expansions, and accessories made for a game you own, with their base game in the same cube when possible',
+      },
+      {
+        id: 'storeExpansionsInBase',
+        label: 'Store expansions in base box',
+        checked: preferenceState.storeExpansionsInBase,
+        onChange: preferenceState.onStoreExpansionsInBaseChange,
+        disabled: loading || !preferenceState.includeExpansions,
+        tooltip:
+          'Expansions take no cube space and are listed under their base game. Choose per expansion from the game list',
+      },
+      {
+        id: 'groupSeries',
+        label: 'Group series',
+        checked: preferenceState.groupSeries,
+        onChange: preferenceState.onGroupSeriesChange,
+        disabled: loading || preferenceState.optimizeSpace,
+        tooltip: 'Keep games from the same series in the same cube, or in neighbouring cubes when they do not fit in one',
       },
       {
         id: 'fitOversized',
@@ -139,7 +666,32 @@ const PreferencesPanel = ({
         checked: preferenceState.fitOversized,
         onChange: preferenceState.onFitOversizedChange,
         disabled: loading,
-        tooltip: 'Set oversized games dimension to 13 inches to fit in cubes',
+        tooltip: 'Shrink oversized games to the shelf opening so they fit in cubes',
+      },
+      {
+        id: 'depthLayers',
+        label: 'Double-row shallow games',
+        checked: preferenceState.depthLayers,
+        onChange: preferenceState.onDepthLayersChange,
+        disabled: loading,
+        tooltip: 'Pack a second row of games behind the first when boxes are shallow enough to fit two deep',
+      },
+      {
+        id: 'explain',
+        label: 'Explain placements',
+        checked: preferenceState.explain,
+        onChange: preferenceState.onExplainChange,
+        disabled: loading,
+        tooltip: 'Record why each game went into its cube; open "Why is this here?" on a game in the results to read it',
+      },
+      {
+        id: 'incrementalRepack',
+        label: 'Keep games in their current cubes',
+        checked: preferenceState.incrementalRepack,
+        onChange: preferenceState.onIncrementalRepackChange,
+        disabled: loading,
+        tooltip:
+          'Start from your last result: games stay in the cube they are in, and new games fill free space or new cubes',
       },
       {
         id: 'lockRotation',
@@ -173,6 +725,37 @@ const PreferencesPanel = ({
       onToggle={onToggle}
     >
       <div className="preferences-panel">
+        <ShelfProfileSelector
+          shelfProfile={preferenceState.shelfProfile}
+          onShelfProfileChange={preferenceState.onShelfProfileChange}
+          disabled={loading}
+        />
+        <ShelfLayoutEditor
+          shelfLayout={preferenceState.shelfLayout}
+          onShelfLayoutChange={preferenceState.onShelfLayoutChange}
+          disabled={loading}
+        />
+        <ShelfInventoryEditor
+          shelfInventory={preferenceState.shelfInventory}
+          onShelfInventoryChange={preferenceState.onShelfInventoryChange}
+          gridCubesPerUnit={gridCubesPerUnit}
+          disabled={loading}
+        />
+        <ShelfReserveEditor
+          shelfReserve={preferenceState.shelfReserve}
+          onShelfReserveChange={preferenceState.onShelfReserveChange}
+          disabled={loading}
+        />
+        <MaxCubeWeightInput
+          value={preferenceState.maxCubeWeight}
+          onChange={preferenceState.onMaxCubeWeightChange}
+          disabled={loading}
+        />
+        <BoxClearanceInput
+          value={preferenceState.boxClearance}
+          onChange={preferenceState.onBoxClearanceChange}
+          disabled={loading}
+        />
         <StackingToggle
           stacking={stacking}
           onStackingChange={onStackingChange}
@@ -185,6 +768,20 @@ const PreferencesPanel = ({
           tooltip="Higher values allow checking more cubes back for better space utilization while still respecting sort order"
         />
         <SettingsToggleGroup toggles={toggles} />
+        {preferenceState.groupSeries && !preferenceState.optimizeSpace && (
+          <SeriesFamilyTypesPicker
+            value={preferenceState.seriesFamilyTypes}
+            onChange={preferenceState.onSeriesFamilyTypesChange}
+            disabled={loading}
+          />
+        )}
+        {preferenceState.optimizer && (
+          <OptimizerTimeBudgetSelect
+            value={preferenceState.optimizerTimeBudget}
+            onChange={preferenceState.onOptimizerTimeBudgetChange}
+            disabled={loading}
+          />
+        )}
       </div>
     </FilterPanel>
   );
@@ -230,7 +827,138 @@ const CollectionsPanel = ({
   );
 };
 
-const SortingPanel = ({ collapsed, onToggle, sorting, onSortingChange, optimizeSpace }) => (
+const SectionBreaksEditor = ({
+  sectionBreaks,
+  onSectionBreaksChange,
+  sorting,
+  hasShelfGrid,
+  disabled,
+}) => {
+  const enabled = Boolean(sectionBreaks?.enabled);
+  const fieldSelectId = 'section-break-field-select';
+  const breakSelectId = 'section-break-at-select';
+  const sortedFields = sorting.filter((rule) => rule.enabled).map((rule) => rule.field);
+  const isSorted = sortedFields.includes(sectionBreaks?.field);
+
+  const handleMinSizeChange = (value) => {
+    const numeric = Number(value);
+    onSectionBreaksChange({
+      ...sectionBreaks,
+      minSectionSize: value === '' || !Number.isFinite(numeric) ? '' : numeric,
+    });
+  };
+
+  return (
+    <div className="shelf-profile-row">
+      <div className="stacking-row">
+        <span
+          className="stacking-label"
+          title="Start a new cube (or shelf row) whenever a sort value changes, e.g. at each letter or category"
+        >
+          Section breaks
+        </span>
+        <div className="toggle-button-group toggle-button-group--compact">
+          <button
+            type="button"
+            className={`toggle-button ${!enabled ? 'active' : ''}`}
+            onClick={() => onSectionBreaksChange({ ...sectionBreaks, enabled: false })}
+            disabled={disabled}
+          >
+            Off
+          </button>
+          <button
+            type="button"
+            className={`toggle-button ${enabled ? 'active' : ''}`}
+            onClick={() => onSectionBreaksChange({ ...sectionBreaks, enabled: true })}
+            disabled={disabled}
+          >
+            On
+          </button>
+        </div>
+      </div>
+      {enabled && (
+        <>
+          <div className="stacking-row">
+            <label className="stacking-label" htmlFor={fieldSelectId}>
+              Break on
+            </label>
+            <select
+              id={fieldSelectId}
+              className="shelf-profile-select"
+              value={sectionBreaks.field}
+              onChange={(event) =>
+                onSectionBreaksChange({ ...sectionBreaks, field: event.target.value })
+              }
+              disabled={disabled}
+            >
+              {!isSorted && (
+                <option value={sectionBreaks.field} disabled>
+                  {getSectionFieldLabel(sectionBreaks.field)} (not sorted)
+                </option>
+              )}
+              {sortedFields.map((field) => (
+                <option key={field} value={field}>
+                  {getSectionFieldLabel(field)}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="stacking-row">
+            <label className="stacking-label" htmlFor={breakSelectId}>
+              Each section starts in
+            </label>
+            <select
+              id={breakSelectId}
+              className="shelf-profile-select"
+              value={sectionBreaks.breakAt}
+              onChange={(event) =>
+                onSectionBreaksChange({ ...sectionBreaks, breakAt: event.target.value })
+              }
+              disabled={disabled}
+            >
+              {SECTION_BREAK_OPTIONS.map((option) => (
+                <option
+                  key={option.id}
+                  value={option.id}
+                  disabled={option.id === 'row' && !hasShelfGrid}
+                >
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="shelf-profile-dimensions">
+            <label
+              className="shelf-profile-dimension"
+              title="Sections with fewer games are merged into a neighbouring section"
+            >
+              <span>Min games per section</span>
+              <input
+                type="number"
+                min={SECTION_MIN_SIZE_LIMITS.min}
+                max={SECTION_MIN_SIZE_LIMITS.max}
+                step="1"
+                value={sectionBreaks.minSectionSize ?? ''}
+                onChange={(event) => handleMinSizeChange(event.target.value)}
+                disabled={disabled}
+              />
+            </label>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+const SortingPanel = ({
+  collapsed,
+  onToggle,
+  sorting,
+  onSortingChange,
+  optimizeSpace,
+  preferenceState,
+  loading,
+}) => (
   <FilterPanel
     panelKey="sorting"
     title="Sorting"
@@ -242,9 +970,192 @@ const SortingPanel = ({ collapsed, onToggle, sorting, onSortingChange, optimizeS
       onChange={onSortingChange}
       disabled={optimizeSpace}
     />
+    <SectionBreaksEditor
+      sectionBreaks={preferenceState.sectionBreaks}
+      onSectionBreaksChange={preferenceState.onSectionBreaksChange}
+      sorting={sorting}
+      hasShelfGrid={Boolean(preferenceState.shelfLayout?.enabled)}
+      disabled={loading || optimizeSpace}
+    />
   </FilterPanel>
 );
 
+const CUSTOM_ITEM_SIZE_FIELDS = [
+  { key: 'length', label: 'Length' },
+  { key: 'width', label: 'Width' },
+  { key: 'depth', label: 'Depth' },
+];
+
+const EMPTY_CUSTOM_ITEM = {
+  name: '',
+  length: '',
+  width: '',
+  depth: '',
+  weight: '',
+  category: '',
+};
+
+const describeCustomItem = (item, isMetric) =>
+  [
+    [item.length, item.width, item.depth].map((size) => formatDimension(size, isMetric)).join(' × '),
+    item.category,
+    Number.isFinite(item.weight) ? `${item.weight} lb` : null,
+  ]
+    .filter(Boolean)
+    .join(' · ');
+
+const CustomItemsPanel = ({
+  collapsed,
+  onToggle,
+  customItems,
+  onSaveCustomItem,
+  onRemoveCustomItem,
+  loading,
+}) => {
+  const [draft, setDraft] = useState(EMPTY_CUSTOM_ITEM);
+  const [error, setError] = useState('');
+  const { isMetric } = useUnitPreference();
+  const unitLabel = isMetric ? 'cm' : 'in';
+  const atLimit = customItems.length >= CUSTOM_ITEM_LIMITS.count;
+
+  const handleFieldChange = (key, value) => {
+    setDraft((prev) => ({ ...prev, [key]: value }));
+    setError('');
+  };
+
+  const handleAdd = () => {
+    const item = createCustomItemEntry({
+      ...draft,
+      length: convertDimensionInputToInches(draft.length, isMetric),
+      width: convertDimensionInputToInches(draft.width, isMetric),
+      depth: convertDimensionInputToInches(draft.depth, isMetric),
+    });
+    if (!item) {
+      setError(
+        `Enter a name and a length, width and depth up to ${formatDimension(
+          CUSTOM_ITEM_LIMITS.size,
+          isMetric,
+          0
+        )}. The weight is optional, up to ${CUSTOM_ITEM_LIMITS.weight} lb.`
+      );
+      return;
+    }
+    onSaveCustomItem(item);
+    setDraft(EMPTY_CUSTOM_ITEM);
+  };
+
+  // The panel sits inside the search form, so Enter adds the item instead of submitting
+  const handleKeyDown = (event) => {
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      handleAdd();
+    }
+  };
+
+  return (
+    <FilterPanel
+      panelKey="customItems"
+      title="Custom items"
+      collapsed={Boolean(collapsed)}
+      onToggle={onToggle}
+    >
+      <div className="custom-items-content">
+        <div className="collection-status-helper" role="note">
+          Boxes that are not on BoardGameGeek, such as prototypes, print-and-play games or bits
+          boxes. They are packed and sorted with your collection.
+        </div>
+        {customItems.length > 0 && (
+          <ul className="custom-items-list">
+            {customItems.map((item) => (
+              <li key={item.key} className="custom-items-entry">
+                <span className="custom-items-entry-text">
+                  <span className="custom-items-entry-name">{item.name}</span>
+                  <span className="custom-items-entry-details">
+                    {describeCustomItem(item, isMetric)}
+                  </span>
+                </span>
+                <IconButton
+                  className="custom-items-remove"
+                  onClick={() => onRemoveCustomItem(item.key)}
+                  disabled={loading}
+                  title={`Remove ${item.name}`}
+                  icon={<FaTrashAlt aria-hidden="true" className="button-icon" />}
+                  srLabel={`Remove ${item.name}`}
+                />
+              </li>
+            ))}
+          </ul>
+        )}
+        <div className="shelf-profile-dimensions" onKeyDown={handleKeyDown}>
+          <label className="shelf-profile-dimension custom-items-name">
+            <span>Name</span>
+            <input
+              type="text"
+              maxLength={200}
+              value={draft.name}
+              onChange={(event) => handleFieldChange('name', event.target.value)}
+              disabled={loading || atLimit}
+            />
+          </label>
+          {CUSTOM_ITEM_SIZE_FIELDS.map((field) => (
+            <label key={field.key} className="shelf-profile-dimension">
+              <span>
+                {field.label} ({unitLabel})
+              </span>
+              <input
+                type="number"
+                min="0.01"
+                step="0.01"
+                value={draft[field.key]}
+                onChange={(event) => handleFieldChange(field.key, event.target.value)}
+                disabled={loading || atLimit}
+              />
+            </label>
+          ))}
+          <label className="shelf-profile-dimension" title="Optional; counts towards the cube weight">
+            <span>Weight (lb)</span>
+            <input
+              type="number"
+              min="0.01"
+              max={CUSTOM_ITEM_LIMITS.weight}
+              step="0.1"
+              value={draft.weight}
+              onChange={(event) => handleFieldChange('weight', event.target.value)}
+              disabled={loading || atLimit}
+            />
+          </label>
+          <label
+            className="shelf-profile-dimension"
+            title="Optional; sorts and labels like a BoardGameGeek category"
+          >
+            <span>Category</span>
+            <input
+              type="text"
+              maxLength={100}
+              placeholder="e.g. Storage"
+              value={draft.category}
+              onChange={(event) => handleFieldChange('category', event.target.value)}
+              disabled={loading || atLimit}
+            />
+          </label>
+        </div>
+        {error && <p className="custom-items-error">{error}</p>}
+        <div>
+          <IconButton
+            className="reset-settings-button"
+            onClick={handleAdd}
+            disabled={loading || atLimit}
+            title={atLimit ? `At most ${CUSTOM_ITEM_LIMITS.count} custom items` : 'Add this box'}
+            icon={<FaPlus aria-hidden="true" className="button-icon" />}
+          >
+            <span>Add item</span>
+          </IconButton>
+        </div>
+      </div>
+    </FilterPanel>
+  );
+};
+
 const normalizeCollectionFilters = (filtersByKey) =>
   COLLECTION_STATUSES.map((status) => ({
     key: status.key,
@@ -270,6 +1181,9 @@ const FilterControls = ({
   sorting,
   onSortingChange,
   optimizeSpace,
+  customItems = [],
+  onSaveCustomItem,
+  onRemoveCustomItem,
 }) => {
   const normalizedCollectionFilters = useMemo(
     () => normalizeCollectionFilters(collectionFilters),
@@ -313,6 +1227,17 @@ const FilterControls = ({
         sorting={sorting}
         onSortingChange={onSortingChange}
           optimizeSpace={optimizeSpace}
+          preferenceState={preferenceState}
+          loading={loading}
+        />
+
+        <CustomItemsPanel
+          collapsed={filterPanelsCollapsed.customItems}
+          onToggle={() => onTogglePanel('customItems')}
+          customItems={customItems}
+          onSaveCustomItem={onSaveCustomItem}
+          onRemoveCustomItem={onRemoveCustomItem}
+          loading={loading}
         />
       </div>
     </>
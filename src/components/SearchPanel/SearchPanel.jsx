@@ -31,12 +31,31 @@ const SearchPanel = ({
   isMobileLayout,
   collapsedBadgeLimit,
   includeExpansions,
+  includeAccessories,
+  keepSharedCopies,
   groupExpansions,
+  storeExpansionsInBase,
   groupSeries,
+  seriesFamilyTypes,
   backfillPercentage,
   fitOversized,
+  depthLayers,
+  explain,
+  incrementalRepack,
+  optimizer,
+  optimizerTimeBudget,
+  shelfProfile,
+  shelfInventory,
+  shelfLayout,
+  shelfReserve,
+  sectionBreaks,
+  maxCubeWeight,
+  boxClearance,
   bypassVersionWarning,
   lockRotation,
+  customItems = [],
+  onSaveCustomItem,
+  onRemoveCustomItem,
   shouldShowInlineUsername,
 }) => {
   const headerRef = useRef(null);
@@ -44,11 +63,28 @@ const SearchPanel = ({
   const badgeOptions = useMemo(
     () => ({
       includeExpansions,
+      includeAccessories,
+      keepSharedCopies,
       groupExpansions,
+      storeExpansionsInBase,
       groupSeries,
+      seriesFamilyTypes,
       backfillPercentage,
       optimizeSpace,
       fitOversized,
+      depthLayers,
+      explain,
+      incrementalRepack,
+      optimizer,
+      optimizerTimeBudget,
+      shelfProfile,
+      shelfInventory,
+      shelfLayout,
+      shelfReserve,
+      sectionBreaks,
+      maxCubeWeight,
+      boxClearance,
+      customItemCount: customItems.length,
       bypassVersionWarning,
       stacking,
       lockRotation,
@@ -59,11 +95,28 @@ const SearchPanel = ({
     }),
     [
       includeExpansions,
+      includeAccessories,
+      keepSharedCopies,
       groupExpansions,
+      storeExpansionsInBase,
       groupSeries,
+      seriesFamilyTypes,
       backfillPercentage,
       optimizeSpace,
       fitOversized,
+      depthLayers,
+      explain,
+      incrementalRepack,
+      optimizer,
+      optimizerTimeBudget,
+      shelfProfile,
+      shelfInventory,
+      shelfLayout,
+      shelfReserve,
+      sectionBreaks,
+      maxCubeWeight,
+      boxClearance,
+      customItems,
       bypassVersionWarning,
       stacking,
       lockRotation,
@@ -154,7 +207,7 @@ const SearchPanel = ({
                   name="username"
                   value={username}
                   onChange={(event) => onUsernameChange(event.target.value)}
-                  placeholder="Enter your BGG username"
+                  placeholder="Enter your BGG username, or several separated by commas"
                   disabled={loading}
                   autoComplete="username"
                 />
@@ -211,6 +264,9 @@ const SearchPanel = ({
         sorting={sorting}
         onSortingChange={onSortingChange}
               optimizeSpace={optimizeSpace}
+              customItems={customItems}
+              onSaveCustomItem={onSaveCustomItem}
+              onRemoveCustomItem={onRemoveCustomItem}
             />
           </div>
         )}
@@ -238,6 +294,9 @@ const SearchPanel = ({
               sorting,
               onSortingChange,
               optimizeSpace,
+              customItems,
+              onSaveCustomItem,
+              onRemoveCustomItem,
             }}
           />
         )}
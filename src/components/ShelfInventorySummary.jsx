@@ -0,0 +1,31 @@
+import React from 'react';
+
+export default function ShelfInventorySummary({ inventory }) {
+  if (!inventory || !Array.isArray(inventory.unitUsage) || inventory.unitUsage.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="shelf-inventory-summary card">
+      <h3 className="shelf-inventory-summary__title">
+        Shelf units: {inventory.cubesUsed} of {inventory.totalCubes} cubes used
+      </h3>
+      <ul className="shelf-inventory-summary__list">
+        {inventory.unitUsage.map((unit) => (
+          <li key={unit.unit} className="shelf-inventory-summary__unit">
+            <span className="shelf-inventory-summary__label">Unit {unit.unit}</span>
+            <span className="shelf-inventory-summary__bar" aria-hidden="true">
+              <span
+                className="shelf-inventory-summary__fill"
+                style={{ width: `${Math.min(100, unit.utilization)}%` }}
+              />
+            </span>
+            <span className="shelf-inventory-summary__value">
+              {unit.cubesUsed}/{unit.cubesAvailable} cubes · {unit.utilization}%
+            </span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -10,6 +10,160 @@ export const PRINT_TWO_COLUMN_GAME_THRESHOLD = 11;
 
 export const REQUEST_TIMEOUT_MS = 5 * 60 * 1000;
 
+/**
+ * Built-in shelf profiles, interior dimensions of one cube/shelf in inches.
+ * Mirrors the server catalog in server/src/services/shelfProfileService.js.
+ */
+export const SHELF_PROFILE_OPTIONS = [
+  { id: 'kallax', label: 'IKEA Kallax', width: 13, height: 13, depth: 15, clearance: 0.5 },
+  { id: 'kallax-clone', label: 'Kallax-style cube organizer', width: 12.5, height: 12.5, depth: 14.5, clearance: 0.5 },
+  { id: 'eket', label: 'IKEA Eket', width: 12.8, height: 12.8, depth: 13.2, clearance: 0.5 },
+  { id: 'billy', label: 'IKEA Billy (one shelf)', width: 29.9, height: 13.4, depth: 10.2, clearance: 0.5 },
+  { id: 'cubeicals', label: 'ClosetMaid Cubeicals', width: 10.5, height: 10.5, depth: 11.7, clearance: 0.3 },
+];
+
+export const DEFAULT_SHELF_PROFILE_ID = 'kallax';
+
+export const CUSTOM_SHELF_PROFILE_ID = 'custom';
+
+export const createDefaultShelfProfile = () => {
+  const { id, width, height, depth, clearance } = SHELF_PROFILE_OPTIONS.find(
+    (option) => option.id === DEFAULT_SHELF_PROFILE_ID
+  );
+  return { id, width, height, depth, clearance };
+};
+
+/**
+ * Shelf furniture available for packing. Disabled by default (unlimited cubes).
+ * The server accepts 1-50 units of 1-25 cubes each.
+ */
+export const SHELF_INVENTORY_LIMITS = {
+  units: { min: 1, max: 50 },
+  cubesPerUnit: { min: 1, max: 25 },
+};
+
+export const createDefaultShelfInventory = () => ({
+  enabled: false,
+  units: 1,
+  cubesPerUnit: 16,
+});
+
+/**
+ * Grid of one shelf unit and the order packed cubes fill it, optionally placing
+ * the heaviest cubes in the bottom rows. Disabled by default; the server accepts
+ * 1-10 rows and columns.
+ */
+export const SHELF_LAYOUT_LIMITS = {
+  rows: { min: 1, max: 10 },
+  columns: { min: 1, max: 10 },
+};
+
+export const SHELF_FILL_ORDER_OPTIONS = [
+  { id: 'row-major', label: 'Row by row' },
+  { id: 'column-major', label: 'Column by column' },
+  { id: 'snake', label: 'Snake (alternate rows)' },
+];
+
+export const createDefaultShelfLayout = () => ({
+  enabled: false,
+  rows: 4,
+  columns: 4,
+  fillOrder: 'row-major',
+  heavyCubesLow: false,
+});
+
+/**
+ * Space kept free for new purchases: spare empty cubes, cube numbers that stay empty
+ * (e.g. a TV box or drawer inserts) and a share of every cube left unused. Disabled by
+ * default; the server accepts up to 50 spare cubes, slots 1-1000 and 0-50 % headroom.
+ */
+export const SHELF_RESERVE_LIMITS = {
+  emptyCubes: { min: 0, max: 50 },
+  slot: { min: 1, max: 1000 },
+  slotCount: 100,
+  headroomPercentage: { min: 0, max: 50 },
+};
+
+/**
+ * Custom items are boxes with no BGG entry (prototypes, bits boxes, sleeve storage). The
+ * server accepts up to 500 of them, each side and the weight at most 100 (inches, pounds).
+ */
+export const CUSTOM_ITEM_LIMITS = {
+  size: 100,
+  weight: 100,
+  count: 500,
+};
+
+export const createDefaultShelfReserve = () => ({
+  enabled: false,
+  emptyCubes: 0,
+  slots: '',
+  headroomPercentage: 0,
+});
+
+/**
+ * Where a new sort section starts when section breaks are on: in the next cube, or at
+ * the start of the next shelf row (needs the shelf grid).
+ */
+export const SECTION_BREAK_OPTIONS = [
+  { id: 'cube', label: 'New cube' },
+  { id: 'row', label: 'New shelf row' },
+];
+
+/**
+ * Sections with fewer games than this are merged into a neighbour. The server accepts 0-100.
+ */
+export const SECTION_MIN_SIZE_LIMITS = { min: 0, max: 100 };
+
+export const createDefaultSectionBreaks = () => ({
+  enabled: false,
+  field: 'gameName',
+  breakAt: 'cube',
+  minSectionSize: 0,
+});
+
+/**
+ * Upper bound the server accepts for the per-cube weight limit, in pounds.
+ */
+export const MAX_CUBE_WEIGHT_LIMIT = 1000;
+
+/**
+ * Upper bounds the server accepts, in inches, for the margin added to every side of every
+ * box and for the extra thickness of one game (sleeved cards, a bulging lid).
+ */
+export const MAX_BOX_CLEARANCE = 1;
+
+export const MAX_GAME_PADDING = 3;
+
+/**
+ * Most BGG usernames the server accepts in one household request.
+ */
+export const MAX_HOUSEHOLD_USERNAMES = 10;
+
+/**
+ * Seconds the server optimizer may spend looking for a layout with fewer cubes.
+ * The server accepts 1-30 seconds.
+ */
+export const OPTIMIZER_TIME_BUDGET_OPTIONS = [2, 5, 10, 20, 30];
+
+export const DEFAULT_OPTIMIZER_TIME_BUDGET = 5;
+
+/**
+ * BGG family kinds that can count as a series when grouping series. A family
+ * name such as "Series: Catan" has the kind "Series".
+ */
+export const SERIES_FAMILY_TYPE_OPTIONS = [
+  { id: 'Series', label: 'Series' },
+  { id: 'Game', label: 'Game (spin-offs)' },
+  { id: 'Brand', label: 'Brand' },
+  { id: 'Setting', label: 'Setting' },
+  { id: 'Theme', label: 'Theme' },
+  { id: 'Components', label: 'Components' },
+  { id: 'Mechanism', label: 'Mechanism' },
+];
+
+export const DEFAULT_SERIES_FAMILY_TYPES = ['Series'];
+
 /**
  * Master definition of all sorting fields.
  * This is the single source of truth for sorting field definitions.
@@ -24,6 +178,7 @@ export const SORTING_FIELD_DEFINITIONS = [
   { field: 'categories', label: 'Categories', defaultEnabled: false, defaultOrder: 'asc' },
   { field: 'families', label: 'Families (Themes) / Languages', defaultEnabled: false, defaultOrder: 'asc' },
   { field: 'mechanics', label: 'Mechanics', defaultEnabled: false, defaultOrder: 'asc' },
+  { field: 'owner', label: 'Owner', defaultEnabled: false, defaultOrder: 'asc' },
   { field: 'numplays', label: 'Number of Plays', defaultEnabled: false, defaultOrder: 'asc' },
   { field: 'minPlayers', label: 'Min Players', defaultEnabled: false, defaultOrder: 'asc' },
   { field: 'maxPlayers', label: 'Max Players', defaultEnabled: false, defaultOrder: 'asc' },
@@ -58,7 +213,7 @@ export const DEFAULT_COLLECTION_FILTERS = COLLECTION_STATUSES.reduce((acc, statu
   return acc;
 }, {});
 
-export const FILTER_PANEL_KEYS = ['preferences', 'collections', 'sorting'];
+export const FILTER_PANEL_KEYS = ['preferences', 'collections', 'sorting', 'customItems'];
 
 export const DEFAULT_FILTER_PANEL_STATE = FILTER_PANEL_KEYS.reduce((acc, key) => {
   acc[key] = true;
@@ -3,8 +3,20 @@ import { FaArrowDown, FaArrowUp } from 'react-icons/fa';
 
 import {
   COLLECTION_STATUSES,
+  DEFAULT_OPTIMIZER_TIME_BUDGET,
+  DEFAULT_SHELF_PROFILE_ID,
   SORTING_FIELD_DEFINITIONS,
 } from '../constants/appDefaults';
+import { getShelfProfileLabel } from '../utils/shelfProfile';
+import {
+  buildSectionBreaksPayload,
+  buildShelfReservePayload,
+  formatSeriesFamilyTypes,
+  toBoxClearance,
+  toMaxCubeWeight,
+} from '../utils/requestPayload';
+import { describeSectionBreaks } from '../utils/sectionBreaks';
+import { describeShelfReserve } from '../utils/shelfReserve';
 
 /**
  * Builds preference-related filter labels.
@@ -12,13 +24,62 @@ import {
  * @param {Function} pushLabel - Function to add labels
  */
 const buildPreferenceLabels = (options, pushLabel) => {
+  if (options.shelfProfile && options.shelfProfile.id !== DEFAULT_SHELF_PROFILE_ID) {
+    pushLabel(true, 'shelfProfile', `Shelf: ${getShelfProfileLabel(options.shelfProfile)}`);
+  }
+  if (options.shelfInventory?.enabled) {
+    const { units, cubesPerUnit } = options.shelfInventory;
+    pushLabel(true, 'shelfInventory', `Shelves: ${units} × ${cubesPerUnit} cubes`);
+  }
+  if (options.shelfLayout?.enabled) {
+    const { rows, columns } = options.shelfLayout;
+    pushLabel(true, 'shelfLayout', `Shelf grid: ${rows} × ${columns}`);
+    pushLabel(options.shelfLayout.heavyCubesLow, 'heavyCubesLow', 'Heavy cubes low');
+  }
+  const reserve = buildShelfReservePayload(options.shelfReserve);
+  if (reserve) {
+    pushLabel(true, 'shelfReserve', `Reserved: ${describeShelfReserve(reserve)}`);
+  }
+  const sectionBreaks = buildSectionBreaksPayload(options.sectionBreaks, options.sorting);
+  if (sectionBreaks) {
+    pushLabel(true, 'sectionBreaks', `Sections: ${describeSectionBreaks(sectionBreaks)}`);
+  }
+  const maxCubeWeight = toMaxCubeWeight(options.maxCubeWeight);
+  if (maxCubeWeight !== null) {
+    pushLabel(true, 'maxCubeWeight', `Max ${maxCubeWeight} lb per cube`);
+  }
+  const boxClearance = toBoxClearance(options.boxClearance);
+  if (boxClearance !== null) {
+    pushLabel(true, 'boxClearance', `Box clearance: ${boxClearance} in`);
+  }
+  pushLabel(
+    options.customItemCount > 0,
+    'customItems',
+    `${options.customItemCount} custom item${options.customItemCount === 1 ? '' : 's'}`
+  );
   pushLabel(options.includeExpansions, 'includeExpansions', 'Include expansions');
+  pushLabel(options.includeAccessories, 'includeAccessories', 'Include accessories');
+  pushLabel(options.keepSharedCopies, 'keepSharedCopies', "Each owner's copy");
   pushLabel(options.groupExpansions, 'groupExpansions', 'Group expansions');
+  pushLabel(options.storeExpansionsInBase, 'storeExpansionsInBase', 'Expansions in base box');
+  pushLabel(
+    options.groupSeries,
+    'groupSeries',
+    `Group series: ${formatSeriesFamilyTypes(options.seriesFamilyTypes)}`
+  );
   if (typeof options.backfillPercentage === 'number' && options.backfillPercentage !== 20) {
     pushLabel(true, 'backfillPercentage', `Backfill tolerance: ${options.backfillPercentage}%`);
   }
   pushLabel(options.optimizeSpace, 'optimizeSpace', 'Optimize for space');
   pushLabel(options.fitOversized, 'fitOversized', 'Fit oversized games');
+  pushLabel(options.depthLayers, 'depthLayers', 'Double-row shallow games');
+  pushLabel(options.explain, 'explain', 'Explain placements');
+  pushLabel(options.incrementalRepack, 'incrementalRepack', 'Keep current cubes');
+  pushLabel(
+    options.optimizer,
+    'optimizer',
+    `Minimize cubes (${options.optimizerTimeBudget ?? DEFAULT_OPTIMIZER_TIME_BUDGET}s)`
+  );
   pushLabel(options.bypassVersionWarning, 'bypassVersionWarning', 'Bypass version warning');
   pushLabel(options.stacking === 'horizontal', 'horizontalStacking', 'Horizontal stacking');
   pushLabel(options.lockRotation, 'lockRotation', 'Lock rotation');
@@ -1,8 +1,13 @@
-import { useCallback } from 'react';
+import { useCallback, useRef } from 'react';
 
-import { fetchPackedCubes } from '../services/bgcubeApi';
-import { saveLastResult } from '../services/storage/indexedDb';
-import { buildRequestPayload } from '../utils/requestPayload';
+import { canPackLocally, fetchOrPackCollection, packCollectionLocally } from '../services/localPacking';
+import { getLastResult, saveLastResult } from '../services/storage/indexedDb';
+import {
+  buildPreviousLayoutPayload,
+  buildRequestPayload,
+  parseUsernames,
+} from '../utils/requestPayload';
+import { buildMovePlan } from '../utils/movePlan';
 
 /**
  * Clones an array of items, creating shallow copies of each item.
@@ -18,6 +23,39 @@ const cloneList = (items = []) => (Array.isArray(items) ? items.map((item) => ({
  */
 const wasSuccessful = (response) => response && Array.isArray(response.cubes);
 
+/**
+ * Gets the response stats with the optimizer, shelf inventory, shelf layout, incremental, series and reserve summaries attached, when present.
+ * @param {Object} response - Packing response
+ * @returns {Object|null} Stats object or null
+ */
+const withPackingSummaries = (response) => {
+  if (!response.stats) {
+    return null;
+  }
+  return {
+    ...response.stats,
+    ...(response.optimizer ? { optimizer: response.optimizer } : {}),
+    ...(response.inventory ? { inventory: response.inventory } : {}),
+    ...(response.shelfLayout ? { shelfLayout: response.shelfLayout } : {}),
+    ...(response.incremental ? { incremental: response.incremental } : {}),
+    ...(response.series ? { series: response.series } : {}),
+    ...(response.reserve ? { reserve: response.reserve } : {}),
+  };
+};
+
+/**
+ * Reads the last stored result, which describes how the shelf is arranged right now.
+ * @returns {Promise<Object|null>} Stored result, or null when there is none or it cannot be read
+ */
+const loadLastResult = async () => {
+  try {
+    return (await getLastResult()) ?? null;
+  } catch (storageError) {
+    console.error('Unable to read last result', storageError);
+    return null;
+  }
+};
+
 /**
  * Creates submission state object from options.
  * @param {Object} options - Configuration options
@@ -32,13 +70,33 @@ const createSubmissionState = ({
   optimizeSpace,
   backfillPercentage,
   fitOversized,
+  depthLayers,
+  explain,
+  optimizer,
+  optimizerTimeBudget,
   groupExpansions,
+  storeExpansionsInBase,
   groupSeries,
+  seriesFamilyTypes,
   includeExpansions,
+  includeAccessories,
+  keepSharedCopies,
   bypassVersionWarning,
+  shelfProfile,
+  shelfInventory,
+  shelfLayout,
+  shelfReserve,
+  sectionBreaks,
+  maxCubeWeight,
+  boxClearance,
+  previousLayout,
   excludedGamesList,
   orientationOverridesList,
   dimensionOverridesList,
+  pinnedPlacementsList,
+  paddingOverridesList,
+  storedInBaseOverridesList,
+  customItemsList,
 }) => {
   const trimmedUsername = username.trim();
   const effectiveGroupExpansions = Boolean(groupExpansions) && !optimizeSpace;
@@ -53,15 +111,35 @@ const createSubmissionState = ({
       excludedVersions: cloneList(excludedGamesList),
       stackingOverrides: cloneList(orientationOverridesList),
       dimensionOverrides: cloneList(dimensionOverridesList),
+      pinnedPlacements: cloneList(pinnedPlacementsList),
+      paddingOverrides: cloneList(paddingOverridesList),
+      storedInBaseOverrides: cloneList(storedInBaseOverridesList),
     },
+    customItems: cloneList(customItemsList),
+    shelfProfile: { ...shelfProfile },
+    shelfInventory: { ...shelfInventory },
+    shelfLayout: { ...shelfLayout },
+    shelfReserve: { ...shelfReserve },
+    sectionBreaks: { ...sectionBreaks },
+    maxCubeWeight,
+    boxClearance,
+    seriesFamilyTypes: Array.isArray(seriesFamilyTypes) ? [...seriesFamilyTypes] : [],
+    previousLayout,
     flags: {
       lockRotation: Boolean(lockRotation),
       optimizeSpace: Boolean(optimizeSpace),
       backfillPercentage: typeof backfillPercentage === 'number' ? backfillPercentage : 20,
       fitOversized: Boolean(fitOversized),
+      depthLayers: Boolean(depthLayers),
+      explain: Boolean(explain),
+      optimizer: Boolean(optimizer),
+      optimizerTimeBudget,
       groupExpansions: effectiveGroupExpansions,
+      storeExpansionsInBase: Boolean(storeExpansionsInBase) && Boolean(includeExpansions),
       groupSeries: effectiveGroupSeries,
       includeExpansions: Boolean(includeExpansions),
+      includeAccessories: Boolean(includeAccessories),
+      keepSharedCopies: Boolean(keepSharedCopies),
       bypassVersionWarning: Boolean(bypassVersionWarning),
     },
   };
@@ -78,22 +156,43 @@ const useCollectionRequestHandlers = (options) => {
     hasIncludeStatuses,
     statusSelections,
     includeExpansions,
+    includeAccessories,
+    keepSharedCopies,
     sorting,
     stacking,
     lockRotation,
     optimizeSpace,
     backfillPercentage,
     fitOversized,
+    depthLayers,
+    explain,
+    incrementalRepack,
+    optimizer,
+    optimizerTimeBudget,
     groupExpansions,
+    storeExpansionsInBase,
     groupSeries,
+    seriesFamilyTypes,
     bypassVersionWarning,
+    shelfProfile,
+    shelfInventory,
+    shelfLayout,
+    shelfReserve,
+    sectionBreaks,
+    maxCubeWeight,
+    boxClearance,
     excludedGamesList,
     orientationOverridesList,
     dimensionOverridesList,
+    pinnedPlacementsList,
+    paddingOverridesList,
+    storedInBaseOverridesList,
+    customItemsList,
     setError,
     setLoading,
     setCubes,
     setOversizedGames,
+    setMovePlan,
     setProgress,
     setnoSelectedVersionWarning,
     setFiltersCollapsed,
@@ -124,33 +223,40 @@ const useCollectionRequestHandlers = (options) => {
   ]);
 
   const applyResponse = useCallback(
-    (response, submissionState) => {
+    async (response, submissionState) => {
       setProgress('Rendering results...');
+      // The stored result is still the previous one, i.e. how the shelf looks right now
+      const previousResult = await loadLastResult();
+      const movePlan = buildMovePlan(previousResult?.response, response);
       setCubes(response.cubes);
-      setStats(response.stats || null);
+      const stats = withPackingSummaries(response);
+      setStats(stats);
       setOversizedGames(response.oversizedGames || []);
+      setMovePlan(movePlan);
       setProgress('');
       setLoading(false);
 
       saveLastResult({
         requestConfig: submissionState,
+        movePlan,
         response: {
           cubes: response.cubes,
-          stats: response.stats || null,
+          stats,
           oversizedGames: response.oversizedGames || [],
           fitOversized: submissionState.flags.fitOversized,
           stacking: submissionState.stacking,
           lockRotation: submissionState.flags.lockRotation,
+          shelfProfile: response.shelfProfile || submissionState.shelfProfile,
         },
       }).catch((storageError) => {
         console.error('Unable to persist last result', storageError);
       });
     },
-    [setProgress, setCubes, setStats, setOversizedGames, setLoading],
+    [setProgress, setCubes, setStats, setOversizedGames, setMovePlan, setLoading],
   );
 
   const validateSubmission = useCallback(() => {
-    if (!username.trim()) {
+    if (parseUsernames(username).length === 0) {
       setError('Please enter a BoardGameGeek username');
       return false;
     }
@@ -213,6 +319,9 @@ const useCollectionRequestHandlers = (options) => {
       beginSubmission();
 
       try {
+        const previousLayout = incrementalRepack
+          ? buildPreviousLayoutPayload((await loadLastResult())?.response?.cubes)
+          : null;
         const submissionState = createSubmissionState({
           username,
           statusSelections,
@@ -222,19 +331,42 @@ const useCollectionRequestHandlers = (options) => {
           optimizeSpace,
           backfillPercentage,
           fitOversized,
+          depthLayers,
+          explain,
+          optimizer,
+          optimizerTimeBudget,
           groupExpansions,
+          storeExpansionsInBase,
           groupSeries,
+          seriesFamilyTypes,
           includeExpansions,
+          includeAccessories,
+          keepSharedCopies,
           bypassVersionWarning,
+          shelfProfile,
+          shelfInventory,
+          shelfLayout,
+          shelfReserve,
+          sectionBreaks,
+          maxCubeWeight,
+          boxClearance,
+          previousLayout,
           excludedGamesList,
           orientationOverridesList,
           dimensionOverridesList,
+          pinnedPlacementsList,
+          paddingOverridesList,
+          storedInBaseOverridesList,
+          customItemsList,
         });
 
         const requestPayload = buildRequestPayload(submissionState);
         setLastRequestConfig(submissionState);
+        if (canPackLocally(requestPayload)) {
+          setProgress('Repacking your collection...');
+        }
 
-        const { data: response } = await fetchPackedCubes(requestPayload, {
+        const { data: response } = await fetchOrPackCollection(requestPayload, {
           onProgress: (progress) => {
             if (progress?.message) {
               setProgress(progress.message);
@@ -250,7 +382,7 @@ const useCollectionRequestHandlers = (options) => {
           return;
         }
 
-        applyResponse(response, submissionState);
+        await applyResponse(response, submissionState);
       } catch (error) {
         handleError(error);
       }
@@ -266,13 +398,33 @@ const useCollectionRequestHandlers = (options) => {
       optimizeSpace,
       backfillPercentage,
       fitOversized,
+      depthLayers,
+      explain,
+      incrementalRepack,
+      optimizer,
+      optimizerTimeBudget,
       groupExpansions,
+      storeExpansionsInBase,
       groupSeries,
+      seriesFamilyTypes,
       includeExpansions,
+      includeAccessories,
+      keepSharedCopies,
       bypassVersionWarning,
+      shelfProfile,
+      shelfInventory,
+      shelfLayout,
+      shelfReserve,
+      sectionBreaks,
+      maxCubeWeight,
+      boxClearance,
       excludedGamesList,
       orientationOverridesList,
       dimensionOverridesList,
+      pinnedPlacementsList,
+      paddingOverridesList,
+      storedInBaseOverridesList,
+      customItemsList,
       setLastRequestConfig,
       setProgress,
       handlenoSelectedVersionsResponse,
@@ -316,7 +468,7 @@ const useCollectionRequestHandlers = (options) => {
 
       const requestPayload = buildRequestPayload(fallbackState);
 
-      const { data: response } = await fetchPackedCubes(requestPayload, {
+      const { data: response } = await fetchOrPackCollection(requestPayload, {
         onProgress: (progress) => {
           if (progress?.message) {
             setProgress(progress.message);
@@ -329,7 +481,7 @@ const useCollectionRequestHandlers = (options) => {
       }
 
       setLastRequestConfig(fallbackState);
-      applyResponse(response, fallbackState);
+      await applyResponse(response, fallbackState);
     } catch (error) {
       handleError(error);
     }
@@ -348,10 +500,68 @@ const useCollectionRequestHandlers = (options) => {
     handleError,
   ]);
 
+  const latestRepackRef = useRef(0);
+
+  /**
+   * Repacks the last request with the current overrides and custom items in the packing
+   * worker, without a server round trip. Does nothing until a collection was fetched in this session.
+   */
+  const handleOverridesRepack = useCallback(async () => {
+    if (!lastRequestConfig) {
+      return;
+    }
+
+    const repackState = {
+      ...lastRequestConfig,
+      overrides: {
+        excludedVersions: cloneList(excludedGamesList),
+        stackingOverrides: cloneList(orientationOverridesList),
+        dimensionOverrides: cloneList(dimensionOverridesList),
+        pinnedPlacements: cloneList(pinnedPlacementsList),
+        paddingOverrides: cloneList(paddingOverridesList),
+        storedInBaseOverrides: cloneList(storedInBaseOverridesList),
+      },
+      customItems: cloneList(customItemsList),
+    };
+    const requestPayload = buildRequestPayload(repackState);
+    if (!canPackLocally(requestPayload)) {
+      return;
+    }
+
+    latestRepackRef.current += 1;
+    const repackId = latestRepackRef.current;
+    setProgress('Repacking your collection...');
+    const response = await packCollectionLocally(requestPayload);
+    // A newer override change started its own repack
+    if (repackId !== latestRepackRef.current) {
+      return;
+    }
+    if (!wasSuccessful(response)) {
+      setProgress('');
+      return;
+    }
+
+    setLastRequestConfig(repackState);
+    await applyResponse(response, repackState);
+  }, [
+    lastRequestConfig,
+    excludedGamesList,
+    orientationOverridesList,
+    dimensionOverridesList,
+    pinnedPlacementsList,
+    paddingOverridesList,
+    storedInBaseOverridesList,
+    customItemsList,
+    setProgress,
+    setLastRequestConfig,
+    applyResponse,
+  ]);
+
   return {
     handleSubmit,
     handleWarningCancel,
     handleWarningContinue,
+    handleOverridesRepack,
   };
 };
 
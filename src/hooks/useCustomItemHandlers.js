@@ -0,0 +1,68 @@
+import { useCallback } from 'react';
+import { saveCustomItem, removeCustomItem } from '../services/storage/indexedDb';
+
+/**
+ * Hook to manage handlers for custom items, the boxes with no BGG entry that are packed
+ * with the collection.
+ * @param {Object} options - Configuration object
+ * @param {Function} options.setCustomItemsMap - Setter for custom items map
+ * @returns {Object} Object containing handleSaveCustomItem and handleRemoveCustomItem
+ */
+export const useCustomItemHandlers = ({ setCustomItemsMap }) => {
+  /**
+   * Handles adding a custom item, or replacing the one with the same key.
+   * @param {Object} item - Custom item entry (see createCustomItemEntry)
+   */
+  const handleSaveCustomItem = useCallback(
+    async (item) => {
+      if (!item?.key) {
+        return;
+      }
+
+      setCustomItemsMap((prev) => ({
+        ...prev,
+        [item.key]: item,
+      }));
+
+      try {
+        await saveCustomItem(item);
+      } catch (storageError) {
+        console.error('Unable to persist custom item', storageError);
+      }
+    },
+    [setCustomItemsMap]
+  );
+
+  /**
+   * Handles removing a custom item.
+   * @param {string} key - The key of the custom item
+   */
+  const handleRemoveCustomItem = useCallback(
+    async (key) => {
+      if (!key) {
+        return;
+      }
+
+      setCustomItemsMap((prev) => {
+        if (!prev[key]) {
+          return prev;
+        }
+        const next = { ...prev };
+        delete next[key];
+        return next;
+      });
+
+      try {
+        await removeCustomItem(key);
+      } catch (storageError) {
+        console.error('Unable to remove custom item', storageError);
+      }
+    },
+    [setCustomItemsMap]
+  );
+
+  return {
+    handleSaveCustomItem,
+    handleRemoveCustomItem,
+  };
+};
@@ -3,19 +3,42 @@ import { useState, useCallback } from 'react';
 import {
   createDefaultCollectionFilters,
   createDefaultFilterPanelState,
+  createDefaultSectionBreaks,
+  createDefaultShelfInventory,
+  createDefaultShelfLayout,
+  createDefaultShelfProfile,
+  createDefaultShelfReserve,
   createDefaultSortingRules,
+  DEFAULT_OPTIMIZER_TIME_BUDGET,
+  DEFAULT_SERIES_FAMILY_TYPES,
 } from '../constants/appDefaults';
 
 export const useInputSettingsState = () => {
   const [username, setUsername] = useState('');
   const [includeExpansions, setIncludeExpansions] = useState(false);
+  const [includeAccessories, setIncludeAccessories] = useState(false);
+  const [keepSharedCopies, setKeepSharedCopies] = useState(false);
   const [groupExpansions, setGroupExpansions] = useState(false);
+  const [storeExpansionsInBase, setStoreExpansionsInBase] = useState(false);
   const [groupSeries, setGroupSeries] = useState(false);
+  const [seriesFamilyTypes, setSeriesFamilyTypes] = useState(DEFAULT_SERIES_FAMILY_TYPES);
   const [stacking, setStacking] = useState('vertical');
   const [lockRotation, setLockRotation] = useState(false);
   const [optimizeSpace, setOptimizeSpace] = useState(false);
   const [backfillPercentage, setBackfillPercentage] = useState(20);
   const [fitOversized, setFitOversized] = useState(false);
+  const [depthLayers, setDepthLayers] = useState(false);
+  const [explain, setExplain] = useState(false);
+  const [incrementalRepack, setIncrementalRepack] = useState(false);
+  const [optimizer, setOptimizer] = useState(false);
+  const [optimizerTimeBudget, setOptimizerTimeBudget] = useState(DEFAULT_OPTIMIZER_TIME_BUDGET);
+  const [shelfProfile, setShelfProfile] = useState(createDefaultShelfProfile);
+  const [shelfInventory, setShelfInventory] = useState(createDefaultShelfInventory);
+  const [shelfLayout, setShelfLayout] = useState(createDefaultShelfLayout);
+  const [shelfReserve, setShelfReserve] = useState(createDefaultShelfReserve);
+  const [sectionBreaks, setSectionBreaks] = useState(createDefaultSectionBreaks);
+  const [maxCubeWeight, setMaxCubeWeight] = useState('');
+  const [boxClearance, setBoxClearance] = useState('');
   const [bypassVersionWarning, setBypassVersionWarning] = useState(false);
   const [filtersCollapsed, setFiltersCollapsed] = useState(false);
   const [sorting, setSorting] = useState(createDefaultSortingRules);
@@ -29,13 +52,29 @@ export const useInputSettingsState = () => {
   const resetInputSettings = useCallback(() => {
     setUsername('');
     setIncludeExpansions(false);
+    setIncludeAccessories(false);
+    setKeepSharedCopies(false);
     setGroupExpansions(false);
+    setStoreExpansionsInBase(false);
     setGroupSeries(false);
+    setSeriesFamilyTypes(DEFAULT_SERIES_FAMILY_TYPES);
     setStacking('vertical');
     setLockRotation(false);
     setOptimizeSpace(false);
     setBackfillPercentage(20);
     setFitOversized(false);
+    setDepthLayers(false);
+    setExplain(false);
+    setIncrementalRepack(false);
+    setOptimizer(false);
+    setOptimizerTimeBudget(DEFAULT_OPTIMIZER_TIME_BUDGET);
+    setShelfProfile(createDefaultShelfProfile());
+    setShelfInventory(createDefaultShelfInventory());
+    setShelfLayout(createDefaultShelfLayout());
+    setShelfReserve(createDefaultShelfReserve());
+    setSectionBreaks(createDefaultSectionBreaks());
+    setMaxCubeWeight('');
+    setBoxClearance('');
     setBypassVersionWarning(false);
     setFiltersCollapsed(false);
     setSorting(createDefaultSortingRules());
@@ -50,10 +89,18 @@ export const useInputSettingsState = () => {
     setUsername,
     includeExpansions,
     setIncludeExpansions,
+    includeAccessories,
+    setIncludeAccessories,
+    keepSharedCopies,
+    setKeepSharedCopies,
     groupExpansions,
     setGroupExpansions,
+    storeExpansionsInBase,
+    setStoreExpansionsInBase,
     groupSeries,
+    seriesFamilyTypes,
     setGroupSeries,
+    setSeriesFamilyTypes,
     stacking,
     setStacking,
     lockRotation,
@@ -64,6 +111,30 @@ export const useInputSettingsState = () => {
     setBackfillPercentage,
     fitOversized,
     setFitOversized,
+    depthLayers,
+    explain,
+    incrementalRepack,
+    setDepthLayers,
+    setExplain,
+    setIncrementalRepack,
+    optimizer,
+    setOptimizer,
+    optimizerTimeBudget,
+    setOptimizerTimeBudget,
+    shelfProfile,
+    setShelfProfile,
+    shelfInventory,
+    setShelfInventory,
+    shelfLayout,
+    setShelfLayout,
+    shelfReserve,
+    setShelfReserve,
+    sectionBreaks,
+    setSectionBreaks,
+    maxCubeWeight,
+    setMaxCubeWeight,
+    boxClearance,
+    setBoxClearance,
     bypassVersionWarning,
     setBypassVersionWarning,
     filtersCollapsed,
@@ -6,28 +6,41 @@ import {
 } from '../utils/resultsOverrides';
 
 /**
- * Hook to process and organize override data (excluded games, orientation, dimensions).
+ * Hook to process and organize override data (excluded games, orientation, dimensions, pins,
+ * padding, base box storage).
  * @param {Object} options - Configuration object
  * @param {Array} options.excludedGames - Array of excluded game entries
  * @param {Array} options.orientationOverrides - Array of orientation override entries
  * @param {Array} options.dimensionOverrides - Array of dimension override entries
+ * @param {Array} options.pinnedPlacements - Array of pinned placement entries
+ * @param {Array} options.paddingOverrides - Array of padding override entries
+ * @param {Array} options.storedInBaseOverrides - Array of base box storage entries
  * @returns {Object} Object containing lookups and sorted override arrays
  */
 export const useOverrideData = ({
   excludedGames = [],
   orientationOverrides = [],
   dimensionOverrides = [],
+  pinnedPlacements = [],
+  paddingOverrides = [],
+  storedInBaseOverrides = [],
 }) =>
   useMemo(() => {
     const lookups = buildOverrideLookups({
       excludedGames,
       orientationOverrides,
       dimensionOverrides,
+      pinnedPlacements,
+      paddingOverrides,
+      storedInBaseOverrides,
     });
     const sorted = buildSortedOverrides({
       excludedGames,
       orientationOverrides,
       dimensionOverrides,
+      pinnedPlacements,
+      paddingOverrides,
+      storedInBaseOverrides,
     });
 
     return {
@@ -35,7 +48,17 @@ export const useOverrideData = ({
       sortedExcludedGames: sorted.excluded,
       orientationOverrideItems: mapOrientationOverrideDisplay(sorted.orientation),
       sortedDimensionOverrides: sorted.dimensions,
+      sortedPinnedPlacements: sorted.pins,
+      sortedPaddingOverrides: sorted.padding,
+      sortedStoredInBaseOverrides: sorted.storedInBase,
     };
-  }, [dimensionOverrides, excludedGames, orientationOverrides]);
+  }, [
+    dimensionOverrides,
+    excludedGames,
+    orientationOverrides,
+    pinnedPlacements,
+    paddingOverrides,
+    storedInBaseOverrides,
+  ]);
 
 
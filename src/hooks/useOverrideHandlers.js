@@ -6,25 +6,41 @@ import {
   removeOrientationOverride,
   saveDimensionOverride,
   removeDimensionOverride,
+  savePinnedPlacement,
+  removePinnedPlacement,
+  savePaddingOverride,
+  removePaddingOverride,
+  saveStoredInBaseOverride,
+  removeStoredInBaseOverride,
 } from '../services/storage/indexedDb';
 import {
   createExcludedOverrideEntry,
   createOrientationOverrideEntry,
   createDimensionOverrideEntry,
+  createPinnedPlacementEntry,
+  createPaddingOverrideEntry,
+  createStoredInBaseOverrideEntry,
 } from '../utils/overrideIdentity';
 
 /**
- * Hook to manage override handlers for excluded games, orientation, and dimensions.
+ * Hook to manage override handlers for excluded games, orientation, dimensions, pins, padding,
+ * and base box storage.
  * @param {Object} options - Configuration object
  * @param {Function} options.setExcludedGamesMap - Setter for excluded games map
  * @param {Function} options.setOrientationOverridesMap - Setter for orientation overrides map
  * @param {Function} options.setDimensionOverridesMap - Setter for dimension overrides map
+ * @param {Function} options.setPinnedPlacementsMap - Setter for pinned placements map
+ * @param {Function} options.setPaddingOverridesMap - Setter for padding overrides map
+ * @param {Function} options.setStoredInBaseOverridesMap - Setter for base box storage map
  * @returns {Object} Object containing all override handler functions
  */
 export const useOverrideHandlers = ({
   setExcludedGamesMap,
   setOrientationOverridesMap,
   setDimensionOverridesMap,
+  setPinnedPlacementsMap,
+  setPaddingOverridesMap,
+  setStoredInBaseOverridesMap,
 }) => {
   /**
    * Handles excluding a game from future sorts.
@@ -204,6 +220,175 @@ export const useOverrideHandlers = ({
     [setDimensionOverridesMap]
   );
 
+  /**
+   * Handles pinning a game to a cube, optionally to one of its bottom corners.
+   * @param {Object} game - The game object
+   * @param {number} cube - 1-based cube number
+   * @param {string|null} [corner] - Bottom corner, or null for anywhere in the cube
+   */
+  const handleSetPinnedPlacement = useCallback(
+    async (game, cube, corner = null) => {
+      const entry = createPinnedPlacementEntry(game, cube, corner);
+      if (!entry) {
+        console.warn('Unable to pin game – missing metadata or cube', { game, cube });
+        return;
+      }
+
+      setPinnedPlacementsMap((prev) => ({
+        ...prev,
+        [entry.key]: entry,
+      }));
+
+      try {
+        await savePinnedPlacement(entry);
+      } catch (storageError) {
+        console.error('Unable to persist pinned placement', storageError);
+      }
+    },
+    [setPinnedPlacementsMap]
+  );
+
+  /**
+   * Handles removing a pinned placement for a game.
+   * @param {string} overrideKey - The override key of the game
+   */
+  const handleRemovePinnedPlacement = useCallback(
+    async (overrideKey) => {
+      if (!overrideKey) {
+        return;
+      }
+
+      setPinnedPlacementsMap((prev) => {
+        if (!prev[overrideKey]) {
+          return prev;
+        }
+        const next = { ...prev };
+        delete next[overrideKey];
+        return next;
+      });
+
+      try {
+        await removePinnedPlacement(overrideKey);
+      } catch (storageError) {
+        console.error('Unable to remove pinned placement', storageError);
+      }
+    },
+    [setPinnedPlacementsMap]
+  );
+
+  /**
+   * Handles setting the extra thickness of a game, e.g. for sleeved cards.
+   * @param {Object} game - The game object
+   * @param {number} padding - Inches added to the thickness of the box
+   */
+  const handleSavePaddingOverride = useCallback(
+    async (game, padding) => {
+      const entry = createPaddingOverrideEntry(game, padding);
+      if (!entry) {
+        console.warn('Unable to save padding override – missing metadata or padding', {
+          game,
+          padding,
+        });
+        return;
+      }
+
+      setPaddingOverridesMap((prev) => ({
+        ...prev,
+        [entry.key]: entry,
+      }));
+
+      try {
+        await savePaddingOverride(entry);
+      } catch (storageError) {
+        console.error('Unable to persist padding override', storageError);
+      }
+    },
+    [setPaddingOverridesMap]
+  );
+
+  /**
+   * Handles removing the padding override of a game.
+   * @param {string} overrideKey - The override key of the game
+   */
+  const handleRemovePaddingOverride = useCallback(
+    async (overrideKey) => {
+      if (!overrideKey) {
+        return;
+      }
+
+      setPaddingOverridesMap((prev) => {
+        if (!prev[overrideKey]) {
+          return prev;
+        }
+        const next = { ...prev };
+        delete next[overrideKey];
+        return next;
+      });
+
+      try {
+        await removePaddingOverride(overrideKey);
+      } catch (storageError) {
+        console.error('Unable to remove padding override', storageError);
+      }
+    },
+    [setPaddingOverridesMap]
+  );
+
+  /**
+   * Handles choosing whether an expansion is stored inside its base game's box.
+   * @param {Object} game - The expansion game object
+   * @param {boolean} storedInBase - True to store it in the base box, false to pack it on its own
+   */
+  const handleSetStoredInBase = useCallback(
+    async (game, storedInBase) => {
+      const entry = createStoredInBaseOverrideEntry(game, storedInBase);
+      if (!entry) {
+        console.warn('Unable to save base box storage – missing gameId/versionId metadata', game);
+        return;
+      }
+
+      setStoredInBaseOverridesMap((prev) => ({
+        ...prev,
+        [entry.key]: entry,
+      }));
+
+      try {
+        await saveStoredInBaseOverride(entry);
+      } catch (storageError) {
+        console.error('Unable to persist base box storage', storageError);
+      }
+    },
+    [setStoredInBaseOverridesMap]
+  );
+
+  /**
+   * Handles removing the base box storage choice of an expansion, so it follows the global setting.
+   * @param {string} overrideKey - The override key of the expansion
+   */
+  const handleClearStoredInBase = useCallback(
+    async (overrideKey) => {
+      if (!overrideKey) {
+        return;
+      }
+
+      setStoredInBaseOverridesMap((prev) => {
+        if (!prev[overrideKey]) {
+          return prev;
+        }
+        const next = { ...prev };
+        delete next[overrideKey];
+        return next;
+      });
+
+      try {
+        await removeStoredInBaseOverride(overrideKey);
+      } catch (storageError) {
+        console.error('Unable to remove base box storage', storageError);
+      }
+    },
+    [setStoredInBaseOverridesMap]
+  );
+
   return {
     handleExcludeGame,
     handleReincludeGame,
@@ -211,6 +396,12 @@ export const useOverrideHandlers = ({
     handleClearOrientationOverride,
     handleSaveDimensionOverride,
     handleRemoveDimensionOverride,
+    handleSetPinnedPlacement,
+    handleRemovePinnedPlacement,
+    handleSavePaddingOverride,
+    handleRemovePaddingOverride,
+    handleSetStoredInBase,
+    handleClearStoredInBase,
   };
 };
 
@@ -1,13 +1,14 @@
 import { useState, useCallback } from 'react';
 
 /**
- * Hook to manage results state (cubes, stats, warnings, errors, progress).
+ * Hook to manage results state (cubes, stats, move plan, warnings, errors, progress).
  * @returns {Object} Object containing all results state and setters
  */
 export const useResultsState = () => {
   const [cubes, setCubes] = useState(null);
   const [stats, setStats] = useState(null);
   const [oversizedGames, setOversizedGames] = useState([]);
+  const [movePlan, setMovePlan] = useState(null);
   const [noSelectedVersionWarning, setnoSelectedVersionWarning] = useState(null);
   const [lastRequestConfig, setLastRequestConfig] = useState(null);
   const [error, setError] = useState(null);
@@ -17,6 +18,7 @@ export const useResultsState = () => {
     setCubes(null);
     setStats(null);
     setOversizedGames([]);
+    setMovePlan(null);
     setnoSelectedVersionWarning(null);
     setLastRequestConfig(null);
     setError(null);
@@ -30,6 +32,8 @@ export const useResultsState = () => {
     setStats,
     oversizedGames,
     setOversizedGames,
+    movePlan,
+    setMovePlan,
     noSelectedVersionWarning,
     setnoSelectedVersionWarning,
     lastRequestConfig,
@@ -3,11 +3,16 @@ import {
   getExcludedGames,
   getOrientationOverrides,
   getDimensionOverrides,
+  getPinnedPlacements,
+  getPaddingOverrides,
+  getStoredInBaseOverrides,
+  getCustomItems,
   getUserSettings,
   getLastResult,
 } from '../services/storage/indexedDb';
 import { arrayToMap } from '../utils/collectionHelpers';
 import { validateStoredSettings, applyStoredSettings, normalizeStoredStacking } from '../utils/settingsHydration';
+import { normalizeShelfProfile } from '../utils/shelfProfile';
 
 /**
  * Hook to handle hydration of settings and last result from IndexedDB.
@@ -15,6 +20,10 @@ import { validateStoredSettings, applyStoredSettings, normalizeStoredStacking }
  * @param {Function} options.setExcludedGamesMap - Setter for excluded games map
  * @param {Function} options.setOrientationOverridesMap - Setter for orientation overrides map
  * @param {Function} options.setDimensionOverridesMap - Setter for dimension overrides map
+ * @param {Function} options.setPinnedPlacementsMap - Setter for pinned placements map
+ * @param {Function} options.setPaddingOverridesMap - Setter for padding overrides map
+ * @param {Function} options.setStoredInBaseOverridesMap - Setter for base box storage map
+ * @param {Function} options.setCustomItemsMap - Setter for custom items map
  * @param {Function} options.setHasStoredData - Setter for has stored data flag
  * @param {Function} options.setSettingsHydrated - Setter for settings hydrated flag
  * @param {Function} options.setLastResultHydrated - Setter for last result hydrated flag
@@ -25,9 +34,11 @@ import { validateStoredSettings, applyStoredSettings, normalizeStoredStacking }
  * @param {Function} options.setCubes - Setter for cubes
  * @param {Function} options.setStats - Setter for stats
  * @param {Function} options.setOversizedGames - Setter for oversized games
+ * @param {Function} options.setMovePlan - Setter for the move plan
  * @param {Function} options.setFitOversized - Setter for fit oversized flag
  * @param {Function} options.setLockRotation - Setter for lock rotation flag
  * @param {Function} options.setStacking - Setter for stacking
+ * @param {Function} options.setShelfProfile - Setter for shelf profile
  * @param {Function} options.setLastRequestConfig - Setter for last request config
  * @param {Function} options.setError - Setter for error
  * @param {Function} options.setProgress - Setter for progress
@@ -37,6 +48,10 @@ export const useSettingsHydration = ({
   setExcludedGamesMap,
   setOrientationOverridesMap,
   setDimensionOverridesMap,
+  setPinnedPlacementsMap,
+  setPaddingOverridesMap,
+  setStoredInBaseOverridesMap,
+  setCustomItemsMap,
   setHasStoredData,
   setSettingsHydrated,
   setLastResultHydrated,
@@ -47,9 +62,11 @@ export const useSettingsHydration = ({
   setCubes,
   setStats,
   setOversizedGames,
+  setMovePlan,
   setFitOversized,
   setLockRotation,
   setStacking,
+  setShelfProfile,
   setLastRequestConfig,
   setError,
   setProgress,
@@ -72,11 +89,19 @@ export const useSettingsHydration = ({
           storedExcluded,
           storedOrientation,
           storedDimensions,
+          storedPins,
+          storedPadding,
+          storedInBase,
+          storedCustomItems,
           storedSettings,
         ] = await Promise.all([
           getExcludedGames(),
           getOrientationOverrides(),
           getDimensionOverrides(),
+          getPinnedPlacements(),
+          getPaddingOverrides(),
+          getStoredInBaseOverrides(),
+          getCustomItems(),
           getUserSettings(),
         ]);
 
@@ -87,11 +112,19 @@ export const useSettingsHydration = ({
         setExcludedGamesMap(arrayToMap(storedExcluded));
         setOrientationOverridesMap(arrayToMap(storedOrientation));
         setDimensionOverridesMap(arrayToMap(storedDimensions));
+        setPinnedPlacementsMap(arrayToMap(storedPins));
+        setPaddingOverridesMap(arrayToMap(storedPadding));
+        setStoredInBaseOverridesMap(arrayToMap(storedInBase));
+        setCustomItemsMap(arrayToMap(storedCustomItems));
 
         if (
           (Array.isArray(storedExcluded) && storedExcluded.length > 0) ||
           (Array.isArray(storedOrientation) && storedOrientation.length > 0) ||
-          (Array.isArray(storedDimensions) && storedDimensions.length > 0)
+          (Array.isArray(storedDimensions) && storedDimensions.length > 0) ||
+          (Array.isArray(storedPins) && storedPins.length > 0) ||
+          (Array.isArray(storedPadding) && storedPadding.length > 0) ||
+          (Array.isArray(storedInBase) && storedInBase.length > 0) ||
+          (Array.isArray(storedCustomItems) && storedCustomItems.length > 0)
         ) {
           foundStoredData = true;
         }
@@ -123,6 +156,10 @@ export const useSettingsHydration = ({
     setExcludedGamesMap,
     setOrientationOverridesMap,
     setDimensionOverridesMap,
+    setPinnedPlacementsMap,
+    setPaddingOverridesMap,
+    setStoredInBaseOverridesMap,
+    setCustomItemsMap,
     setHasStoredData,
     setSettingsHydrated,
     filtersCollapsedFromStorageRef,
@@ -152,6 +189,7 @@ export const useSettingsHydration = ({
         setCubes(storedResult.response.cubes);
         setStats(storedResult.response.stats || null);
         setOversizedGames(storedResult.response.oversizedGames || []);
+        setMovePlan(storedResult.movePlan || null);
         setHasStoredData(true);
 
         if (typeof storedResult.response.fitOversized === 'boolean') {
@@ -163,6 +201,9 @@ export const useSettingsHydration = ({
         if (typeof storedResult.response.stacking === 'string') {
           setStacking(normalizeStoredStacking(storedResult.response.stacking));
         }
+        if (storedResult.response.shelfProfile && typeof storedResult.response.shelfProfile === 'object') {
+          setShelfProfile(normalizeShelfProfile(storedResult.response.shelfProfile));
+        }
         if (storedResult.requestConfig) {
           setLastRequestConfig(storedResult.requestConfig);
         }
@@ -188,10 +229,12 @@ export const useSettingsHydration = ({
     setCubes,
     setStats,
     setOversizedGames,
+    setMovePlan,
     setHasStoredData,
     setFitOversized,
     setLockRotation,
     setStacking,
+    setShelfProfile,
     setLastRequestConfig,
     setError,
     setProgress,
@@ -23,14 +23,63 @@ const logRequestStart = (payload) => {
   console.log('📡 Frontend: Fetching packed cubes from server');
   console.log('   Username:', payload.username);
   console.log('   Stacking:', payload.stacking);
+  console.log('   Shelf profile:', payload.shelfProfile?.id ?? 'kallax');
+  if (payload.inventory) {
+    console.log(
+      '   Inventory:',
+      `${payload.inventory.units} unit(s) × ${payload.inventory.cubesPerUnit} cubes`
+    );
+  }
+  if (payload.shelfLayout) {
+    console.log(
+      '   Shelf layout:',
+      `${payload.shelfLayout.rows}×${payload.shelfLayout.columns}`,
+      payload.shelfLayout.fillOrder ?? 'row-major',
+      payload.shelfLayout.heavyCubesLow ? '(heavy cubes low)' : ''
+    );
+  }
+  if (payload.reserve) {
+    console.log(
+      '   Reserve:',
+      `${payload.reserve.emptyCubes ?? 0} spare cube(s)`,
+      payload.reserve.slots ? `slots ${payload.reserve.slots.join(', ')}` : '',
+      payload.reserve.headroomPercentage ? `${payload.reserve.headroomPercentage}% headroom` : ''
+    );
+  }
+  if (payload.sectionBreaks) {
+    console.log(
+      '   Section breaks:',
+      payload.sectionBreaks.field,
+      `(new ${payload.sectionBreaks.breakAt ?? 'cube'})`,
+      payload.sectionBreaks.minSectionSize ? `min ${payload.sectionBreaks.minSectionSize} games` : ''
+    );
+  }
+  if (payload.maxCubeWeight) {
+    console.log('   Max cube weight:', `${payload.maxCubeWeight} lb`);
+  }
+  if (payload.boxClearance) {
+    console.log('   Box clearance:', `${payload.boxClearance} in`);
+  }
+  if (payload.seriesFamilyTypes) {
+    console.log('   Series family kinds:', payload.seriesFamilyTypes.join(', '));
+  }
+  if (payload.previousLayout) {
+    console.log('   Previous layout:', `${payload.previousLayout.cubes.length} cubes`);
+  }
   console.log('   Flags:', {
     lockRotation: payload.lockRotation ?? false,
     optimizeSpace: payload.optimizeSpace ?? false,
     backfillPercentage: payload.backfillPercentage ?? 20,
     fitOversized: payload.fitOversized ?? false,
+    depthLayers: payload.depthLayers ?? false,
+    explain: payload.explain ?? false,
+    optimizer: payload.optimizer ?? false,
     groupExpansions: payload.groupExpansions ?? false,
+    storeExpansionsInBase: payload.storeExpansionsInBase ?? false,
     groupSeries: payload.groupSeries ?? false,
     includeExpansions: payload.includeExpansions ?? false,
+    includeAccessories: payload.includeAccessories ?? false,
+    keepSharedCopies: payload.keepSharedCopies ?? false,
     bypassVersionWarning: payload.bypassVersionWarning ?? false,
   });
 };
@@ -0,0 +1,149 @@
+import { fetchPackedCubes } from './bgcubeApi';
+
+let worker = null;
+let workerUnavailable = false;
+let nextJobId = 0;
+const pendingJobs = new Map();
+
+// Games of the last collection fetched from the server, with the request fields that chose them
+let cachedCollection = null;
+
+/**
+ * Identifies the collection a request packs: the users, the collection statuses, whether
+ * expansions and accessories are included and whether shared copies are kept. Requests with
+ * the same key can be repacked from the same games.
+ * @param {Object} payload - Games request payload
+ * @returns {string} Collection key
+ */
+const getCollectionKey = (payload) =>
+  JSON.stringify([
+    [].concat(payload.username).map((name) => String(name).trim().toLowerCase()),
+    payload.statuses ?? {},
+    Boolean(payload.includeExpansions),
+    Boolean(payload.includeAccessories),
+    Boolean(payload.keepSharedCopies),
+  ]);
+
+const rejectPendingJobs = (message) => {
+  pendingJobs.forEach(({ reject }) => reject(new Error(message)));
+  pendingJobs.clear();
+};
+
+/**
+ * Starts the packing worker on first use.
+ * @returns {Worker|null} The worker, or null when this browser cannot run it
+ */
+const getWorker = () => {
+  if (workerUnavailable || typeof Worker === 'undefined') {
+    return null;
+  }
+  if (worker) {
+    return worker;
+  }
+
+  try {
+    worker = new Worker(new URL('../workers/packingWorker.js', import.meta.url), { type: 'module' });
+  } catch (error) {
+    console.warn('⚠️ Local packing unavailable:', error?.message || error);
+    workerUnavailable = true;
+    return null;
+  }
+
+  worker.onmessage = ({ data }) => {
+    const job = pendingJobs.get(data.jobId);
+    if (!job) {
+      return;
+    }
+    pendingJobs.delete(data.jobId);
+    if (data.error) {
+      job.reject(new Error(data.error));
+    } else {
+      job.resolve(data.response);
+    }
+  };
+  // A worker that fails to load or crashes is not retried; requests go to the server instead
+  worker.onerror = (event) => {
+    event.preventDefault();
+    console.warn('⚠️ Local packing worker failed:', event?.message || 'unknown error');
+    workerUnavailable = true;
+    worker.terminate();
+    worker = null;
+    rejectPendingJobs('Local packing worker failed');
+  };
+
+  return worker;
+};
+
+const runPackingJob = (games, payload) => {
+  const packingWorker = getWorker();
+  if (!packingWorker) {
+    return Promise.reject(new Error('Local packing unavailable'));
+  }
+
+  nextJobId += 1;
+  const jobId = nextJobId;
+  return new Promise((resolve, reject) => {
+    pendingJobs.set(jobId, { resolve, reject });
+    packingWorker.postMessage({ jobId, games, payload });
+  });
+};
+
+/**
+ * Whether a request can be packed in the browser: its collection was fetched before
+ * and the packing worker is available.
+ * @param {Object} payload - Games request payload
+ * @returns {boolean} True when packCollectionLocally can answer the request
+ */
+export const canPackLocally = (payload) =>
+  !workerUnavailable &&
+  typeof Worker !== 'undefined' &&
+  cachedCollection?.key === getCollectionKey(payload);
+
+/**
+ * Packs a request in the packing worker from the cached collection.
+ * @param {Object} payload - Games request payload
+ * @returns {Promise<Object|null>} The games response, or null when the request has to go to the server
+ */
+export const packCollectionLocally = async (payload) => {
+  if (!canPackLocally(payload)) {
+    return null;
+  }
+
+  try {
+    const startedAt = performance.now();
+    const response = await runPackingJob(cachedCollection.games, payload);
+    console.log(
+      `⚡ Frontend: Repacked ${cachedCollection.games.length} games locally in ${Math.round(
+        performance.now() - startedAt
+      )}ms`
+    );
+    return response;
+  } catch (error) {
+    console.warn('⚠️ Local packing failed, falling back to the server:', error?.message || error);
+    return null;
+  }
+};
+
+/**
+ * Packs a request locally when its collection is cached, and otherwise fetches it from the
+ * server, keeping the collection games the server sends back for the next local repack.
+ * @param {Object} payload - Games request payload
+ * @param {Object} options - Options object
+ * @param {Function} options.onProgress - Progress callback function for server requests
+ * @returns {Promise<Object>} { data: games response, packedLocally }
+ */
+export const fetchOrPackCollection = async (payload, { onProgress } = {}) => {
+  const localResponse = await packCollectionLocally(payload);
+  if (localResponse) {
+    return { data: localResponse, packedLocally: true };
+  }
+
+  const { data } = await fetchPackedCubes({ ...payload, includeSourceGames: true }, { onProgress });
+  if (Array.isArray(data?.sourceGames)) {
+    const { sourceGames, ...response } = data;
+    cachedCollection = { key: getCollectionKey(payload), games: sourceGames };
+    return { data: response, packedLocally: false };
+  }
+
+  return { data, packedLocally: false };
+};
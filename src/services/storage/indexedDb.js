@@ -2,11 +2,15 @@ import { openDB } from 'idb';
 import { hasValidDimensions } from '../../utils/dimensions';
 
 const DB_NAME = 'bgcube-user-data';
-const DB_VERSION = 3;
+const DB_VERSION = 7;
 
 const STORE_EXCLUDED = 'excludedGames';
 const STORE_ORIENTATION = 'orientationOverrides';
 const STORE_DIMENSIONS = 'dimensionOverrides';
+const STORE_PINNED = 'pinnedPlacements';
+const STORE_PADDING = 'paddingOverrides';
+const STORE_STORED_IN_BASE = 'storedInBaseOverrides';
+const STORE_CUSTOM_ITEMS = 'customItems';
 const STORE_SETTINGS = 'userSettings';
 const STORE_RESULTS = 'lastResults';
 
@@ -14,6 +18,10 @@ const STORE_DEFINITIONS = [
   { name: STORE_EXCLUDED, options: { keyPath: 'key' } },
   { name: STORE_ORIENTATION, options: { keyPath: 'key' } },
   { name: STORE_DIMENSIONS, options: { keyPath: 'key' } },
+  { name: STORE_PINNED, options: { keyPath: 'key' } },
+  { name: STORE_PADDING, options: { keyPath: 'key' } },
+  { name: STORE_STORED_IN_BASE, options: { keyPath: 'key' } },
+  { name: STORE_CUSTOM_ITEMS, options: { keyPath: 'key' } },
   { name: STORE_SETTINGS, options: { keyPath: 'id' } },
   { name: STORE_RESULTS, options: { keyPath: 'id' } },
 ];
@@ -23,9 +31,14 @@ let dbPromise = null;
 function getDb() {
   if (!dbPromise) {
     dbPromise = openDB(DB_NAME, DB_VERSION, {
-      upgrade(db) {
+      upgrade(db, oldVersion) {
+        // Version 3 stores are still current, so only stores added since then are created
+        const keepExisting = oldVersion >= 3;
         STORE_DEFINITIONS.forEach(({ name, options }) => {
           if (db.objectStoreNames.contains(name)) {
+            if (keepExisting) {
+              return;
+            }
             db.deleteObjectStore(name);
           }
           db.createObjectStore(name, options);
@@ -43,6 +56,14 @@ function withTimestamp(payload = {}) {
   };
 }
 
+// Overrides name a game version, or a custom item (see resolveGameIdentity)
+function hasOverrideTarget(record) {
+  return (
+    typeof record.customItem === 'string' ||
+    (typeof record.gameId === 'number' && typeof record.versionId === 'number')
+  );
+}
+
 async function readAll(storeName) {
   const db = await getDb();
   return db.getAll(storeName);
@@ -78,7 +99,7 @@ export async function getExcludedGames() {
 }
 
 export async function saveExcludedGame(game) {
-  if (!game?.key || typeof game.gameId !== 'number' || typeof game.versionId !== 'number') {
+  if (!game?.key || !hasOverrideTarget(game)) {
     return;
   }
   await putRecord(STORE_EXCLUDED, game);
@@ -95,8 +116,7 @@ export async function getOrientationOverrides() {
 export async function saveOrientationOverride(override) {
   if (
     !override?.key ||
-    typeof override.gameId !== 'number' ||
-    typeof override.versionId !== 'number' ||
+    !hasOverrideTarget(override) ||
     !override.orientation
   ) {
     return;
@@ -113,11 +133,7 @@ export async function getDimensionOverrides() {
 }
 
 export async function saveDimensionOverride(override) {
-  if (
-    !override?.key ||
-    typeof override.gameId !== 'number' ||
-    typeof override.versionId !== 'number'
-  ) {
+  if (!override?.key || !hasOverrideTarget(override)) {
     return;
   }
   if (!hasValidDimensions(override)) {
@@ -137,6 +153,85 @@ export async function removeDimensionOverride(id) {
   await deleteById(STORE_DIMENSIONS, id);
 }
 
+export async function getPinnedPlacements() {
+  return readAll(STORE_PINNED);
+}
+
+export async function savePinnedPlacement(pin) {
+  if (
+    !pin?.key ||
+    !hasOverrideTarget(pin) ||
+    !Number.isInteger(pin.cube) ||
+    pin.cube < 1
+  ) {
+    return;
+  }
+  await putRecord(STORE_PINNED, pin);
+}
+
+export async function removePinnedPlacement(id) {
+  await deleteById(STORE_PINNED, id);
+}
+
+export async function getPaddingOverrides() {
+  return readAll(STORE_PADDING);
+}
+
+export async function savePaddingOverride(override) {
+  if (
+    !override?.key ||
+    !hasOverrideTarget(override) ||
+    !Number.isFinite(override.padding) ||
+    override.padding <= 0
+  ) {
+    return;
+  }
+  await putRecord(STORE_PADDING, override);
+}
+
+export async function removePaddingOverride(id) {
+  await deleteById(STORE_PADDING, id);
+}
+
+export async function getStoredInBaseOverrides() {
+  return readAll(STORE_STORED_IN_BASE);
+}
+
+export async function saveStoredInBaseOverride(override) {
+  if (
+    !override?.key ||
+    typeof override.gameId !== 'number' ||
+    typeof override.versionId !== 'number' ||
+    typeof override.storedInBase !== 'boolean'
+  ) {
+    return;
+  }
+  await putRecord(STORE_STORED_IN_BASE, override);
+}
+
+export async function removeStoredInBaseOverride(id) {
+  await deleteById(STORE_STORED_IN_BASE, id);
+}
+
+export async function getCustomItems() {
+  return readAll(STORE_CUSTOM_ITEMS);
+}
+
+export async function saveCustomItem(item) {
+  if (
+    !item?.key ||
+    typeof item.name !== 'string' ||
+    !['length', 'width', 'depth'].every((field) => Number.isFinite(item[field]) && item[field] > 0)
+  ) {
+    return;
+  }
+  await putRecord(STORE_CUSTOM_ITEMS, item);
+}
+
+export async function removeCustomItem(id) {
+  await deleteById(STORE_CUSTOM_ITEMS, id);
+}
+
 export async function getUserSettings() {
   return readOne(STORE_SETTINGS, 'appSettings');
 }
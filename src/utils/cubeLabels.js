@@ -0,0 +1,48 @@
+import { normalizeShelfProfile } from './shelfProfile';
+
+/**
+ * Widest label that still fits a printed page (US Letter or A4 with margins), in inches.
+ */
+const MAX_LABEL_WIDTH = 7.5;
+
+/**
+ * Height of a label strip, in inches; about the thickness of a cube shelf's front edge.
+ */
+const LABEL_HEIGHT = 0.75;
+
+/**
+ * Size of one cut-out label: as wide as the cube opening, up to the page width.
+ * @param {Object} shelfProfile - Shelf profile of the result
+ * @returns {Object} { width, height } in inches
+ */
+export const getCubeLabelSize = (shelfProfile) => {
+  const { width } = normalizeShelfProfile(shelfProfile);
+  return { width: Math.min(width, MAX_LABEL_WIDTH), height: LABEL_HEIGHT };
+};
+
+/**
+ * Cubes that get a label on the sheet: every cube the server named, in shelf order.
+ * @param {Array} cubes - Cubes from the packing response
+ * @returns {Array} { id, label, shelfPosition } per labelled cube
+ */
+export const collectCubeLabels = (cubes) =>
+  (Array.isArray(cubes) ? cubes : [])
+    .filter((cube) => typeof cube?.label === 'string' && cube.label.length > 0)
+    .map((cube) => ({ id: cube.id, label: cube.label, shelfPosition: cube.shelfPosition ?? null }));
+
+/**
+ * Body class that limits printing to the cube label sheet.
+ */
+export const CUBE_LABEL_PRINT_CLASS = 'printing-cube-labels';
+
+/**
+ * Prints only the sheet of cube labels instead of the whole results page.
+ */
+export const printCubeLabels = () => {
+  const { body } = document;
+  body.classList.add(CUBE_LABEL_PRINT_CLASS);
+  window.addEventListener('afterprint', () => body.classList.remove(CUBE_LABEL_PRINT_CLASS), {
+    once: true,
+  });
+  window.print();
+};
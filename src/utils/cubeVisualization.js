@@ -82,6 +82,19 @@ export const SORTING_BADGE_BUILDERS = {
             field: 'mechanics',
           }))
       : [],
+  owner: (game) => {
+    const owners = Array.isArray(game.owners) ? game.owners : [];
+    if (owners.length === 0) {
+      return [];
+    }
+    return [
+      {
+        key: `owner-${getOverrideKey(game)}`,
+        label: `Owner: ${owners.join(' & ')}`,
+        field: 'owner',
+      },
+    ];
+  },
   bggRank: (game) => {
     const rank = Number.isFinite(game.bggRank) ? game.bggRank : null;
     if (rank === null) {
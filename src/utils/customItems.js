@@ -0,0 +1,52 @@
+import { CUSTOM_ITEM_LIMITS } from '../constants/appDefaults';
+import { toPositiveNumber } from './helpers';
+
+const createCustomItemKey = () =>
+  `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+
+const toTrimmedText = (value, maxLength) =>
+  typeof value === 'string' && value.trim() !== '' ? value.trim().slice(0, maxLength) : null;
+
+const toItemSize = (value) => {
+  const size = toPositiveNumber(value);
+  return size !== null && size <= CUSTOM_ITEM_LIMITS.size ? Number(size.toFixed(3)) : null;
+};
+
+/**
+ * Creates a custom item: a box with no BGG entry, such as a prototype or a bits box, that
+ * is packed with the collection.
+ * @param {Object} values - Item values; sizes in inches and weight in pounds
+ * @param {string} values.name - Name shown in the results
+ * @param {number|string} values.length - Box length
+ * @param {number|string} values.width - Box width
+ * @param {number|string} values.depth - Box depth
+ * @param {number|string} [values.weight] - Box weight, empty for none
+ * @param {string} [values.category] - Category it sorts under, empty for none
+ * @param {string} [key] - Key of the item to replace; a new key is made when omitted
+ * @returns {Object|null} Custom item entry or null if invalid
+ */
+export const createCustomItemEntry = (values, key = createCustomItemKey()) => {
+  const name = toTrimmedText(values?.name, 200);
+  const length = toItemSize(values?.length);
+  const width = toItemSize(values?.width);
+  const depth = toItemSize(values?.depth);
+  if (name === null || length === null || width === null || depth === null) {
+    return null;
+  }
+
+  const hasWeight = values?.weight !== undefined && values.weight !== null && values.weight !== '';
+  const weight = hasWeight ? toPositiveNumber(values.weight) : null;
+  if (hasWeight && (weight === null || weight > CUSTOM_ITEM_LIMITS.weight)) {
+    return null;
+  }
+
+  return {
+    key,
+    name,
+    length,
+    width,
+    depth,
+    weight,
+    category: toTrimmedText(values?.category, 100),
+  };
+};
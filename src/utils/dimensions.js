@@ -1,4 +1,4 @@
-import { formatDimension } from './unitConversion';
+import { convertInchesToCm, formatDimension } from './unitConversion';
 
 export const parsePositiveNumber = (value) => {
   if (typeof value === 'number') {
@@ -122,6 +122,37 @@ export const formatEditorDimensions = (
   )}`;
 };
 
+/**
+ * Formats the size a box is packed at from the editor values, mirroring the server: every
+ * side grows by the clearance margin and the thickness (shortest side) also by the padding.
+ * @param {Object} editor - Editor state object (length, width, depth, padding in the display unit)
+ * @param {number} [clearance] - Clearance margin in inches
+ * @param {Object} options - Formatting options
+ * @param {number} options.precision - Decimal precision (default: 2)
+ * @param {boolean} options.isMetric - Whether editor values are in centimeters (default: false)
+ * @returns {string|null} Formatted packed size, or null while a side is missing
+ */
+export const formatPackedBoxSize = (
+  editor,
+  clearance = 0,
+  { precision = 2, isMetric = false } = {}
+) => {
+  const sides = [editor?.length, editor?.width, editor?.depth].map(parsePositiveNumber);
+  if (sides.some((value) => value === null)) {
+    return null;
+  }
+
+  const clearanceInches = parsePositiveNumber(clearance) ?? 0;
+  const margin = isMetric ? convertInchesToCm(clearanceInches) : clearanceInches;
+  const padding = parsePositiveNumber(editor.padding) ?? 0;
+  const [length, width, depth] = sides.sort((a, b) => b - a);
+  const unit = isMetric ? 'cm' : '"';
+
+  return [length + margin, width + margin, depth + margin + padding]
+    .map((value) => `${value.toFixed(precision)}${unit}`)
+    .join(' × ');
+};
+
 /**
  * Validates that dimensions object has valid length, width, and depth/height values.
  * @param {Object} dimensions - The dimensions object to validate
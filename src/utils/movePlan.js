@@ -0,0 +1,236 @@
+/**
+ * Kinds of steps in a move plan, in the order a person carries them out.
+ */
+export const MOVE_STEP_TYPES = {
+  REMOVE: 'remove',
+  SET_ASIDE: 'set-aside',
+  MOVE: 'move',
+  PLACE: 'place',
+  ADD: 'add',
+};
+
+const VERTICAL_SPOTS = ['bottom', 'middle', 'top'];
+const HORIZONTAL_SPOTS = ['left', 'center', 'right'];
+
+const getGameKey = (game) =>
+  typeof game?.versionKey === 'string' && game.versionKey.length > 0 ? game.versionKey : null;
+
+const getGameName = (game) => game?.displayName || game?.gameName || 'Unknown Game';
+
+/**
+ * Describes where a game sits inside its cube, e.g. "bottom-left".
+ * @param {Object} game - Game from the packing response
+ * @param {Object} [shelfProfile] - Shelf profile from the packing response
+ * @returns {string|null} Spot in the cube, or null when the game has no position
+ */
+export const describeSpotInCube = (game, shelfProfile) => {
+  const width = shelfProfile?.width;
+  const height = shelfProfile?.height;
+  if (!game?.position || !(width > 0) || !(height > 0)) {
+    return null;
+  }
+
+  const centerX = game.position.x + (game.packedDims?.x ?? 0) / 2;
+  const centerY = game.position.y + (game.packedDims?.y ?? 0) / 2;
+  const toThird = (value, size) => Math.min(2, Math.max(0, Math.floor((value / size) * 3)));
+  const vertical = VERTICAL_SPOTS[toThird(centerY, height)];
+  const horizontal = HORIZONTAL_SPOTS[toThird(centerX, width)];
+  const spot = vertical === 'middle' && horizontal === 'center' ? 'center' : `${vertical}-${horizontal}`;
+
+  return game.layer === 'back' ? `${spot}, back row` : spot;
+};
+
+/*
+ * Owned copies are keyed by version and collection id ("13-5@901"). Responses saved before
+ * that list a game by version only ("13-5"); such a key stands for the first copy.
+ */
+const getFirstCopyKeys = (response) => {
+  const firstCopyKeys = new Map();
+  (Array.isArray(response?.cubes) ? response.cubes : []).forEach((cube) => {
+    (Array.isArray(cube?.games) ? cube.games : []).forEach((game) => {
+      const key = getGameKey(game);
+      if (key?.includes('@') && game.copyNumber === 1) {
+        firstCopyKeys.set(key.slice(0, key.indexOf('@')), key);
+      }
+    });
+  });
+  return firstCopyKeys;
+};
+
+/**
+ * Indexes the games of a packing response by version key.
+ * A version listed in more than one cube keeps its first cube.
+ * @param {Object} response - Packing response
+ * @param {Map} [keyAliases] - Keys to index under another key (see getFirstCopyKeys)
+ */
+const indexLayout = (response, keyAliases = new Map()) => {
+  const entries = new Map();
+  (Array.isArray(response?.cubes) ? response.cubes : []).forEach((cube, cubeIndex) => {
+    const cubeId = Number.isInteger(cube?.id) ? cube.id : cubeIndex + 1;
+    (Array.isArray(cube?.games) ? cube.games : []).forEach((game) => {
+      const gameKey = getGameKey(game);
+      const key = keyAliases.get(gameKey) ?? gameKey;
+      if (key && !entries.has(key)) {
+        entries.set(key, {
+          key,
+          name: getGameName(game),
+          cubeId,
+          shelfPosition: cube.shelfPosition ?? null,
+          spot: describeSpotInCube(game, response.shelfProfile),
+        });
+      }
+    });
+  });
+  return entries;
+};
+
+const compareMoves = (left, right) =>
+  left.to.cubeId - right.to.cubeId ||
+  (left.from?.cubeId ?? 0) - (right.from?.cubeId ?? 0) ||
+  left.name.localeCompare(right.name);
+
+/**
+ * Builds an ordered list of physical steps that turns the previous shelf into the new one.
+ *
+ * Games are matched by version key, which names the owned copy. Games that left the
+ * collection are taken out first. A game only goes into a cube once every game leaving
+ * that cube has left, so a cube never has to hold its old and new contents at the same
+ * time. When cubes wait on each other in a circle (A's games go to B and B's go to A),
+ * the games leaving one of those cubes are set aside first and put back once their new
+ * cube is free.
+ *
+ * @param {Object} previousResponse - Packing response the shelf is currently arranged by
+ * @param {Object} nextResponse - New packing response
+ * @returns {Object|null} { steps, summary } or null when there is no previous layout to compare
+ */
+export const buildMovePlan = (previousResponse, nextResponse) => {
+  if (!Array.isArray(previousResponse?.cubes) || previousResponse.cubes.length === 0) {
+    return null;
+  }
+
+  const before = indexLayout(previousResponse, getFirstCopyKeys(nextResponse));
+  const after = indexLayout(nextResponse);
+  const steps = [];
+  const toStep = (type, entry, from, to) => ({
+    type,
+    key: entry.key,
+    name: entry.name,
+    fromCube: from?.cubeId ?? null,
+    fromShelfPosition: from?.shelfPosition ?? null,
+    toCube: to?.cubeId ?? null,
+    toShelfPosition: to?.shelfPosition ?? null,
+    toSpot: to?.spot ?? null,
+  });
+
+  [...before.values()]
+    .filter((entry) => !after.has(entry.key))
+    .sort((left, right) => left.cubeId - right.cubeId || left.name.localeCompare(right.name))
+    .forEach((entry) => steps.push(toStep(MOVE_STEP_TYPES.REMOVE, entry, entry, null)));
+
+  let pending = [];
+  let unchanged = 0;
+  for (const entry of after.values()) {
+    const from = before.get(entry.key) ?? null;
+    if (from && from.cubeId === entry.cubeId) {
+      unchanged += 1;
+    } else {
+      pending.push({ key: entry.key, name: entry.name, from, to: entry, setAside: false });
+    }
+  }
+  pending.sort(compareMoves);
+
+  const movedCount = pending.filter((move) => move.from).length;
+  const addedCount = pending.length - movedCount;
+  let setAsideCount = 0;
+
+  while (pending.length > 0) {
+    const leaving = new Map();
+    for (const move of pending) {
+      if (move.from && !move.setAside) {
+        leaving.set(move.from.cubeId, (leaving.get(move.from.cubeId) ?? 0) + 1);
+      }
+    }
+
+    const ready = pending.filter((move) => !leaving.has(move.to.cubeId));
+    if (ready.length === 0) {
+      // Every remaining target is still waiting on a game to leave: break the circle at one cube
+      const blockedCube = pending.find((move) => move.from && !move.setAside).from.cubeId;
+      for (const move of pending) {
+        if (move.from?.cubeId === blockedCube && !move.setAside) {
+          move.setAside = true;
+          setAsideCount += 1;
+          steps.push(toStep(MOVE_STEP_TYPES.SET_ASIDE, move, move.from, null));
+        }
+      }
+      continue;
+    }
+
+    for (const move of ready) {
+      let type = MOVE_STEP_TYPES.MOVE;
+      if (!move.from) {
+        type = MOVE_STEP_TYPES.ADD;
+      } else if (move.setAside) {
+        type = MOVE_STEP_TYPES.PLACE;
+      }
+      steps.push(toStep(type, move, move.from, move.to));
+    }
+    pending = pending.filter((move) => !ready.includes(move));
+  }
+
+  return {
+    steps,
+    summary: {
+      unchanged,
+      moved: movedCount,
+      added: addedCount,
+      removed: steps.filter((step) => step.type === MOVE_STEP_TYPES.REMOVE).length,
+      setAside: setAsideCount,
+    },
+  };
+};
+
+const formatCube = (cubeId, shelfPosition) =>
+  shelfPosition
+    ? `cube ${cubeId} (unit ${shelfPosition.unit}, row ${shelfPosition.row}, column ${shelfPosition.column})`
+    : `cube ${cubeId}`;
+
+/**
+ * Formats a move plan step as a checklist instruction.
+ * @param {Object} step - Step from buildMovePlan
+ * @returns {string} Instruction such as "Move Gloomhaven from cube 3 to cube 7 (bottom-left)."
+ */
+export const describeMoveStep = (step) => {
+  const from = formatCube(step.fromCube, step.fromShelfPosition);
+  const to = formatCube(step.toCube, step.toShelfPosition);
+  const spot = step.toSpot ? ` (${step.toSpot})` : '';
+
+  switch (step.type) {
+    case MOVE_STEP_TYPES.REMOVE:
+      return `Take ${step.name} out of ${from}; it is no longer in this layout.`;
+    case MOVE_STEP_TYPES.SET_ASIDE:
+      return `Take ${step.name} out of ${from} and set it aside for now.`;
+    case MOVE_STEP_TYPES.PLACE:
+      return `Put ${step.name} (set aside from cube ${step.fromCube}) into ${to}${spot}.`;
+    case MOVE_STEP_TYPES.ADD:
+      return `Put ${step.name} into ${to}${spot}; it is new to the shelf.`;
+    default:
+      return `Move ${step.name} from ${from} to ${to}${spot}.`;
+  }
+};
+
+/**
+ * Body class that limits printing to the move plan checklist.
+ */
+export const MOVE_PLAN_PRINT_CLASS = 'printing-move-plan';
+
+/**
+ * Prints only the move plan checklist instead of the whole results page.
+ */
+export const printMovePlan = () => {
+  const { body } = document;
+  body.classList.add(MOVE_PLAN_PRINT_CLASS);
+  window.addEventListener('afterprint', () => body.classList.remove(MOVE_PLAN_PRINT_CLASS), {
+    once: true,
+  });
+  window.print();
+};
@@ -2,9 +2,36 @@ import { toInteger, toPositiveNumber } from './helpers';
 
 export const ORIENTATION_OPTIONS = new Set(['horizontal', 'vertical']);
 
-export const buildOverrideKey = (gameId, versionId) => `${gameId}:${versionId}`;
+/**
+ * Corners a game can be pinned to, in the order the pin action cycles through them.
+ * Only bottom corners exist, since a box higher up needs support from boxes that are not pinned.
+ */
+export const PIN_CORNER_OPTIONS = ['bottom-left', 'bottom-right'];
+
+export const buildOverrideKey = (gameId, versionId, copy = null) =>
+  copy === null ? `${gameId}:${versionId}` : `${gameId}:${versionId}@${copy}`;
+
+// The server gives custom items the version key `custom-<id>`, with the id the client chose
+const CUSTOM_ITEM_VERSION_KEY_PREFIX = 'custom-';
 
+/**
+ * Identifies the game version an override applies to. When the collection owns several
+ * copies of the version, the identity also names the copy (its BGG collection id), so
+ * each copy gets its own overrides. Custom items have no BGG version and are named by
+ * their custom item id instead.
+ * @param {Object} game - The game object
+ * @returns {Object|null} { gameId, versionId, key } plus { copy, copyNumber } for one of
+ *   several copies, { customItem, key } for a custom item, or null if invalid
+ */
 export const resolveGameIdentity = (game) => {
+  if (game?.isCustomItem) {
+    const versionKey = typeof game.versionKey === 'string' ? game.versionKey : '';
+    const customItem = versionKey.startsWith(CUSTOM_ITEM_VERSION_KEY_PREFIX)
+      ? versionKey.slice(CUSTOM_ITEM_VERSION_KEY_PREFIX.length)
+      : '';
+    return customItem ? { customItem, key: `custom:${customItem}` } : null;
+  }
+
   const gameId = toInteger(game?.gameId ?? game?.id ?? game?.gameID);
   const versionId = toInteger(game?.versionId ?? game?.version ?? game?.versionID);
 
@@ -12,10 +39,26 @@ export const resolveGameIdentity = (game) => {
     return null;
   }
 
+  const copyCount = toInteger(game?.copyCount);
+  const copy = Number.isInteger(game?.copy)
+    ? game.copy
+    : copyCount !== null && copyCount > 1
+      ? toInteger(game?.collectionId)
+      : null;
+  if (copy === null) {
+    return {
+      gameId,
+      versionId,
+      key: buildOverrideKey(gameId, versionId),
+    };
+  }
+
   return {
     gameId,
     versionId,
-    key: buildOverrideKey(gameId, versionId),
+    copy,
+    copyNumber: toInteger(game?.copyNumber),
+    key: buildOverrideKey(gameId, versionId, copy),
   };
 };
 
@@ -121,3 +164,66 @@ export const createDimensionOverrideEntry = (game, rawDimensions) => {
   };
 };
 
+/**
+ * Creates a pinned placement entry from a game object and the cube it is pinned to.
+ * @param {Object} game - The game object
+ * @param {number} cube - 1-based cube number
+ * @param {string|null} [corner] - Bottom corner of the cube, or null for anywhere in it
+ * @returns {Object|null} Override entry object or null if invalid
+ */
+export const createPinnedPlacementEntry = (game, cube, corner = null) => {
+  const identity = resolveGameIdentity(game);
+  const cubeNumber = toInteger(cube);
+  if (!identity || cubeNumber === null || cubeNumber < 1) {
+    return null;
+  }
+
+  return {
+    ...identity,
+    name: game?.displayName || game?.gameName || `ID:${identity.gameId}`,
+    versionName: game?.versionName || null,
+    cube: cubeNumber,
+    corner: PIN_CORNER_OPTIONS.includes(corner) ? corner : null,
+  };
+};
+
+/**
+ * Creates a padding override entry from a game object and its extra thickness.
+ * @param {Object} game - The game object
+ * @param {number|string} padding - Inches added to the thickness of the box
+ * @returns {Object|null} Override entry object or null if invalid
+ */
+export const createPaddingOverrideEntry = (game, padding) => {
+  const identity = resolveGameIdentity(game);
+  const value = toPositiveNumber(padding);
+  if (!identity || value === null) {
+    return null;
+  }
+
+  return {
+    ...identity,
+    name: game?.displayName || game?.gameName || `ID:${identity.gameId}`,
+    versionName: game?.versionName || null,
+    padding: Number(value.toFixed(3)),
+  };
+};
+
+/**
+ * Creates an entry choosing whether an expansion is stored inside its base game's box.
+ * @param {Object} game - The expansion game object
+ * @param {boolean} storedInBase - True to store it in the base box, false to pack it on its own
+ * @returns {Object|null} Override entry object or null if invalid
+ */
+export const createStoredInBaseOverrideEntry = (game, storedInBase) => {
+  const identity = resolveGameIdentity(game);
+  if (!identity || typeof storedInBase !== 'boolean') {
+    return null;
+  }
+
+  return {
+    ...identity,
+    name: game?.displayName || game?.gameName || `ID:${identity.gameId}`,
+    versionName: game?.versionName || null,
+    storedInBase,
+  };
+};
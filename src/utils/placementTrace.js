@@ -0,0 +1,71 @@
+/**
+ * Plain-language reasons behind rejected or skipped placement attempts.
+ */
+const TRACE_REASON_TEXT = {
+  'not-enough-space': 'not enough free space',
+  headroom: 'only the reserved headroom is free',
+  'no-free-position': 'no free spot for the box',
+  'no-room-after-reorganizing': 'no room even after rearranging its games',
+  'cube-locked': 'not rearranged because it holds pinned or back-row games',
+  'outside-backfill-window': 'outside the backfill window',
+  'group-does-not-fit': 'the whole group does not fit',
+  'cube-limit': 'the shelf inventory has no cube left',
+  'pin-spot-taken': 'the pinned spot is taken',
+  'no-longer-fits': 'no longer fits with the games kept there',
+  'reserved-slot': 'the cube is now a reserved slot',
+};
+
+const describeReason = (reason) => TRACE_REASON_TEXT[reason] ?? reason ?? 'not used';
+
+const describeCube = (cube) => (Number.isInteger(cube) ? `Cube ${cube}` : 'A new cube');
+
+const withOrientation = (text, orientation) => (orientation ? `${text} (${orientation})` : text);
+
+/**
+ * Turns one packing trace event from the server into a sentence, e.g.
+ * "Cube 3: no free spot for the box (vertical)".
+ * @param {Object} event - Trace event ({ step, outcome, cube, orientation, reason, count, otherGame })
+ * @returns {string} Readable description of the decision
+ */
+export const describeTraceEvent = (event) => {
+  const { step, outcome, cube, orientation, reason, count, otherGame } = event;
+  const cubeLabel = describeCube(cube);
+
+  switch (`${step}:${outcome}`) {
+    case 'pin:placed':
+      return withOrientation(`Pinned to cube ${cube}`, orientation);
+    case 'pin:rejected':
+      return `${cubeLabel}: ${describeReason(reason)}, so it was packed like the other games`;
+    case 'previous-cube:placed':
+      return withOrientation(`Kept in cube ${cube} from the previous layout`, orientation);
+    case 'previous-cube:rejected':
+      return `${cubeLabel}: ${describeReason(reason)}, so it had to move`;
+    case 'group:placed':
+      return `Placed in cube ${cube} together with the rest of its group`;
+    case 'group:split':
+      return 'The group was split up because it does not fit in one cube';
+    case 'backfill:skipped':
+      return `Skipped ${count} earlier ${count === 1 ? 'cube' : 'cubes'} outside the backfill window`;
+    case 'reorganize:placed':
+      return withOrientation(`Fit into cube ${cube} after rearranging its games`, orientation);
+    case 'place:placed':
+      return withOrientation(`Placed in cube ${cube}`, orientation);
+    case 'new-cube:placed':
+      return withOrientation(`Started cube ${cube}`, orientation);
+    case 'new-cube:rejected':
+      return `No new cube could take it: ${describeReason(reason)}`;
+    case 'stability:moved':
+      return `Swapped places with ${otherGame} in cube ${cube} so the wider box sits lower`;
+    case 'optimizer:moved':
+      return `Moved to cube ${cube} by the cube-count optimizer, which replaced the first layout`;
+    default:
+      return withOrientation(`${cubeLabel}: ${describeReason(reason)}`, orientation);
+  }
+};
+
+/**
+ * Whether a game carries a packing trace worth showing.
+ * @param {Object} game - Game from the packing response
+ * @returns {boolean} True when the server explained the placement
+ */
+export const hasPlacementTrace = (game) => Array.isArray(game?.trace) && game.trace.length > 0;
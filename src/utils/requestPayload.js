@@ -1,5 +1,26 @@
-import { COLLECTION_STATUSES } from '../constants/appDefaults';
+import {
+  COLLECTION_STATUSES,
+  CUSTOM_ITEM_LIMITS,
+  CUSTOM_SHELF_PROFILE_ID,
+  DEFAULT_SERIES_FAMILY_TYPES,
+  MAX_BOX_CLEARANCE,
+  MAX_CUBE_WEIGHT_LIMIT,
+  MAX_GAME_PADDING,
+  MAX_HOUSEHOLD_USERNAMES,
+  SECTION_BREAK_OPTIONS,
+  SECTION_MIN_SIZE_LIMITS,
+  SERIES_FAMILY_TYPE_OPTIONS,
+  SHELF_FILL_ORDER_OPTIONS,
+  SHELF_INVENTORY_LIMITS,
+  SHELF_LAYOUT_LIMITS,
+  SHELF_RESERVE_LIMITS,
+} from '../constants/appDefaults';
+import { findShelfProfileOption } from './shelfProfile';
+import { toInventoryCount } from './shelfInventory';
+import { parseReservedSlots, toHeadroomPercentage } from './shelfReserve';
 import { toInteger, toPositiveNumber } from './helpers';
+import { PIN_CORNER_OPTIONS } from './overrideIdentity';
+import { createCustomItemEntry } from './customItems';
 
 const STATUS_KEYS = COLLECTION_STATUSES.map((status) => status.key);
 const SORT_FIELDS = new Set([
@@ -25,6 +46,7 @@ const SORT_FIELDS = new Set([
   'categories',
   'families',
   'mechanics',
+  'owner',
   'gamePublishedYear',
   'versionPublishedYear',
 ]);
@@ -80,69 +102,133 @@ export const buildSortPayload = (sortingRules = []) => {
   return rules;
 };
 
-const buildExcludedVersions = (items = []) =>
-  items
-    .map((item) => {
-      const game = toInteger(item?.gameId ?? item?.game ?? item?.gameID);
-      const version = toInteger(item?.versionId ?? item?.version ?? item?.versionID);
+// Overrides made for one of several copies of a version name the copy's collection id
+const withCopy = (override, item) =>
+  Number.isInteger(item?.copy) ? { ...override, copy: item.copy } : override;
 
-      if (game === null || version === null) {
-        return null;
-      }
+// Overrides name a game version by its BGG ids, or a custom item by its id
+const toOverrideTarget = (item) => {
+  if (typeof item?.customItem === 'string' && item.customItem !== '') {
+    return { customItem: item.customItem };
+  }
 
-      return { game, version };
-    })
-    .filter(Boolean);
+  const game = toInteger(item?.gameId ?? item?.game ?? item?.gameID);
+  const version = toInteger(item?.versionId ?? item?.version ?? item?.versionID);
+  return game === null || version === null ? null : withCopy({ game, version }, item);
+};
+
+const buildExcludedVersions = (items = []) => items.map(toOverrideTarget).filter(Boolean);
 
 const buildStackingOverrides = (items = []) =>
   items
     .map((item) => {
-      const game = toInteger(item?.gameId ?? item?.game ?? item?.gameID);
-      const version = toInteger(item?.versionId ?? item?.version ?? item?.versionID);
+      const target = toOverrideTarget(item);
       const orientation =
         typeof item?.orientation === 'string' && ORIENTATION_VALUES.has(item.orientation)
           ? item.orientation
           : null;
 
-      if (game === null || version === null || orientation === null) {
+      if (target === null || orientation === null) {
         return null;
       }
 
-      return { game, version, orientation };
+      return { ...target, orientation };
     })
     .filter(Boolean);
 
 const buildDimensionOverrides = (items = []) =>
   items
     .map((item) => {
-      const game = toInteger(item?.gameId ?? item?.game ?? item?.gameID);
-      const version = toInteger(item?.versionId ?? item?.version ?? item?.versionID);
+      const target = toOverrideTarget(item);
       const length = toPositiveNumber(item?.length);
       const width = toPositiveNumber(item?.width);
       const height = toPositiveNumber(item?.height ?? item?.depth);
 
-      if (
-        game === null ||
-        version === null ||
-        length === null ||
-        width === null ||
-        height === null
-      ) {
+      if (target === null || length === null || width === null || height === null) {
+        return null;
+      }
+
+      return { ...target, length, width, height };
+    })
+    .filter(Boolean);
+
+const buildPinnedPlacements = (items = []) =>
+  items
+    .map((item) => {
+      const target = toOverrideTarget(item);
+      const cube = toInteger(item?.cube);
+
+      if (target === null || cube === null || cube < 1) {
         return null;
       }
 
-      return { game, version, length, width, height };
+      return PIN_CORNER_OPTIONS.includes(item?.corner)
+        ? { ...target, cube, corner: item.corner }
+        : { ...target, cube };
     })
     .filter(Boolean);
 
+const buildPaddingOverrides = (items = []) =>
+  items
+    .map((item) => {
+      const target = toOverrideTarget(item);
+      const padding = toGamePadding(item?.padding);
+
+      if (target === null || padding === null) {
+        return null;
+      }
+
+      return { ...target, padding };
+    })
+    .filter(Boolean);
+
+const buildStoredInBaseOverrides = (items = []) =>
+  items
+    .map((item) => {
+      const game = toInteger(item?.gameId ?? item?.game ?? item?.gameID);
+      const version = toInteger(item?.versionId ?? item?.version ?? item?.versionID);
+
+      if (game === null || version === null || typeof item?.storedInBase !== 'boolean') {
+        return null;
+      }
+
+      return withCopy({ game, version, storedInBase: item.storedInBase }, item);
+    })
+    .filter(Boolean);
+
+const buildCustomItems = (items = []) =>
+  items
+    .map((item) => {
+      const entry = createCustomItemEntry(item, item?.key);
+      if (!entry?.key) {
+        return null;
+      }
+
+      const { key, weight, category, ...sizes } = entry;
+      return {
+        id: key,
+        ...sizes,
+        ...(weight !== null ? { weight } : {}),
+        ...(category !== null ? { category } : {}),
+      };
+    })
+    .filter(Boolean)
+    .slice(0, CUSTOM_ITEM_LIMITS.count);
+
 export const buildOverridesPayload = ({
   excludedVersions = [],
   stackingOverrides = [],
   dimensionOverrides = [],
+  pinnedPlacements = [],
+  paddingOverrides = [],
+  storedInBaseOverrides = [],
 } = {}) => {
   const excluded = buildExcludedVersions(excludedVersions);
   const stacking = buildStackingOverrides(stackingOverrides);
   const dimensions = buildDimensionOverrides(dimensionOverrides);
+  const pins = buildPinnedPlacements(pinnedPlacements);
+  const padding = buildPaddingOverrides(paddingOverrides);
+  const storedInBase = buildStoredInBaseOverrides(storedInBaseOverrides);
 
   const overrides = {};
 
@@ -155,10 +241,225 @@ export const buildOverridesPayload = ({
   if (dimensions.length > 0) {
     overrides.dimensionOverrides = dimensions;
   }
+  if (pins.length > 0) {
+    overrides.pinnedPlacements = pins;
+  }
+  if (padding.length > 0) {
+    overrides.paddingOverrides = padding;
+  }
+  if (storedInBase.length > 0) {
+    overrides.storedInBaseOverrides = storedInBase;
+  }
 
   return overrides;
 };
 
+/**
+ * Builds the shelf profile payload.
+ * Catalog profiles are sent by id only; custom profiles include their dimensions.
+ * @param {Object} shelfProfile - Shelf profile from settings
+ * @returns {Object|null} Shelf profile payload or null if invalid
+ */
+export const buildShelfProfilePayload = (shelfProfile) => {
+  if (findShelfProfileOption(shelfProfile?.id)) {
+    return { id: shelfProfile.id };
+  }
+
+  if (shelfProfile?.id !== CUSTOM_SHELF_PROFILE_ID) {
+    return null;
+  }
+
+  const width = toPositiveNumber(shelfProfile.width);
+  const height = toPositiveNumber(shelfProfile.height);
+  const depth = toPositiveNumber(shelfProfile.depth);
+  const clearance = Number(shelfProfile.clearance);
+
+  if (width === null || height === null || depth === null) {
+    return null;
+  }
+
+  const payload = { id: CUSTOM_SHELF_PROFILE_ID, width, height, depth };
+  if (Number.isFinite(clearance) && clearance >= 0) {
+    payload.clearance = clearance;
+  }
+  return payload;
+};
+
+/**
+ * Builds the inventory payload for the API.
+ * @param {Object} shelfInventory - Shelf inventory from settings
+ * @returns {Object|null} { units, cubesPerUnit } or null when disabled or invalid
+ */
+export const buildShelfInventoryPayload = (shelfInventory) => {
+  if (!shelfInventory?.enabled) {
+    return null;
+  }
+
+  const units = toInventoryCount(shelfInventory.units, SHELF_INVENTORY_LIMITS.units);
+  const cubesPerUnit = toInventoryCount(
+    shelfInventory.cubesPerUnit,
+    SHELF_INVENTORY_LIMITS.cubesPerUnit
+  );
+
+  if (units === null || cubesPerUnit === null) {
+    return null;
+  }
+
+  return { units, cubesPerUnit };
+};
+
+/**
+ * Builds the shelf layout payload for the API.
+ * @param {Object} shelfLayout - Shelf layout from settings
+ * @returns {Object|null} { rows, columns, fillOrder, heavyCubesLow } or null when disabled or invalid
+ */
+export const buildShelfLayoutPayload = (shelfLayout) => {
+  if (!shelfLayout?.enabled) {
+    return null;
+  }
+
+  const rows = toInventoryCount(shelfLayout.rows, SHELF_LAYOUT_LIMITS.rows);
+  const columns = toInventoryCount(shelfLayout.columns, SHELF_LAYOUT_LIMITS.columns);
+
+  if (rows === null || columns === null) {
+    return null;
+  }
+
+  const payload = { rows, columns };
+  if (SHELF_FILL_ORDER_OPTIONS.some((option) => option.id === shelfLayout.fillOrder)) {
+    payload.fillOrder = shelfLayout.fillOrder;
+  }
+  if (shelfLayout.heavyCubesLow === true) {
+    payload.heavyCubesLow = true;
+  }
+  return payload;
+};
+
+/**
+ * Builds the reserve payload for the API.
+ * @param {Object} shelfReserve - Shelf reserve from settings
+ * @returns {Object|null} { emptyCubes, slots, headroomPercentage } with only the parts in use,
+ *   or null when disabled or nothing is reserved
+ */
+export const buildShelfReservePayload = (shelfReserve) => {
+  if (!shelfReserve?.enabled) {
+    return null;
+  }
+
+  const payload = {};
+  const emptyCubes = toInventoryCount(shelfReserve.emptyCubes, SHELF_RESERVE_LIMITS.emptyCubes);
+  if (emptyCubes) {
+    payload.emptyCubes = emptyCubes;
+  }
+  const slots = parseReservedSlots(shelfReserve.slots);
+  if (slots.length > 0) {
+    payload.slots = slots;
+  }
+  const headroomPercentage = toHeadroomPercentage(shelfReserve.headroomPercentage);
+  if (headroomPercentage) {
+    payload.headroomPercentage = headroomPercentage;
+  }
+
+  return Object.keys(payload).length > 0 ? payload : null;
+};
+
+/**
+ * Builds the section breaks payload for the API.
+ * Sections follow a sort rule, so nothing is sent when the field is not sorted on.
+ * @param {Object} sectionBreaks - Section breaks from settings
+ * @param {Array} sortingRules - Sorting rules from settings
+ * @returns {Object|null} { field, breakAt, minSectionSize } or null when disabled
+ */
+export const buildSectionBreaksPayload = (sectionBreaks, sortingRules = []) => {
+  if (!sectionBreaks?.enabled) {
+    return null;
+  }
+  if (!buildSortPayload(sortingRules).some((rule) => rule.field === sectionBreaks.field)) {
+    return null;
+  }
+
+  const payload = { field: sectionBreaks.field };
+  if (SECTION_BREAK_OPTIONS.some((option) => option.id === sectionBreaks.breakAt)) {
+    payload.breakAt = sectionBreaks.breakAt;
+  }
+  const minSectionSize = toInventoryCount(sectionBreaks.minSectionSize, SECTION_MIN_SIZE_LIMITS);
+  if (minSectionSize) {
+    payload.minSectionSize = minSectionSize;
+  }
+  return payload;
+};
+
+/**
+ * Builds the previous layout payload from the cubes of a stored result.
+ * @param {Array} cubes - Cubes of the last packing result
+ * @returns {Object|null} { cubes: [[versionKey, ...], ...] } or null when there is nothing to keep
+ */
+export const buildPreviousLayoutPayload = (cubes) => {
+  if (!Array.isArray(cubes) || cubes.length === 0) {
+    return null;
+  }
+
+  const layout = cubes.map((cube) =>
+    (Array.isArray(cube?.games) ? cube.games : [])
+      .map((game) => game?.versionKey)
+      .filter((versionKey) => typeof versionKey === 'string' && versionKey.length > 0)
+  );
+
+  return layout.some((versionKeys) => versionKeys.length > 0) ? { cubes: layout } : null;
+};
+
+/**
+ * Parses the per-cube weight limit for the API.
+ * @param {*} value - Weight limit in pounds from settings
+ * @returns {number|null} The limit, or null when empty or out of range
+ */
+export const toMaxCubeWeight = (value) => {
+  const weight = toPositiveNumber(value);
+  return weight !== null && weight <= MAX_CUBE_WEIGHT_LIMIT ? weight : null;
+};
+
+/**
+ * Parses the clearance margin added to every side of every box for the API.
+ * @param {*} value - Margin in inches from settings
+ * @returns {number|null} The margin, or null when empty, zero or out of range
+ */
+export const toBoxClearance = (value) => {
+  const clearance = toPositiveNumber(value);
+  return clearance !== null && clearance <= MAX_BOX_CLEARANCE ? clearance : null;
+};
+
+/**
+ * Parses the extra thickness of one game for the API.
+ * @param {*} value - Padding in inches
+ * @returns {number|null} The padding, or null when empty, zero or out of range
+ */
+export const toGamePadding = (value) => {
+  const padding = toPositiveNumber(value);
+  return padding !== null && padding <= MAX_GAME_PADDING ? padding : null;
+};
+
+/**
+ * Keeps the known series family kinds from settings, in option order.
+ * @param {*} value - Selected family kinds from settings
+ * @returns {Array} Family kinds such as ['Series', 'Game']
+ */
+export const toSeriesFamilyTypes = (value) => {
+  const selected = new Set(Array.isArray(value) ? value : []);
+  return SERIES_FAMILY_TYPE_OPTIONS.filter((option) => selected.has(option.id)).map(
+    (option) => option.id
+  );
+};
+
+/**
+ * Formats the selected series family kinds for display, e.g. "Series, Game".
+ * @param {*} value - Selected family kinds from settings
+ * @returns {string} Comma-separated kinds, falling back to the server default
+ */
+export const formatSeriesFamilyTypes = (value) => {
+  const familyTypes = toSeriesFamilyTypes(value);
+  return (familyTypes.length > 0 ? familyTypes : DEFAULT_SERIES_FAMILY_TYPES).join(', ');
+};
+
 /**
  * Array of boolean flag field names used in request payload.
  */
@@ -166,20 +467,62 @@ const BOOLEAN_FIELDS = [
   'lockRotation',
   'optimizeSpace',
   'fitOversized',
+  'depthLayers',
+  'explain',
+  'optimizer',
   'groupExpansions',
+  'storeExpansionsInBase',
   'groupSeries',
   'includeExpansions',
+  'includeAccessories',
+  'keepSharedCopies',
   'bypassVersionWarning',
 ];
 
+/**
+ * Splits the username field into the BGG usernames of a household, e.g. "alice, bob".
+ * Blank entries and repeats (in any letter case) are dropped.
+ * @param {string} value - Username field value
+ * @returns {string[]} Usernames in the order entered, at most MAX_HOUSEHOLD_USERNAMES
+ */
+export const parseUsernames = (value) => {
+  if (typeof value !== 'string') {
+    return [];
+  }
+
+  const seen = new Set();
+  return value
+    .split(',')
+    .map((name) => name.trim())
+    .filter((name) => {
+      const key = name.toLowerCase();
+      if (!name || seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    })
+    .slice(0, MAX_HOUSEHOLD_USERNAMES);
+};
+
 /**
  * Builds the complete request payload for the API.
  * @param {Object} options - Configuration object
- * @param {string} options.username - BoardGameGeek username
+ * @param {string} options.username - BoardGameGeek username, or several separated by commas
  * @param {string} options.stacking - Stacking preference
  * @param {Object} options.statusSelections - Collection status selections
  * @param {Array} options.sorting - Sorting rules array
  * @param {Object} options.overrides - Overrides object
+ * @param {Array} options.customItems - Custom items packed with the collection
+ * @param {Object} options.shelfProfile - Shelf profile settings
+ * @param {Object} options.shelfInventory - Shelf inventory settings
+ * @param {Object} options.shelfLayout - Shelf grid layout settings
+ * @param {Object} options.shelfReserve - Reserved shelf space settings
+ * @param {Object} options.sectionBreaks - Section break settings
+ * @param {number|string} options.maxCubeWeight - Per-cube weight limit in pounds (empty for none)
+ * @param {number|string} options.boxClearance - Margin in inches added around every box (empty for none)
+ * @param {Array} options.seriesFamilyTypes - BGG family kinds that count as a series
+ * @param {Object|null} options.previousLayout - Previous layout for an incremental repack
  * @param {Object} options.flags - Boolean flags object
  * @returns {Object} Complete request payload object
  * @throws {Error} If username is missing or invalid
@@ -190,14 +533,25 @@ export const buildRequestPayload = ({
   statusSelections,
   sorting,
   overrides,
+  customItems,
+  shelfProfile,
+  shelfInventory,
+  shelfLayout,
+  shelfReserve,
+  sectionBreaks,
+  maxCubeWeight,
+  boxClearance,
+  seriesFamilyTypes,
+  previousLayout,
   flags,
 } = {}) => {
-  if (!username || typeof username !== 'string') {
+  const usernames = parseUsernames(username);
+  if (usernames.length === 0) {
     throw new Error('Username is required for request payload.');
   }
 
   const payload = {
-    username: username.trim(),
+    username: usernames.length === 1 ? usernames[0] : usernames,
   };
 
   if (stacking === 'horizontal' || stacking === 'vertical') {
@@ -219,6 +573,50 @@ export const buildRequestPayload = ({
     payload.overrides = overridesPayload;
   }
 
+  const customItemsPayload = buildCustomItems(customItems);
+  if (customItemsPayload.length > 0) {
+    payload.customItems = customItemsPayload;
+  }
+
+  const shelfProfilePayload = buildShelfProfilePayload(shelfProfile);
+  if (shelfProfilePayload) {
+    payload.shelfProfile = shelfProfilePayload;
+  }
+
+  const inventoryPayload = buildShelfInventoryPayload(shelfInventory);
+  if (inventoryPayload) {
+    payload.inventory = inventoryPayload;
+  }
+
+  const layoutPayload = buildShelfLayoutPayload(shelfLayout);
+  if (layoutPayload) {
+    payload.shelfLayout = layoutPayload;
+  }
+
+  const reservePayload = buildShelfReservePayload(shelfReserve);
+  if (reservePayload) {
+    payload.reserve = reservePayload;
+  }
+
+  const sectionBreaksPayload = buildSectionBreaksPayload(sectionBreaks, sorting);
+  if (sectionBreaksPayload) {
+    payload.sectionBreaks = sectionBreaksPayload;
+  }
+
+  const weightLimit = toMaxCubeWeight(maxCubeWeight);
+  if (weightLimit !== null) {
+    payload.maxCubeWeight = weightLimit;
+  }
+
+  const clearance = toBoxClearance(boxClearance);
+  if (clearance !== null) {
+    payload.boxClearance = clearance;
+  }
+
+  if (Array.isArray(previousLayout?.cubes) && previousLayout.cubes.length > 0) {
+    payload.previousLayout = { cubes: previousLayout.cubes.map((versionKeys) => [...versionKeys]) };
+  }
+
   const normalizedFlags = flags ?? {};
   BOOLEAN_FIELDS.forEach((field) => {
     if (normalizedFlags[field] === true) {
@@ -226,6 +624,12 @@ export const buildRequestPayload = ({
     }
   });
 
+  // Family kinds only matter when series grouping runs
+  const familyTypes = toSeriesFamilyTypes(seriesFamilyTypes);
+  if (payload.groupSeries && familyTypes.length > 0) {
+    payload.seriesFamilyTypes = familyTypes;
+  }
+
   // Add backfillPercentage if provided (0-100)
   if (typeof normalizedFlags.backfillPercentage === 'number' && 
       normalizedFlags.backfillPercentage >= 0 && 
@@ -233,6 +637,14 @@ export const buildRequestPayload = ({
     payload.backfillPercentage = normalizedFlags.backfillPercentage;
   }
 
+  // The optimizer time budget only matters when the optimizer runs (1-30 seconds)
+  if (payload.optimizer &&
+      typeof normalizedFlags.optimizerTimeBudget === 'number' &&
+      normalizedFlags.optimizerTimeBudget >= 1 &&
+      normalizedFlags.optimizerTimeBudget <= 30) {
+    payload.optimizerTimeBudget = normalizedFlags.optimizerTimeBudget;
+  }
+
   return payload;
 };
 
@@ -1,21 +1,32 @@
 import { toArray, sortByName } from './results';
 
 /**
- * Builds lookup maps for excluded games, orientation overrides, and dimension overrides.
+ * Builds lookup maps for excluded games, orientation overrides, dimension overrides, pins,
+ * padding overrides, and base box storage choices.
  * @param {Object} options - Configuration object
  * @param {Array} options.excludedGames - Array of excluded game entries
  * @param {Array} options.orientationOverrides - Array of orientation override entries
  * @param {Array} options.dimensionOverrides - Array of dimension override entries
- * @returns {Object} Object containing excludedLookup, orientationLookup, and dimensionLookup
+ * @param {Array} options.pinnedPlacements - Array of pinned placement entries
+ * @param {Array} options.paddingOverrides - Array of padding override entries
+ * @param {Array} options.storedInBaseOverrides - Array of base box storage entries
+ * @returns {Object} Object containing excludedLookup, orientationLookup, dimensionLookup,
+ *   pinnedLookup, paddingLookup, and storedInBaseLookup
  */
 export const buildOverrideLookups = ({
   excludedGames = [],
   orientationOverrides = [],
   dimensionOverrides = [],
+  pinnedPlacements = [],
+  paddingOverrides = [],
+  storedInBaseOverrides = [],
 } = {}) => {
   const excludedLookup = {};
   const orientationLookup = {};
   const dimensionLookup = {};
+  const pinnedLookup = {};
+  const paddingLookup = {};
+  const storedInBaseLookup = {};
 
   toArray(excludedGames).forEach((game) => {
     if (game?.key) {
@@ -35,7 +46,32 @@ export const buildOverrideLookups = ({
     }
   });
 
-  return { excludedLookup, orientationLookup, dimensionLookup };
+  toArray(pinnedPlacements).forEach((pin) => {
+    if (pin?.key) {
+      pinnedLookup[pin.key] = pin;
+    }
+  });
+
+  toArray(paddingOverrides).forEach((override) => {
+    if (override?.key) {
+      paddingLookup[override.key] = override;
+    }
+  });
+
+  toArray(storedInBaseOverrides).forEach((override) => {
+    if (override?.key) {
+      storedInBaseLookup[override.key] = override;
+    }
+  });
+
+  return {
+    excludedLookup,
+    orientationLookup,
+    dimensionLookup,
+    pinnedLookup,
+    paddingLookup,
+    storedInBaseLookup,
+  };
 };
 
 /**
@@ -44,18 +80,36 @@ export const buildOverrideLookups = ({
  * @param {Array} options.excludedGames - Array of excluded game entries
  * @param {Array} options.orientationOverrides - Array of orientation override entries
  * @param {Array} options.dimensionOverrides - Array of dimension override entries
- * @returns {Object} Object containing sorted excluded, orientation, and dimensions arrays
+ * @param {Array} options.pinnedPlacements - Array of pinned placement entries
+ * @param {Array} options.paddingOverrides - Array of padding override entries
+ * @param {Array} options.storedInBaseOverrides - Array of base box storage entries
+ * @returns {Object} Object containing sorted excluded, orientation, dimensions, pins, padding,
+ *   and storedInBase arrays
  */
 export const buildSortedOverrides = ({
   excludedGames = [],
   orientationOverrides = [],
   dimensionOverrides = [],
+  pinnedPlacements = [],
+  paddingOverrides = [],
+  storedInBaseOverrides = [],
 } = {}) => ({
   excluded: [...toArray(excludedGames)].sort(sortByName),
   orientation: [...toArray(orientationOverrides)].sort(sortByName),
   dimensions: [...toArray(dimensionOverrides)].sort(sortByName),
+  pins: [...toArray(pinnedPlacements)].sort((a, b) => a.cube - b.cube || sortByName(a, b)),
+  padding: [...toArray(paddingOverrides)].sort(sortByName),
+  storedInBase: [...toArray(storedInBaseOverrides)].sort(sortByName),
 });
 
+/**
+ * Describes where a game is pinned, e.g. "Cube 3, bottom-left".
+ * @param {Object} pin - Pinned placement entry
+ * @returns {string} Human-readable pin location
+ */
+export const formatPinnedPlacement = (pin) =>
+  pin?.corner ? `Cube ${pin.cube}, ${pin.corner}` : `Cube ${pin?.cube}`;
+
 export const mapOrientationOverrideDisplay = (overrides = []) =>
   overrides.map((override) => {
     const orientation = override?.orientation === 'horizontal' ? 'horizontal' : 'vertical';
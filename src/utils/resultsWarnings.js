@@ -6,21 +6,42 @@ import { toArray, sortByName } from './results';
  * @param {Object} options - Configuration object
  * @param {Array} options.cubes - Array of cube objects
  * @param {Array} options.oversizedGames - Array of oversized games
+ * @param {Object} [options.inventory] - Shelf inventory report, when packing into a fixed set of shelves
+ * @param {Object} [options.series] - Series grouping report, when series were grouped
  * @param {boolean} options.includeCubeId - Whether to include cube ID in game data
- * @returns {Object} Object containing arrays of games for each warning type
+ * @returns {Object} Object containing arrays of games (or cubes, for weight warnings, and series
+ *   groups, for split series) for each warning type
  */
 export const collectWarningGroups = ({
   cubes = [],
   oversizedGames = [],
+  inventory = null,
+  series = null,
   includeCubeId = true,
 } = {}) => {
   const bggDefaultDimensions = [];
   const guessedDueToNoVersion = [];
   const selectedVersionMissingDimensions = [];
   const allVersionsMissingDimensions = [];
+  const protruding = [];
+  const overWeightCubes = [];
+  const incompleteWeightCubes = [];
 
   toArray(cubes).forEach((cube) => {
     const cubeId = cube?.id ?? null;
+    const cubeWeightEntry = {
+      id: `cube-${cubeId}`,
+      cubeId,
+      totalWeight: cube?.stats?.totalWeight ?? 0,
+      missingWeightCount: cube?.stats?.missingWeightCount ?? 0,
+      totalGames: cube?.stats?.totalGames ?? 0,
+    };
+    if (cube?.stats?.overWeightLimit === true) {
+      overWeightCubes.push(cubeWeightEntry);
+    }
+    if (cube?.stats?.incompleteWeight === true) {
+      incompleteWeightCubes.push(cubeWeightEntry);
+    }
     toArray(cube?.games).forEach((game) => {
       const baseGameData = includeCubeId ? { ...game, cubeId } : { ...game };
       
@@ -53,6 +74,13 @@ export const collectWarningGroups = ({
           versionsUrl: game?.versionsUrl ?? null,
         });
       }
+      if (game.protrusion > 0) {
+        protruding.push({
+          ...baseGameData,
+          correctionUrl: game?.correctionUrl ?? null,
+          versionsUrl: game?.versionsUrl ?? null,
+        });
+      }
       // If none of the flags are true, the game has correct version dimensions, so no warning needed
     });
   });
@@ -61,6 +89,7 @@ export const collectWarningGroups = ({
   guessedDueToNoVersion.sort(sortByName);
   selectedVersionMissingDimensions.sort(sortByName);
   allVersionsMissingDimensions.sort(sortByName);
+  protruding.sort(sortByName);
 
   const oversizedList = toArray(oversizedGames)
     .map((game) => ({
@@ -71,12 +100,26 @@ export const collectWarningGroups = ({
     }))
     .sort(sortByName);
 
+  const overflow = toArray(inventory?.overflowGames)
+    .map((game) => ({ ...game }))
+    .sort(sortByName);
+
+  const splitSeries = toArray(series?.splitGroups).map((group) => ({
+    ...group,
+    id: `series-${group.name}`,
+  }));
+
   return {
     bggDefaultDimensions,
     guessedDueToNoVersion,
     selectedVersionMissingDimensions,
     allVersionsMissingDimensions,
     oversized: oversizedList,
+    protruding,
+    overflow,
+    overWeightCubes,
+    incompleteWeightCubes,
+    splitSeries,
   };
 };
 
@@ -96,6 +139,7 @@ export const createWarningPanelState = (panelIds) =>
 export const buildWarningPanels = ({
   warningGroups,
   fitOversized,
+  inventory = null,
   panelState,
   onTogglePanel,
   panelConfig,
@@ -121,7 +165,7 @@ export const buildWarningPanels = ({
       renderItem: definition.renderItem,
       expanded: isExpanded,
       onToggle: () => onTogglePanel(definition.id),
-      context: { fitOversized },
+      context: { fitOversized, inventory },
     };
   }).filter(Boolean);
 
@@ -0,0 +1,55 @@
+import {
+  SECTION_BREAK_OPTIONS,
+  SECTION_MIN_SIZE_LIMITS,
+  SORTING_FIELD_DEFINITIONS,
+  createDefaultSectionBreaks,
+} from '../constants/appDefaults';
+import { toInventoryCount } from './shelfInventory';
+
+/**
+ * Normalizes stored or user-edited section breaks.
+ * Unknown sort fields, break modes and sizes fall back to the defaults.
+ * @param {*} value - The section breaks to normalize
+ * @returns {Object} Section breaks with enabled, field, breakAt and minSectionSize
+ */
+export const normalizeSectionBreaks = (value) => {
+  const fallback = createDefaultSectionBreaks();
+  if (!value || typeof value !== 'object') {
+    return fallback;
+  }
+
+  const isKnownField = SORTING_FIELD_DEFINITIONS.some((def) => def.field === value.field);
+  const isKnownBreak = SECTION_BREAK_OPTIONS.some((option) => option.id === value.breakAt);
+
+  return {
+    enabled: value.enabled === true,
+    field: isKnownField ? value.field : fallback.field,
+    breakAt: isKnownBreak ? value.breakAt : fallback.breakAt,
+    minSectionSize:
+      toInventoryCount(value.minSectionSize, SECTION_MIN_SIZE_LIMITS) ?? fallback.minSectionSize,
+  };
+};
+
+/**
+ * Label of the sort field sections follow, e.g. "Categories".
+ * @param {string} field - Sort field
+ * @returns {string} The field label, or the field itself when unknown
+ */
+export const getSectionFieldLabel = (field) =>
+  SORTING_FIELD_DEFINITIONS.find((def) => def.field === field)?.label ?? field;
+
+/**
+ * Describes section breaks, e.g. "Categories, new shelf row, sections of 3+".
+ * @param {Object} sectionBreaks - Section breaks payload ({ field, breakAt, minSectionSize })
+ * @returns {string} Short description
+ */
+export const describeSectionBreaks = (sectionBreaks) => {
+  const parts = [getSectionFieldLabel(sectionBreaks.field)];
+  if (sectionBreaks.breakAt === 'row') {
+    parts.push('new shelf row');
+  }
+  if (sectionBreaks.minSectionSize > 0) {
+    parts.push(`sections of ${sectionBreaks.minSectionSize}+`);
+  }
+  return parts.join(', ');
+};
@@ -1,5 +1,16 @@
-import { COLLECTION_STATUSES, FILTER_PANEL_KEYS } from '../constants/appDefaults';
+import {
+  COLLECTION_STATUSES,
+  FILTER_PANEL_KEYS,
+  OPTIMIZER_TIME_BUDGET_OPTIONS,
+  SORTING_FIELD_DEFINITIONS,
+} from '../constants/appDefaults';
 import { normalizeStacking } from './helpers';
+import { normalizeShelfProfile } from './shelfProfile';
+import { normalizeShelfInventory } from './shelfInventory';
+import { normalizeShelfLayout } from './shelfLayout';
+import { normalizeShelfReserve } from './shelfReserve';
+import { normalizeSectionBreaks } from './sectionBreaks';
+import { toBoxClearance, toMaxCubeWeight, toSeriesFamilyTypes } from './requestPayload';
 
 /**
  * Normalizes a stored stacking value to 'horizontal' or 'vertical'.
@@ -30,13 +41,29 @@ export const applyStoredSettings = (storedSettings, setters, refs = {}) => {
   const {
     username: storedUsername,
     includeExpansions: storedIncludeExpansions,
+    includeAccessories: storedIncludeAccessories,
+    keepSharedCopies: storedKeepSharedCopies,
     groupExpansions: storedGroupExpansions,
+    storeExpansionsInBase: storedStoreExpansionsInBase,
     groupSeries: storedGroupSeries,
+    seriesFamilyTypes: storedSeriesFamilyTypes,
     stacking: storedStacking,
     lockRotation: storedLockRotation,
     optimizeSpace: storedOptimizeSpace,
     backfillPercentage: storedBackfillPercentage,
     fitOversized: storedFitOversized,
+    depthLayers: storedDepthLayers,
+    explain: storedExplain,
+    incrementalRepack: storedIncrementalRepack,
+    optimizer: storedOptimizer,
+    optimizerTimeBudget: storedOptimizerTimeBudget,
+    shelfProfile: storedShelfProfile,
+    shelfInventory: storedShelfInventory,
+    shelfLayout: storedShelfLayout,
+    shelfReserve: storedShelfReserve,
+    sectionBreaks: storedSectionBreaks,
+    maxCubeWeight: storedMaxCubeWeight,
+    boxClearance: storedBoxClearance,
     filtersCollapsed: storedFiltersCollapsed,
     filterPanelsCollapsed: storedFilterPanelsCollapsed,
     bypassVersionWarning: storedBypassVersionWarning,
@@ -51,12 +78,24 @@ export const applyStoredSettings = (storedSettings, setters, refs = {}) => {
   if (typeof storedIncludeExpansions === 'boolean') {
     setters.setIncludeExpansions(storedIncludeExpansions);
   }
+  if (typeof storedIncludeAccessories === 'boolean') {
+    setters.setIncludeAccessories(storedIncludeAccessories);
+  }
+  if (typeof storedKeepSharedCopies === 'boolean') {
+    setters.setKeepSharedCopies(storedKeepSharedCopies);
+  }
   if (typeof storedGroupExpansions === 'boolean') {
     setters.setGroupExpansions(storedGroupExpansions);
   }
+  if (typeof storedStoreExpansionsInBase === 'boolean') {
+    setters.setStoreExpansionsInBase(storedStoreExpansionsInBase);
+  }
   if (typeof storedGroupSeries === 'boolean') {
     setters.setGroupSeries(storedGroupSeries);
   }
+  if (toSeriesFamilyTypes(storedSeriesFamilyTypes).length > 0) {
+    setters.setSeriesFamilyTypes(toSeriesFamilyTypes(storedSeriesFamilyTypes));
+  }
   if (typeof storedStacking === 'string') {
     setters.setStacking(normalizeStoredStacking(storedStacking));
   }
@@ -74,6 +113,42 @@ export const applyStoredSettings = (storedSettings, setters, refs = {}) => {
   if (typeof storedFitOversized === 'boolean') {
     setters.setFitOversized(storedFitOversized);
   }
+  if (typeof storedDepthLayers === 'boolean') {
+    setters.setDepthLayers(storedDepthLayers);
+  }
+  if (typeof storedExplain === 'boolean') {
+    setters.setExplain(storedExplain);
+  }
+  if (typeof storedIncrementalRepack === 'boolean') {
+    setters.setIncrementalRepack(storedIncrementalRepack);
+  }
+  if (typeof storedOptimizer === 'boolean') {
+    setters.setOptimizer(storedOptimizer);
+  }
+  if (OPTIMIZER_TIME_BUDGET_OPTIONS.includes(storedOptimizerTimeBudget)) {
+    setters.setOptimizerTimeBudget(storedOptimizerTimeBudget);
+  }
+  if (storedShelfProfile && typeof storedShelfProfile === 'object') {
+    setters.setShelfProfile(normalizeShelfProfile(storedShelfProfile));
+  }
+  if (storedShelfInventory && typeof storedShelfInventory === 'object') {
+    setters.setShelfInventory(normalizeShelfInventory(storedShelfInventory));
+  }
+  if (storedShelfLayout && typeof storedShelfLayout === 'object') {
+    setters.setShelfLayout(normalizeShelfLayout(storedShelfLayout));
+  }
+  if (storedShelfReserve && typeof storedShelfReserve === 'object') {
+    setters.setShelfReserve(normalizeShelfReserve(storedShelfReserve));
+  }
+  if (storedSectionBreaks && typeof storedSectionBreaks === 'object') {
+    setters.setSectionBreaks(normalizeSectionBreaks(storedSectionBreaks));
+  }
+  if (toMaxCubeWeight(storedMaxCubeWeight) !== null) {
+    setters.setMaxCubeWeight(storedMaxCubeWeight);
+  }
+  if (toBoxClearance(storedBoxClearance) !== null) {
+    setters.setBoxClearance(storedBoxClearance);
+  }
   if (typeof storedBypassVersionWarning === 'boolean') {
     setters.setBypassVersionWarning(storedBypassVersionWarning);
   }
@@ -95,7 +170,16 @@ export const applyStoredSettings = (storedSettings, setters, refs = {}) => {
     }));
   }
   if (Array.isArray(storedSorting) && storedSorting.length > 0) {
-    setters.setSorting(storedSorting);
+    // Sort fields added since the settings were saved come last, turned off
+    const storedFields = new Set(storedSorting.map((rule) => rule?.field));
+    setters.setSorting([
+      ...storedSorting,
+      ...SORTING_FIELD_DEFINITIONS.filter((def) => !storedFields.has(def.field)).map((def) => ({
+        field: def.field,
+        enabled: false,
+        order: def.defaultOrder,
+      })),
+    ]);
   }
   if (storedCollectionFilters && typeof storedCollectionFilters === 'object') {
     setters.setCollectionFilters((prev) => ({
@@ -0,0 +1,37 @@
+import { createDefaultShelfInventory, SHELF_INVENTORY_LIMITS } from '../constants/appDefaults';
+import { toInteger } from './helpers';
+
+/**
+ * Parses a whole number within the server's inventory limits.
+ * @param {*} value - Raw value
+ * @param {Object} limits - { min, max }
+ * @returns {number|null} The whole number or null if invalid
+ */
+export const toInventoryCount = (value, { min, max }) => {
+  const number = toInteger(value);
+  if (number === null || number < min || number > max) {
+    return null;
+  }
+  return number;
+};
+
+/**
+ * Normalizes a stored or user-edited shelf inventory.
+ * Invalid counts fall back to the defaults.
+ * @param {*} value - The shelf inventory to normalize
+ * @returns {Object} Shelf inventory with enabled, units and cubesPerUnit
+ */
+export const normalizeShelfInventory = (value) => {
+  const fallback = createDefaultShelfInventory();
+  if (!value || typeof value !== 'object') {
+    return fallback;
+  }
+
+  return {
+    enabled: value.enabled === true,
+    units: toInventoryCount(value.units, SHELF_INVENTORY_LIMITS.units) ?? fallback.units,
+    cubesPerUnit:
+      toInventoryCount(value.cubesPerUnit, SHELF_INVENTORY_LIMITS.cubesPerUnit) ??
+      fallback.cubesPerUnit,
+  };
+};
@@ -0,0 +1,52 @@
+import {
+  SHELF_FILL_ORDER_OPTIONS,
+  SHELF_LAYOUT_LIMITS,
+  createDefaultShelfLayout,
+} from '../constants/appDefaults';
+import { toInventoryCount } from './shelfInventory';
+
+/**
+ * Normalizes a stored or user-edited shelf layout.
+ * Invalid grid sizes and unknown fill orders fall back to the defaults.
+ * @param {*} value - The shelf layout to normalize
+ * @returns {Object} Shelf layout with enabled, rows, columns, fillOrder and heavyCubesLow
+ */
+export const normalizeShelfLayout = (value) => {
+  const fallback = createDefaultShelfLayout();
+  if (!value || typeof value !== 'object') {
+    return fallback;
+  }
+
+  const isKnownOrder = SHELF_FILL_ORDER_OPTIONS.some((option) => option.id === value.fillOrder);
+
+  return {
+    enabled: value.enabled === true,
+    rows: toInventoryCount(value.rows, SHELF_LAYOUT_LIMITS.rows) ?? fallback.rows,
+    columns: toInventoryCount(value.columns, SHELF_LAYOUT_LIMITS.columns) ?? fallback.columns,
+    fillOrder: isKnownOrder ? value.fillOrder : fallback.fillOrder,
+    heavyCubesLow: value.heavyCubesLow === true,
+  };
+};
+
+/**
+ * Groups cubes that carry a shelf position by unit, keeping unit order.
+ * @param {Array} cubes - Cubes from the packing response
+ * @returns {Array} Units as { unit, cubes } sorted by unit number
+ */
+export const groupCubesByShelfUnit = (cubes) => {
+  const units = new Map();
+  (Array.isArray(cubes) ? cubes : []).forEach((cube) => {
+    const unit = cube?.shelfPosition?.unit;
+    if (!Number.isInteger(unit)) {
+      return;
+    }
+    if (!units.has(unit)) {
+      units.set(unit, []);
+    }
+    units.get(unit).push(cube);
+  });
+
+  return [...units.entries()]
+    .sort(([left], [right]) => left - right)
+    .map(([unit, unitCubes]) => ({ unit, cubes: unitCubes }));
+};
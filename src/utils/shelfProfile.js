@@ -0,0 +1,57 @@
+import {
+  SHELF_PROFILE_OPTIONS,
+  CUSTOM_SHELF_PROFILE_ID,
+  createDefaultShelfProfile,
+} from '../constants/appDefaults';
+import { toPositiveNumber } from './helpers';
+
+const SHELF_DIMENSION_KEYS = ['width', 'height', 'depth'];
+
+/**
+ * Finds a built-in shelf profile by id.
+ * @param {string} id - Shelf profile id
+ * @returns {Object|null} The catalog entry or null for custom/unknown ids
+ */
+export const findShelfProfileOption = (id) =>
+  SHELF_PROFILE_OPTIONS.find((option) => option.id === id) ?? null;
+
+/**
+ * Normalizes a stored or user-edited shelf profile.
+ * Catalog ids always take their catalog dimensions; custom profiles keep valid
+ * numeric fields and fall back to the default profile for anything missing.
+ * @param {*} value - The shelf profile to normalize
+ * @returns {Object} Shelf profile with id, width, height, depth and clearance
+ */
+export const normalizeShelfProfile = (value) => {
+  const fallback = createDefaultShelfProfile();
+  if (!value || typeof value !== 'object') {
+    return fallback;
+  }
+
+  const option = findShelfProfileOption(value.id);
+  if (option) {
+    const { id, width, height, depth, clearance } = option;
+    return { id, width, height, depth, clearance };
+  }
+
+  if (value.id !== CUSTOM_SHELF_PROFILE_ID) {
+    return fallback;
+  }
+
+  const profile = { id: CUSTOM_SHELF_PROFILE_ID };
+  SHELF_DIMENSION_KEYS.forEach((key) => {
+    profile[key] = toPositiveNumber(value[key]) ?? fallback[key];
+  });
+  const clearance = Number(value.clearance);
+  profile.clearance = Number.isFinite(clearance) && clearance >= 0 ? clearance : fallback.clearance;
+
+  return profile;
+};
+
+/**
+ * Gets a display label for a shelf profile.
+ * @param {Object} profile - Shelf profile
+ * @returns {string} Human readable shelf name
+ */
+export const getShelfProfileLabel = (profile) =>
+  findShelfProfileOption(profile?.id)?.label ?? profile?.name ?? 'Custom shelf';
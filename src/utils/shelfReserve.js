@@ -0,0 +1,76 @@
+import { createDefaultShelfReserve, SHELF_RESERVE_LIMITS } from '../constants/appDefaults';
+import { toInventoryCount } from './shelfInventory';
+
+/**
+ * Parses the reserved slots typed by the user, e.g. "5, 12 16".
+ * Entries that are not valid cube numbers are dropped.
+ * @param {*} value - Comma or space separated cube numbers
+ * @returns {Array} Unique cube numbers in ascending order
+ */
+export const parseReservedSlots = (value) => {
+  if (typeof value !== 'string') {
+    return [];
+  }
+
+  const slots = value
+    .split(/[\s,;]+/)
+    .map((entry) => toInventoryCount(entry, SHELF_RESERVE_LIMITS.slot))
+    .filter((slot) => slot !== null);
+
+  return [...new Set(slots)].sort((left, right) => left - right).slice(0, SHELF_RESERVE_LIMITS.slotCount);
+};
+
+/**
+ * Parses a headroom percentage within the server's limits.
+ * @param {*} value - Raw value
+ * @returns {number|null} The percentage or null if invalid
+ */
+export const toHeadroomPercentage = (value) => {
+  if (value === '' || value === null || value === undefined) {
+    return null;
+  }
+  const number = Number(value);
+  const { min, max } = SHELF_RESERVE_LIMITS.headroomPercentage;
+  return Number.isFinite(number) && number >= min && number <= max ? number : null;
+};
+
+/**
+ * Normalizes a stored or user-edited shelf reserve.
+ * Invalid values fall back to the defaults.
+ * @param {*} value - The shelf reserve to normalize
+ * @returns {Object} Shelf reserve with enabled, emptyCubes, slots and headroomPercentage
+ */
+export const normalizeShelfReserve = (value) => {
+  const fallback = createDefaultShelfReserve();
+  if (!value || typeof value !== 'object') {
+    return fallback;
+  }
+
+  return {
+    enabled: value.enabled === true,
+    emptyCubes:
+      toInventoryCount(value.emptyCubes, SHELF_RESERVE_LIMITS.emptyCubes) ?? fallback.emptyCubes,
+    slots: typeof value.slots === 'string' ? value.slots : fallback.slots,
+    headroomPercentage:
+      toHeadroomPercentage(value.headroomPercentage) ?? fallback.headroomPercentage,
+  };
+};
+
+/**
+ * Describes reserved shelf space, e.g. "2 spare cubes, slots 5, 12, 10% headroom".
+ * @param {Object} reserve - Reserve payload or the reserve report of a packing response
+ * @returns {string} Short description of the parts in use
+ */
+export const describeShelfReserve = (reserve) => {
+  const parts = [];
+  if (reserve?.emptyCubes > 0) {
+    parts.push(`${reserve.emptyCubes} spare ${reserve.emptyCubes === 1 ? 'cube' : 'cubes'}`);
+  }
+  if (reserve?.slots?.length > 0) {
+    parts.push(`${reserve.slots.length === 1 ? 'slot' : 'slots'} ${reserve.slots.join(', ')}`);
+  }
+  if (reserve?.headroomPercentage > 0) {
+    parts.push(`${reserve.headroomPercentage}% headroom`);
+  }
+  return parts.join(', ');
+};
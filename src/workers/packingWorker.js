@@ -0,0 +1,23 @@
+import {
+  packCollection,
+  resolvePackingSettings,
+} from '../../server/src/services/collectionPackingService.js';
+import { setLogger, silentLogger } from '../../server/src/utils/logger.js';
+
+// Packing progress is server log output; keep it out of the browser console
+setLogger(silentLogger);
+
+/**
+ * Packs a fetched collection off the main thread with the server's own packing modules.
+ * Receives { jobId, games, payload } where games are the sourceGames of an earlier response
+ * and payload is a games request; answers { jobId, response } or { jobId, error }.
+ */
+self.onmessage = ({ data }) => {
+  const { jobId, games, payload } = data;
+  try {
+    const response = packCollection(games, resolvePackingSettings(payload));
+    self.postMessage({ jobId, response });
+  } catch (error) {
+    self.postMessage({ jobId, error: error?.message || 'Local packing failed' });
+  }
+};